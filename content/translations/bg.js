@@ -34,6 +34,7 @@ export const translations = {
         portfolio: 'Портфолио',
         admin: 'Администратор',
         education: 'Образование',
+        leaderboard: 'Класация',
         whyBitcoin: 'Защо Биткойн?',
         whyNotGold: 'Защо не злато?',
         fiatExperiment: 'Фиатният експеримент',
@@ -51,7 +52,9 @@ export const translations = {
         invalidEmail: 'Моля въведете валиден имейл адрес',
         loginError: 'Неуспешен вход. Моля опитайте отново.',
         loggingIn: 'Влизане...',
-        checkingAuth: 'Проверка на удостоверяването...'
+        checkingAuth: 'Проверка на удостоверяването...',
+        signInWithPasskey: 'Вход с ключ за достъп',
+        addPasskey: 'Добави ключ за достъп'
     },
 
     home: {
@@ -235,7 +238,7 @@ export const translations = {
         buyAsset: 'Купуване на {asset}',
         sellAsset: 'Продаване на {asset}',
         lockedUntil: 'Заключен до {date}',
-        cannotSell: 'Не може да се продаде (24ч заключване)',
+        cannotSell: 'Не може да се продаде (заключен)',
         assetDetails: 'Детайли за актива',
         historicalPerformance: 'Историческо представяне',
         about: 'За {asset}',
@@ -432,7 +435,23 @@ export const translations = {
         close: 'Затваряне',
         generatingLink: 'Генериране на връзка...',
         generatingImage: 'Генериране на изображение...',
-        imageJustGenerated: 'Изображението беше току-що генерирано'
+        imageJustGenerated: 'Изображението беше току-що генерирано',
+        newPortfolio: 'Ново портфолио',
+        newPortfolioPrompt: 'Дайте име на новото портфолио. То започва с 1 BTC.',
+        renamePortfolio: 'Преименуване',
+        renamePortfolioPrompt: 'Ново име за това портфолио',
+        deletePortfolio: 'Изтриване',
+        deletePortfolioConfirm: 'Да се изтрие ли това портфолио с всички активи и сделки? Действието е необратимо.',
+        portfolioCreated: 'Портфолиото е създадено',
+        portfolioDeleted: 'Портфолиото е изтрито',
+        switchError: 'Неуспешна смяна на портфолио',
+        comparePortfolios: 'Сравнение',
+        compareError: 'Неуспешно сравнение на портфолиата',
+        comparisonTitle: 'Сравнение на портфолиата',
+        comparisonName: 'Портфолио',
+        comparisonVsBitcoin: 'спрямо 1 BTC',
+        comparisonTrades: 'Сделки',
+        comparisonAllocation: 'Основни активи'
     },
 
     trading: {
@@ -460,9 +479,17 @@ export const translations = {
         invalidAmount: 'Моля въведете валидно количество',
         amountTooSmall: 'Твърде малко количество',
         amountTooLarge: 'Твърде голямо количество',
-        assetLocked: 'Този актив е заключен за 24 часа след покупката',
+        assetLocked: 'Този актив е заключен за определен период след покупката',
         unlockTime: 'Отключва се в {time}',
-        maxAmount: 'Макс'
+        maxAmount: 'Макс',
+        reviewTrade: 'Преглед на сделката',
+        gettingQuote: 'Получаване на котировка...',
+        executingTrade: 'Изпълнение на сделката...',
+        youPay: 'Плащате',
+        youReceive: 'Получавате',
+        requote: 'Нова котировка',
+        quoteExpiresIn: 'Котировката е валидна {seconds}s',
+        quoteExpired: 'Котировката изтече - поискайте нова, за да търгувате'
     },
 
     admin: {
@@ -484,7 +511,12 @@ export const translations = {
         pendingSuggestions: 'Чакащи предложения',
         markAsRead: 'Маркиране като прочетено',
         reply: 'Отговор',
-        adminReply: 'Отговор от администратора'
+        adminReply: 'Отговор от администратора',
+        impersonation: {
+            viewingAs: 'Преглед като',
+            readOnly: '(само за четене)',
+            exit: 'Изход'
+        }
     },
 
     suggestions: {
@@ -561,6 +593,24 @@ export const translations = {
         tenYearsAgo: 'преди 10 години'
     },
 
+    leaderboard: {
+        title: 'Класация',
+        subtitle: 'Можете ли да победите Биткойн? Публичните портфолиа, подредени по ръст в сатоши спрямо държането на 1 BTC.',
+        period7d: '7 дни',
+        period30d: '30 дни',
+        period1y: '1 година',
+        periodAll: 'За цялото време',
+        rank: 'Място',
+        player: 'Играч',
+        value: 'Стойност на портфолиото',
+        change: 'Промяна',
+        vsBitcoin: 'спрямо 1 BTC',
+        beatsBitcoin: 'Побеждава Биткойн',
+        behindBitcoin: 'Изостава от Биткойн',
+        empty: 'Все още няма публични портфолиа за този период.',
+        loadError: 'Неуспешно зареждане на класацията'
+    },
+
     education: {
         title: 'Образование',
         subtitle: 'Научете за Биткойн и принципите на здравите пари',
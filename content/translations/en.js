@@ -34,6 +34,7 @@ export const translations = {
         portfolio: 'Portfolio',
         admin: 'Admin',
         education: 'Learn',
+        leaderboard: 'Leaderboard',
         whyBitcoin: 'Why Bitcoin?',
         whyNotGold: 'Why Not Gold?',
         fiatExperiment: 'The Fiat Experiment',
@@ -51,7 +52,9 @@ export const translations = {
         invalidEmail: 'Please enter a valid email address',
         loginError: 'Login failed. Please try again.',
         loggingIn: 'Logging in...',
-        checkingAuth: 'Checking authentication...'
+        checkingAuth: 'Checking authentication...',
+        signInWithPasskey: 'Sign in with a passkey',
+        addPasskey: 'Add passkey'
     },
 
     home: {
@@ -220,7 +223,7 @@ export const translations = {
         buyAsset: 'Buy {asset}',
         sellAsset: 'Sell {asset}',
         lockedUntil: 'Locked until {date}',
-        cannotSell: 'Cannot sell (24h lock)',
+        cannotSell: 'Cannot sell (locked)',
         assetDetails: 'Asset Details',
         historicalPerformance: 'Historical Performance',
         about: 'About {asset}',
@@ -447,7 +450,23 @@ export const translations = {
         close: 'Close',
         generatingLink: 'Generating link...',
         generatingImage: 'Generating image...',
-        imageJustGenerated: 'Image was just generated'
+        imageJustGenerated: 'Image was just generated',
+        newPortfolio: 'New Portfolio',
+        newPortfolioPrompt: 'Name your new portfolio. It starts with 1 BTC.',
+        renamePortfolio: 'Rename',
+        renamePortfolioPrompt: 'New name for this portfolio',
+        deletePortfolio: 'Delete',
+        deletePortfolioConfirm: 'Delete this portfolio with all its holdings and trades? This cannot be undone.',
+        portfolioCreated: 'Portfolio created',
+        portfolioDeleted: 'Portfolio deleted',
+        switchError: 'Failed to switch portfolio',
+        comparePortfolios: 'Compare',
+        compareError: 'Failed to compare portfolios',
+        comparisonTitle: 'Portfolio Comparison',
+        comparisonName: 'Portfolio',
+        comparisonVsBitcoin: 'vs 1 BTC',
+        comparisonTrades: 'Trades',
+        comparisonAllocation: 'Top Holdings'
     },
 
     trading: {
@@ -475,9 +494,17 @@ export const translations = {
         invalidAmount: 'Please enter a valid amount',
         amountTooSmall: 'Amount too small',
         amountTooLarge: 'Amount too large',
-        assetLocked: 'This asset is locked for 24 hours after purchase',
+        assetLocked: 'This asset is locked for a period after purchase',
         unlockTime: 'Unlocks at {time}',
-        maxAmount: 'Max'
+        maxAmount: 'Max',
+        reviewTrade: 'Review Trade',
+        gettingQuote: 'Getting quote...',
+        executingTrade: 'Executing Trade...',
+        youPay: 'You pay',
+        youReceive: 'You receive',
+        requote: 'Get new quote',
+        quoteExpiresIn: 'Quote valid for {seconds}s',
+        quoteExpired: 'Quote expired - get a new quote to trade'
     },
 
     admin: {
@@ -499,7 +526,12 @@ export const translations = {
         pendingSuggestions: 'Pending Suggestions',
         markAsRead: 'Mark as Read',
         reply: 'Reply',
-        adminReply: 'Admin Reply'
+        adminReply: 'Admin Reply',
+        impersonation: {
+            viewingAs: 'Viewing as',
+            readOnly: '(read-only)',
+            exit: 'Exit'
+        }
     },
 
     suggestions: {
@@ -576,6 +608,24 @@ export const translations = {
         tenYearsAgo: '10 years ago'
     },
 
+    leaderboard: {
+        title: 'Leaderboard',
+        subtitle: 'Can you beat Bitcoin? Public portfolios ranked by growth in sats against holding 1 BTC.',
+        period7d: '7 Days',
+        period30d: '30 Days',
+        period1y: '1 Year',
+        periodAll: 'All Time',
+        rank: 'Rank',
+        player: 'Player',
+        value: 'Portfolio Value',
+        change: 'Change',
+        vsBitcoin: 'vs 1 BTC',
+        beatsBitcoin: 'Beating Bitcoin',
+        behindBitcoin: 'Behind Bitcoin',
+        empty: 'No public portfolios for this period yet.',
+        loadError: 'Failed to load leaderboard'
+    },
+
     education: {
         title: 'Education',
         subtitle: 'Learn about Bitcoin and sound money principles',
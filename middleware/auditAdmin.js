@@ -0,0 +1,68 @@
+const AdminAuditService = require('../src/server/services/admin-audit-service');
+
+const adminAuditService = new AdminAuditService();
+
+const defaultTargetId = (req) => req.params.id;
+const always = () => true;
+
+/**
+ * Record an admin action in admin_audit_log. Mount after requireAdmin.
+ *
+ * The target is snapshotted before the handler runs and again once a successful
+ * response has gone out. Failed requests are not logged. For actions that create
+ * their target, getTargetId receives the response body on the second call. Requests
+ * that `when` rejects (e.g. dry runs) pass through unlogged.
+ *
+ * @param {string} action - One of ADMIN_AUDIT_ACTIONS
+ * @param {Object} options - { targetType, getTargetId(req, responseBody), when(req) }
+ */
+const auditAdmin = (action, { targetType, getTargetId = defaultTargetId, when = always }) => async (req, res, next) => {
+  if (!when(req)) {
+    return next();
+  }
+
+  const targetId = getTargetId(req);
+
+  let before = null;
+  try {
+    before = await adminAuditService.snapshot(targetType, targetId);
+  } catch (error) {
+    console.error('Admin audit snapshot error:', error);
+  }
+
+  // Keep the response body so created targets can be resolved from it
+  let responseBody;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return sendJson(body);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) {
+      return;
+    }
+
+    try {
+      const resolvedTargetId = targetId ?? getTargetId(req, responseBody) ?? null;
+      const after = await adminAuditService.snapshot(targetType, resolvedTargetId);
+
+      await adminAuditService.recordAction({
+        action,
+        targetType,
+        targetId: resolvedTargetId,
+        before,
+        after,
+        actor: req.user,
+        ipAddress: req.ip || req.connection?.remoteAddress,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (error) {
+      console.error('Admin audit log error:', error);
+    }
+  });
+
+  next();
+};
+
+module.exports = auditAdmin;
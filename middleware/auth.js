@@ -1,4 +1,12 @@
 const jwt = require('jsonwebtoken');
+const ImpersonationService = require('../src/server/services/impersonation-service');
+const SessionService = require('../src/server/services/session-service');
+
+const impersonationService = new ImpersonationService();
+const sessionService = new SessionService();
+
+// Impersonation tokens may only read
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -8,13 +16,42 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    // Expired access tokens get a 401 so the client knows to refresh and retry
+    if (err && err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
+
+    if (user.impersonationId) {
+      if (user.readOnly && !READ_ONLY_METHODS.includes(req.method)) {
+        return res.status(403).json({ error: 'Impersonation sessions are read-only' });
+      }
+
+      try {
+        if (!await impersonationService.isSessionActive(user.impersonationId)) {
+          return res.status(403).json({ error: 'Impersonation session has ended' });
+        }
+      } catch (error) {
+        console.error('Impersonation check error:', error);
+        return res.status(500).json({ error: 'Impersonation check failed' });
+      }
+    } else {
+      try {
+        if (!await sessionService.isSessionActive(user.sessionId)) {
+          return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+        }
+      } catch (error) {
+        console.error('Session check error:', error);
+        return res.status(500).json({ error: 'Session check failed' });
+      }
+    }
+
     req.user = user;
     next();
   });
 };
 
-module.exports = authenticateToken;
\ No newline at end of file
+module.exports = authenticateToken;
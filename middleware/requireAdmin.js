@@ -1,4 +1,7 @@
 const jwt = require('jsonwebtoken');
+const SessionService = require('../src/server/services/session-service');
+
+const sessionService = new SessionService();
 
 const requireAdmin = async (req, res, next) => {
   try {
@@ -14,6 +17,18 @@ const requireAdmin = async (req, res, next) => {
     const user = jwt.verify(token, process.env.JWT_SECRET);
     req.user = user;
 
+    // An admin viewing the app as someone else never gets admin access through that token
+    if (user.impersonationId) {
+      return res.status(403).json({
+        error: 'Admin access required',
+        details: 'Impersonation tokens cannot be used for admin endpoints'
+      });
+    }
+
+    if (!await sessionService.isSessionActive(user.sessionId)) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+    }
+
     // Check admin status using centralized utility
     const { isUserAdmin } = require('../utils/adminCheck');
     const isAdmin = await isUserAdmin(user.email, user.userId);
@@ -30,6 +45,9 @@ const requireAdmin = async (req, res, next) => {
     next();
 
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
     if (error.name === 'JsonWebTokenError') {
       return res.status(403).json({ error: 'Invalid token' });
     }
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "public"."price_history" (
+    "id" SERIAL NOT NULL,
+    "asset_symbol" VARCHAR(10) NOT NULL,
+    "date" DATE NOT NULL,
+    "open_usd" DECIMAL(20,8),
+    "high_usd" DECIMAL(20,8),
+    "low_usd" DECIMAL(20,8),
+    "close_usd" DECIMAL(20,8) NOT NULL,
+    "source" VARCHAR(20),
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "price_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_history_asset_symbol_date_key" ON "public"."price_history"("asset_symbol", "date");
+
+-- CreateIndex
+CREATE INDEX "idx_price_history_date" ON "public"."price_history"("date");
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "public"."pending_orders" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER,
+    "order_type" VARCHAR(10) NOT NULL,
+    "side" VARCHAR(4) NOT NULL,
+    "asset_symbol" VARCHAR(10) NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "trigger_price_sats" BIGINT NOT NULL,
+    "status" VARCHAR(20) DEFAULT 'open',
+    "trade_id" INTEGER,
+    "failure_reason" TEXT,
+    "filled_price_sats" BIGINT,
+    "filled_at" TIMESTAMP(6),
+    "cancelled_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pending_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_pending_orders_status_asset_symbol" ON "public"."pending_orders"("status", "asset_symbol");
+
+-- CreateIndex
+CREATE INDEX "idx_pending_orders_user_id" ON "public"."pending_orders"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."pending_orders" ADD CONSTRAINT "pending_orders_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE NO ACTION ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."pending_orders" ADD CONSTRAINT "pending_orders_trade_id_fkey" FOREIGN KEY ("trade_id") REFERENCES "public"."trades"("id") ON DELETE NO ACTION ON UPDATE NO ACTION;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "public"."set_forget_portfolios" ADD COLUMN "shared_at" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "public"."education_progress" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "content_id" VARCHAR(100) NOT NULL,
+    "completed_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "education_progress_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "education_progress_user_id_content_id_key" ON "public"."education_progress"("user_id", "content_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."education_progress" ADD CONSTRAINT "education_progress_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
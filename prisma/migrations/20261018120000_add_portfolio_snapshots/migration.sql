@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "public"."portfolio_snapshots" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "date" DATE NOT NULL,
+    "value_sats" BIGINT NOT NULL,
+    "captured_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "portfolio_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_portfolio_snapshots_date" ON "public"."portfolio_snapshots"("date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "portfolio_snapshots_user_id_date_key" ON "public"."portfolio_snapshots"("user_id", "date");
+
+-- AddForeignKey
+ALTER TABLE "public"."portfolio_snapshots" ADD CONSTRAINT "portfolio_snapshots_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
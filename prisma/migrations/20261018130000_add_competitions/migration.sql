@@ -0,0 +1,82 @@
+-- CreateTable
+CREATE TABLE "public"."competitions" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "description" TEXT,
+    "theme" VARCHAR(50),
+    "starting_balance_sats" BIGINT NOT NULL DEFAULT 100000000,
+    "join_opens_at" TIMESTAMP(6) NOT NULL,
+    "join_closes_at" TIMESTAMP(6) NOT NULL,
+    "starts_at" TIMESTAMP(6) NOT NULL,
+    "ends_at" TIMESTAMP(6) NOT NULL,
+    "finalized_at" TIMESTAMP(6),
+    "created_by" INTEGER,
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "competitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."competition_participants" (
+    "id" SERIAL NOT NULL,
+    "competition_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "joined_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+    "final_value_sats" BIGINT,
+    "final_rank" INTEGER,
+
+    CONSTRAINT "competition_participants_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."competition_holdings" (
+    "id" SERIAL NOT NULL,
+    "participant_id" INTEGER NOT NULL,
+    "asset_symbol" VARCHAR(10) NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "updated_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "competition_holdings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."competition_trades" (
+    "id" SERIAL NOT NULL,
+    "participant_id" INTEGER NOT NULL,
+    "from_asset" VARCHAR(10) NOT NULL,
+    "to_asset" VARCHAR(10) NOT NULL,
+    "from_amount" BIGINT NOT NULL,
+    "to_amount" BIGINT NOT NULL,
+    "btc_price_usd" DECIMAL(15,2),
+    "asset_price_usd" DECIMAL(15,2),
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "competition_trades_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_competitions_ends_at" ON "public"."competitions"("ends_at");
+
+-- CreateIndex
+CREATE INDEX "idx_competition_participants_user_id" ON "public"."competition_participants"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "competition_participants_competition_id_user_id_key" ON "public"."competition_participants"("competition_id", "user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "competition_holdings_participant_id_asset_symbol_key" ON "public"."competition_holdings"("participant_id", "asset_symbol");
+
+-- CreateIndex
+CREATE INDEX "idx_competition_trades_participant_id" ON "public"."competition_trades"("participant_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."competition_participants" ADD CONSTRAINT "competition_participants_competition_id_fkey" FOREIGN KEY ("competition_id") REFERENCES "public"."competitions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."competition_participants" ADD CONSTRAINT "competition_participants_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."competition_holdings" ADD CONSTRAINT "competition_holdings_participant_id_fkey" FOREIGN KEY ("participant_id") REFERENCES "public"."competition_participants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."competition_trades" ADD CONSTRAINT "competition_trades_participant_id_fkey" FOREIGN KEY ("participant_id") REFERENCES "public"."competition_participants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,65 @@
+-- CreateTable
+CREATE TABLE "public"."portfolios" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "name" VARCHAR(50) NOT NULL,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "portfolios_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."holdings" ADD COLUMN "portfolio_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."trades" ADD COLUMN "portfolio_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."purchases" ADD COLUMN "portfolio_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."pending_orders" ADD COLUMN "portfolio_id" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "portfolios_user_id_name_key" ON "public"."portfolios"("user_id", "name");
+
+-- CreateIndex
+CREATE INDEX "idx_holdings_portfolio_id" ON "public"."holdings"("portfolio_id");
+
+-- CreateIndex
+CREATE INDEX "idx_trades_portfolio_id" ON "public"."trades"("portfolio_id");
+
+-- CreateIndex
+CREATE INDEX "idx_purchases_portfolio_id" ON "public"."purchases"("portfolio_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."portfolios" ADD CONSTRAINT "portfolios_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."holdings" ADD CONSTRAINT "holdings_portfolio_id_fkey" FOREIGN KEY ("portfolio_id") REFERENCES "public"."portfolios"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."trades" ADD CONSTRAINT "trades_portfolio_id_fkey" FOREIGN KEY ("portfolio_id") REFERENCES "public"."portfolios"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."purchases" ADD CONSTRAINT "purchases_portfolio_id_fkey" FOREIGN KEY ("portfolio_id") REFERENCES "public"."portfolios"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."pending_orders" ADD CONSTRAINT "pending_orders_portfolio_id_fkey" FOREIGN KEY ("portfolio_id") REFERENCES "public"."portfolios"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- Every existing account gets a default portfolio that owns its current holdings and history
+INSERT INTO "public"."portfolios" ("user_id", "name", "is_default")
+SELECT "id", 'Main', true FROM "public"."users";
+
+UPDATE "public"."holdings" h SET "portfolio_id" = p."id"
+FROM "public"."portfolios" p WHERE p."user_id" = h."user_id" AND p."is_default";
+
+UPDATE "public"."trades" t SET "portfolio_id" = p."id"
+FROM "public"."portfolios" p WHERE p."user_id" = t."user_id" AND p."is_default";
+
+UPDATE "public"."purchases" pu SET "portfolio_id" = p."id"
+FROM "public"."portfolios" p WHERE p."user_id" = pu."user_id" AND p."is_default";
+
+UPDATE "public"."pending_orders" o SET "portfolio_id" = p."id"
+FROM "public"."portfolios" p WHERE p."user_id" = o."user_id" AND p."is_default";
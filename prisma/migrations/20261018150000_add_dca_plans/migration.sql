@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "public"."dca_plans" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "portfolio_id" INTEGER NOT NULL,
+    "asset_symbol" VARCHAR(10) NOT NULL,
+    "amount_sats" BIGINT NOT NULL,
+    "frequency" VARCHAR(10) NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "next_run_at" TIMESTAMP(6) NOT NULL,
+    "last_run_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dca_plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."dca_runs" (
+    "id" SERIAL NOT NULL,
+    "plan_id" INTEGER NOT NULL,
+    "status" VARCHAR(20) NOT NULL,
+    "amount_sats" BIGINT NOT NULL,
+    "trade_id" INTEGER,
+    "reason" TEXT,
+    "run_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dca_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_dca_plans_active_next_run_at" ON "public"."dca_plans"("is_active", "next_run_at");
+
+-- CreateIndex
+CREATE INDEX "idx_dca_plans_user_id" ON "public"."dca_plans"("user_id");
+
+-- CreateIndex
+CREATE INDEX "idx_dca_runs_plan_id_run_at" ON "public"."dca_runs"("plan_id", "run_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."dca_plans" ADD CONSTRAINT "dca_plans_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."dca_plans" ADD CONSTRAINT "dca_plans_portfolio_id_fkey" FOREIGN KEY ("portfolio_id") REFERENCES "public"."portfolios"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."dca_runs" ADD CONSTRAINT "dca_runs_plan_id_fkey" FOREIGN KEY ("plan_id") REFERENCES "public"."dca_plans"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."dca_runs" ADD CONSTRAINT "dca_runs_trade_id_fkey" FOREIGN KEY ("trade_id") REFERENCES "public"."trades"("id") ON DELETE NO ACTION ON UPDATE NO ACTION;
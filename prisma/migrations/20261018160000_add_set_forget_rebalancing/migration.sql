@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."set_forget_portfolios" ADD COLUMN "rebalance_policy" VARCHAR(20) NOT NULL DEFAULT 'never',
+ADD COLUMN "rebalance_threshold_percent" DECIMAL(5,2),
+ADD COLUMN "last_rebalanced_at" TIMESTAMP(6);
+
+-- AlterTable
+ALTER TABLE "public"."set_forget_allocations" ADD COLUMN "snapshot" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "idx_set_forget_allocations_portfolio_id_snapshot" ON "public"."set_forget_allocations"("portfolio_id", "snapshot");
@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN "last_login_at" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "public"."user_sessions" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "ip_address" VARCHAR(45),
+    "user_agent" VARCHAR(500),
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."user_activities" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "session_id" INTEGER,
+    "type" VARCHAR(30) NOT NULL,
+    "ip_address" VARCHAR(45),
+    "user_agent" VARCHAR(500),
+    "details" JSONB,
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_activities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_user_sessions_user_id_created_at" ON "public"."user_sessions"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "idx_user_activities_user_id_created_at" ON "public"."user_activities"("user_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."user_sessions" ADD CONSTRAINT "user_sessions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."user_activities" ADD CONSTRAINT "user_activities_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."user_activities" ADD CONSTRAINT "user_activities_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "public"."user_sessions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "public"."impersonation_sessions" (
+    "id" SERIAL NOT NULL,
+    "admin_user_id" INTEGER NOT NULL,
+    "target_user_id" INTEGER NOT NULL,
+    "reason" VARCHAR(500) NOT NULL,
+    "ip_address" VARCHAR(45),
+    "user_agent" VARCHAR(500),
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "ended_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "impersonation_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_impersonation_sessions_admin_user_id_created_at" ON "public"."impersonation_sessions"("admin_user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "idx_impersonation_sessions_target_user_id_created_at" ON "public"."impersonation_sessions"("target_user_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_admin_user_id_fkey" FOREIGN KEY ("admin_user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_target_user_id_fkey" FOREIGN KEY ("target_user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "public"."admin_audit_log" (
+    "id" SERIAL NOT NULL,
+    "actor_user_id" INTEGER,
+    "actor_email" VARCHAR(255),
+    "action" VARCHAR(50) NOT NULL,
+    "target_type" VARCHAR(30) NOT NULL,
+    "target_id" VARCHAR(50),
+    "before" JSONB,
+    "after" JSONB,
+    "ip_address" VARCHAR(45),
+    "user_agent" VARCHAR(500),
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_audit_log_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_admin_audit_log_actor_user_id_created_at" ON "public"."admin_audit_log"("actor_user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "idx_admin_audit_log_action_created_at" ON "public"."admin_audit_log"("action", "created_at");
+
+-- CreateIndex
+CREATE INDEX "idx_admin_audit_log_target_type_target_id" ON "public"."admin_audit_log"("target_type", "target_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."admin_audit_log" ADD CONSTRAINT "admin_audit_log_actor_user_id_fkey" FOREIGN KEY ("actor_user_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
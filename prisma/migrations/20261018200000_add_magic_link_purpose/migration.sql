@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."magic_links" ADD COLUMN "purpose" VARCHAR(20) NOT NULL DEFAULT 'login';
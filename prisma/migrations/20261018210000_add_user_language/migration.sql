@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN "language" VARCHAR(5) NOT NULL DEFAULT 'en';
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "public"."user_sessions" ADD COLUMN "revoked_at" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "public"."refresh_tokens" (
+    "id" SERIAL NOT NULL,
+    "session_id" INTEGER NOT NULL,
+    "token_hash" VARCHAR(64) NOT NULL,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "used_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refresh_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refresh_tokens_token_hash_key" ON "public"."refresh_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "idx_refresh_tokens_session_id" ON "public"."refresh_tokens"("session_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."refresh_tokens" ADD CONSTRAINT "refresh_tokens_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "public"."user_sessions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "public"."credentials" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "credential_id" VARCHAR(512) NOT NULL,
+    "public_key" BYTEA NOT NULL,
+    "counter" BIGINT NOT NULL DEFAULT 0,
+    "transports" JSONB,
+    "name" VARCHAR(100) NOT NULL,
+    "device_type" VARCHAR(20),
+    "backed_up" BOOLEAN NOT NULL DEFAULT false,
+    "last_used_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "credentials_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "credentials_credential_id_key" ON "public"."credentials"("credential_id");
+
+-- CreateIndex
+CREATE INDEX "idx_credentials_user_id" ON "public"."credentials"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."credentials" ADD CONSTRAINT "credentials_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."assets" ADD COLUMN "source" VARCHAR(20);
+
+-- AlterTable
+ALTER TABLE "public"."trades" ALTER COLUMN "btc_price_usd" SET DATA TYPE DECIMAL(20,8),
+ALTER COLUMN "asset_price_usd" SET DATA TYPE DECIMAL(20,8),
+ADD COLUMN "asset_price_at" TIMESTAMP(6),
+ADD COLUMN "asset_price_source" VARCHAR(20),
+ADD COLUMN "btc_price_at" TIMESTAMP(6),
+ADD COLUMN "btc_price_source" VARCHAR(20);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."trades" ADD COLUMN "quote_id" VARCHAR(36);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "trades_quote_id_key" ON "public"."trades"("quote_id");
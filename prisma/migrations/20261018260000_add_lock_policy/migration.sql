@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."competition_trades" ADD COLUMN "early_exit_penalty_sats" BIGINT NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."competitions" ADD COLUMN "early_exit_penalty_percent" DECIMAL(5,2),
+ADD COLUMN "lock_hours" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."trades" ADD COLUMN "early_exit_penalty_sats" BIGINT NOT NULL DEFAULT 0;
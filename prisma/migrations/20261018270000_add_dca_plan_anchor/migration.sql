@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."dca_plans" ADD COLUMN "anchor_at" TIMESTAMP(6);
+
+-- Existing plans are counted from their next installment
+UPDATE "public"."dca_plans" SET "anchor_at" = "next_run_at";
+
+ALTER TABLE "public"."dca_plans" ALTER COLUMN "anchor_at" SET NOT NULL;
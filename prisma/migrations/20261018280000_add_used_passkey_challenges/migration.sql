@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "public"."used_passkey_challenges" (
+    "jti" VARCHAR(36) NOT NULL,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "used_passkey_challenges_pkey" PRIMARY KEY ("jti")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_used_passkey_challenges_expires_at" ON "public"."used_passkey_challenges"("expires_at");
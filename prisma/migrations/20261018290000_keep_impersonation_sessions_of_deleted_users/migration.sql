@@ -0,0 +1,16 @@
+-- Impersonation sessions are part of the admin record: deleting either user keeps the row
+-- DropForeignKey
+ALTER TABLE "public"."impersonation_sessions" DROP CONSTRAINT "impersonation_sessions_admin_user_id_fkey";
+
+-- DropForeignKey
+ALTER TABLE "public"."impersonation_sessions" DROP CONSTRAINT "impersonation_sessions_target_user_id_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."impersonation_sessions" ALTER COLUMN "admin_user_id" DROP NOT NULL,
+ALTER COLUMN "target_user_id" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "public"."impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_admin_user_id_fkey" FOREIGN KEY ("admin_user_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "public"."impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_target_user_id_fkey" FOREIGN KEY ("target_user_id") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
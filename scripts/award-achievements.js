@@ -0,0 +1,50 @@
+require('dotenv').config();
+
+const AchievementService = require('../src/server/services/achievement-service');
+
+/**
+ * Evaluate every achievement for every user and award the ones already earned
+ * Safe to re-run - awards are idempotent
+ *
+ * Usage:
+ *   node scripts/award-achievements.js
+ */
+async function awardAchievements() {
+  const achievementService = new AchievementService();
+
+  try {
+    console.log('🏆 Evaluating achievements for all users...\n');
+
+    const users = await achievementService.prisma.user.findMany({
+      select: { id: true, username: true },
+      orderBy: { id: 'asc' }
+    });
+
+    let totalAwarded = 0;
+    for (const user of users) {
+      const awarded = await achievementService.evaluateUser(user.id);
+      if (awarded.length > 0) {
+        console.log(`   ✅ ${user.username}: ${awarded.map(achievement => achievement.code).join(', ')}`);
+        totalAwarded += awarded.length;
+      }
+    }
+
+    console.log(`\n📊 Awarded ${totalAwarded} achievements across ${users.length} users`);
+    return totalAwarded;
+  } finally {
+    await achievementService.prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  awardAchievements()
+    .then(() => {
+      console.log('\n🎉 Achievement evaluation completed!');
+    })
+    .catch(error => {
+      console.error('❌ Achievement evaluation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { awardAchievements };
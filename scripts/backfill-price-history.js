@@ -0,0 +1,83 @@
+require('dotenv').config();
+
+const PriceService = require('../src/server/services/price-service');
+const PriceHistoryService = require('../src/server/services/price-history-service');
+
+/**
+ * Backfill the price_history table with daily bars from the configured price provider
+ *
+ * Usage:
+ *   node scripts/backfill-price-history.js               # all assets, 5y
+ *   node scripts/backfill-price-history.js --range=max   # all assets, full history
+ *   node scripts/backfill-price-history.js BTC XAU AAPL  # selected assets only
+ */
+async function backfillPriceHistory({ symbols = [], range = '5y' } = {}) {
+  const priceService = new PriceService();
+  const priceHistoryService = new PriceHistoryService();
+
+  try {
+    console.log(`🔄 Backfilling daily price history (range: ${range})...\n`);
+
+    let targets = symbols;
+    if (targets.length === 0) {
+      const assets = await priceService.prisma.asset.findMany({
+        select: { symbol: true },
+        orderBy: { symbol: 'asc' }
+      });
+      targets = assets.map(asset => asset.symbol);
+    }
+
+    // BTC is needed to price every other asset in sats
+    if (!targets.includes('BTC')) {
+      targets.unshift('BTC');
+    }
+
+    console.log(`📋 ${targets.length} assets to backfill`);
+
+    const summary = { succeeded: [], failed: [] };
+
+    for (const symbol of targets) {
+      await priceService.enforceRateLimit();
+      const history = await priceService.getHistoricalCloses(symbol, range);
+
+      if (!history) {
+        console.log(`   ⚠️  ${symbol}: no history returned`);
+        summary.failed.push(symbol);
+        continue;
+      }
+
+      const written = await priceHistoryService.saveDailyBars(symbol, history.bars, history.source);
+      console.log(`   ✅ ${symbol}: ${written} daily bars from ${history.source} (${history.bars[0].date.toISOString().slice(0, 10)} → ${history.bars[history.bars.length - 1].date.toISOString().slice(0, 10)})`);
+      summary.succeeded.push(symbol);
+    }
+
+    console.log('\n📊 Backfill Summary:');
+    console.log(`   ✅ Succeeded: ${summary.succeeded.length}`);
+    console.log(`   ❌ Failed: ${summary.failed.length}${summary.failed.length > 0 ? ` (${summary.failed.join(', ')})` : ''}`);
+
+    return summary;
+  } finally {
+    await priceService.disconnect();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const rangeArg = args.find(arg => arg.startsWith('--range='));
+  const range = rangeArg ? rangeArg.split('=')[1] : '5y';
+  const symbols = args.filter(arg => !arg.startsWith('--')).map(arg => arg.toUpperCase());
+
+  try {
+    await backfillPriceHistory({ symbols, range });
+    console.log('\n🎉 Price history backfill completed!');
+  } catch (error) {
+    console.error('❌ Price history backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { backfillPriceHistory };
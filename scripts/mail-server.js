@@ -0,0 +1,127 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { LocalMailTransport } = require('../src/server/services/mail-transports');
+
+/**
+ * Stand-in SMTP server for development - accepts every message and saves it as .eml
+ * Pair it with MAIL_TRANSPORT=local to exercise the real SMTP path without a mail provider
+ *
+ * Usage:
+ *   node scripts/mail-server.js                  # listens on 127.0.0.1:1025 (MAIL_LOCAL_PORT)
+ *   node scripts/mail-server.js --port=2525 --dir=tmp/smtp-inbox
+ */
+function startMailServer({ port = LocalMailTransport.DEFAULT_LOCAL_PORT, directory = 'tmp/mail-outbox' } = {}) {
+  const inbox = path.resolve(directory);
+  fs.mkdirSync(inbox, { recursive: true });
+
+  const server = net.createServer(socket => {
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let readingData = false;
+
+    const saveMessage = (raw) => {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const recipient = (envelope.to[0] || 'unknown').replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const filePath = path.join(inbox, `${timestamp}-smtp-${recipient}.eml`);
+
+      // Undo SMTP dot-stuffing
+      fs.writeFileSync(filePath, raw.replace(/^\.\./gm, '.'));
+      console.log(`📬 ${envelope.from} -> ${envelope.to.join(', ')} saved to ${filePath}`);
+    };
+
+    const handleCommand = (line) => {
+      const command = line.slice(0, 4).toUpperCase();
+
+      switch (command) {
+        case 'EHLO':
+          reply('250-localhost');
+          reply('250 8BITMIME');
+          break;
+        case 'HELO':
+          reply('250 localhost');
+          break;
+        case 'MAIL':
+          envelope = { from: line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, ''), to: [] };
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          envelope.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, ''));
+          reply('250 OK');
+          break;
+        case 'DATA':
+          readingData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+          break;
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      for (;;) {
+        if (readingData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) {
+            return;
+          }
+          saveMessage(buffer.slice(0, end + 2));
+          buffer = buffer.slice(end + 5);
+          readingData = false;
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) {
+          return;
+        }
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        handleCommand(line);
+      }
+    });
+
+    socket.on('error', error => console.error('SMTP connection error:', error.message));
+    reply('220 localhost measured-in-bitcoin stand-in SMTP');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      console.log(`📮 Stand-in SMTP server listening on 127.0.0.1:${port}, saving mail to ${inbox}`);
+      resolve(server);
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+  startMailServer({
+    port: parseInt(option('port') || process.env.MAIL_LOCAL_PORT || LocalMailTransport.DEFAULT_LOCAL_PORT, 10),
+    directory: option('dir') || process.env.MAIL_OUTBOX_DIR || 'tmp/mail-outbox'
+  }).catch(error => {
+    console.error('❌ Mail server failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMailServer };
@@ -0,0 +1,91 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createPriceProvider, FixturePriceProvider } = require('../src/server/services/price-providers');
+const { ASSET_METADATA } = require('../src/config/assets');
+
+/**
+ * Record live prices and daily history into a fixture file for PRICE_PROVIDER=fixture
+ *
+ * Usage:
+ *   node scripts/record-price-fixtures.js                 # all assets, 5y history
+ *   node scripts/record-price-fixtures.js --range=1y      # shorter history
+ *   node scripts/record-price-fixtures.js BTC XAU AAPL    # selected assets only
+ *   node scripts/record-price-fixtures.js --out=tmp/prices.json
+ */
+async function recordPriceFixtures({ symbols = [], range = '5y', outFile } = {}) {
+  // Always record from live providers, whatever PRICE_PROVIDER says
+  const provider = createPriceProvider(process.env.PRICE_RECORD_PROVIDER || 'coingecko,yahoo');
+  const filePath = path.resolve(outFile || new FixturePriceProvider().filePath);
+  const targets = symbols.length > 0 ? symbols : Object.keys(ASSET_METADATA);
+
+  console.log(`🎙️  Recording ${targets.length} assets from ${provider.name} (range: ${range})...\n`);
+
+  const fixture = {
+    recordedAt: new Date().toISOString(),
+    range,
+    prices: {},
+    history: {}
+  };
+  const failed = [];
+
+  for (const symbol of targets) {
+    try {
+      const quote = await provider.getQuote(symbol);
+      fixture.prices[symbol] = quote.priceUsd;
+
+      const history = await provider.getDailyBars(symbol, range);
+      if (history) {
+        fixture.history[symbol] = history.bars.map(bar => ({
+          date: bar.date.toISOString().slice(0, 10),
+          open: bar.open,
+          high: bar.high,
+          low: bar.low,
+          close: bar.close
+        }));
+      }
+
+      console.log(`   ✅ ${symbol}: $${quote.priceUsd} (${fixture.history[symbol]?.length || 0} daily bars)`);
+    } catch (error) {
+      console.log(`   ⚠️  ${symbol}: ${error.message}`);
+      failed.push(symbol);
+    }
+
+    // Stay well inside the free API rate limits
+    await new Promise(resolve => setTimeout(resolve, 1200));
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(fixture, null, 2)}\n`);
+
+  console.log(`\n💾 Wrote ${Object.keys(fixture.prices).length} prices to ${filePath}`);
+  if (failed.length > 0) {
+    console.log(`   ❌ Failed: ${failed.join(', ')}`);
+  }
+
+  return { filePath, recorded: Object.keys(fixture.prices), failed };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const arg = args.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : undefined;
+  };
+  const symbols = args.filter(arg => !arg.startsWith('--')).map(arg => arg.toUpperCase());
+
+  try {
+    await recordPriceFixtures({ symbols, range: option('range') || '5y', outFile: option('out') });
+    console.log('\n🎉 Price fixtures recorded! Run with PRICE_PROVIDER=fixture to use them.');
+  } catch (error) {
+    console.error('❌ Recording price fixtures failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { recordPriceFixtures };
@@ -0,0 +1,66 @@
+require('dotenv').config();
+
+const BackupService = require('../src/server/services/backup-service');
+
+/**
+ * Restore a backup archive from scripts/backup-database.js into an empty database,
+ * reset ID sequences and verify every table's row count and checksum
+ *
+ * Usage:
+ *   npx prisma migrate deploy                                # create the schema in a fresh database
+ *   node scripts/restore-database.js backups/database-backup-<timestamp>.json
+ *   node scripts/restore-database.js backups/<file>.ndjson --verify-only   # compare only, no writes
+ */
+async function restoreDatabase(filePath, { verifyOnly = false } = {}) {
+  const backupService = new BackupService();
+
+  try {
+    let verification;
+
+    if (verifyOnly) {
+      console.log(`🔍 Verifying database against ${filePath}...\n`);
+      verification = await backupService.verifyFile(filePath);
+    } else {
+      console.log(`🔄 Restoring ${filePath}...\n`);
+      const result = await backupService.restoreFromFile(filePath);
+      console.log(`✅ Restored ${result.models.reduce((sum, model) => sum + model.count, 0)} rows across ${result.models.length} tables`);
+      verification = result.verification;
+    }
+
+    console.log('\n📊 Verification:');
+    verification.models.forEach(model => {
+      const status = model.ok ? '✅' : '❌';
+      const checksum = model.checksumMatches ? 'checksum ok' : 'checksum MISMATCH';
+      console.log(`   ${status} ${model.name}: ${model.actualCount}/${model.expectedCount} rows, ${checksum}`);
+    });
+
+    if (!verification.ok) {
+      throw new Error('Database does not match the archive');
+    }
+
+    return verification;
+  } finally {
+    await backupService.prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const filePath = args.find(arg => !arg.startsWith('--'));
+
+  if (!filePath) {
+    console.error('Usage: node scripts/restore-database.js <archive.json|archive.ndjson> [--verify-only]');
+    process.exit(1);
+  }
+
+  restoreDatabase(filePath, { verifyOnly: args.includes('--verify-only') })
+    .then(() => {
+      console.log('\n🎉 Database matches the archive');
+    })
+    .catch(error => {
+      console.error('❌ Restore failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { restoreDatabase };
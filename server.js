@@ -9,10 +9,20 @@ const { errorHandler, notFoundHandler } = require('./src/server/utils/error-hand
 const { setupMiddleware } = require('./src/server/middleware/setup');
 const { setupRoutes } = require('./src/server/routes');
 const dbManager = require('./src/config/database');
+const OrderMatcher = require('./src/server/services/order-matcher');
+const { createBackgroundJobs } = require('./src/server/services/background-jobs');
+const { getStreamHub } = require('./src/server/services/stream-hub');
+const { getPriceRefresher } = require('./src/server/services/price-refresher');
+const { getLockPolicy } = require('./src/server/services/lock-policy');
+const { getPriceProvider } = require('./src/server/services/price-providers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const orderMatcher = new OrderMatcher();
+const backgroundJobs = createBackgroundJobs();
+const streamHub = getStreamHub();
+const priceRefresher = getPriceRefresher();
 
 async function createServer() {
   console.log(`🚀 Starting server in ${NODE_ENV} mode...`);
@@ -87,9 +97,27 @@ async function startServer() {
     await dbManager.connect();
     console.log('✅ Database connected successfully');
 
+    // Read the lock-up rules now so a misconfigured policy fails the start, not the first trade
+    getLockPolicy();
+
+    // Same for the price provider - PRICE_PROVIDER=fixture needs its recording on disk
+    getPriceProvider().checkConfiguration();
+
     // Create and configure the Express app
     await createServer();
 
+    // Fill limit/stop orders whenever prices refresh
+    orderMatcher.start();
+
+    // Leaderboard snapshots, competition finalization, DCA plans and Set & Forget rebalancing
+    backgroundJobs.forEach(job => job.start());
+
+    // Push price and portfolio updates to connected browsers
+    streamHub.start();
+
+    // Refresh every asset price on a market-hours schedule (after the listeners above are in place)
+    priceRefresher.start();
+
     // Start the server
     const server = app.listen(PORT, () => {
       console.log(`✅ Server running on http://localhost:${PORT}`);
@@ -101,6 +129,11 @@ async function startServer() {
     const gracefulShutdown = async (signal) => {
       console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
 
+      orderMatcher.stop();
+      backgroundJobs.forEach(job => job.stop());
+      streamHub.stop();
+      priceRefresher.stop();
+
       server.close(async (err) => {
         if (err) {
           console.error('❌ Error during server shutdown:', err);
@@ -3,6 +3,8 @@ import { AuthService } from './services/auth-service.js';
 import { PortfolioService } from './services/portfolio-service.js';
 import { PriceService } from './services/price-service.js';
 import { NotificationService } from './services/notification-service.js';
+import { AdminService } from './services/admin-service.js';
+import { StreamService } from './services/stream-service.js';
 
 import { Router } from './routing/router.js';
 
@@ -10,6 +12,7 @@ import { HomePage } from './pages/home-page.js';
 import { AssetsPage } from './pages/assets-page.js';
 import { PortfolioPage } from './pages/portfolio-page.js';
 import { EducationPage } from './pages/education-page.js';
+import { LeaderboardPage } from './pages/leaderboard-page.js';
 import { AdminPage } from './pages/admin-page.js';
 import { AssetDetailPage } from './pages/asset-detail-page.js';
 import { ComponentsShowcasePage } from './pages/components-showcase-page.js';
@@ -56,8 +59,9 @@ return;
 
 
             await this.initializeServices();
-            // Process magic-link token from URL early and initialize auth state
+            // Process magic-link token from URL early, otherwise restore the session from the refresh cookie
             await this.services.authService.initializeFromUrlToken();
+            await this.services.authService.restoreSession();
             this.services.authService.initializeAuthState();
             await this.initializeComponents();
             await this.initializePages();
@@ -87,12 +91,19 @@ return;
         const authService = new AuthService(apiClient, notificationService);
         const portfolioService = new PortfolioService(apiClient, notificationService);
         const priceService = new PriceService(apiClient, notificationService);
+        const adminService = new AdminService(apiClient, notificationService);
+        const streamService = new StreamService(apiClient);
+
+        priceService.attachStream(streamService);
+        portfolioService.attachStream(streamService);
 
         this.services = {
             apiClient,
             authService,
             portfolioService,
             priceService,
+            adminService,
+            streamService,
             notificationService
         };
 
@@ -132,6 +143,7 @@ return;
             ['assets', AssetsPage],
             ['portfolio', PortfolioPage],
             ['education', EducationPage],
+            ['leaderboard', LeaderboardPage],
             ['admin', AdminPage],
             ['assetDetail', AssetDetailPage],
             ['components', ComponentsShowcasePage]
@@ -237,6 +249,10 @@ continue;
         this.backgroundServices.add('priceService');
         await this.services.priceService.startPriceUpdates();
 
+        // Live prices and portfolio changes; the polling timers stand in while it is down
+        this.backgroundServices.add('streamService');
+        this.services.streamService.connect();
+
         if (await this.services.authService.isAuthenticated()) {
             this.backgroundServices.add('portfolioService');
             this.services.portfolioService.startPeriodicUpdates();
@@ -262,6 +278,9 @@ continue;
     setupPeriodicTasks() {
         // Set up price updates
         this.priceUpdateInterval = setInterval(async () => {
+            if (this.services.streamService.isConnected()) {
+                return;
+            }
             try {
                 await this.services.priceService.updatePrices();
             } catch (error) {
@@ -321,6 +340,27 @@ continue;
             });
         }
 
+        // Passkeys sign in without the email round-trip; magic links stay as the recovery path
+        const authService = this.services.authService;
+        const passkeyLoginBtn = document.getElementById('passkeyLoginBtn');
+        const addPasskeyBtn = document.getElementById('navAddPasskeyBtn');
+        if (authService.isPasskeySupported()) {
+            passkeyLoginBtn?.classList.remove('hidden');
+            addPasskeyBtn?.classList.remove('hidden');
+        }
+
+        passkeyLoginBtn?.addEventListener('click', async () => {
+            await authService.loginWithPasskey();
+        });
+
+        addPasskeyBtn?.addEventListener('click', async () => {
+            const name = await this.services.notificationService.showPrompt('Name this passkey, e.g. "Laptop" or "Phone"', '', 'Add passkey');
+            if (name === null) {
+                return;
+            }
+            await authService.registerPasskey(name);
+        });
+
         console.log('✅ Authentication form setup complete');
     }
 
@@ -385,6 +425,9 @@ return;
         // TODO: Fix method name - should be updateAuthenticationState
         // this.components.mainNav?.updateAuthState(isAuthenticated);
 
+        // Reopen the stream so it follows the signed-in user's portfolio (or stops doing so)
+        this.services.streamService.reconnect();
+
         if (isAuthenticated) {
             this.services.portfolioService.loadUserPortfolio();
             this.services.portfolioService.startPeriodicUpdates();
@@ -509,6 +552,10 @@ return;
             this.services.portfolioService.stopPeriodicUpdates();
         }
 
+        if (this.services.streamService) {
+            this.services.streamService.disconnect();
+        }
+
         Object.values(this.pages).forEach(page => {
             if (page.destroy) {
                 page.destroy();
@@ -598,7 +645,7 @@ window.addEventListener('DOMContentLoaded', async () => {
                 e.preventDefault();
 
                 // Hide all pages
-                const pageIds = ['homePage', 'assetsPage', 'mainApp', 'adminPage', 'educationPage', 'componentsPage'];
+                const pageIds = ['homePage', 'assetsPage', 'mainApp', 'adminPage', 'educationPage', 'leaderboardPage', 'componentsPage'];
                 pageIds.forEach(pageId => {
                     const pageEl = document.getElementById(pageId);
                     if (pageEl) {
@@ -0,0 +1,386 @@
+class AuditLog {
+    constructor(services = {}) {
+        this.services = services;
+        this.isInitialized = false;
+        this.entries = [];
+        this.expandedEntries = new Set();
+
+        // Populated from the first response so the selects match the server
+        this.actions = [];
+        this.targetTypes = [];
+
+        this.defaultFilters = {
+            action: '',
+            targetType: '',
+            actorUserId: '',
+            targetId: '',
+            from: '',
+            to: ''
+        };
+
+        this.filters = { ...this.defaultFilters };
+        this.pagination = { page: 1, limit: 20, total: 0, totalPages: 1 };
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+    }
+
+    async init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        try {
+            this.createAuditLogInterface();
+            this.attachEventListeners();
+            await this.loadEntries();
+            this.isInitialized = true;
+        } catch (error) {
+            console.error('Failed to initialize audit log:', error);
+            this.services.notificationService?.show('Failed to initialize audit log', 'error');
+        }
+    }
+
+    createAuditLogInterface() {
+        const container = document.getElementById('audit-log-container');
+        if (!container) {
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="audit-log-wrapper">
+                <div class="audit-log-header">
+                    <div class="header-top">
+                        <h2 class="section-title">Audit Log</h2>
+                        <div class="header-actions">
+                            <button type="button" class="btn btn-sm refresh-btn" data-action="refresh">
+                                <i class="icon-refresh"></i>
+                                Refresh
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="audit-log-filters">
+                        <div class="filter-group">
+                            <label for="audit-action-filter">Action:</label>
+                            <select id="audit-action-filter" class="filter-select" data-filter="action">
+                                <option value="">All Actions</option>
+                            </select>
+                        </div>
+
+                        <div class="filter-group">
+                            <label for="audit-target-type-filter">Target:</label>
+                            <select id="audit-target-type-filter" class="filter-select" data-filter="targetType">
+                                <option value="">All Targets</option>
+                            </select>
+                        </div>
+
+                        <div class="filter-group">
+                            <label for="audit-target-id-filter">Target ID:</label>
+                            <input type="text" id="audit-target-id-filter" class="filter-input" data-filter="targetId">
+                        </div>
+
+                        <div class="filter-group">
+                            <label for="audit-actor-filter">Admin User ID:</label>
+                            <input type="number" min="1" id="audit-actor-filter" class="filter-input" data-filter="actorUserId">
+                        </div>
+
+                        <div class="filter-group">
+                            <label for="audit-from-filter">From:</label>
+                            <input type="date" id="audit-from-filter" class="filter-input" data-filter="from">
+                        </div>
+
+                        <div class="filter-group">
+                            <label for="audit-to-filter">To:</label>
+                            <input type="date" id="audit-to-filter" class="filter-input" data-filter="to">
+                        </div>
+
+                        <button type="button" class="btn btn-sm btn-outline" data-action="reset-filters">Reset</button>
+                    </div>
+                </div>
+
+                <div class="audit-log-content">
+                    <table class="audit-log-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Admin</th>
+                                <th>Action</th>
+                                <th>Target</th>
+                                <th>Changes</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody class="audit-log-entries">
+                            <tr><td colspan="6" class="empty-state">Loading audit log...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="audit-log-pagination">
+                    <button type="button" class="btn btn-sm" data-action="prev-page" disabled>Previous</button>
+                    <span class="page-info">Page 1 of 1</span>
+                    <button type="button" class="btn btn-sm" data-action="next-page" disabled>Next</button>
+                </div>
+            </div>
+        `;
+    }
+
+    attachEventListeners() {
+        const container = document.getElementById('audit-log-container');
+        if (!container) {
+            return;
+        }
+
+        container.addEventListener('click', this.handleClick);
+        container.addEventListener('change', this.handleChange);
+    }
+
+    handleClick(event) {
+        const target = event.target.closest('[data-action]');
+        if (!target) {
+            return;
+        }
+
+        event.preventDefault();
+
+        switch (target.dataset.action) {
+            case 'refresh':
+                this.loadEntries();
+                break;
+            case 'reset-filters':
+                this.resetFilters();
+                break;
+            case 'prev-page':
+                this.goToPage(this.pagination.page - 1);
+                break;
+            case 'next-page':
+                this.goToPage(this.pagination.page + 1);
+                break;
+            case 'toggle-entry':
+                this.toggleEntry(parseInt(target.dataset.entryId));
+                break;
+        }
+    }
+
+    handleChange(event) {
+        const filter = event.target.dataset.filter;
+        if (!filter) {
+            return;
+        }
+
+        this.filters[filter] = event.target.value.trim();
+        this.pagination.page = 1;
+        this.loadEntries();
+    }
+
+    async loadEntries() {
+        try {
+            const { entries, actions, targetTypes, pagination } = await this.services.adminService.getAuditLog({
+                ...this.buildQueryFilters(),
+                page: this.pagination.page,
+                limit: this.pagination.limit
+            });
+
+            this.entries = entries;
+            this.pagination = pagination;
+
+            if (this.actions.length === 0) {
+                this.actions = actions;
+                this.targetTypes = targetTypes;
+                this.populateFilterOptions();
+            }
+
+            this.renderEntries();
+            this.renderPagination();
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            this.services.notificationService?.show('Failed to load audit log', 'error');
+        }
+    }
+
+    buildQueryFilters() {
+        const query = { ...this.filters };
+
+        // Date inputs give a day - make "to" include the whole of it
+        if (query.from) {
+            query.from = new Date(`${query.from}T00:00:00`).toISOString();
+        }
+        if (query.to) {
+            query.to = new Date(`${query.to}T23:59:59.999`).toISOString();
+        }
+
+        return query;
+    }
+
+    populateFilterOptions() {
+        const actionSelect = document.getElementById('audit-action-filter');
+        const targetTypeSelect = document.getElementById('audit-target-type-filter');
+
+        if (actionSelect) {
+            actionSelect.insertAdjacentHTML('beforeend', this.actions.map(action => `
+                <option value="${action}">${this.services.adminService.formatActivityType(action)}</option>
+            `).join(''));
+        }
+
+        if (targetTypeSelect) {
+            targetTypeSelect.insertAdjacentHTML('beforeend', this.targetTypes.map(targetType => `
+                <option value="${targetType}">${this.services.adminService.formatActivityType(targetType)}</option>
+            `).join(''));
+        }
+    }
+
+    renderEntries() {
+        const tbody = document.querySelector('#audit-log-container .audit-log-entries');
+        if (!tbody) {
+            return;
+        }
+
+        if (this.entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No audit log entries match these filters</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.entries.map(entry => this.renderEntry(entry)).join('');
+    }
+
+    renderEntry(entry) {
+        const isExpanded = this.expandedEntries.has(entry.id);
+        const target = entry.targetId ? `${entry.targetType} #${entry.targetId}` : entry.targetType;
+
+        return `
+            <tr class="audit-log-entry" data-entry-id="${entry.id}">
+                <td title="${this.escapeHtml(entry.ipAddress || '')}">${this.formatDateTime(entry.timestamp)}</td>
+                <td>${this.escapeHtml(entry.actor)}</td>
+                <td><span class="audit-action audit-action-${entry.action}">${entry.actionLabel}</span></td>
+                <td>${this.escapeHtml(target)}</td>
+                <td>${this.renderChangeSummary(entry)}</td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline" data-action="toggle-entry" data-entry-id="${entry.id}">
+                        ${isExpanded ? 'Hide' : 'Details'}
+                    </button>
+                </td>
+            </tr>
+            ${isExpanded ? `
+                <tr class="audit-log-entry-detail">
+                    <td colspan="6">
+                        <div class="audit-snapshots">
+                            <div class="audit-snapshot">
+                                <h4>Before</h4>
+                                <pre>${this.escapeHtml(JSON.stringify(entry.before, null, 2))}</pre>
+                            </div>
+                            <div class="audit-snapshot">
+                                <h4>After</h4>
+                                <pre>${this.escapeHtml(JSON.stringify(entry.after, null, 2))}</pre>
+                            </div>
+                        </div>
+                    </td>
+                </tr>
+            ` : ''}
+        `;
+    }
+
+    renderChangeSummary(entry) {
+        if (entry.changes.length === 0) {
+            return '<span class="no-changes">No changes</span>';
+        }
+
+        // Price updates touch every asset - list the count rather than each one
+        if (entry.changes.length > 3) {
+            return `${entry.changes.length} fields changed`;
+        }
+
+        return entry.changes.map(change => `
+            <div class="audit-change">
+                <strong>${this.escapeHtml(change.field)}</strong>:
+                ${this.escapeHtml(this.formatValue(change.before))} → ${this.escapeHtml(this.formatValue(change.after))}
+            </div>
+        `).join('');
+    }
+
+    renderPagination() {
+        const container = document.getElementById('audit-log-container');
+        if (!container) {
+            return;
+        }
+
+        const { page, totalPages, total } = this.pagination;
+        container.querySelector('.page-info').textContent = `Page ${page} of ${Math.max(totalPages, 1)} (${total} entries)`;
+        container.querySelector('[data-action="prev-page"]').disabled = page <= 1;
+        container.querySelector('[data-action="next-page"]').disabled = page >= totalPages;
+    }
+
+    goToPage(page) {
+        if (page < 1 || page > this.pagination.totalPages) {
+            return;
+        }
+
+        this.pagination.page = page;
+        this.loadEntries();
+    }
+
+    toggleEntry(entryId) {
+        if (this.expandedEntries.has(entryId)) {
+            this.expandedEntries.delete(entryId);
+        } else {
+            this.expandedEntries.add(entryId);
+        }
+        this.renderEntries();
+    }
+
+    resetFilters() {
+        this.filters = { ...this.defaultFilters };
+        this.pagination.page = 1;
+
+        document.querySelectorAll('#audit-log-container [data-filter]').forEach(input => {
+            input.value = '';
+        });
+
+        this.loadEntries();
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined) {
+            return '—';
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+
+        const text = String(value);
+        return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    }
+
+    formatDateTime(dateString) {
+        return new Date(dateString).toLocaleString();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    cleanup() {
+        this.entries = [];
+        this.expandedEntries.clear();
+        this.isInitialized = false;
+    }
+
+    destroy() {
+        this.cleanup();
+
+        const container = document.getElementById('audit-log-container');
+        if (container) {
+            container.removeEventListener('click', this.handleClick);
+            container.removeEventListener('change', this.handleChange);
+            container.innerHTML = '';
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLog;
+} else if (typeof window !== 'undefined') {
+    window.AuditLog = AuditLog;
+}
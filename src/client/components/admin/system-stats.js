@@ -23,11 +23,11 @@ class SystemStats {
             },
             engagement: {
                 label: 'User Engagement',
-                metrics: ['pageViews', 'sessionDuration', 'bounceRate', 'educationProgress', 'featureUsage', 'feedbackScore']
+                metrics: ['pageViews', 'sessionDuration', 'bounceRate', 'educationProgress', 'featureUsage', 'feedbackScore', 'openSuggestions']
             },
             security: {
                 label: 'Security & Health',
-                metrics: ['failedLogins', 'suspiciousActivity', 'dataIntegrity', 'backupStatus', 'sslStatus', 'databaseHealth']
+                metrics: ['failedLogins', 'suspiciousActivity', 'dataIntegrity', 'backupStatus', 'sslStatus', 'databaseHealth', 'priceFreshness', 'priceProviders']
             }
         };
 
@@ -436,7 +436,7 @@ class SystemStats {
         try {
             this.showLoadingState();
 
-            const stats = await this.services.adminService?.getSystemStats(this.timeRange) || this.getMockStats();
+            const stats = await this.services.adminService.getSystemStats(this.timeRange);
 
             Object.keys(this.statCategories).forEach(category => {
                 this.statsData.set(category, stats[category] || {});
@@ -453,54 +453,6 @@ class SystemStats {
         }
     }
 
-    getMockStats() {
-        const now = Date.now();
-        const baseStats = {
-            overview: {
-                totalUsers: { value: 1542, change: 12, trend: 'up', status: 'healthy' },
-                activeUsers: { value: 387, change: -5, trend: 'down', status: 'warning' },
-                totalPortfolios: { value: 1289, change: 8, trend: 'up', status: 'healthy' },
-                totalTrades: { value: 45672, change: 234, trend: 'up', status: 'healthy' },
-                systemUptime: { value: '99.8%', change: 0.1, trend: 'stable', status: 'healthy' },
-                serverLoad: { value: '67%', change: 5, trend: 'up', status: 'warning' }
-            },
-            performance: {
-                responseTime: { value: '120ms', change: -15, trend: 'down', status: 'healthy' },
-                throughput: { value: '2.4K req/min', change: 120, trend: 'up', status: 'healthy' },
-                errorRate: { value: '0.12%', change: 0.02, trend: 'up', status: 'warning' },
-                memoryUsage: { value: '72%', change: 3, trend: 'up', status: 'warning' },
-                cpuUsage: { value: '45%', change: -2, trend: 'down', status: 'healthy' },
-                diskUsage: { value: '58%', change: 1, trend: 'up', status: 'healthy' }
-            },
-            financial: {
-                totalPortfolioValue: { value: '2,847 BTC', change: 156, trend: 'up', status: 'healthy' },
-                tradingVolume: { value: '1.2M sats', change: 45000, trend: 'up', status: 'healthy' },
-                conversionVolume: { value: '890K sats', change: -12000, trend: 'down', status: 'warning' },
-                averagePortfolioSize: { value: '2.21 BTC', change: 0.05, trend: 'up', status: 'healthy' },
-                newInvestments: { value: '$124K', change: 8900, trend: 'up', status: 'healthy' },
-                withdrawals: { value: '$89K', change: -3400, trend: 'down', status: 'healthy' }
-            },
-            engagement: {
-                pageViews: { value: '15.6K', change: 890, trend: 'up', status: 'healthy' },
-                sessionDuration: { value: '8m 34s', change: 45, trend: 'up', status: 'healthy' },
-                bounceRate: { value: '23%', change: -2, trend: 'down', status: 'healthy' },
-                educationProgress: { value: '67%', change: 5, trend: 'up', status: 'healthy' },
-                featureUsage: { value: '89%', change: 3, trend: 'up', status: 'healthy' },
-                feedbackScore: { value: '4.7/5', change: 0.1, trend: 'up', status: 'healthy' }
-            },
-            security: {
-                failedLogins: { value: '12', change: -3, trend: 'down', status: 'healthy' },
-                suspiciousActivity: { value: '2', change: 0, trend: 'stable', status: 'healthy' },
-                dataIntegrity: { value: '100%', change: 0, trend: 'stable', status: 'healthy' },
-                backupStatus: { value: 'Success', change: 0, trend: 'stable', status: 'healthy' },
-                sslStatus: { value: 'Valid', change: 0, trend: 'stable', status: 'healthy' },
-                databaseHealth: { value: '98%', change: 1, trend: 'up', status: 'healthy' }
-            }
-        };
-
-        return baseStats;
-    }
-
     renderAllViews() {
         this.renderCardsView();
         this.renderChartsView();
@@ -552,6 +504,11 @@ class SystemStats {
     }
 
     renderChartsView() {
+        // Chart.js is optional - without it only the cards and table views render
+        if (typeof Chart === 'undefined') {
+            return;
+        }
+
         this.renderPerformanceChart();
         this.renderActivityChart();
         this.renderFinancialChart();
@@ -927,7 +884,7 @@ class SystemStats {
 
     async refreshCategoryStats(category) {
         try {
-            const stats = await this.services.adminService?.getSystemStats(this.timeRange, category) || this.getMockStats();
+            const stats = await this.services.adminService.getSystemStats(this.timeRange, category);
             this.statsData.set(category, stats[category] || {});
 
             this.renderCardsView();
@@ -7,6 +7,7 @@ class UserManagement {
         this.refreshInterval = null;
         this.searchTimeout = null;
         this.currentExportType = null;
+        this.detailUserId = null;
 
         this.defaultFilters = {
             status: 'all',
@@ -42,6 +43,7 @@ class UserManagement {
         try {
             this.createUserManagementInterface();
             this.attachEventListeners();
+            await this.loadUsers();
             this.startAutoRefresh();
             this.isInitialized = true;
         } catch (error) {
@@ -323,11 +325,23 @@ class UserManagement {
                                             <label>Last Active:</label>
                                             <span class="user-last-active-display"></span>
                                         </div>
+                                        <div class="info-item">
+                                            <label>Last Login:</label>
+                                            <span class="user-last-login-display"></span>
+                                        </div>
                                         <div class="info-item">
                                             <label>Total Sessions:</label>
                                             <span class="user-sessions-display"></span>
                                         </div>
                                     </div>
+
+                                    <div class="info-section">
+                                        <h4>Support</h4>
+                                        <p class="info-hint">Open a read-only, 30-minute session as this user to see exactly what their portfolio shows. The reason is recorded in the audit log.</p>
+                                        <button type="button" class="btn btn-outline" data-action="impersonate-user">
+                                            View as User
+                                        </button>
+                                    </div>
                                 </div>
                             </div>
 
@@ -561,6 +575,8 @@ class UserManagement {
     handleModalClick(event) {
         if (event.target.dataset.action === 'close-modal') {
             this.closeModal();
+        } else if (event.target.dataset.action === 'impersonate-user') {
+            this.impersonateUser();
         } else if (event.target.dataset.tab) {
             this.switchTab(event.target.dataset.tab);
         }
@@ -638,7 +654,7 @@ class UserManagement {
     async loadUsers(listId = 'main') {
         try {
             this.showLoadingState();
-            const users = await this.services.adminService?.getUsers() || this.getMockUsers();
+            const users = await this.services.adminService.getUsers();
 
             if (!this.userLists.has(listId)) {
                 this.userLists.set(listId, {
@@ -664,51 +680,6 @@ class UserManagement {
         }
     }
 
-    getMockUsers() {
-        const statuses = Object.keys(this.userStatuses);
-        const roles = Object.keys(this.userRoles);
-
-        return Array.from({ length: 150 }, (_, i) => {
-            const registrationDate = new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000);
-            const lastActive = new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000);
-
-            return {
-                id: `user_${i + 1}`,
-                name: `User ${i + 1}`,
-                email: `user${i + 1}@example.com`,
-                status: statuses[Math.floor(Math.random() * statuses.length)],
-                role: roles[Math.floor(Math.random() * roles.length)],
-                registrationDate: registrationDate.toISOString(),
-                lastActive: lastActive.toISOString(),
-                portfolioValue: Math.random() * 10,
-                portfolioValueUSD: Math.random() * 500000,
-                assetsCount: Math.floor(Math.random() * 20),
-                totalSessions: Math.floor(Math.random() * 100),
-                emailVerified: Math.random() > 0.2,
-                notificationsEnabled: Math.random() > 0.3,
-                recentActivity: this.generateMockActivity()
-            };
-        });
-    }
-
-    generateMockActivity() {
-        const activities = [
-            'Logged in',
-            'Updated portfolio',
-            'Made a trade',
-            'Viewed education content',
-            'Changed settings',
-            'Exported data'
-        ];
-
-        return Array.from({ length: Math.floor(Math.random() * 10) + 1 }, (_, i) => ({
-            id: `activity_${i}`,
-            type: activities[Math.floor(Math.random() * activities.length)],
-            timestamp: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString(),
-            details: `Activity details for action ${i + 1}`
-        }));
-    }
-
     applyFiltersAndSorting(listId = 'main') {
         const listData = this.userLists.get(listId);
         if (!listData) return;
@@ -1008,10 +979,42 @@ class UserManagement {
 
         if (!user || !modal) return;
 
+        this.detailUserId = userId;
+
+        try {
+            user.recentActivity = await this.services.adminService.getUserActivity(userId);
+        } catch (error) {
+            console.error('Failed to load user activity:', error);
+        }
+
         this.populateUserDetailModal(user);
         this.services.modalService?.show(modal);
     }
 
+    async impersonateUser() {
+        const user = this.findUserById(this.detailUserId);
+        if (!user) {
+            return;
+        }
+
+        const reason = await this.services.notificationService?.showPrompt(
+            `Why do you need to view the app as ${user.name}? This is recorded in the audit log.`,
+            '',
+            'View as User'
+        );
+        if (!reason || !reason.trim()) {
+            return;
+        }
+
+        try {
+            this.closeModal();
+            await this.services.authService.startImpersonation(user.id, reason.trim());
+        } catch (error) {
+            console.error('Failed to start impersonation:', error);
+            this.services.notificationService?.show('Failed to view as user', 'error');
+        }
+    }
+
     populateUserDetailModal(user) {
         document.querySelector('.user-name-display').textContent = user.name;
         document.querySelector('.user-email-display').textContent = user.email;
@@ -1020,6 +1023,7 @@ class UserManagement {
         document.querySelector('.user-status-display').innerHTML = `<span class="status-badge" style="color: ${this.userStatuses[user.status]?.color}">${this.userStatuses[user.status]?.label}</span>`;
         document.querySelector('.user-role-display').innerHTML = `<span class="role-badge role-${user.role}">${this.userRoles[user.role]?.label}</span>`;
         document.querySelector('.user-last-active-display').textContent = this.formatRelativeTime(user.lastActive);
+        document.querySelector('.user-last-login-display').textContent = user.lastLoginAt ? this.formatRelativeTime(user.lastLoginAt) : 'Never';
         document.querySelector('.user-sessions-display').textContent = user.totalSessions.toString();
 
         document.querySelector('.portfolio-btc-value').textContent = `${user.portfolioValue.toFixed(8)} BTC`;
@@ -291,7 +291,7 @@ export class MainNavigation {
      * Hide all pages
      */
     hideAllPages() {
-        const pageIds = ['homePage', 'assetsPage', 'mainApp', 'adminPage', 'educationPage', 'componentsPage'];
+        const pageIds = ['homePage', 'assetsPage', 'mainApp', 'adminPage', 'educationPage', 'leaderboardPage', 'componentsPage'];
         pageIds.forEach(pageId => {
             const element = getElementById(pageId);
             if (element) {
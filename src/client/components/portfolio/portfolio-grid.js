@@ -808,6 +808,10 @@ export class PortfolioGrid {
         }
 
         this.refreshTimer = setInterval(() => {
+            // The live stream pushes updates while it is connected
+            if (this.services.streamService?.isConnected()) {
+                return;
+            }
             this.updateAssetPrices();
         }, this.gridOptions.refreshInterval);
     }
@@ -671,6 +671,10 @@ export class QuickStats {
         }
 
         this.refreshTimer = setInterval(() => {
+            // The live stream pushes updates while it is connected
+            if (this.services.streamService?.isConnected()) {
+                return;
+            }
             this.refreshAllStats();
         }, this.defaultOptions.refreshInterval);
     }
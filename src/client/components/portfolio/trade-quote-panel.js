@@ -0,0 +1,201 @@
+/**
+ * Trade Quote Panel Component
+ * Quote-then-confirm step of the portfolio trade form: shows the quoted amounts with a countdown
+ * until the quote expires and a button to re-quote, and executes the quote on confirmation.
+ * The portfolio page owns the form itself and asks this component for quotes.
+ */
+
+import { getElementById, showElement, hideElement, setText, addEventListener } from '../../utils/dom-helpers.js';
+
+export class TradeQuotePanel {
+    /**
+     * @param {Object} services - App services (portfolioService, notificationService)
+     * @param {Object} options
+     * @param {Function} options.onChange - Called whenever the quote or quoting state changes
+     */
+    constructor(services, { onChange = () => {} } = {}) {
+        this.services = services;
+        this.onChange = onChange;
+        this.isInitialized = false;
+        this.eventListeners = [];
+
+        // Quote awaiting confirmation, and the timer counting it down
+        this.quote = null;
+        this.quoteTimer = null;
+        this.isQuoting = false;
+    }
+
+    /**
+     * Initialize the trade quote panel component
+     */
+    init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        const requoteBtn = getElementById('tradeRequoteBtn');
+        if (requoteBtn) {
+            this.eventListeners.push(
+                addEventListener(requoteBtn, 'click', () => this.requote())
+            );
+        }
+
+        this.isInitialized = true;
+    }
+
+    t(key, fallback) {
+        const text = window.translationService?.translate(key);
+        return text && text !== key ? text : fallback;
+    }
+
+    /**
+     * Whether a quote is on screen and can still be confirmed
+     * @returns {boolean}
+     */
+    hasLiveQuote() {
+        return Boolean(this.quote) && Date.now() < this.quote.expiresAtMs;
+    }
+
+    /**
+     * Whether the current quote can still be executed for this trade
+     * A quote is signed for one portfolio, so one taken before a portfolio switch no longer applies
+     * @param {Object} request - { fromAsset, toAsset, amount, unit, portfolioId }
+     * @returns {boolean}
+     */
+    isQuoteUsable(request) {
+        return this.hasLiveQuote() &&
+            ['fromAsset', 'toAsset', 'amount', 'unit', 'portfolioId'].every(field => this.quote.request[field] === request[field]);
+    }
+
+    /**
+     * Quote a trade and show it for confirmation until it expires
+     * @param {Object} request - { fromAsset, toAsset, amount, unit, portfolioId } as sent to the API
+     */
+    async requestQuote(request) {
+        let quote;
+        try {
+            this.isQuoting = true;
+            this.onChange();
+            quote = await this.services.portfolioService?.requestTradeQuote(request.fromAsset, request.toAsset, request.amount, request.unit, request.portfolioId);
+        } finally {
+            this.isQuoting = false;
+        }
+
+        if (!quote?.quoteId) {
+            this.onChange();
+            throw new Error('Trade quote unavailable');
+        }
+
+        this.clear();
+        // Count down from receipt rather than the server's expiresAt so clock skew doesn't matter
+        this.quote = { ...quote, request, expiresAtMs: Date.now() + quote.expiresInSeconds * 1000 };
+        this.quoteTimer = setInterval(() => this.render(), 1000);
+        this.render();
+    }
+
+    /**
+     * Re-quote button: quote the same trade again at current prices
+     */
+    async requote() {
+        if (this.isQuoting || !this.quote) {
+            return;
+        }
+
+        try {
+            await this.requestQuote(this.quote.request);
+        } catch (error) {
+            console.error('Trade quote failed:', error);
+            this.services.notificationService?.showTradeError(error.message);
+        }
+    }
+
+    /**
+     * Execute the quote on screen at its quoted amounts
+     * @returns {Promise<Object>} Trade result from the API
+     * @throws {Error} With code QUOTE_EXPIRED when the server no longer honours the quote
+     */
+    async executeQuote() {
+        try {
+            return await this.services.portfolioService?.executeQuote(this.quote.quoteId);
+        } catch (error) {
+            if (error.code === 'QUOTE_EXPIRED') {
+                this.expire();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Show the quoted amounts and the seconds left to confirm them
+     */
+    render() {
+        const panel = getElementById('tradeQuote');
+        if (!panel || !this.quote) {
+            return;
+        }
+
+        const secondsLeft = Math.max(0, Math.ceil((this.quote.expiresAtMs - Date.now()) / 1000));
+        if (secondsLeft === 0) {
+            this.expire();
+            return;
+        }
+
+        setText(getElementById('tradeQuoteFrom'), this.quote.fromAmountFormatted);
+        setText(getElementById('tradeQuoteTo'), this.quote.toAmountFormatted);
+        setText(getElementById('tradeQuoteCountdown'),
+            this.t('trading.quoteExpiresIn', 'Quote valid for {seconds}s').replace('{seconds}', secondsLeft));
+        showElement(panel);
+        this.onChange();
+    }
+
+    /**
+     * Keep an expired quote on screen with a prompt to re-quote
+     */
+    expire() {
+        clearInterval(this.quoteTimer);
+        this.quoteTimer = null;
+        if (this.quote) {
+            this.quote.expiresAtMs = 0;
+        }
+
+        setText(getElementById('tradeQuoteCountdown'), this.t('trading.quoteExpired', 'Quote expired - get a new quote to trade'));
+        this.onChange();
+    }
+
+    /**
+     * Drop the current quote and hide it
+     */
+    clear() {
+        clearInterval(this.quoteTimer);
+        this.quoteTimer = null;
+        this.quote = null;
+
+        const panel = getElementById('tradeQuote');
+        if (panel) {
+            hideElement(panel);
+        }
+        this.onChange();
+    }
+
+    /**
+     * Destroy the trade quote panel component
+     */
+    destroy() {
+        this.clear();
+
+        this.eventListeners.forEach(cleanup => {
+            try {
+                cleanup();
+            } catch (error) {
+                console.error('Error cleaning up trade quote panel event listener:', error);
+            }
+        });
+        this.eventListeners = [];
+        this.isInitialized = false;
+    }
+}
+
+// Export singleton instance factory
+export function createTradeQuotePanel(services, options) {
+    return new TradeQuotePanel(services, options);
+}
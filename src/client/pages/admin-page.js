@@ -6,6 +6,9 @@
 
 import { getElementById, hideElement, showElement, addEventListener } from '../utils/dom-helpers.js';
 import { formatters } from '../utils/formatters.js';
+import '../components/admin/user-management.js';
+import '../components/admin/system-stats.js';
+import '../components/admin/audit-log.js';
 
 export class AdminPage {
     constructor(services) {
@@ -22,6 +25,11 @@ export class AdminPage {
         // Auto-refresh interval
         this.refreshInterval = null;
 
+        // User management, system statistics and audit log components
+        this.userManagement = null;
+        this.systemStats = null;
+        this.auditLog = null;
+
         // Filter configurations
         this.filterButtons = {
             'filterAll': 'all',
@@ -64,6 +72,9 @@ export class AdminPage {
             // Load initial data
             await this.loadInitialData();
 
+            // Mount user management, system statistics and the audit log
+            await this.initializeAdminComponents();
+
             // Start auto-refresh
             this.startAutoRefresh();
 
@@ -137,6 +148,20 @@ export class AdminPage {
         }
     }
 
+    /**
+     * Mount the user management, system statistics and audit log components
+     */
+    async initializeAdminComponents() {
+        this.userManagement = new window.UserManagement(this.services);
+        await this.userManagement.init();
+
+        this.systemStats = new window.SystemStats(this.services);
+        await this.systemStats.init();
+
+        this.auditLog = new window.AuditLog(this.services);
+        await this.auditLog.init();
+    }
+
     /**
      * Start auto-refresh for admin data
      */
@@ -595,6 +620,14 @@ export class AdminPage {
         // Stop auto-refresh
         this.stopAutoRefresh();
 
+        // Tear down admin components
+        this.userManagement?.destroy();
+        this.systemStats?.destroy();
+        this.auditLog?.destroy();
+        this.userManagement = null;
+        this.systemStats = null;
+        this.auditLog = null;
+
         // Clean up all event listeners
         this.eventListeners.forEach(cleanup => {
             try {
@@ -321,6 +321,7 @@ export class ComponentsShowcasePage {
             { name: 'PortfolioGrid', path: 'portfolio-grid.js', description: 'Grid layout for portfolio assets' },
             { name: 'AssetCard', path: 'asset-card.js', description: 'Individual asset display card' },
             { name: 'TradingModal', path: 'trading-modal.js', description: 'Asset trading interface modal' },
+            { name: 'TradeQuotePanel', path: 'trade-quote-panel.js', description: 'Trade quote confirmation with countdown and re-quote' },
             { name: 'PerformanceChart', path: 'performance-chart.js', description: 'Portfolio performance visualization' },
             { name: 'QuickStats', path: 'quick-stats.js', description: 'Portfolio summary statistics' }
         ];
@@ -15,6 +15,8 @@ export class EducationPage {
 
         // Educational content state
         this.currentContent = null;
+        this.currentContentType = null;
+        this.completedContent = new Set(); // Articles already reported as completed this session
         this.availableTopics = null; // Will be loaded from translations
 
         // Reading progress tracking
@@ -306,6 +308,7 @@ export class EducationPage {
 
             // Store current content
             this.currentContent = content;
+            this.currentContentType = contentType;
 
             // Render the content
             this.renderEducationalContent(content);
@@ -540,6 +543,10 @@ export class EducationPage {
             }
 
             progressBar.style.width = `${progress * 100}%`;
+
+            if (progress >= 1) {
+                this.markContentCompleted();
+            }
         };
 
         // Add scroll listener with cleanup tracking
@@ -547,6 +554,29 @@ export class EducationPage {
         this.eventListeners.push(scrollCleanup);
     }
 
+    /**
+     * Report the current article as read to the server (once per session)
+     */
+    async markContentCompleted() {
+        const contentType = this.currentContentType;
+        if (!contentType || this.completedContent.has(contentType)) {
+            return;
+        }
+        this.completedContent.add(contentType);
+
+        if (!this.services.authService?.isAuthenticated()) {
+            return;
+        }
+
+        try {
+            const result = await this.services.apiClient.completeEducation(contentType);
+            this.services.notificationService?.showAchievements(result?.newAchievements);
+        } catch (error) {
+            console.error('Failed to record education progress:', error);
+            this.completedContent.delete(contentType);
+        }
+    }
+
     /**
      * Initialize active section highlighting in TOC
      */
@@ -0,0 +1,185 @@
+/**
+ * Leaderboard Page Component
+ * Ranks public portfolios by their growth in sats against simply holding 1 BTC
+ */
+
+import { getElementById, showElement, addEventListener, createElement } from '../utils/dom-helpers.js';
+import { formatters } from '../utils/formatters.js';
+
+const PERIODS = [
+    { id: '7d', labelKey: 'leaderboard.period7d', fallback: '7 Days' },
+    { id: '30d', labelKey: 'leaderboard.period30d', fallback: '30 Days' },
+    { id: '1y', labelKey: 'leaderboard.period1y', fallback: '1 Year' },
+    { id: 'all', labelKey: 'leaderboard.periodAll', fallback: 'All Time' }
+];
+
+export class LeaderboardPage {
+    constructor(services) {
+        this.services = services;
+        this.isInitialized = false;
+        this.eventListeners = [];
+        this.currentPeriod = 'all';
+    }
+
+    /**
+     * Initialize leaderboard page
+     */
+    init() {
+        if (this.isInitialized) {
+            console.log('LeaderboardPage already initialized');
+            return;
+        }
+
+        const leaderboardPage = getElementById('leaderboardPage');
+        if (!leaderboardPage) {
+            console.warn('Leaderboard page DOM element not found');
+            return;
+        }
+
+        // Re-render labels when the language changes
+        const cleanup = addEventListener(document, 'languageChange', () => {
+            if (this.lastResult) {
+                this.render(this.lastResult);
+            }
+        });
+        this.eventListeners.push(cleanup);
+
+        this.isInitialized = true;
+        console.log('Leaderboard page initialized successfully');
+    }
+
+    /**
+     * Show the leaderboard page and load the current period
+     */
+    async show() {
+        const leaderboardPage = getElementById('leaderboardPage');
+        if (leaderboardPage) {
+            showElement(leaderboardPage);
+        }
+
+        await this.loadLeaderboard(this.currentPeriod);
+    }
+
+    /**
+     * Load and render the leaderboard for a period
+     * @param {string} period - One of 7d, 30d, 1y, all
+     */
+    async loadLeaderboard(period) {
+        this.currentPeriod = period;
+
+        try {
+            const result = await this.services.apiClient.getLeaderboard(period);
+            this.lastResult = result;
+            this.render(result);
+        } catch (error) {
+            console.error('Failed to load leaderboard:', error);
+            this.services.notificationService?.showError(this.t('leaderboard.loadError', 'Failed to load leaderboard'));
+        }
+    }
+
+    /**
+     * Render the period tabs and ranking table
+     * @param {Object} result - Leaderboard API response
+     */
+    render(result) {
+        const container = getElementById('leaderboardContent');
+        if (!container) {
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="max-w-4xl mx-auto px-6 py-12">
+                <div class="bg-white rounded-lg shadow-md p-8">
+                    <h2 class="text-3xl font-bold mb-2">🏆 ${this.t('leaderboard.title', 'Leaderboard')}</h2>
+                    <p class="text-gray-600 mb-6">${this.t('leaderboard.subtitle', 'Can you beat Bitcoin? Public portfolios ranked by growth in sats against holding 1 BTC.')}</p>
+
+                    <div class="flex flex-wrap gap-2 mb-6">
+                        ${PERIODS.map(period => `
+                            <button data-leaderboard-period="${period.id}"
+                                class="px-4 py-2 rounded-lg text-sm font-medium ${period.id === this.currentPeriod ? 'bg-orange-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}">
+                                ${this.t(period.labelKey, period.fallback)}
+                            </button>
+                        `).join('')}
+                    </div>
+
+                    <div class="overflow-x-auto">
+                        <table class="min-w-full text-left">
+                            <thead>
+                                <tr class="border-b text-sm text-gray-500">
+                                    <th class="py-2 pr-4">${this.t('leaderboard.rank', 'Rank')}</th>
+                                    <th class="py-2 pr-4">${this.t('leaderboard.player', 'Player')}</th>
+                                    <th class="py-2 pr-4 text-right">${this.t('leaderboard.value', 'Portfolio Value')}</th>
+                                    <th class="py-2 pr-4 text-right">${this.t('leaderboard.change', 'Change')}</th>
+                                    <th class="py-2 text-right">${this.t('leaderboard.vsBitcoin', 'vs 1 BTC')}</th>
+                                </tr>
+                            </thead>
+                            <tbody id="leaderboardRows"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const rows = getElementById('leaderboardRows');
+        const entries = result?.entries || [];
+
+        if (entries.length === 0) {
+            const emptyRow = createElement('tr');
+            const emptyCell = createElement('td', { className: 'py-6 text-center text-gray-500' },
+                this.t('leaderboard.empty', 'No public portfolios for this period yet.'));
+            emptyCell.colSpan = 5;
+            emptyRow.appendChild(emptyCell);
+            rows.appendChild(emptyRow);
+        } else {
+            entries.forEach(entry => rows.appendChild(this.createRow(entry)));
+        }
+
+        container.querySelectorAll('[data-leaderboard-period]').forEach(button => {
+            button.addEventListener('click', () => this.loadLeaderboard(button.dataset.leaderboardPeriod));
+        });
+    }
+
+    /**
+     * Build a table row for one leaderboard entry
+     * Usernames are user-supplied, so every cell is set as text rather than HTML
+     * @param {Object} entry - Leaderboard entry
+     * @returns {HTMLElement} Table row
+     */
+    createRow(entry) {
+        const change = formatters.formatPercentageWithStyle(entry.performancePercent);
+        const medal = ['🥇', '🥈', '🥉'][entry.rank - 1] || `#${entry.rank}`;
+        const status = entry.beatsBitcoin
+            ? this.t('leaderboard.beatsBitcoin', 'Beating Bitcoin')
+            : this.t('leaderboard.behindBitcoin', 'Behind Bitcoin');
+
+        const row = createElement('tr', { className: 'border-b last:border-0' });
+        row.appendChild(createElement('td', { className: 'py-3 pr-4 font-semibold' }, medal));
+        row.appendChild(createElement('td', { className: 'py-3 pr-4' }, entry.username));
+        row.appendChild(createElement('td', { className: 'py-3 pr-4 text-right font-mono' },
+            formatters.formatSatoshisForUI(entry.currentValueSats, true)));
+        row.appendChild(createElement('td', { className: `py-3 pr-4 text-right font-semibold ${change.colorClass}` }, change.text));
+        row.appendChild(createElement('td', { className: `py-3 text-right text-sm ${change.colorClass}` }, status));
+
+        return row;
+    }
+
+    /**
+     * Translate a key with an English fallback
+     * @param {string} key - Translation key
+     * @param {string} fallback - Text used when the key is missing
+     * @returns {string} Translated text
+     */
+    t(key, fallback) {
+        const text = window.translationService?.translate(key);
+        return text && text !== key ? text : fallback;
+    }
+
+    /**
+     * Clean up page resources
+     */
+    destroy() {
+        this.eventListeners.forEach(cleanup => cleanup());
+        this.eventListeners = [];
+        this.isInitialized = false;
+    }
+}
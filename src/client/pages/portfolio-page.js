@@ -25,6 +25,7 @@ import {
 } from '../utils/formatters.js';
 
 import { validateTradeAmount, validateAssetPair } from '../utils/validators.js';
+import { createTradeQuotePanel } from '../components/portfolio/trade-quote-panel.js';
 
 export class PortfolioPage {
     constructor(services) {
@@ -35,12 +36,18 @@ export class PortfolioPage {
         // Portfolio data
         this.holdings = [];
         this.tradeHistory = [];
+        this.portfolios = [];
 
         // UI state
         this.selectedHolding = null;
         this.isTrading = false;
         this.mainAppListenersSetup = false;
 
+        // Quote-then-confirm step of the trade form
+        this.tradeQuotePanel = createTradeQuotePanel(services, {
+            onChange: () => this.updateTradeButtonState(this.isTrading)
+        });
+
         // Component elements
         this.holdingsGrid = null;
         this.tradeForm = null;
@@ -115,8 +122,21 @@ return;
             this.eventListeners.push(
                 addEventListener(this.tradeForm, 'submit', tradeSubmitHandler)
             );
+
+            // Editing the trade discards its quote - the next submit quotes the new one
+            const tradeChangeHandler = () => {
+                if (this.tradeQuotePanel.quote) {
+                    this.tradeQuotePanel.clear();
+                }
+            };
+            this.eventListeners.push(
+                addEventListener(this.tradeForm, 'input', tradeChangeHandler),
+                addEventListener(this.tradeForm, 'change', tradeChangeHandler)
+            );
         }
 
+        this.tradeQuotePanel.init();
+
         // Refresh button
         const refreshBtn = getElementById('refreshPortfolio');
         if (refreshBtn) {
@@ -126,6 +146,9 @@ return;
             );
         }
 
+        // Portfolio switcher
+        this.setupPortfolioSwitcherListeners();
+
         // Asset dropdown changes
         const fromAssetSelect = getElementById('fromAsset');
         const toAssetSelect = getElementById('toAsset');
@@ -190,11 +213,34 @@ return;
         }
     }
 
+    /**
+     * Set up the portfolio switcher and comparison controls
+     */
+    setupPortfolioSwitcherListeners() {
+        const handlers = {
+            portfolioSelect: ['change', (e) => this.switchPortfolio(e.target.value)],
+            newPortfolioBtn: ['click', () => this.createPortfolio()],
+            renamePortfolioBtn: ['click', () => this.renameActivePortfolio()],
+            deletePortfolioBtn: ['click', () => this.deleteActivePortfolio()],
+            comparePortfoliosBtn: ['click', () => this.togglePortfolioComparison()]
+        };
+
+        Object.entries(handlers).forEach(([id, [event, handler]]) => {
+            const element = getElementById(id);
+            if (element) {
+                this.eventListeners.push(addEventListener(element, event, handler));
+            }
+        });
+    }
+
     /**
      * Load portfolio data
      */
     async loadPortfolioData() {
         try {
+            // The selected portfolio must be known before loading its holdings
+            await this.loadPortfolios();
+
             // Load portfolio and trade history in parallel
             await Promise.all([
                 this.services.portfolioService?.loadPortfolio(),
@@ -704,7 +750,7 @@ legend.innerHTML = '<p class="text-gray-500 text-sm">Add allocations to see prev
         }
         const payload = { name, allocations: allocations.map(a => ({ asset_symbol:a.asset, allocation_percentage:a.percentage })) };
         try {
-            const token = localStorage.getItem('token');
+            const token = this.services.authService?.getToken();
             const resp = await fetch('/api/set-forget-portfolios', {
                 method:'POST', headers:{ 'Content-Type':'application/json', ...(token ? { Authorization:`Bearer ${token}` } : {}) }, body: JSON.stringify(payload)
             });
@@ -713,6 +759,7 @@ legend.innerHTML = '<p class="text-gray-500 text-sm">Add allocations to see prev
 throw new Error(data?.error || 'Failed to create portfolio');
 }
             this.services.notificationService?.showSuccess('Set & Forget portfolio created successfully!');
+            this.services.notificationService?.showAchievements(data.newAchievements);
             this.hideSetForgetModal();
             this.loadSetForgetPortfolios();
         } catch (e) {
@@ -726,7 +773,7 @@ throw new Error(data?.error || 'Failed to create portfolio');
      */
     async loadSetForgetPortfolios() {
         try {
-            const token = localStorage.getItem('token');
+            const token = this.services.authService?.getToken();
             const response = await fetch('/api/set-forget-portfolios', {
                 headers: {
                     'Authorization': `Bearer ${token}`
@@ -813,7 +860,7 @@ throw new Error(data?.error || 'Failed to create portfolio');
      */
     async showPortfolioDetails(portfolioId) {
         try {
-            const token = localStorage.getItem('token');
+            const token = this.services.authService?.getToken();
             const response = await fetch(`/api/set-forget-portfolios/${portfolioId}`, {
                 headers: {
                     'Authorization': `Bearer ${token}`
@@ -971,6 +1018,9 @@ throw new Error(data?.error || 'Failed to create portfolio');
                 return;
             }
 
+            // Record the share (counts towards the Portfolio Sharer achievement)
+            this.recordPortfolioShare(portfolioId);
+
             // Set URLs
             const shareUrl = `${window.location.origin}/share/${shareToken}`;
             const imageUrl = `${window.location.origin}/api/set-forget-portfolios/public/${shareToken}/image`;
@@ -1089,6 +1139,29 @@ throw new Error(data?.error || 'Failed to create portfolio');
         }
     }
 
+    /**
+     * Tell the server the owner shared a portfolio
+     * @param {number} portfolioId - Set & Forget portfolio ID
+     */
+    async recordPortfolioShare(portfolioId) {
+        try {
+            const token = this.services.authService?.getToken();
+            const response = await fetch(`/api/set-forget-portfolios/${portfolioId}/share`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                this.services.notificationService?.showAchievements(data.newAchievements);
+            }
+        } catch (error) {
+            console.error('Failed to record portfolio share:', error);
+        }
+    }
+
     /**
      * Copy share URL to clipboard
      */
@@ -1518,10 +1591,237 @@ return 0;
         this.displayPortfolio();
     }
 
+    // ===== MULTIPLE PORTFOLIOS =====
+
+    /**
+     * Load the user's portfolios and refresh the switcher
+     */
+    async loadPortfolios() {
+        try {
+            this.portfolios = await this.services.portfolioService?.loadPortfolios() || [];
+        } catch (error) {
+            console.error('Failed to load portfolios:', error);
+            this.portfolios = [];
+        }
+
+        this.renderPortfolioSwitcher();
+    }
+
+    /**
+     * Fill the portfolio select and show the actions that apply to the selected portfolio
+     * Names are user-supplied, so options are set as text
+     */
+    renderPortfolioSwitcher() {
+        const select = getElementById('portfolioSelect');
+        if (!select) {
+            return;
+        }
+
+        const activeId = this.services.portfolioService?.getActivePortfolioId();
+        const active = this.portfolios.find(p => p.id === activeId) || this.portfolios.find(p => p.isDefault);
+
+        clearElement(select);
+        this.portfolios.forEach(portfolio => {
+            const option = createElement('option', { value: String(portfolio.id) }, portfolio.name);
+            option.selected = portfolio.id === active?.id;
+            select.appendChild(option);
+        });
+
+        const deleteBtn = getElementById('deletePortfolioBtn');
+        if (deleteBtn) {
+            if (active && !active.isDefault) {
+                showElement(deleteBtn);
+            } else {
+                hideElement(deleteBtn);
+            }
+        }
+    }
+
+    /**
+     * Switch to another portfolio
+     * @param {string} portfolioId - Selected portfolio ID
+     */
+    async switchPortfolio(portfolioId) {
+        const portfolio = this.portfolios.find(p => p.id === parseInt(portfolioId));
+
+        // A quote on screen was signed for the portfolio being left
+        this.tradeQuotePanel.clear();
+
+        try {
+            // The default portfolio is selected by omitting the id
+            await this.services.portfolioService?.setActivePortfolio(portfolio?.isDefault ? null : portfolio?.id);
+            await this.loadPortfolioData();
+            this.displayPortfolio();
+            await this.refreshPortfolioComparison();
+        } catch (error) {
+            console.error('Failed to switch portfolio:', error);
+            this.services.notificationService?.showError(this.t('portfolio.switchError', 'Failed to switch portfolio'));
+        }
+    }
+
+    /**
+     * Ask for a name and open a new portfolio with 1 BTC
+     */
+    async createPortfolio() {
+        const name = await this.services.notificationService?.showPrompt(
+            this.t('portfolio.newPortfolioPrompt', 'Name your new portfolio. It starts with 1 BTC.'),
+            '',
+            this.t('portfolio.newPortfolio', 'New Portfolio')
+        );
+        if (!name || !name.trim()) {
+            return;
+        }
+
+        try {
+            const result = await this.services.apiClient.createPortfolio(name.trim());
+            this.services.notificationService?.showSuccess(this.t('portfolio.portfolioCreated', 'Portfolio created'));
+            await this.switchPortfolio(result.portfolio.id);
+        } catch (error) {
+            console.error('Failed to create portfolio:', error);
+            this.services.notificationService?.showError(error.message);
+        }
+    }
+
+    /**
+     * Rename the selected portfolio
+     */
+    async renameActivePortfolio() {
+        const active = this.getActivePortfolio();
+        if (!active) {
+            return;
+        }
+
+        const name = await this.services.notificationService?.showPrompt(
+            this.t('portfolio.renamePortfolioPrompt', 'New name for this portfolio'),
+            active.name,
+            this.t('portfolio.renamePortfolio', 'Rename')
+        );
+        if (!name || !name.trim() || name.trim() === active.name) {
+            return;
+        }
+
+        try {
+            await this.services.apiClient.renamePortfolio(active.id, name.trim());
+            await this.loadPortfolios();
+            await this.refreshPortfolioComparison();
+        } catch (error) {
+            console.error('Failed to rename portfolio:', error);
+            this.services.notificationService?.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete the selected portfolio and go back to the default one
+     */
+    async deleteActivePortfolio() {
+        const active = this.getActivePortfolio();
+        if (!active || active.isDefault) {
+            return;
+        }
+
+        const confirmed = await this.services.notificationService?.showConfirmation(
+            this.t('portfolio.deletePortfolioConfirm', 'Delete this portfolio with all its holdings and trades? This cannot be undone.'),
+            active.name
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            await this.services.apiClient.deletePortfolio(active.id);
+            this.services.notificationService?.showSuccess(this.t('portfolio.portfolioDeleted', 'Portfolio deleted'));
+            await this.switchPortfolio(null);
+        } catch (error) {
+            console.error('Failed to delete portfolio:', error);
+            this.services.notificationService?.showError(error.message);
+        }
+    }
+
+    /**
+     * Get the portfolio currently shown
+     * @returns {Object|undefined} Portfolio from the switcher list
+     */
+    getActivePortfolio() {
+        const activeId = this.services.portfolioService?.getActivePortfolioId();
+        return this.portfolios.find(p => p.id === activeId) || this.portfolios.find(p => p.isDefault);
+    }
+
+    /**
+     * Show or hide the side-by-side comparison of all portfolios
+     */
+    async togglePortfolioComparison() {
+        const comparison = getElementById('portfolioComparison');
+        if (!comparison) {
+            return;
+        }
+
+        if (comparison.classList.contains('hidden')) {
+            showElement(comparison);
+            await this.refreshPortfolioComparison();
+        } else {
+            hideElement(comparison);
+        }
+    }
+
+    /**
+     * Reload the comparison table if it is open
+     */
+    async refreshPortfolioComparison() {
+        const comparison = getElementById('portfolioComparison');
+        const rows = getElementById('portfolioComparisonRows');
+        if (!comparison || !rows || comparison.classList.contains('hidden')) {
+            return;
+        }
+
+        try {
+            const result = await this.services.apiClient.comparePortfolios();
+            clearElement(rows);
+            (result?.portfolios || []).forEach(portfolio => rows.appendChild(this.createComparisonRow(portfolio)));
+        } catch (error) {
+            console.error('Failed to compare portfolios:', error);
+            this.services.notificationService?.showError(this.t('portfolio.compareError', 'Failed to compare portfolios'));
+        }
+    }
+
+    /**
+     * Build a comparison table row for one portfolio
+     * @param {Object} portfolio - Comparison entry
+     * @returns {HTMLElement} Table row
+     */
+    createComparisonRow(portfolio) {
+        const performance = formatPercentageWithStyle(portfolio.vsBitcoinPercent);
+        const topHoldings = portfolio.allocation
+            .slice(0, 3)
+            .map(item => `${item.symbol} ${item.percentage.toFixed(0)}%`)
+            .join(', ');
+
+        const row = createElement('tr', { className: 'border-b last:border-0' });
+        row.appendChild(createElement('td', { className: 'py-2 pr-4 font-medium' },
+            portfolio.isDefault ? `${portfolio.name} ★` : portfolio.name));
+        row.appendChild(createElement('td', { className: 'py-2 pr-4 text-right font-mono' },
+            formatSatoshisForUI(portfolio.totalValueSats)));
+        row.appendChild(createElement('td', { className: `py-2 pr-4 text-right font-semibold ${performance.colorClass}` }, performance.text));
+        row.appendChild(createElement('td', { className: 'py-2 pr-4 text-right' }, String(portfolio.tradeCount)));
+        row.appendChild(createElement('td', { className: 'py-2 text-gray-600' }, topHoldings));
+
+        return row;
+    }
+
+    /**
+     * Translate a key with an English fallback
+     * @param {string} key - Translation key
+     * @param {string} fallback - Text used when the key is missing
+     * @returns {string} Translated text
+     */
+    t(key, fallback) {
+        const text = window.translationService?.translate(key);
+        return text && text !== key ? text : fallback;
+    }
+
     // ===== TRADING INTERFACE =====
 
     /**
-     * Execute trade
+     * Trade form submit: the first submit quotes the trade, the next executes that quote
      */
     async executeTrade() {
         if (this.isTrading) {
@@ -1570,7 +1870,19 @@ return;
                 payloadUnit = 'asset';
             }
 
-            const result = await this.services.portfolioService?.executeTrade(fromAsset, toAsset, payloadAmount, payloadUnit);
+            const request = {
+                fromAsset,
+                toAsset,
+                amount: payloadAmount,
+                unit: payloadUnit,
+                portfolioId: this.services.portfolioService?.getActivePortfolioId() ?? null
+            };
+            if (!this.tradeQuotePanel.isQuoteUsable(request)) {
+                await this.tradeQuotePanel.requestQuote(request);
+                return;
+            }
+
+            const result = await this.tradeQuotePanel.executeQuote();
 
             // API client unwraps { success, data } → returns data object
             // Accept either { trade, message } or a raw trade object
@@ -1584,6 +1896,10 @@ return;
             // Portfolio refresh happens via service listener
 
         } catch (error) {
+            if (error.code === 'QUOTE_EXPIRED') {
+                this.services.notificationService?.showError(this.t('trading.quoteExpired', 'Quote expired - get a new quote to trade'));
+                return;
+            }
             console.error('Trade execution failed:', error);
             this.services.notificationService?.showTradeError(error.message);
         } finally {
@@ -1699,10 +2015,22 @@ return;
     updateTradeButtonState(isLoading) {
         const tradeButton = getElementById('executeTradeBtn');
         if (tradeButton) {
-            tradeButton.disabled = isLoading;
-            setText(tradeButton, isLoading ? 'Executing Trade...' : 'Execute Trade');
+            // With a live quote the button confirms it; otherwise it asks for a quote
+            const hasLiveQuote = this.tradeQuotePanel.hasLiveQuote();
+            const isQuoting = this.tradeQuotePanel.isQuoting;
+            let label;
+            if (isLoading || isQuoting) {
+                label = hasLiveQuote && !isQuoting
+                    ? this.t('trading.executingTrade', 'Executing Trade...')
+                    : this.t('trading.gettingQuote', 'Getting quote...');
+            } else {
+                label = hasLiveQuote ? this.t('trading.confirmTrade', 'Confirm Trade') : this.t('trading.reviewTrade', 'Review Trade');
+            }
 
-            if (isLoading) {
+            tradeButton.disabled = isLoading || isQuoting;
+            setText(tradeButton, label);
+
+            if (isLoading || isQuoting) {
                 addClass(tradeButton, 'opacity-50 cursor-not-allowed');
             } else {
                 removeClass(tradeButton, 'opacity-50 cursor-not-allowed');
@@ -1735,6 +2063,7 @@ setText(tradeHelper, '');
         if (availableBalance) {
 setText(availableBalance, '');
 }
+        this.tradeQuotePanel.clear();
     }
 
     /**
@@ -1871,6 +2200,8 @@ return;
             this.services.priceService.stopPriceAutoRefresh();
         }
 
+        this.tradeQuotePanel.destroy();
+
         // Remove event listeners
         this.eventListeners.forEach(cleanup => {
             try {
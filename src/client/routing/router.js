@@ -114,6 +114,14 @@ export class Router {
             handler: () => this.handleAdminPage()
         });
 
+        // Leaderboard page
+        this.addRoute('leaderboard', {
+            path: '#leaderboard',
+            pageId: 'leaderboardPage',
+            requiresAuth: false,
+            handler: () => this.handleLeaderboardPage()
+        });
+
         // Components showcase page
         this.addRoute('components', {
             path: '#components',
@@ -399,6 +407,7 @@ export class Router {
             'loginForm',
             'adminPage',
             'educationPage',
+            'leaderboardPage',
             'componentsPage'
         ];
 
@@ -537,6 +546,16 @@ export class Router {
         }
     }
 
+    /**
+     * Handle leaderboard page navigation
+     */
+    handleLeaderboardPage() {
+        console.log('Loading leaderboard page');
+        if (this.pages && this.pages.leaderboard && this.pages.leaderboard.show) {
+            this.pages.leaderboard.show();
+        }
+    }
+
     /**
      * Handle components showcase page navigation
      */
@@ -0,0 +1,294 @@
+/**
+ * Frontend admin service
+ * Loads /api/admin data and shapes it for the admin components
+ */
+class AdminService {
+    constructor(apiClient, notificationService = null) {
+        this.apiClient = apiClient;
+        this.notificationService = notificationService;
+
+        // Largest page the admin users endpoint returns
+        this.usersPageSize = 100;
+
+        // Satoshis per BTC, for displaying sats amounts
+        this.SATOSHIS_PER_BTC = 100000000;
+    }
+
+    /**
+     * Load every user in the shape UserManagement renders
+     * @returns {Promise<Array>} Users
+     */
+    async getUsers() {
+        const users = [];
+        let page = 1;
+        let totalPages = 1;
+
+        do {
+            const response = await this.apiClient.getAdminUsers({ page, limit: this.usersPageSize });
+            users.push(...response.users);
+            totalPages = response.pagination.totalPages;
+            page++;
+        } while (page <= totalPages);
+
+        return users.map(user => this.formatUser(user));
+    }
+
+    /**
+     * Map an /api/admin/users row to the UserManagement user shape
+     * @param {Object} user - User from the admin API
+     * @returns {Object} Formatted user
+     */
+    formatUser(user) {
+        return {
+            id: String(user.id),
+            name: user.username,
+            email: user.email,
+            status: 'active',
+            role: user.isAdmin ? 'admin' : 'user',
+            registrationDate: user.createdAt,
+            lastActive: user.lastLoginAt || user.lastTradeAt || user.createdAt,
+            lastLoginAt: user.lastLoginAt,
+            portfolioValue: user.portfolioValueSats / this.SATOSHIS_PER_BTC,
+            portfolioValueUSD: user.portfolioValueUsd || 0,
+            assetsCount: user._count.holdings,
+            tradesCount: user._count.trades,
+            totalSessions: user._count.sessions,
+            emailVerified: true,
+            notificationsEnabled: false,
+            recentActivity: []
+        };
+    }
+
+    /**
+     * Load a user's activity timeline in the shape UserManagement renders
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Activity items, newest first
+     */
+    async getUserActivity(userId) {
+        const { timeline } = await this.apiClient.getAdminUserActivity(userId);
+
+        return timeline.map((event, index) => ({
+            id: `activity_${index}`,
+            type: this.formatActivityType(event.type),
+            timestamp: event.timestamp,
+            details: this.formatActivityDetails(event)
+        }));
+    }
+
+    /**
+     * Turn an activity type like magic_link_verified into "Magic link verified"
+     * @param {string} type - Activity type
+     * @returns {string} Label
+     */
+    formatActivityType(type) {
+        const label = type.replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+
+    /**
+     * Describe an activity event
+     * @param {Object} event - Timeline event from the admin API
+     * @returns {string} Details line
+     */
+    formatActivityDetails(event) {
+        if (event.type === 'trade') {
+            const { fromAsset, toAsset, fromAmount, toAmount } = event.details;
+            return `${fromAmount} ${fromAsset} → ${toAmount} ${toAsset}`;
+        }
+
+        const parts = [];
+        if (event.sessionId) {
+            parts.push(`Session #${event.sessionId}`);
+        }
+        if (event.ipAddress) {
+            parts.push(event.ipAddress);
+        }
+        if (event.userAgent) {
+            parts.push(event.userAgent);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Load a page of the admin audit log in the shape AuditLog renders
+     * @param {Object} filters - { page, limit, actorUserId, action, targetType, targetId, from, to }
+     * @returns {Promise<Object>} { entries, actions, targetTypes, pagination }
+     */
+    async getAuditLog(filters = {}) {
+        const response = await this.apiClient.getAdminAuditLog(filters);
+
+        return {
+            ...response,
+            entries: response.entries.map(entry => ({
+                id: entry.id,
+                timestamp: entry.createdAt,
+                action: entry.action,
+                actionLabel: this.formatActivityType(entry.action),
+                actor: entry.actor ? entry.actor.username : (entry.actorEmail || 'Deleted user'),
+                actorUserId: entry.actorUserId,
+                targetType: entry.targetType,
+                targetId: entry.targetId,
+                ipAddress: entry.ipAddress,
+                before: entry.before,
+                after: entry.after,
+                changes: this.diffSnapshots(entry.before, entry.after)
+            }))
+        };
+    }
+
+    /**
+     * List the top-level fields that differ between two audit snapshots
+     * @param {Object|null} before - Snapshot before the action
+     * @param {Object|null} after - Snapshot after the action
+     * @returns {Array<Object>} [{ field, before, after }]
+     */
+    diffSnapshots(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        return [...fields]
+            .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+            .map(field => ({
+                field,
+                before: before?.[field] ?? null,
+                after: after?.[field] ?? null
+            }));
+    }
+
+    /**
+     * Change the role of several users - only admin and user exist server-side
+     * @param {Array<string>} userIds - User IDs
+     * @param {string} role - 'admin' or 'user'
+     */
+    async updateUsersRole(userIds, role) {
+        if (!['admin', 'user'].includes(role)) {
+            throw new Error(`Role "${role}" is not supported`);
+        }
+
+        for (const userId of userIds) {
+            if (role === 'admin') {
+                await this.apiClient.promoteUser(userId);
+            } else {
+                await this.apiClient.demoteUser(userId);
+            }
+        }
+    }
+
+    /**
+     * Account statuses are not stored server-side yet
+     */
+    updateUsersStatus() {
+        return Promise.reject(new Error('User status changes are not supported'));
+    }
+
+    /**
+     * Load dashboard and system info in the category shape SystemStats renders
+     * @returns {Promise<Object>} { overview, performance, financial, engagement, security }
+     */
+    async getSystemStats() {
+        const [dashboard, system] = await Promise.all([
+            this.apiClient.getAdminDashboard(),
+            this.apiClient.getAdminSystemInfo()
+        ]);
+
+        const heapPercent = Math.round((system.memoryUsage.heapUsed / system.memoryUsage.heapTotal) * 100);
+        const freshAssets = dashboard.prices.assetsWithPrices - dashboard.prices.staleAssets;
+
+        return {
+            overview: {
+                totalUsers: this.metric(dashboard.users.total, dashboard.users.newLast7Days),
+                activeUsers: this.metric(dashboard.users.activeLast7Days, 0),
+                totalPortfolios: this.metric(dashboard.portfolios.usersWithPortfolios, 0),
+                totalTrades: this.metric(dashboard.trades.total, dashboard.trades.last7Days),
+                systemUptime: this.metric(this.formatUptime(system.uptime), 0)
+            },
+            performance: {
+                memoryUsage: this.metric(`${heapPercent}%`, 0, heapPercent > 85 ? 'warning' : 'healthy')
+            },
+            financial: {
+                totalPortfolioValue: this.metric(
+                    `${(parseInt(dashboard.portfolios.totalBtcHoldings) / this.SATOSHIS_PER_BTC).toFixed(8)} BTC`,
+                    0
+                )
+            },
+            engagement: {
+                openSuggestions: this.metric(dashboard.suggestions.open, dashboard.suggestions.recent)
+            },
+            security: {
+                priceFreshness: this.metric(
+                    `${freshAssets}/${dashboard.prices.totalAssets}`,
+                    0,
+                    this.priceFreshnessStatus(dashboard.prices)
+                ),
+                databaseHealth: this.metric(`${system.database.userCount} users`, 0),
+                priceProviders: this.metric(
+                    `${system.prices.providers.filter(provider => provider.healthy).length}/${system.prices.providers.length} healthy`,
+                    0,
+                    this.providerHealthStatus(system.prices.providers)
+                )
+            }
+        };
+    }
+
+    /**
+     * Build a SystemStats metric
+     * @param {string|number} value - Displayed value
+     * @param {number} change - Change over the last 7 days
+     * @param {string} status - healthy, warning or critical
+     * @returns {Object} Metric
+     */
+    metric(value, change, status = 'healthy') {
+        return {
+            value,
+            change,
+            trend: change > 0 ? 'up' : change < 0 ? 'down' : 'stable',
+            status
+        };
+    }
+
+    /**
+     * Grade stored asset prices by how many are stale
+     * @param {Object} prices - Dashboard price stats
+     * @returns {string} healthy, warning or critical
+     */
+    priceFreshnessStatus(prices) {
+        if (prices.totalAssets > 0 && prices.staleAssets >= prices.totalAssets) {
+            return 'critical';
+        }
+        return prices.staleAssets > 0 ? 'warning' : 'healthy';
+    }
+
+    /**
+     * Grade price providers by how many have their circuit breaker open
+     * @param {Array} providers - Provider health from system info
+     * @returns {string} healthy, warning or critical
+     */
+    providerHealthStatus(providers) {
+        const unhealthy = providers.filter(provider => !provider.healthy).length;
+        if (providers.length > 0 && unhealthy >= providers.length) {
+            return 'critical';
+        }
+        return unhealthy > 0 ? 'warning' : 'healthy';
+    }
+
+    /**
+     * Format process uptime
+     * @param {number} seconds - Uptime in seconds
+     * @returns {string} e.g. "3d 4h" or "12m"
+     */
+    formatUptime(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (days > 0) {
+            return `${days}d ${hours}h`;
+        }
+        if (hours > 0) {
+            return `${hours}h ${minutes}m`;
+        }
+        return `${minutes}m`;
+    }
+}
+
+export { AdminService };
+export default AdminService;
@@ -8,6 +8,25 @@ class ApiClient {
         this.defaultHeaders = {
             'Content-Type': 'application/json'
         };
+        // Short-lived access token, kept in memory only - the refresh token lives in an httpOnly cookie
+        this.accessToken = null;
+        this.tokenRefresher = null;
+    }
+
+    /**
+     * Set the access token sent with every request
+     * @param {string|null} token - JWT access token
+     */
+    setAccessToken(token) {
+        this.accessToken = token || null;
+    }
+
+    /**
+     * Register the callback used to get a new access token when the current one has expired
+     * @param {Function} refresher - async () => boolean, true if a new token was set
+     */
+    setTokenRefresher(refresher) {
+        this.tokenRefresher = refresher;
     }
 
     /**
@@ -15,8 +34,7 @@ class ApiClient {
      * @returns {Object} Authorization headers
      */
     getAuthHeaders() {
-        const token = localStorage.getItem('token');
-        return token ? { Authorization: `Bearer ${token}` } : {};
+        return this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {};
     }
 
     /**
@@ -25,7 +43,7 @@ class ApiClient {
      * @param {Object} options - Request options
      * @returns {Promise<any>} Response data or throws error
      */
-    async request(url, options = {}) {
+    async request(url, options = {}, isRetry = false) {
         const config = {
             headers: {
                 ...this.defaultHeaders,
@@ -40,7 +58,19 @@ class ApiClient {
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+
+                // Expired access token: refresh once and replay the request
+                if (response.status === 401 && errorData.code === 'TOKEN_EXPIRED' && !isRetry && this.tokenRefresher) {
+                    if (await this.tokenRefresher()) {
+                        return this.request(url, options, true);
+                    }
+                }
+
+                // Keep the server's error code so callers can react to it (e.g. QUOTE_EXPIRED)
+                const error = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                error.code = errorData.code;
+                error.status = response.status;
+                throw error;
             }
 
             const contentType = response.headers.get('content-type');
@@ -152,16 +182,27 @@ class ApiClient {
         return this.get(`/api/assets/performance/${symbol}/${period}`);
     }
 
+    /**
+     * Get daily price history in USD and sats
+     * @param {string} symbol - Asset symbol
+     * @param {string} period - Time period (7d, 30d, 1y, 5y, all, etc.)
+     * @returns {Promise<Object>} History data with OHLC bars
+     */
+    async getAssetHistory(symbol, period = '1y') {
+        return this.get(`/api/assets/${symbol}/history?period=${period}`);
+    }
+
     // ===== AUTHENTICATION API METHODS =====
 
     /**
      * Request magic link for authentication
      * @param {string} email - User email
      * @param {string} username - Optional username
+     * @param {string} language - Language for the email ('en' or 'bg')
      * @returns {Promise<Object>} Response with success status
      */
-    async requestMagicLink(email, username = null) {
-        return this.post('/api/auth/request-link', { email, username });
+    async requestMagicLink(email, username = null, language = null) {
+        return this.post('/api/auth/request-link', { email, username, language });
     }
 
     /**
@@ -182,23 +223,156 @@ class ApiClient {
         return this.post('/api/auth/check-user', { email });
     }
 
+    /**
+     * Exchange the refresh cookie for a new access token
+     * @returns {Promise<Object>} { token, expiresAt, user }
+     */
+    async refreshSession() {
+        return this.post('/api/auth/refresh');
+    }
+
+    /**
+     * End this browser's session
+     * @returns {Promise<Object>} Logout confirmation
+     */
+    async logout() {
+        return this.post('/api/auth/logout');
+    }
+
+    /**
+     * End every session of the signed-in user, on all devices
+     * @returns {Promise<Object>} { revokedSessions }
+     */
+    async logoutEverywhere() {
+        return this.post('/api/auth/logout-all');
+    }
+
+    /**
+     * Start a passkey login
+     * @returns {Promise<Object>} { options, challengeToken }
+     */
+    async getPasskeyLoginOptions() {
+        return this.post('/api/auth/passkeys/login/options');
+    }
+
+    /**
+     * Finish a passkey login
+     * @param {Object} response - Signed assertion from the authenticator
+     * @param {string} challengeToken - Token returned with the options
+     * @returns {Promise<Object>} { token, expiresAt, user }
+     */
+    async loginWithPasskey(response, challengeToken) {
+        return this.post('/api/auth/passkeys/login', { response, challengeToken });
+    }
+
+    /**
+     * Start adding a passkey to the signed-in account
+     * @returns {Promise<Object>} { options, challengeToken }
+     */
+    async getPasskeyRegistrationOptions() {
+        return this.post('/api/auth/passkeys/register/options');
+    }
+
+    /**
+     * Finish adding a passkey
+     * @param {Object} response - New credential from the authenticator
+     * @param {string} challengeToken - Token returned with the options
+     * @param {string} name - Label for the passkey
+     * @returns {Promise<Object>} { passkey }
+     */
+    async registerPasskey(response, challengeToken, name) {
+        return this.post('/api/auth/passkeys/register', { response, challengeToken, name });
+    }
+
+    /**
+     * List the signed-in user's passkeys
+     * @returns {Promise<Object>} { passkeys }
+     */
+    async getPasskeys() {
+        return this.get('/api/auth/passkeys');
+    }
+
+    /**
+     * Remove a passkey
+     * @param {number} passkeyId - Passkey ID
+     * @returns {Promise<Object>} Confirmation
+     */
+    async deletePasskey(passkeyId) {
+        return this.delete(`/api/auth/passkeys/${passkeyId}`);
+    }
+
     // ===== PORTFOLIO API METHODS =====
 
+    /**
+     * Build the portfolio selector query string
+     * @param {number|null} portfolioId - Portfolio ID, or null for the default portfolio
+     * @returns {string} Query string including the leading '?', or ''
+     */
+    portfolioQuery(portfolioId) {
+        return portfolioId ? `?portfolioId=${encodeURIComponent(portfolioId)}` : '';
+    }
+
     /**
      * Get user portfolio
+     * @param {number|null} portfolioId - Portfolio ID (default portfolio when omitted)
      * @returns {Promise<Object>} Portfolio data
      */
-    async getPortfolio() {
-        return this.get('/api/portfolio');
+    async getPortfolio(portfolioId = null) {
+        return this.get(`/api/portfolio${this.portfolioQuery(portfolioId)}`);
     }
 
     /**
      * Get specific asset details for user
      * @param {string} symbol - Asset symbol
+     * @param {number|null} portfolioId - Portfolio ID (default portfolio when omitted)
      * @returns {Promise<Object>} Asset details
      */
-    async getAssetDetails(symbol) {
-        return this.get(`/api/portfolio/asset/${symbol}`);
+    async getAssetDetails(symbol, portfolioId = null) {
+        return this.get(`/api/portfolio/asset/${symbol}${this.portfolioQuery(portfolioId)}`);
+    }
+
+    /**
+     * List the user's portfolios
+     * @returns {Promise<Object>} Portfolios with current values
+     */
+    async getPortfolios() {
+        return this.get('/api/portfolio/portfolios');
+    }
+
+    /**
+     * Open a new portfolio starting with 1 BTC
+     * @param {string} name - Portfolio name
+     * @returns {Promise<Object>} Created portfolio
+     */
+    async createPortfolio(name) {
+        return this.post('/api/portfolio/portfolios', { name });
+    }
+
+    /**
+     * Rename a portfolio
+     * @param {number} portfolioId - Portfolio ID
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Updated portfolio
+     */
+    async renamePortfolio(portfolioId, name) {
+        return this.put(`/api/portfolio/portfolios/${portfolioId}`, { name });
+    }
+
+    /**
+     * Delete a portfolio and everything in it
+     * @param {number} portfolioId - Portfolio ID
+     * @returns {Promise<Object>} Confirmation message
+     */
+    async deletePortfolio(portfolioId) {
+        return this.delete(`/api/portfolio/portfolios/${portfolioId}`);
+    }
+
+    /**
+     * Compare all of the user's portfolios
+     * @returns {Promise<Object>} Per-portfolio value, performance and allocation
+     */
+    async comparePortfolios() {
+        return this.get('/api/portfolio/compare');
     }
 
     // ===== TRADING API METHODS =====
@@ -209,18 +383,366 @@ class ApiClient {
      * @param {string} toAsset - Target asset symbol
      * @param {number|string} amount - Amount to trade (raw number based on unit)
      * @param {string} unit - Unit of amount ('btc'|'sat'|'ksat'|'msat'|'asset')
+     * @param {number|null} portfolioId - Portfolio ID (default portfolio when omitted)
      * @returns {Promise<Object>} Trade result
      */
-    async executeTrade(fromAsset, toAsset, amount, unit) {
-        return this.post('/api/trades/execute', { fromAsset, toAsset, amount, unit });
+    async executeTrade(fromAsset, toAsset, amount, unit, portfolioId = null) {
+        return this.post('/api/trades/execute', { fromAsset, toAsset, amount, unit, portfolioId });
+    }
+
+    /**
+     * Quote a trade: amounts at current prices, fixed until the quote expires
+     * @param {string} fromAsset - Source asset symbol
+     * @param {string} toAsset - Target asset symbol
+     * @param {number|string} amount - Amount to trade (raw number based on unit)
+     * @param {string} unit - Unit of amount ('btc'|'sat'|'ksat'|'msat'|'asset')
+     * @param {number|null} portfolioId - Portfolio ID (default portfolio when omitted)
+     * @returns {Promise<Object>} Quote with quoteId, expiresAt, fromAmount and toAmount
+     */
+    async previewTrade(fromAsset, toAsset, amount, unit, portfolioId = null) {
+        return this.post('/api/trades/preview', { fromAsset, toAsset, amount, unit, portfolioId });
+    }
+
+    /**
+     * Execute a previewed trade at its quoted amounts
+     * @param {string} quoteId - quoteId from previewTrade
+     * @returns {Promise<Object>} Trade result; fails with code QUOTE_EXPIRED once the quote runs out
+     */
+    async executeQuote(quoteId) {
+        return this.post('/api/trades/execute', { quoteId });
     }
 
     /**
      * Get trade history
+     * @param {number|null} portfolioId - Portfolio ID (default portfolio when omitted)
      * @returns {Promise<Array>} Array of trades
      */
-    async getTradeHistory() {
-        return this.get('/api/trades/history');
+    async getTradeHistory(portfolioId = null) {
+        return this.get(`/api/trades/history${this.portfolioQuery(portfolioId)}`);
+    }
+
+    /**
+     * Place a limit or stop order
+     * @param {Object} order - { side, orderType, assetSymbol, amount, unit, triggerPriceSats, portfolioId }
+     * @returns {Promise<Object>} Placed order
+     */
+    async placeOrder(order) {
+        return this.post('/api/trades/orders', order);
+    }
+
+    /**
+     * Get limit and stop orders
+     * @param {string} [status] - Optional status filter ('open'|'filled'|'cancelled'|'failed')
+     * @returns {Promise<Object>} Orders list
+     */
+    async getOrders(status) {
+        return this.get(status ? `/api/trades/orders?status=${status}` : '/api/trades/orders');
+    }
+
+    /**
+     * Cancel an open order
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Object>} Cancelled order
+     */
+    async cancelOrder(orderId) {
+        return this.delete(`/api/trades/orders/${orderId}`);
+    }
+
+    // ===== ACHIEVEMENT API METHODS =====
+
+    /**
+     * Get all achievement definitions
+     * @returns {Promise<Object>} Achievements list
+     */
+    async getAchievements() {
+        return this.get('/api/achievements');
+    }
+
+    /**
+     * Get current user's achievements with earned state
+     * @returns {Promise<Object>} Achievements list with earned/earnedAt
+     */
+    async getMyAchievements() {
+        return this.get('/api/users/me/achievements');
+    }
+
+    /**
+     * Mark an educational article as completed
+     * @param {string} contentId - Article id (e.g. 'why-bitcoin')
+     * @returns {Promise<Object>} Progress and newly earned achievements
+     */
+    async completeEducation(contentId) {
+        return this.post(`/api/users/me/education/${contentId}/complete`);
+    }
+
+    /**
+     * Download everything stored about the current user
+     * @returns {Promise<Object>} Export bundle (profile, portfolios, trades, purchases, ...)
+     */
+    async exportMyData() {
+        return this.get('/api/users/me/export');
+    }
+
+    /**
+     * Ask for a confirmation link to delete the current user's account
+     * @returns {Promise<Object>} { message, expiresAt }
+     */
+    async requestAccountDeletion() {
+        return this.delete('/api/users/me');
+    }
+
+    /**
+     * Delete the current user's account
+     * @param {string} token - Token from the deletion confirmation link
+     * @returns {Promise<Object>} { message, removed }
+     */
+    async confirmAccountDeletion(token) {
+        return this.delete('/api/users/me', { body: JSON.stringify({ token }) });
+    }
+
+    // ===== LEADERBOARD API METHODS =====
+
+    /**
+     * Get public users ranked by sats performance against holding 1 BTC
+     * @param {string} period - One of 7d, 30d, 1y, all
+     * @returns {Promise<Object>} Period, baseline and ranked entries
+     */
+    async getLeaderboard(period = 'all') {
+        return this.get(`/api/leaderboard?period=${period}`);
+    }
+
+    // ===== SET & FORGET API METHODS =====
+
+    /**
+     * Backtest Set & Forget allocations against stored daily prices
+     * @param {Array} allocations - [{ asset_symbol, allocation_percentage }]
+     * @param {string} startDate - First day of the replay (YYYY-MM-DD)
+     * @param {string} rebalancePolicy - never, quarterly, yearly or drift (optional)
+     * @param {number} rebalanceThreshold - Drift threshold in percentage points (optional)
+     * @returns {Promise<Object>} Equity curve in sats, max drawdown, rebalance dates and final ratio against 1 BTC
+     */
+    async backtestSetForget(allocations, startDate, rebalancePolicy, rebalanceThreshold) {
+        return this.post('/api/set-forget-portfolios/backtest', {
+            allocations,
+            start_date: startDate,
+            rebalance_policy: rebalancePolicy,
+            rebalance_threshold: rebalanceThreshold
+        });
+    }
+
+    // ===== DCA PLAN API METHODS =====
+
+    /**
+     * List the user's recurring DCA plans
+     * @returns {Promise<Object>} Plans with their latest runs
+     */
+    async getDcaPlans() {
+        return this.get('/api/dca');
+    }
+
+    /**
+     * Get a DCA plan with its run history
+     * @param {number} planId - Plan ID
+     * @returns {Promise<Object>} Plan with runs
+     */
+    async getDcaPlan(planId) {
+        return this.get(`/api/dca/${planId}`);
+    }
+
+    /**
+     * Create a recurring DCA plan
+     * @param {Object} plan - { assetSymbol, amountSats, frequency, startAt, portfolioId }
+     * @returns {Promise<Object>} Created plan
+     */
+    async createDcaPlan(plan) {
+        return this.post('/api/dca', plan);
+    }
+
+    /**
+     * Update a DCA plan's amount or frequency, or pause/resume it
+     * @param {number} planId - Plan ID
+     * @param {Object} changes - { amountSats, frequency, isActive }
+     * @returns {Promise<Object>} Updated plan
+     */
+    async updateDcaPlan(planId, changes) {
+        return this.put(`/api/dca/${planId}`, changes);
+    }
+
+    /**
+     * Delete a DCA plan
+     * @param {number} planId - Plan ID
+     * @returns {Promise<Object>} Confirmation message
+     */
+    async deleteDcaPlan(planId) {
+        return this.delete(`/api/dca/${planId}`);
+    }
+
+    // ===== COMPETITION API METHODS =====
+
+    /**
+     * List trading competitions
+     * @param {string} status - Optional status filter (upcoming, open, active, ended, finished)
+     * @returns {Promise<Object>} Competitions list
+     */
+    async getCompetitions(status = null) {
+        return this.get(status ? `/api/competitions?status=${status}` : '/api/competitions');
+    }
+
+    /**
+     * Get a competition with its allowed assets
+     * @param {number} competitionId - Competition ID
+     * @returns {Promise<Object>} Competition details
+     */
+    async getCompetition(competitionId) {
+        return this.get(`/api/competitions/${competitionId}`);
+    }
+
+    /**
+     * Join a competition
+     * @param {number} competitionId - Competition ID
+     * @returns {Promise<Object>} Participant entry
+     */
+    async joinCompetition(competitionId) {
+        return this.post(`/api/competitions/${competitionId}/join`);
+    }
+
+    /**
+     * Get the current user's competition portfolio
+     * @param {number} competitionId - Competition ID
+     * @returns {Promise<Object>} Holdings, value and trades
+     */
+    async getCompetitionPortfolio(competitionId) {
+        return this.get(`/api/competitions/${competitionId}/portfolio`);
+    }
+
+    /**
+     * Trade inside a competition
+     * @param {number} competitionId - Competition ID
+     * @param {Object} tradeData - { fromAsset, toAsset, amount, unit }
+     * @returns {Promise<Object>} Trade result
+     */
+    async executeCompetitionTrade(competitionId, tradeData) {
+        return this.post(`/api/competitions/${competitionId}/trades`, tradeData);
+    }
+
+    /**
+     * Get competition standings
+     * @param {number} competitionId - Competition ID
+     * @returns {Promise<Object>} Ranked standings
+     */
+    async getCompetitionStandings(competitionId) {
+        return this.get(`/api/competitions/${competitionId}/standings`);
+    }
+
+    // ===== ADMIN API METHODS =====
+
+    /**
+     * Get admin dashboard statistics
+     * @returns {Promise<Object>} User, portfolio, trade, suggestion and price freshness stats
+     */
+    async getAdminDashboard() {
+        return this.get('/api/admin/dashboard');
+    }
+
+    /**
+     * Get server environment and database counts
+     * @returns {Promise<Object>} System information
+     */
+    async getAdminSystemInfo() {
+        return this.get('/api/admin/system');
+    }
+
+    /**
+     * Get recent signups, trades and suggestions
+     * @param {number} days - Lookback window in days (1-30)
+     * @returns {Promise<Object>} Recent activity
+     */
+    async getAdminActivity(days = 7) {
+        return this.get(`/api/admin/activity?days=${days}`);
+    }
+
+    /**
+     * List users for administration
+     * @param {Object} params - { page, limit, search, isAdmin }
+     * @returns {Promise<Object>} Users with default portfolio values and pagination
+     */
+    async getAdminUsers(params = {}) {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+        return this.get(query ? `/api/admin/users?${query}` : '/api/admin/users');
+    }
+
+    /**
+     * Get a user's login sessions and activity timeline
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { lastLoginAt, sessions, timeline }
+     */
+    async getAdminUserActivity(userId) {
+        return this.get(`/api/admin/users/${userId}/activity`);
+    }
+
+    /**
+     * Diff a user's holdings and purchases against a replay of their trades
+     * @param {number} userId - User ID
+     * @param {Object} options - { dryRun, portfolioId } - dryRun false applies the replay
+     * @returns {Promise<Object>} { dryRun, applied, portfolios, summary }
+     */
+    async rebuildUserPortfolios(userId, { dryRun = true, portfolioId } = {}) {
+        const query = new URLSearchParams({ dryRun: String(dryRun) });
+        if (portfolioId) {
+            query.set('portfolioId', portfolioId);
+        }
+        return this.post(`/api/admin/users/${userId}/rebuild?${query}`);
+    }
+
+    /**
+     * Get a read-only, time-limited token to view the app as a user
+     * @param {number} userId - User ID
+     * @param {string} reason - Why the admin needs to view as this user
+     * @returns {Promise<Object>} { token, impersonation, user }
+     */
+    async impersonateUser(userId, reason) {
+        return this.post(`/api/admin/users/${userId}/impersonate`, { reason });
+    }
+
+    /**
+     * End an impersonation session early
+     * @param {number} impersonationId - Impersonation session ID
+     * @returns {Promise<Object>} Ended session
+     */
+    async endImpersonation(impersonationId) {
+        return this.post(`/api/admin/impersonations/${impersonationId}/end`);
+    }
+
+    /**
+     * Get the admin audit log
+     * @param {Object} params - { page, limit, actorUserId, action, targetType, targetId, from, to }
+     * @returns {Promise<Object>} { entries, actions, targetTypes, pagination }
+     */
+    async getAdminAuditLog(params = {}) {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+        return this.get(query ? `/api/admin/audit-log?${query}` : '/api/admin/audit-log');
+    }
+
+    /**
+     * Promote a user to admin
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Updated user
+     */
+    async promoteUser(userId) {
+        return this.post(`/api/admin/users/${userId}/promote`);
+    }
+
+    /**
+     * Demote a user from admin
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Updated user
+     */
+    async demoteUser(userId) {
+        return this.post(`/api/admin/users/${userId}/demote`);
     }
 
     // ===== SUGGESTIONS API METHODS =====
@@ -2,11 +2,20 @@
  * Frontend authentication service
  * Manages user authentication state, login/logout, and admin permissions
  */
+
+import { isPasskeySupported, createPasskey, getPasskey } from '../utils/webauthn.js';
+
 class AuthService {
     constructor(apiClient, notificationService = null) {
         this.apiClient = apiClient;
         this.notificationService = notificationService;
-        this.token = localStorage.getItem('token');
+        // The access token only lives in memory; a reload restores it from the refresh cookie
+        this.token = null;
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+        // Long-lived tokens from before refresh tokens existed
+        localStorage.removeItem('token');
+        localStorage.removeItem('impersonatorToken');
         // Robustly parse stored user, guarding against string "undefined"/"null" and invalid JSON
         const rawUser = localStorage.getItem('user');
         if (rawUser && rawUser !== 'undefined' && rawUser !== 'null') {
@@ -21,8 +30,19 @@ class AuthService {
             this.user = {};
         }
 
+        // Admin "view as user" session, if one is active
+        const rawImpersonation = localStorage.getItem('impersonation');
+        try {
+            this.impersonation = rawImpersonation ? JSON.parse(rawImpersonation) : null;
+        } catch (e) {
+            this.impersonation = null;
+            localStorage.removeItem('impersonation');
+        }
+
         // Event listeners for auth state changes (service-level)
         this.authStateListeners = [];
+
+        this.apiClient.setTokenRefresher(() => this.refreshAccessToken());
     }
 
     /**
@@ -91,6 +111,14 @@ class AuthService {
         return this.user && (this.user.isAdmin || this.user.is_admin);
     }
 
+    /**
+     * Check if an admin is currently viewing the app as another user
+     * @returns {boolean} Impersonation status
+     */
+    isImpersonating() {
+        return !!this.impersonation;
+    }
+
     /**
      * Get current user data
      * @returns {Object} User object
@@ -115,7 +143,7 @@ class AuthService {
      */
     async requestMagicLink(email, username = null) {
         try {
-            const data = await this.apiClient.requestMagicLink(email, username);
+            const data = await this.apiClient.requestMagicLink(email, username, localStorage.getItem('language') || 'en');
             console.log('🔍 Magic link response:', data);
             console.log('🔍 Data structure:', JSON.stringify(data, null, 2));
 
@@ -216,10 +244,7 @@ class AuthService {
             }
 
             // Store authentication data
-            this.token = payload.token;
-            this.user = payload.user;
-            localStorage.setItem('token', this.token);
-            localStorage.setItem('user', JSON.stringify(this.user));
+            this.applySession(payload);
 
             // Update nav/UI immediately
             this.updateNavigationAuthState(true);
@@ -243,6 +268,204 @@ class AuthService {
         }
     }
 
+    /**
+     * Whether passkey buttons should be offered in this browser
+     * @returns {boolean}
+     */
+    isPasskeySupported() {
+        return isPasskeySupported();
+    }
+
+    /**
+     * Sign in with a passkey - no email round-trip
+     * @returns {Promise<boolean>} True if signed in, false if the user cancelled the prompt
+     */
+    async loginWithPasskey() {
+        try {
+            const { options, challengeToken } = await this.apiClient.getPasskeyLoginOptions();
+            const assertion = await getPasskey(options);
+            const payload = await this.apiClient.loginWithPasskey(assertion, challengeToken);
+
+            this.applySession(payload);
+            this.updateNavigationAuthState(true);
+            this.notifyAuthStateChange({
+                isAuthenticated: true,
+                user: this.user,
+                isAdmin: this.isCurrentUserAdmin()
+            });
+
+            window.location.hash = '#portfolio';
+            return true;
+        } catch (error) {
+            // Closing the browser prompt is not an error worth showing
+            if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
+                return false;
+            }
+            console.error('Passkey login error:', error);
+            this.notificationService?.showMessage(error.message, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Add a passkey for this device to the signed-in account
+     * @param {string} name - Label shown in the passkey list
+     * @returns {Promise<Object|null>} The new passkey, or null if cancelled or failed
+     */
+    async registerPasskey(name = '') {
+        try {
+            const { options, challengeToken } = await this.apiClient.getPasskeyRegistrationOptions();
+            const credential = await createPasskey(options);
+            const { passkey } = await this.apiClient.registerPasskey(credential, challengeToken, name);
+
+            this.notificationService?.showMessage('Passkey added - you can now sign in without an email link', 'success');
+            return passkey;
+        } catch (error) {
+            if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
+                return null;
+            }
+            // InvalidStateError: this authenticator already holds a passkey for the account
+            const message = error.name === 'InvalidStateError'
+                ? 'This device already has a passkey for your account'
+                : error.message;
+            console.error('Passkey registration error:', error);
+            this.notificationService?.showMessage(message, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Use a freshly issued access token and schedule its renewal
+     * @param {Object} session - { token, expiresAt, user }
+     */
+    applySession({ token, expiresAt, user }) {
+        this.setToken(token);
+        this.user = user;
+        localStorage.setItem('user', JSON.stringify(this.user));
+        this.scheduleRefresh(expiresAt);
+    }
+
+    /**
+     * @param {string|null} token - Access token for API requests
+     */
+    setToken(token) {
+        this.token = token || null;
+        this.apiClient.setAccessToken(this.token);
+    }
+
+    /**
+     * Renew the access token a minute before it expires
+     * @param {string} expiresAt - Access token expiry (ISO date)
+     */
+    scheduleRefresh(expiresAt) {
+        clearTimeout(this.refreshTimer);
+        if (!expiresAt) {
+            return;
+        }
+
+        const delay = Math.max(new Date(expiresAt).getTime() - Date.now() - 60 * 1000, 5 * 1000);
+        this.refreshTimer = setTimeout(() => this.refreshAccessToken(), delay);
+    }
+
+    /**
+     * Get a new access token from the refresh cookie
+     * Concurrent callers share one request, since each refresh token can only be used once
+     * @returns {Promise<boolean>} True if the session is still valid
+     */
+    refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Exchange the refresh cookie, once more if another tab rotated it first
+     * The browser then already holds that tab's new cookie, so the second try uses it
+     * @returns {Promise<Object>} { token, expiresAt, user }
+     */
+    async requestRefresh() {
+        try {
+            return await this.apiClient.refreshSession();
+        } catch (error) {
+            if (error.code === 'REFRESH_TOKEN_ROTATED') {
+                return this.apiClient.refreshSession();
+            }
+            throw error;
+        }
+    }
+
+    async performRefresh() {
+        // Impersonation tokens cannot be refreshed - an expired one ends the impersonation
+        const wasImpersonating = this.isImpersonating();
+        if (wasImpersonating) {
+            this.restoreImpersonator();
+        }
+
+        try {
+            const payload = await this.requestRefresh();
+            this.applySession(payload);
+
+            if (wasImpersonating) {
+                this.notifyAuthStateChange({
+                    isAuthenticated: true,
+                    user: this.user,
+                    isAdmin: this.isCurrentUserAdmin()
+                });
+                window.location.hash = '#admin';
+            }
+
+            // Never replay a request made as the impersonated user with the admin's token
+            return !wasImpersonating;
+        } catch (error) {
+            const wasSignedIn = Boolean(this.user.email);
+            this.clearLocalSession();
+
+            if (wasSignedIn) {
+                this.updateNavigationAuthState(false);
+                this.notifyAuthStateChange({ isAuthenticated: false, user: null, isAdmin: false });
+                this.notificationService?.showMessage('Your session has ended. Please log in again.', 'info');
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Restore the session on page load from the refresh cookie
+     * An impersonation in progress in this tab is picked up from sessionStorage instead
+     * @returns {Promise<boolean>} True if signed in
+     */
+    async restoreSession() {
+        if (this.token) {
+            return true;
+        }
+
+        if (this.impersonation) {
+            const impersonationToken = sessionStorage.getItem('impersonationToken');
+            if (impersonationToken) {
+                this.setToken(impersonationToken);
+                return true;
+            }
+            // Impersonation started in another tab or a closed one - back to the admin's session
+            this.restoreImpersonator();
+        }
+
+        if (!this.user.email) {
+            return false;
+        }
+
+        try {
+            const payload = await this.requestRefresh();
+            this.applySession(payload);
+            return true;
+        } catch (error) {
+            this.clearLocalSession();
+            return false;
+        }
+    }
+
     /**
      * Check if user exists by email
      * @param {string} email - User email
@@ -253,14 +476,163 @@ class AuthService {
     }
 
     /**
-     * Log out current user
+     * View the app as another user with a read-only token (admin only)
+     * The admin's own token is kept aside and restored by stopImpersonation()
+     * @param {number} userId - User to view as
+     * @param {string} reason - Why the admin needs to view as this user
+     * @returns {Promise<Object>} Impersonation details
      */
-    logout() {
-        // Clear stored data
-        localStorage.removeItem('token');
+    async startImpersonation(userId, reason) {
+        const data = await this.apiClient.impersonateUser(userId, reason);
+
+        localStorage.setItem('impersonatorUser', JSON.stringify(this.user));
+
+        // The admin's own session stays in the refresh cookie; the read-only token is per tab
+        clearTimeout(this.refreshTimer);
+        this.setToken(data.token);
+        sessionStorage.setItem('impersonationToken', data.token);
+        this.user = { ...data.user, readOnly: true };
+        this.impersonation = { ...data.impersonation, username: data.user.username };
+        localStorage.setItem('user', JSON.stringify(this.user));
+        localStorage.setItem('impersonation', JSON.stringify(this.impersonation));
+
+        this.updateImpersonationBanner();
+        this.notifyAuthStateChange({
+            isAuthenticated: true,
+            user: this.user,
+            isAdmin: false
+        });
+
+        window.location.hash = '#portfolio';
+        return this.impersonation;
+    }
+
+    /**
+     * Return to the admin's own session and end the impersonation server-side
+     */
+    async stopImpersonation() {
+        if (!this.impersonation) {
+            return;
+        }
+
+        const impersonationId = this.impersonation.id;
+
+        try {
+            // Still sent with the impersonation token
+            await this.apiClient.endImpersonation(impersonationId);
+        } catch (error) {
+            // The token expires on its own shortly anyway
+            console.error('Failed to end impersonation session:', error);
+        }
+
+        // An expired impersonation token has already been swapped back by the refresher
+        if (this.impersonation) {
+            this.restoreImpersonator();
+            await this.refreshAccessToken();
+        }
+
+        this.notifyAuthStateChange({
+            isAuthenticated: this.isAuthenticated(),
+            user: this.user,
+            isAdmin: this.isCurrentUserAdmin()
+        });
+
+        window.location.hash = '#admin';
+    }
+
+    /**
+     * Put the admin's own user back; their access token comes from the next refresh
+     */
+    restoreImpersonator() {
+        this.setToken(null);
+        try {
+            this.user = JSON.parse(localStorage.getItem('impersonatorUser')) || {};
+        } catch (e) {
+            this.user = {};
+        }
+        this.impersonation = null;
+
+        localStorage.setItem('user', JSON.stringify(this.user));
+        localStorage.removeItem('impersonatorUser');
+        localStorage.removeItem('impersonation');
+        sessionStorage.removeItem('impersonationToken');
+
+        this.updateImpersonationBanner();
+    }
+
+    /**
+     * Show or hide the "viewing as" banner
+     */
+    updateImpersonationBanner() {
+        const banner = document.getElementById('impersonationBanner');
+        if (!banner) {
+            return;
+        }
+
+        if (!this.impersonation) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const username = document.getElementById('impersonationUsername');
+        if (username) {
+            username.textContent = this.impersonation.username;
+        }
+
+        const exitBtn = document.getElementById('exitImpersonationBtn');
+        if (exitBtn) {
+            exitBtn.onclick = () => this.stopImpersonation();
+        }
+
+        banner.classList.remove('hidden');
+    }
+
+    /**
+     * Forget the signed-in user in this browser without contacting the server
+     */
+    clearLocalSession() {
+        clearTimeout(this.refreshTimer);
         localStorage.removeItem('user');
-        this.token = null;
+        localStorage.removeItem('impersonatorUser');
+        localStorage.removeItem('impersonation');
+        sessionStorage.removeItem('impersonationToken');
+        this.setToken(null);
         this.user = {};
+        this.impersonation = null;
+        this.updateImpersonationBanner();
+    }
+
+    /**
+     * Log out current user and end this browser's session on the server
+     */
+    async logout() {
+        try {
+            await this.apiClient.logout();
+        } catch (error) {
+            // Local logout still goes ahead; the session expires on its own
+            console.error('Server logout failed:', error);
+        }
+
+        this.signedOut();
+    }
+
+    /**
+     * Sign out of every device, including this one
+     * @returns {Promise<number>} Number of sessions ended
+     */
+    async logoutEverywhere() {
+        const result = await this.apiClient.logoutEverywhere();
+
+        this.signedOut();
+        this.notificationService?.showMessage('Signed out of all devices', 'success');
+        return result?.revokedSessions || 0;
+    }
+
+    /**
+     * Clear local state and show the signed-out UI
+     */
+    signedOut() {
+        this.clearLocalSession();
 
         // Update navigation state
         this.updateNavigationAuthState(false);
@@ -317,6 +689,34 @@ class AuthService {
         }
     }
 
+    /**
+     * Delete the signed-in user's account from a deletion confirmation link
+     * The link only works in the browser that is signed in to that account
+     * @param {string} token - Token from the confirmation link
+     * @returns {Promise<boolean>} True if the account was deleted
+     */
+    async confirmAccountDeletion(token) {
+        if (!this.isAuthenticated()) {
+            this.notificationService?.showMessage('Log in to the account first, then open the deletion link again', 'error');
+            return false;
+        }
+
+        if (!window.confirm('Permanently delete your account and all of its portfolios? This cannot be undone.')) {
+            return false;
+        }
+
+        try {
+            await this.apiClient.confirmAccountDeletion(token);
+            this.signedOut();
+            this.notificationService?.showMessage('Your account has been deleted', 'success');
+            return true;
+        } catch (error) {
+            console.error('Account deletion error:', error);
+            this.notificationService?.showMessage(error.message, 'error');
+            return false;
+        }
+    }
+
     /**
      * Initialize authentication state from URL token (magic link)
      * @returns {Promise<boolean>} True if token was processed
@@ -324,6 +724,16 @@ class AuthService {
     async initializeFromUrlToken() {
         const urlParams = new URLSearchParams(window.location.search);
         const urlToken = urlParams.get('token');
+        const deleteAccountToken = urlParams.get('deleteAccountToken');
+
+        if (deleteAccountToken) {
+            const url = new URL(window.location);
+            url.searchParams.delete('deleteAccountToken');
+            window.history.replaceState({}, document.title, url.toString());
+
+            await this.confirmAccountDeletion(deleteAccountToken);
+            return false;
+        }
 
         if (urlToken) {
             try {
@@ -352,6 +762,7 @@ class AuthService {
 
         // Update navigation
         this.updateNavigationAuthState(isAuthenticated);
+        this.updateImpersonationBanner();
 
         // Notify initial state to listeners
         this.notifyAuthStateChange({
@@ -181,6 +181,16 @@ class NotificationService {
         this.showNotification(message, 'info', autoHideMs);
     }
 
+    /**
+     * Announce newly earned achievements, one queued notification each
+     * @param {Array<{name:string,icon:string}>} achievements - Achievements returned by the API
+     */
+    showAchievements(achievements = []) {
+        achievements.forEach(achievement => {
+            this.queueNotification(`🏆 Achievement unlocked: ${achievement.name}`, 'success', 5000);
+        });
+    }
+
     /**
      * Queue a notification to be shown after current one
      * @param {string} message - Notification message
@@ -15,8 +15,25 @@ class PortfolioService {
         // Portfolio baseline: always compare against 1 BTC (100M satoshis)
         this.PORTFOLIO_BASELINE_SATS = 100000000;
 
+        // Selected portfolio (null = the user's default portfolio)
+        const savedPortfolioId = parseInt(localStorage.getItem('activePortfolioId'));
+        this.activePortfolioId = Number.isInteger(savedPortfolioId) ? savedPortfolioId : null;
+        this.portfolios = [];
+
         // Portfolio state listeners
         this.portfolioListeners = [];
+
+        // Live update stream; polling pauses while it is connected
+        this.stream = null;
+    }
+
+    /**
+     * Reload holdings and trades when the stream reports a trade, filled order or rebuild
+     * @param {StreamService} streamService - Connected or connecting stream
+     */
+    attachStream(streamService) {
+        this.stream = streamService;
+        streamService.on('portfolio', () => this.loadUserPortfolio());
     }
 
     /**
@@ -76,13 +93,55 @@ class PortfolioService {
         return this.tradeHistory;
     }
 
+    /**
+     * Get the selected portfolio ID
+     * @returns {number|null} Portfolio ID, or null for the default portfolio
+     */
+    getActivePortfolioId() {
+        return this.activePortfolioId;
+    }
+
+    /**
+     * Switch to another portfolio and reload its holdings and trades
+     * @param {number|null} portfolioId - Portfolio ID, or null for the default portfolio
+     * @returns {Promise<Object>} Portfolio and trades of the selected portfolio
+     */
+    setActivePortfolio(portfolioId) {
+        this.activePortfolioId = portfolioId ? parseInt(portfolioId) : null;
+
+        if (this.activePortfolioId) {
+            localStorage.setItem('activePortfolioId', String(this.activePortfolioId));
+        } else {
+            localStorage.removeItem('activePortfolioId');
+        }
+
+        return this.loadUserPortfolio();
+    }
+
+    /**
+     * Load the user's portfolios
+     * Falls back to the default portfolio if the selected one no longer exists
+     * @returns {Promise<Array>} Portfolios with current values
+     */
+    async loadPortfolios() {
+        const resp = await this.apiClient.getPortfolios();
+        this.portfolios = resp?.portfolios || [];
+
+        if (this.activePortfolioId && !this.portfolios.some(p => p.id === this.activePortfolioId)) {
+            this.activePortfolioId = null;
+            localStorage.removeItem('activePortfolioId');
+        }
+
+        return this.portfolios;
+    }
+
     /**
      * Load portfolio data from API
      * @returns {Promise<Object>} Portfolio data
      */
     async loadPortfolio() {
         try {
-            const data = await this.apiClient.getPortfolio();
+            const data = await this.apiClient.getPortfolio(this.activePortfolioId);
 
             // Store holdings for use in dropdown updates
             this.holdings = data.holdings || [];
@@ -106,7 +165,7 @@ class PortfolioService {
      */
     async loadTradeHistory() {
         try {
-            const resp = await this.apiClient.getTradeHistory();
+            const resp = await this.apiClient.getTradeHistory(this.activePortfolioId);
             const rawTrades = Array.isArray(resp) ? resp : (resp?.trades || []);
 
             // Normalize trade objects for UI components expecting snake_case
@@ -148,7 +207,7 @@ class PortfolioService {
      */
     async getAssetDetails(symbol) {
         try {
-            return await this.apiClient.getAssetDetails(symbol);
+            return await this.apiClient.getAssetDetails(symbol, this.activePortfolioId);
         } catch (error) {
             console.error(`Failed to load asset details for ${symbol}:`, error);
             throw error;
@@ -457,14 +516,18 @@ class PortfolioService {
             // Support object-style payload for backward compatibility
             if (typeof fromAsset === 'object' && fromAsset !== null) {
                 const data = fromAsset;
-                return await this.apiClient.executeTrade(data.fromAsset, data.toAsset, data.amount, data.unit);
+                const result = await this.apiClient.executeTrade(data.fromAsset, data.toAsset, data.amount, data.unit, this.activePortfolioId);
+                this.notificationService?.showAchievements(result?.newAchievements);
+                return result;
             }
 
-            const result = await this.apiClient.executeTrade(fromAsset, toAsset, amount, unit);
+            const result = await this.apiClient.executeTrade(fromAsset, toAsset, amount, unit, this.activePortfolioId);
 
             // Reload portfolio after successful trade
             await this.loadPortfolio();
 
+            this.notificationService?.showAchievements(result?.newAchievements);
+
             return result;
         } catch (error) {
             console.error('Trade execution failed:', error);
@@ -475,6 +538,35 @@ class PortfolioService {
         }
     }
 
+    /**
+     * Quote a trade; its amounts hold until the quote expires, in the portfolio it was quoted for
+     * @param {string} fromAsset - Source asset symbol
+     * @param {string} toAsset - Target asset symbol
+     * @param {number|string} amount - Amount to trade (raw, paired with unit)
+     * @param {string} unit - Unit of amount ('btc'|'sat'|'ksat'|'msat'|'asset')
+     * @param {number|null} portfolioId - Portfolio to trade in (default: the active one)
+     * @returns {Promise<Object>} Quote with quoteId, expiresInSeconds, fromAmount and toAmount
+     */
+    async requestTradeQuote(fromAsset, toAsset, amount, unit, portfolioId = this.activePortfolioId) {
+        return this.apiClient.previewTrade(fromAsset, toAsset, amount, unit, portfolioId);
+    }
+
+    /**
+     * Execute a quoted trade at its quoted amounts
+     * @param {string} quoteId - quoteId from requestTradeQuote
+     * @returns {Promise<Object>} Trade result; rejects with code QUOTE_EXPIRED when the quote ran out
+     */
+    async executeQuote(quoteId) {
+        const result = await this.apiClient.executeQuote(quoteId);
+
+        // Reload portfolio after successful trade
+        await this.loadPortfolio();
+
+        this.notificationService?.showAchievements(result?.newAchievements);
+
+        return result;
+    }
+
     /**
      * Get portfolio baseline in satoshis
      * @returns {number} Baseline amount in satoshis
@@ -493,6 +585,9 @@ class PortfolioService {
 
         // Set up periodic refresh
         this.updateInterval = setInterval(async () => {
+            if (this.stream?.isConnected()) {
+                return;
+            }
             try {
                 await this.loadPortfolio();
             } catch (error) {
@@ -526,6 +621,9 @@ class PortfolioService {
         console.log('🧹 Clearing portfolio data');
         this.holdings = [];
         this.tradeHistory = [];
+        this.portfolios = [];
+        this.activePortfolioId = null;
+        localStorage.removeItem('activePortfolioId');
         this.notifyPortfolioChange({
             holdings: [],
             totalValueSats: 0,
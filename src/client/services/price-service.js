@@ -18,6 +18,50 @@ class PriceService {
 
         // Price change listeners
         this.priceListeners = [];
+
+        // Live update stream; polling pauses while it is connected
+        this.stream = null;
+    }
+
+    /**
+     * Take price updates from the live stream instead of waiting for the next poll
+     * @param {StreamService} streamService - Connected or connecting stream
+     */
+    attachStream(streamService) {
+        this.stream = streamService;
+        streamService.on('prices', ({ prices }) => this.applyStreamedPrices(prices));
+    }
+
+    /**
+     * Merge a streamed batch of USD prices and recompute satoshi prices
+     * @param {Object} prices - { SYMBOL: { usd, source, lastUpdated } }
+     */
+    applyStreamedPrices(prices) {
+        const pricesUsd = { ...this.pricesUsd };
+        Object.entries(prices || {}).forEach(([symbol, info]) => {
+            if (typeof info?.usd === 'number' && info.usd > 0) {
+                pricesUsd[symbol] = info.usd;
+            }
+        });
+
+        if (typeof pricesUsd.BTC === 'number') {
+            this.btcPrice = pricesUsd.BTC;
+        }
+
+        // Satoshi prices depend on BTC, so recompute them all rather than only the changed symbols
+        const pricesInSats = { ...this.prices };
+        Object.entries(pricesUsd).forEach(([symbol, usd]) => {
+            pricesInSats[symbol] = Math.round((usd / this.btcPrice) * 100000000);
+        });
+
+        this.prices = pricesInSats;
+        this.pricesUsd = pricesUsd;
+
+        this.notifyPriceChange({
+            pricesInSats: this.prices,
+            pricesUsd: this.pricesUsd,
+            btcPrice: this.btcPrice
+        });
     }
 
     /**
@@ -223,6 +267,9 @@ class PriceService {
         const interval = intervalMs || this.refreshIntervalMs;
 
         this.priceRefreshInterval = setInterval(async () => {
+            if (this.stream?.isConnected()) {
+                return;
+            }
             try {
                 await this.loadPrices();
             } catch (error) {
@@ -0,0 +1,186 @@
+/**
+ * Frontend live update stream
+ * Holds one server-sent events connection to /api/stream and fans its events out to services.
+ * Uses fetch rather than EventSource so the access token travels in the Authorization header.
+ */
+class StreamService {
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+        this.listeners = new Map();
+        this.controller = null;
+        this.connected = false;
+        this.reconnectTimer = null;
+        this.retryMs = 5000;
+        this.maxRetryMs = 60000;
+        this.attempts = 0;
+    }
+
+    /**
+     * Subscribe to a stream event ('prices', 'portfolio', 'ready')
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the parsed event data
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.listeners.get(event)?.delete(listener);
+    }
+
+    emit(event, data) {
+        this.listeners.get(event)?.forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`Error in stream ${event} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Whether updates are currently arriving over the stream - polling can pause while true
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.connected;
+    }
+
+    /**
+     * Open the stream; signed-in users also get their portfolio events
+     */
+    connect() {
+        if (this.controller || typeof ReadableStream === 'undefined') {
+            return;
+        }
+
+        this.controller = new AbortController();
+        this.run(this.controller).catch(error => {
+            if (error.name !== 'AbortError') {
+                console.warn('Live update stream dropped:', error.message);
+            }
+        }).finally(() => this.handleClosed());
+    }
+
+    /**
+     * Close the stream without reconnecting
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        const controller = this.controller;
+        this.controller = null;
+        this.setConnected(false);
+        controller?.abort();
+    }
+
+    /**
+     * Reopen the stream, e.g. after login or logout so it carries the current identity
+     */
+    reconnect() {
+        this.disconnect();
+        this.attempts = 0;
+        this.connect();
+    }
+
+    async run(controller) {
+        let response = await fetch('/api/stream', {
+            headers: { Accept: 'text/event-stream', ...this.apiClient.getAuthHeaders() },
+            signal: controller.signal
+        });
+
+        // Expired access token: refresh once and open the stream with the new one
+        if (response.status === 401 && this.apiClient.tokenRefresher && await this.apiClient.tokenRefresher()) {
+            response = await fetch('/api/stream', {
+                headers: { Accept: 'text/event-stream', ...this.apiClient.getAuthHeaders() },
+                signal: controller.signal
+            });
+        }
+
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) {
+                return;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary = buffer.indexOf('\n\n');
+            while (boundary !== -1) {
+                this.handleMessage(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+                boundary = buffer.indexOf('\n\n');
+            }
+        }
+    }
+
+    /**
+     * Parse one SSE message block
+     * @param {string} block - Lines of one message
+     */
+    handleMessage(block) {
+        let event = 'message';
+        const data = [];
+
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).trim());
+            } else if (line.startsWith('retry:')) {
+                this.retryMs = parseInt(line.slice(6), 10) || this.retryMs;
+            }
+        });
+
+        if (data.length === 0) {
+            return;
+        }
+
+        if (event === 'ready') {
+            this.attempts = 0;
+            this.setConnected(true);
+        }
+
+        try {
+            this.emit(event, JSON.parse(data.join('\n')));
+        } catch (error) {
+            console.warn(`Ignoring malformed stream ${event} event`);
+        }
+    }
+
+    handleClosed() {
+        // disconnect() already cleared the controller - nothing to reopen
+        if (!this.controller) {
+            return;
+        }
+
+        this.controller = null;
+        this.setConnected(false);
+
+        // The server closes signed-in streams when their token expires - reopen after a second
+        // the first time, then back off while the server stays unreachable
+        const delay = this.attempts === 0 ? 1000 : Math.min(this.retryMs * 2 ** (this.attempts - 1), this.maxRetryMs);
+        this.attempts += 1;
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) {
+            return;
+        }
+        this.connected = connected;
+        this.emit('status', { connected });
+    }
+}
+
+export { StreamService };
+export default StreamService;
@@ -0,0 +1,101 @@
+/**
+ * WebAuthn helpers for passkeys
+ * The server speaks the JSON form of the WebAuthn options and responses (binary fields as
+ * base64url strings); navigator.credentials wants ArrayBuffers. These convert between the two.
+ */
+
+function base64UrlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+function bufferToBase64Url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Whether this browser can use passkeys at all
+ * @returns {boolean}
+ */
+export function isPasskeySupported() {
+    return typeof window !== 'undefined'
+        && typeof window.PublicKeyCredential === 'function'
+        && !!navigator.credentials;
+}
+
+/**
+ * Create a passkey from server registration options
+ * @param {Object} options - PublicKeyCredentialCreationOptionsJSON
+ * @returns {Promise<Object>} RegistrationResponseJSON for the server
+ */
+export async function createPasskey(options) {
+    const credential = await navigator.credentials.create({
+        publicKey: {
+            ...options,
+            challenge: base64UrlToBuffer(options.challenge),
+            user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+            excludeCredentials: (options.excludeCredentials || []).map(item => ({
+                ...item,
+                id: base64UrlToBuffer(item.id)
+            }))
+        }
+    });
+
+    return {
+        id: credential.id,
+        rawId: bufferToBase64Url(credential.rawId),
+        type: credential.type,
+        authenticatorAttachment: credential.authenticatorAttachment || undefined,
+        clientExtensionResults: credential.getClientExtensionResults(),
+        response: {
+            clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+            attestationObject: bufferToBase64Url(credential.response.attestationObject),
+            transports: credential.response.getTransports ? credential.response.getTransports() : []
+        }
+    };
+}
+
+/**
+ * Sign a login challenge with a passkey the user picks
+ * @param {Object} options - PublicKeyCredentialRequestOptionsJSON
+ * @returns {Promise<Object>} AuthenticationResponseJSON for the server
+ */
+export async function getPasskey(options) {
+    const credential = await navigator.credentials.get({
+        publicKey: {
+            ...options,
+            challenge: base64UrlToBuffer(options.challenge),
+            allowCredentials: (options.allowCredentials || []).map(item => ({
+                ...item,
+                id: base64UrlToBuffer(item.id)
+            }))
+        }
+    });
+
+    return {
+        id: credential.id,
+        rawId: bufferToBase64Url(credential.rawId),
+        type: credential.type,
+        authenticatorAttachment: credential.authenticatorAttachment || undefined,
+        clientExtensionResults: credential.getClientExtensionResults(),
+        response: {
+            clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+            authenticatorData: bufferToBase64Url(credential.response.authenticatorData),
+            signature: bufferToBase64Url(credential.response.signature),
+            userHandle: credential.response.userHandle
+                ? bufferToBase64Url(credential.response.userHandle)
+                : undefined
+        }
+    };
+}
@@ -14,8 +14,23 @@ const OPTIONAL_ENV_VARS = {
     EMAIL_PORT: 587,
     EMAIL_USER: '',
     EMAIL_PASS: '',
+    MAIL_TRANSPORT: '', // smtp, outbox or local - smtp when EMAIL_HOST is set, outbox otherwise
+    MAIL_FROM: '',
+    MAIL_OUTBOX_DIR: 'tmp/mail-outbox',
+    MAIL_LOCAL_PORT: 1025,
+    WEBAUTHN_RP_ID: '', // Passkey relying party - APP_URL's host when empty
+    WEBAUTHN_RP_NAME: 'Measure Everything in Bitcoin',
+    WEBAUTHN_ORIGIN: '', // Comma-separated origins allowed to use passkeys - APP_URL's origin when empty
     COINGECKO_API_KEY: '', // Optional for higher rate limits
+    PRICE_PROVIDER: 'coingecko,yahoo', // Provider chain: yahoo, coingecko, fixture
+    PRICE_FIXTURE_FILE: 'tests/fixtures/prices.json',
     PRICE_UPDATE_INTERVAL: 60000, // 1 minute default
+    TRADE_PRICE_MAX_AGE_SECONDS: 300, // Trades re-quote prices older than this and fail if that is impossible
+    TRADE_QUOTE_TTL_SECONDS: 30, // Seconds a trade preview's quote can be executed
+    ASSET_LOCK_HOURS: 24, // Lock-up after buying an asset, unless a category rule applies
+    ASSET_LOCK_HOURS_BY_CATEGORY: '', // JSON map of asset category (as in ASSET_CATEGORIES) to lock hours
+    ASSET_LOCK_EARLY_EXIT_PENALTY_PERCENT: '', // Empty: locked lots can't be sold early
+    ASSET_LOCK_RELEASE: 'fifo', // fifo or lifo - which purchase lots a sale draws from first
     SESSION_TIMEOUT: 86400000 // 24 hours default
 };
 
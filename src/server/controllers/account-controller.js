@@ -0,0 +1,77 @@
+const BaseController = require('./base-controller');
+const AccountService = require('../services/account-service');
+const AuthService = require('../services/auth-service');
+const { AuthorizationError } = require('../utils/error-handlers');
+
+class AccountController extends BaseController {
+    constructor() {
+        super();
+        this.accountService = new AccountService();
+        this.authService = new AuthService();
+    }
+
+    /**
+     * Download everything stored about the current user as a JSON file
+     * GET /api/users/me/export
+     */
+    async exportMyData(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            if (user.impersonationId) {
+                throw new AuthorizationError('Data exports are not available while impersonating');
+            }
+
+            const bundle = await this.accountService.exportUserData(user.userId, this.getClientContext(req));
+
+            this.logOperation('account.exportMyData', req);
+
+            const date = bundle.exportedAt.slice(0, 10);
+            res.set('Content-Disposition', `attachment; filename="measured-in-bitcoin-export-${user.userId}-${date}.json"`);
+            res.json(bundle);
+        } catch (error) {
+            this.handleError(error, res, 'exportMyData');
+        }
+    }
+
+    /**
+     * Delete the current user's account in two steps
+     * Without a token a confirmation link is issued; with the token from that link the account is deleted
+     * DELETE /api/users/me { token? }
+     */
+    async deleteMyAccount(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const token = req.body?.token ? this.sanitizeInput(String(req.body.token)) : null;
+
+            if (!token) {
+                const result = await this.authService.requestAccountDeletion(user.userId, this.getClientContext(req));
+
+                this.logOperation('account.requestDeletion', req);
+
+                // The link is emailed; as with login links, development also returns it
+                this.sendSuccess(res, {
+                    message: 'Account deletion confirmation sent',
+                    expiresAt: result.expiresAt,
+                    ...(process.env.NODE_ENV === 'development' && {
+                        confirmationUrl: result.confirmationUrl,
+                        token: result.token
+                    })
+                }, 202);
+                return;
+            }
+
+            const removed = await this.authService.confirmAccountDeletion(user.userId, token);
+
+            this.logOperation('account.delete', req, removed);
+
+            this.sendSuccess(res, {
+                message: 'Account deleted',
+                removed
+            });
+        } catch (error) {
+            this.handleError(error, res, 'deleteMyAccount');
+        }
+    }
+}
+
+module.exports = AccountController;
@@ -0,0 +1,89 @@
+const BaseController = require('./base-controller');
+const AchievementService = require('../services/achievement-service');
+
+class AchievementController extends BaseController {
+    constructor() {
+        super();
+        this.achievementService = new AchievementService();
+    }
+
+    /**
+     * Get all achievement definitions
+     * GET /api/achievements
+     */
+    async getAllAchievements(req, res) {
+        try {
+            const achievements = await this.achievementService.getAllAchievements();
+
+            this.sendSuccess(res, {
+                achievements: achievements.map(achievement => this.formatAchievement(achievement)),
+                totalCount: achievements.length
+            });
+        } catch (error) {
+            this.handleError(error, res, 'getAllAchievements');
+        }
+    }
+
+    /**
+     * Get all achievements with the current user's earned state
+     * GET /api/users/me/achievements
+     */
+    async getMyAchievements(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const achievements = await this.achievementService.getUserAchievements(user.userId);
+
+            this.sendSuccess(res, {
+                achievements: achievements.map(achievement => ({
+                    ...this.formatAchievement(achievement),
+                    earned: achievement.earned,
+                    earnedAt: achievement.earnedAt
+                })),
+                earnedCount: achievements.filter(achievement => achievement.earned).length,
+                totalCount: achievements.length
+            });
+        } catch (error) {
+            this.handleError(error, res, 'getMyAchievements');
+        }
+    }
+
+    /**
+     * Record that the current user finished an educational article
+     * POST /api/users/me/education/:contentId/complete
+     */
+    async completeEducation(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const contentId = this.sanitizeInput(req.params.contentId);
+
+            const result = await this.achievementService.recordEducationCompletion(user.userId, contentId);
+
+            this.sendSuccess(res, {
+                contentId,
+                completed: result.completed,
+                total: result.total,
+                newAchievements: result.newAchievements.map(achievement => this.formatAchievement(achievement))
+            });
+        } catch (error) {
+            this.handleError(error, res, 'completeEducation');
+        }
+    }
+
+    /**
+     * Format an achievement for API responses
+     * @param {Object} achievement - Achievement row
+     * @returns {Object} Formatted achievement
+     */
+    formatAchievement(achievement) {
+        return {
+            id: achievement.id,
+            code: achievement.code,
+            name: achievement.name,
+            description: achievement.description,
+            icon: achievement.icon,
+            criteria: achievement.criteria
+        };
+    }
+}
+
+module.exports = AchievementController;
@@ -1,11 +1,26 @@
+const { PrismaClient } = require('@prisma/client');
 const BaseController = require('./base-controller');
+const UserActivityService = require('../services/user-activity-service');
+const ImpersonationService = require('../services/impersonation-service');
+const AdminAuditService = require('../services/admin-audit-service');
+const PortfolioRepairService = require('../services/portfolio-repair-service');
+const MailService = require('../services/mail-service');
+const { getPriceRefresher } = require('../services/price-refresher');
+const { getProviderHealth } = require('../services/price-providers');
+const { ValidationError } = require('../utils/error-handlers');
+const { BITCOIN_CONSTANTS, ADMIN_AUDIT_ACTIONS, ADMIN_AUDIT_TARGETS } = require('../utils/constants');
 
 class AdminController extends BaseController {
     constructor() {
         super();
         // Admin controller uses Prisma directly since we don't have dedicated admin services yet
         // In a full implementation, this would use dedicated admin services
-        this.prisma = global.prisma || require('@prisma/client').PrismaClient();
+        this.prisma = global.prisma || new PrismaClient();
+        this.userActivityService = new UserActivityService();
+        this.impersonationService = new ImpersonationService();
+        this.adminAuditService = new AdminAuditService();
+        this.portfolioRepairService = new PortfolioRepairService();
+        this.mailService = new MailService();
     }
 
     /**
@@ -61,6 +76,8 @@ class AdminController extends BaseController {
                 SELECT
                     COUNT(*) as total_assets,
                     COUNT(CASE WHEN current_price_usd IS NOT NULL THEN 1 END) as assets_with_prices,
+                    COUNT(CASE WHEN last_updated IS NULL OR last_updated < NOW() - INTERVAL '1 hour' THEN 1 END) as stale_assets,
+                    MIN(last_updated) as oldest_price_update,
                     MAX(last_updated) as latest_price_update
                 FROM assets
             `;
@@ -92,6 +109,8 @@ class AdminController extends BaseController {
                 prices: {
                     totalAssets: parseInt(priceUpdateStats[0].total_assets),
                     assetsWithPrices: parseInt(priceUpdateStats[0].assets_with_prices),
+                    staleAssets: parseInt(priceUpdateStats[0].stale_assets),
+                    oldestUpdate: priceUpdateStats[0].oldest_price_update,
                     latestUpdate: priceUpdateStats[0].latest_price_update
                 },
                 lastUpdated: new Date().toISOString()
@@ -231,11 +250,17 @@ class AdminController extends BaseController {
                 data: updateData,
                 include: {
                     user: {
-                        select: { username: true, email: true }
+                        select: { username: true, email: true, language: true }
                     }
                 }
             });
 
+            // The reply is saved either way - a mail failure must not fail the request
+            if (updatedSuggestion.user) {
+                this.mailService.sendSuggestionReply(updatedSuggestion.user, updatedSuggestion, adminReply)
+                    .catch(error => console.error(`Failed to email reply for suggestion ${suggestionId}:`, error.message));
+            }
+
             this.sendSuccess(res, {
                 message: closeAfterReply ? 'Reply added and suggestion closed' : 'Reply added successfully',
                 suggestion: updatedSuggestion
@@ -318,6 +343,7 @@ class AdminController extends BaseController {
                         lastLoginAt: true,
                         _count: {
                             select: {
+                                sessions: true,
                                 holdings: true,
                                 trades: true,
                                 suggestions: true
@@ -331,8 +357,13 @@ class AdminController extends BaseController {
                 this.prisma.user.count({ where })
             ]);
 
+            const portfolioValues = await this.valueDefaultPortfolios(users.map(user => user.id));
+
             this.sendSuccess(res, {
-                users,
+                users: users.map(user => ({
+                    ...user,
+                    ...portfolioValues.get(user.id)
+                })),
                 pagination: {
                     ...pagination,
                     total: totalCount,
@@ -345,6 +376,257 @@ class AdminController extends BaseController {
         }
     }
 
+    /**
+     * Value users' default portfolios at stored asset prices
+     * @param {number[]} userIds - Users to value
+     * @returns {Promise<Map>} userId -> { portfolioValueSats, portfolioValueUsd, lastTradeAt }
+     */
+    async valueDefaultPortfolios(userIds) {
+        const [holdings, assets, lastTrades] = await Promise.all([
+            this.prisma.holding.findMany({
+                where: { userId: { in: userIds }, portfolio: { isDefault: true } },
+                select: { userId: true, assetSymbol: true, amount: true }
+            }),
+            this.prisma.asset.findMany({
+                select: { symbol: true, currentPriceUsd: true }
+            }),
+            this.prisma.trade.groupBy({
+                by: ['userId'],
+                where: { userId: { in: userIds } },
+                _max: { createdAt: true }
+            })
+        ]);
+
+        const prices = new Map(assets.map(asset => [asset.symbol, asset.currentPriceUsd ? parseFloat(asset.currentPriceUsd) : null]));
+        const btcPrice = prices.get('BTC');
+
+        const values = new Map(userIds.map(userId => [userId, {
+            portfolioValueSats: 0,
+            portfolioValueUsd: null,
+            lastTradeAt: null
+        }]));
+
+        for (const holding of holdings) {
+            const value = values.get(holding.userId);
+            const amount = Number(holding.amount);
+            if (holding.assetSymbol === 'BTC') {
+                value.portfolioValueSats += amount;
+            } else if (btcPrice && prices.get(holding.assetSymbol)) {
+                const usdValue = (amount / BITCOIN_CONSTANTS.SATOSHIS_PER_BTC) * prices.get(holding.assetSymbol);
+                value.portfolioValueSats += Math.floor((usdValue / btcPrice) * BITCOIN_CONSTANTS.SATOSHIS_PER_BTC);
+            }
+        }
+
+        for (const value of values.values()) {
+            value.portfolioValueUsd = btcPrice ? (value.portfolioValueSats / BITCOIN_CONSTANTS.SATOSHIS_PER_BTC) * btcPrice : null;
+        }
+
+        for (const trade of lastTrades) {
+            if (values.has(trade.userId)) {
+                values.get(trade.userId).lastTradeAt = trade._max.createdAt;
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Get a user's login sessions and activity timeline
+     * GET /api/admin/users/:id/activity
+     */
+    async getUserActivity(req, res) {
+        try {
+            this.requireAdmin(req);
+
+            const userId = this.validateId(req.params.id, 'user ID');
+            const activity = await this.userActivityService.getUserActivity(userId);
+
+            this.sendSuccess(res, activity);
+        } catch (error) {
+            this.handleError(error, res, 'getUserActivity');
+        }
+    }
+
+    /**
+     * Issue a read-only, time-limited token to view the app as another user
+     * POST /api/admin/users/:id/impersonate
+     */
+    async impersonateUser(req, res) {
+        try {
+            this.requireAdmin(req);
+
+            const admin = this.getUserFromRequest(req);
+            const targetUserId = this.validateId(req.params.id, 'user ID');
+            const { reason } = this.sanitizeInput(req.body || {});
+
+            const { token, session, user } = await this.impersonationService.startImpersonation(
+                admin.userId,
+                targetUserId,
+                { reason, ...this.getClientContext(req) }
+            );
+
+            this.logOperation('start_impersonation', req, { impersonationId: session.id, targetUserId });
+
+            this.sendSuccess(res, {
+                message: `Viewing as ${user.username} (read-only)`,
+                token,
+                impersonation: {
+                    id: session.id,
+                    expiresAt: session.expiresAt,
+                    readOnly: true
+                },
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    isAdmin: false,
+                    createdAt: user.createdAt
+                }
+            }, 201);
+        } catch (error) {
+            this.handleError(error, res, 'impersonateUser');
+        }
+    }
+
+    /**
+     * End an impersonation session early
+     * POST /api/admin/impersonations/:id/end
+     */
+    async endImpersonation(req, res) {
+        try {
+            this.requireAdmin(req);
+
+            const admin = this.getUserFromRequest(req);
+            const impersonationId = this.validateId(req.params.id, 'impersonation ID');
+
+            const session = await this.impersonationService.endImpersonation(admin.userId, impersonationId);
+
+            this.logOperation('end_impersonation', req, { impersonationId });
+
+            this.sendSuccess(res, {
+                message: 'Impersonation session ended',
+                impersonation: session
+            });
+        } catch (error) {
+            this.handleError(error, res, 'endImpersonation');
+        }
+    }
+
+    /**
+     * Get the impersonation audit log
+     * GET /api/admin/impersonations
+     */
+    async getImpersonations(req, res) {
+        try {
+            this.requireAdmin(req);
+
+            const { page = 1, limit = 20, adminUserId, targetUserId } = req.query;
+            const pagination = this.validatePagination({ page, limit });
+
+            const { sessions, total } = await this.impersonationService.listImpersonations({
+                adminUserId: adminUserId ? this.validateId(adminUserId, 'admin user ID') : undefined,
+                targetUserId: targetUserId ? this.validateId(targetUserId, 'target user ID') : undefined
+            }, pagination);
+
+            this.sendSuccess(res, {
+                impersonations: sessions,
+                pagination: {
+                    ...pagination,
+                    total,
+                    totalPages: Math.ceil(total / pagination.limit)
+                }
+            });
+        } catch (error) {
+            this.handleError(error, res, 'getImpersonations');
+        }
+    }
+
+    /**
+     * Diff a user's holdings and purchases against a replay of their trades.
+     * Dry run unless dryRun=false, which applies the replay in one transaction.
+     * POST /api/admin/users/:id/rebuild?dryRun=true&portfolioId=
+     */
+    async rebuildUserPortfolios(req, res) {
+        try {
+            this.requireAdmin(req);
+
+            const userId = this.validateId(req.params.id, 'user ID');
+            const { dryRun, portfolioId } = req.query;
+
+            const result = await this.portfolioRepairService.rebuildUser(userId, {
+                dryRun: dryRun !== 'false',
+                portfolioId: portfolioId ? this.validateId(portfolioId, 'portfolio ID') : null
+            });
+
+            if (result.applied) {
+                this.logOperation('rebuild_portfolios', req, { targetUserId: userId, ...result.summary });
+            }
+
+            this.sendSuccess(res, result);
+        } catch (error) {
+            this.handleError(error, res, 'rebuildUserPortfolios');
+        }
+    }
+
+    /**
+     * Get the admin audit log
+     * GET /api/admin/audit-log
+     */
+    async getAuditLog(req, res) {
+        try {
+            this.requireAdmin(req);
+
+            const { page = 1, limit = 20, actorUserId, action, targetType, targetId, from, to } = req.query;
+            const pagination = this.validatePagination({ page, limit });
+
+            const actions = Object.values(ADMIN_AUDIT_ACTIONS);
+            const targetTypes = Object.values(ADMIN_AUDIT_TARGETS);
+
+            if (action && !actions.includes(action)) {
+                throw new ValidationError(`Action must be one of: ${actions.join(', ')}`, 'action');
+            }
+            if (targetType && !targetTypes.includes(targetType)) {
+                throw new ValidationError(`Target type must be one of: ${targetTypes.join(', ')}`, 'targetType');
+            }
+
+            const { entries, total } = await this.adminAuditService.listAuditLog({
+                actorUserId: actorUserId ? this.validateId(actorUserId, 'actor user ID') : undefined,
+                action,
+                targetType,
+                targetId: targetId ? this.sanitizeInput(targetId) : undefined,
+                from: from ? this.parseAuditDate(from, 'from') : undefined,
+                to: to ? this.parseAuditDate(to, 'to') : undefined
+            }, pagination);
+
+            this.sendSuccess(res, {
+                entries,
+                actions,
+                targetTypes,
+                pagination: {
+                    ...pagination,
+                    total,
+                    totalPages: Math.ceil(total / pagination.limit)
+                }
+            });
+        } catch (error) {
+            this.handleError(error, res, 'getAuditLog');
+        }
+    }
+
+    /**
+     * Parse an audit log date filter
+     * @param {string} value - ISO date or date-time
+     * @param {string} field - Query parameter name
+     * @returns {Date} Parsed date
+     */
+    parseAuditDate(value, field) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new ValidationError(`Invalid ${field} date`, field);
+        }
+        return date;
+    }
+
     /**
      * Promote user to admin
      * POST /api/admin/users/:id/promote
@@ -449,6 +731,11 @@ class AdminController extends BaseController {
                 holdingCount: parseInt(dbInfo[0].holding_count)
             };
 
+            systemInfo.prices = {
+                refresher: getPriceRefresher().getStatus(),
+                providers: getProviderHealth()
+            };
+
             this.sendSuccess(res, systemInfo);
         } catch (error) {
             this.handleError(error, res, 'getSystemInfo');
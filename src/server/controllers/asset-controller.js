@@ -1,12 +1,14 @@
 const BaseController = require('./base-controller');
 const PriceService = require('../services/price-service');
 const PriceCacheService = require('../services/price-cache-service');
+const PriceHistoryService = require('../services/price-history-service');
 
 class AssetController extends BaseController {
     constructor() {
         super();
         this.priceService = new PriceService();
         this.priceCacheService = new PriceCacheService();
+        this.priceHistoryService = new PriceHistoryService();
     }
 
     /**
@@ -154,22 +156,12 @@ class AssetController extends BaseController {
 
             const sanitizedSymbol = this.sanitizeInput(symbol).toUpperCase();
 
-            // Map app symbols to Yahoo Finance symbols
-            const yahooMap = {
-                'XAU': 'GC=F', // Gold futures
-                'XAG': 'SI=F', // Silver futures
-                'WTI': 'CL=F', // Crude oil futures
-                'BTC': 'BTC-USD'
-            };
-            const assetYahoo = yahooMap[sanitizedSymbol] || sanitizedSymbol;
-            const btcYahoo = 'BTC-USD';
-
-            // Fetch historical closes
+            // Fetch historical closes from the configured price provider
             const PriceService = require('../services/price-service');
             const ps = new PriceService();
 
-            const assetHist = await ps.getYahooHistoricalCloses(assetYahoo, period);
-            const btcHist = await ps.getYahooHistoricalCloses(btcYahoo, period);
+            const assetHist = await ps.getHistoricalCloses(sanitizedSymbol, period);
+            const btcHist = await ps.getHistoricalCloses('BTC', period);
 
             if (!assetHist || !assetHist.first || !assetHist.last) {
                 throw new Error('Asset history not available');
@@ -282,42 +274,38 @@ class AssetController extends BaseController {
     }
 
     /**
-     * Get asset price history (limited functionality)
-     * GET /api/assets/:symbol/history
+     * Get daily asset price history in USD and sats
+     * GET /api/assets/:symbol/history?period=30d
      */
     async getAssetHistory(req, res) {
         try {
             const { symbol } = req.params;
-            const { period = '24h' } = req.query;
+            const { period = '1y' } = req.query;
 
             if (!symbol || typeof symbol !== 'string') {
                 throw new Error('Invalid asset symbol');
             }
 
             const sanitizedSymbol = this.sanitizeInput(symbol).toUpperCase();
+            const sanitizedPeriod = this.sanitizeInput(period);
 
-            // For now, return current price as history is not implemented
             const asset = await this.priceService.getAssetMetadata(sanitizedSymbol);
             if (!asset) {
                 throw new Error('Asset not found');
             }
 
-            // Placeholder response - in a full implementation this would include historical data
-            const historyResponse = {
+            const history = await this.priceHistoryService.getHistory(sanitizedSymbol, sanitizedPeriod);
+
+            this.sendSuccess(res, {
                 symbol: sanitizedSymbol,
-                period,
+                period: sanitizedPeriod,
                 currentPrice: asset.currentPriceUsd,
                 lastUpdated: asset.lastUpdated,
-                history: [
-                    {
-                        timestamp: asset.lastUpdated,
-                        price: asset.currentPriceUsd
-                    }
-                ],
-                note: 'Historical price data is not yet implemented. Showing current price only.'
-            };
-
-            this.sendSuccess(res, historyResponse);
+                startDate: history.length > 0 ? history[0].date : null,
+                endDate: history.length > 0 ? history[history.length - 1].date : null,
+                count: history.length,
+                history
+            });
         } catch (error) {
             this.handleError(error, res, 'getAssetHistory');
         }
@@ -1,5 +1,7 @@
 const BaseController = require('./base-controller');
 const AuthService = require('../services/auth-service');
+const { REFRESH_TOKEN_COOKIE } = require('../utils/constants');
+const { RefreshTokenRotatedError } = require('../utils/error-handlers');
 
 class AuthController extends BaseController {
     constructor() {
@@ -34,7 +36,7 @@ class AuthController extends BaseController {
     async requestMagicLink(req, res) {
         try {
             this.validateRequiredFields(req.body, ['email']);
-            const { email, username } = this.sanitizeInput(req.body);
+            const { email, username, language } = this.sanitizeInput(req.body);
 
             // Email validation
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -47,13 +49,12 @@ class AuthController extends BaseController {
                 throw new Error('Username must be between 2 and 50 characters');
             }
 
-            const result = await this.authService.requestMagicLink(email, username);
+            const result = await this.authService.requestMagicLink(email, username, this.getClientContext(req), language);
 
             // Log successful operation
             this.logOperation('auth.requestMagicLink', req, { email, hasUsername: !!username, isNewUser: result.isNewUser });
 
-            // In production, we would send the email here
-            // For development, we return the magic link URL
+            // The link is emailed; development also returns it so no mailbox is needed
             const response = {
                 message: 'Magic link sent successfully',
                 ...(process.env.NODE_ENV === 'development' && {
@@ -87,14 +88,15 @@ class AuthController extends BaseController {
 
             const { token } = this.sanitizeInput({ token: rawToken });
 
-            const result = await this.authService.verifyMagicLink(token);
+            // Opens a login session and stamps the last login time
+            const result = await this.authService.verifyMagicLink(token, this.getClientContext(req));
 
-            // Update last login timestamp
-            await this.authService.updateLastLogin(result.user.id);
+            this.setRefreshCookie(res, result.refreshToken);
 
             this.sendSuccess(res, {
                 message: 'Authentication successful',
                 token: result.token,
+                expiresAt: result.expiresAt,
                 user: {
                     id: result.user.id,
                     username: result.user.username,
@@ -108,6 +110,122 @@ class AuthController extends BaseController {
         }
     }
 
+    /**
+     * Start a passkey login
+     * POST /api/auth/passkeys/login/options
+     */
+    async getPasskeyLoginOptions(req, res) {
+        try {
+            const result = await this.authService.passkeyService.getAuthenticationOptions();
+            this.sendSuccess(res, result);
+        } catch (error) {
+            this.handleError(error, res, 'getPasskeyLoginOptions');
+        }
+    }
+
+    /**
+     * Finish a passkey login - opens a session exactly like a magic link does
+     * POST /api/auth/passkeys/login { response, challengeToken }
+     */
+    async loginWithPasskey(req, res) {
+        try {
+            this.validateRequiredFields(req.body, ['response', 'challengeToken']);
+            const { response, challengeToken } = req.body;
+
+            const result = await this.authService.loginWithPasskey(response, challengeToken, this.getClientContext(req));
+
+            this.setRefreshCookie(res, result.refreshToken);
+            this.logOperation('auth.loginWithPasskey', req, { userId: result.user.id });
+
+            this.sendSuccess(res, {
+                message: 'Authentication successful',
+                token: result.token,
+                expiresAt: result.expiresAt,
+                user: {
+                    id: result.user.id,
+                    username: result.user.username,
+                    email: result.user.email,
+                    isAdmin: result.user.isAdmin,
+                    createdAt: result.user.createdAt
+                }
+            });
+        } catch (error) {
+            this.handleError(error, res, 'loginWithPasskey');
+        }
+    }
+
+    /**
+     * Start adding a passkey to the signed-in account
+     * POST /api/auth/passkeys/register/options
+     */
+    async getPasskeyRegistrationOptions(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const result = await this.authService.passkeyService.getRegistrationOptions(user.userId);
+            this.sendSuccess(res, result);
+        } catch (error) {
+            this.handleError(error, res, 'getPasskeyRegistrationOptions');
+        }
+    }
+
+    /**
+     * Finish adding a passkey
+     * POST /api/auth/passkeys/register { response, challengeToken, name }
+     */
+    async registerPasskey(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            this.validateRequiredFields(req.body, ['response', 'challengeToken']);
+            const { response, challengeToken } = req.body;
+            const { name } = this.sanitizeInput({ name: req.body.name });
+
+            const passkey = await this.authService.passkeyService.registerCredential(
+                user.userId,
+                response,
+                challengeToken,
+                name,
+                this.getClientContext(req)
+            );
+
+            this.logOperation('auth.registerPasskey', req, { passkeyId: passkey.id });
+            this.sendSuccess(res, { passkey }, 201);
+        } catch (error) {
+            this.handleError(error, res, 'registerPasskey');
+        }
+    }
+
+    /**
+     * List the signed-in user's passkeys
+     * GET /api/auth/passkeys
+     */
+    async listPasskeys(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const passkeys = await this.authService.passkeyService.listCredentials(user.userId);
+            this.sendSuccess(res, { passkeys });
+        } catch (error) {
+            this.handleError(error, res, 'listPasskeys');
+        }
+    }
+
+    /**
+     * Remove a passkey
+     * DELETE /api/auth/passkeys/:id
+     */
+    async deletePasskey(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const passkeyId = this.validateId(req.params.id, 'passkey ID');
+
+            await this.authService.passkeyService.deleteCredential(user.userId, passkeyId, this.getClientContext(req));
+
+            this.logOperation('auth.deletePasskey', req, { passkeyId });
+            this.sendSuccess(res, { message: 'Passkey removed' });
+        } catch (error) {
+            this.handleError(error, res, 'deletePasskey');
+        }
+    }
+
     /**
      * Verify JWT token (for middleware use)
      * GET /api/auth/verify-token
@@ -158,22 +276,75 @@ class AuthController extends BaseController {
     }
 
     /**
-     * Logout user (client-side token removal, server logs the action)
+     * Trade the refresh token cookie for a new access token; the cookie is rotated
+     * POST /api/auth/refresh
+     */
+    async refreshSession(req, res) {
+        try {
+            const result = await this.authService.refreshSession(this.readRefreshCookie(req), this.getClientContext(req));
+
+            this.setRefreshCookie(res, result.refreshToken);
+
+            this.sendSuccess(res, {
+                token: result.token,
+                expiresAt: result.expiresAt,
+                user: {
+                    id: result.user.id,
+                    username: result.user.username,
+                    email: result.user.email,
+                    isAdmin: result.user.isAdmin,
+                    createdAt: result.user.createdAt,
+                    lastLoginAt: result.user.lastLoginAt
+                }
+            });
+        } catch (error) {
+            // A refresh token that failed will never work - stop the browser sending it. Except when
+            // another tab rotated it a moment ago: the cookie now holds that tab's new token
+            if (!(error instanceof RefreshTokenRotatedError)) {
+                this.clearRefreshCookie(res);
+            }
+            this.handleError(error, res, 'refreshSession');
+        }
+    }
+
+    /**
+     * End the current session - its refresh token and access tokens stop working
      * POST /api/auth/logout
      */
     async logout(req, res) {
         try {
-            const user = this.getUserFromRequest(req);
+            const revoked = await this.authService.logout(this.readRefreshCookie(req), this.getClientContext(req));
 
-            // Log the logout action
-            console.log(`User ${user.email} logged out at ${new Date().toISOString()}`);
+            this.clearRefreshCookie(res);
+            this.logOperation('auth.logout', req, { revoked });
 
-            this.sendSuccessMessage(res, 'Logged out successfully');
+            this.sendSuccess(res, { message: 'Logged out successfully' });
         } catch (error) {
             this.handleError(error, res, 'logout');
         }
     }
 
+    /**
+     * Sign out of all devices by revoking every session of the current user
+     * POST /api/auth/logout-all
+     */
+    async logoutEverywhere(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const revokedSessions = await this.authService.logoutEverywhere(user.userId, this.getClientContext(req));
+
+            this.clearRefreshCookie(res);
+            this.logOperation('auth.logoutEverywhere', req, { revokedSessions });
+
+            this.sendSuccess(res, {
+                message: 'Signed out of all devices',
+                revokedSessions
+            });
+        } catch (error) {
+            this.handleError(error, res, 'logoutEverywhere');
+        }
+    }
+
     /**
      * Check admin status
      * GET /api/auth/admin-status
@@ -193,31 +364,37 @@ class AuthController extends BaseController {
     }
 
     /**
-     * Refresh user data (useful after admin status changes)
-     * POST /api/auth/refresh
+     * Store the refresh token in an httpOnly cookie scoped to the auth endpoints
+     * @param {Response} res - Express response object
+     * @param {Object} refreshToken - { token, expiresAt }
      */
-    async refreshUser(req, res) {
-        try {
-            const currentUser = this.getUserFromRequest(req);
-
-            // Get fresh user data
-            const decoded = await this.authService.verifyJWT(req.headers.authorization.substring(7));
+    setRefreshCookie(res, { token, expiresAt }) {
+        res.cookie(REFRESH_TOKEN_COOKIE.NAME, token, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            path: REFRESH_TOKEN_COOKIE.PATH,
+            expires: expiresAt
+        });
+    }
 
-            // Check current admin status
-            const isAdmin = this.authService.checkAdminStatus(decoded.user.email, decoded.user.isAdmin);
+    clearRefreshCookie(res) {
+        res.clearCookie(REFRESH_TOKEN_COOKIE.NAME, { path: REFRESH_TOKEN_COOKIE.PATH });
+    }
 
-            this.sendSuccess(res, {
-                user: {
-                    id: decoded.user.id,
-                    username: decoded.user.username,
-                    email: decoded.user.email,
-                    isAdmin: isAdmin,
-                    lastLoginAt: decoded.user.lastLoginAt
-                }
-            });
-        } catch (error) {
-            this.handleError(error, res, 'refreshUser');
-        }
+    /**
+     * Read the refresh token cookie
+     * @param {Request} req - Express request object
+     * @returns {string|null} Raw refresh token
+     */
+    readRefreshCookie(req) {
+        const cookie = (req.headers.cookie || '')
+            .split(';')
+            .map(part => part.trim())
+            .find(part => part.startsWith(`${REFRESH_TOKEN_COOKIE.NAME}=`));
+
+        // Tokens are base64url, so the value needs no decoding
+        return cookie ? cookie.slice(REFRESH_TOKEN_COOKIE.NAME.length + 1) : null;
     }
 }
 
@@ -53,6 +53,18 @@ class BaseController {
         return req.user;
     }
 
+    /**
+     * Extract the caller's IP address and user agent
+     * @param {Request} req - Express request object
+     * @returns {Object} { ipAddress, userAgent }
+     */
+    getClientContext(req) {
+        return {
+            ipAddress: req.ip || req.connection?.remoteAddress || null,
+            userAgent: req.get('User-Agent') || null
+        };
+    }
+
     /**
      * Check if user is admin
      * @param {Request} req - Express request object
@@ -123,6 +135,19 @@ class BaseController {
         return parsedId;
     }
 
+    /**
+     * Read the optional portfolio selector from the query string or body
+     * @param {Request} req - Express request object
+     * @returns {number|null} Portfolio ID, or null for the user's default portfolio
+     */
+    getPortfolioId(req) {
+        const portfolioId = req.query?.portfolioId ?? req.body?.portfolioId;
+        if (portfolioId === undefined || portfolioId === null || portfolioId === '') {
+            return null;
+        }
+        return this.validateId(portfolioId, 'portfolio ID');
+    }
+
     /**
      * Async wrapper for route handlers to catch errors
      * @param {Function} handler - Route handler function
@@ -0,0 +1,217 @@
+const BaseController = require('./base-controller');
+const CompetitionService = require('../services/competition-service');
+
+class CompetitionController extends BaseController {
+    constructor() {
+        super();
+        this.competitionService = new CompetitionService();
+    }
+
+    /**
+     * List competitions
+     * GET /api/competitions?status=open
+     */
+    async listCompetitions(req, res) {
+        try {
+            const status = req.query.status ? this.sanitizeInput(req.query.status) : undefined;
+            const competitions = await this.competitionService.listCompetitions(status);
+
+            this.sendSuccess(res, {
+                competitions: competitions.map(competition => this.formatCompetition(competition)),
+                totalCount: competitions.length
+            });
+        } catch (error) {
+            this.handleError(error, res, 'listCompetitions');
+        }
+    }
+
+    /**
+     * Get a single competition
+     * GET /api/competitions/:id
+     */
+    async getCompetition(req, res) {
+        try {
+            const competitionId = this.validateId(req.params.id, 'competition ID');
+            const competition = await this.competitionService.getCompetition(competitionId);
+
+            this.sendSuccess(res, {
+                competition: {
+                    ...this.formatCompetition(competition),
+                    allowedAssets: competition.allowedAssets
+                }
+            });
+        } catch (error) {
+            this.handleError(error, res, 'getCompetition');
+        }
+    }
+
+    /**
+     * Create a competition (admin only)
+     * POST /api/competitions
+     */
+    async createCompetition(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            this.validateRequiredFields(req.body, ['name', 'startsAt']);
+
+            const competition = await this.competitionService.createCompetition(this.sanitizeInput(req.body), user.userId);
+
+            this.logOperation('create_competition', req, { competitionId: competition.id });
+
+            this.sendSuccess(res, {
+                message: 'Competition created',
+                competition: this.formatCompetition({
+                    ...competition,
+                    status: this.competitionService.getStatus(competition),
+                    joinOpen: this.competitionService.isJoinOpen(competition),
+                    participantCount: 0
+                })
+            }, 201);
+        } catch (error) {
+            this.handleError(error, res, 'createCompetition');
+        }
+    }
+
+    /**
+     * Join a competition with a fresh starting balance
+     * POST /api/competitions/:id/join
+     */
+    async joinCompetition(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const competitionId = this.validateId(req.params.id, 'competition ID');
+
+            const participant = await this.competitionService.joinCompetition(competitionId, user.userId);
+
+            this.logOperation('join_competition', req, { competitionId });
+
+            this.sendSuccess(res, {
+                message: 'Joined competition',
+                participantId: participant.id,
+                joinedAt: participant.joinedAt
+            }, 201);
+        } catch (error) {
+            this.handleError(error, res, 'joinCompetition');
+        }
+    }
+
+    /**
+     * Get the current user's competition portfolio
+     * GET /api/competitions/:id/portfolio
+     */
+    async getMyPortfolio(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const competitionId = this.validateId(req.params.id, 'competition ID');
+
+            const portfolio = await this.competitionService.getParticipantPortfolio(competitionId, user.userId);
+
+            this.sendSuccess(res, {
+                ...portfolio,
+                trades: portfolio.trades.map(trade => this.formatTrade(trade))
+            });
+        } catch (error) {
+            this.handleError(error, res, 'getMyPortfolio');
+        }
+    }
+
+    /**
+     * Trade inside a competition
+     * POST /api/competitions/:id/trades
+     */
+    async executeTrade(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const competitionId = this.validateId(req.params.id, 'competition ID');
+            this.validateRequiredFields(req.body, ['fromAsset', 'toAsset', 'amount', 'unit']);
+
+            const { fromAsset, toAsset, amount, unit } = this.sanitizeInput(req.body);
+
+            const result = await this.competitionService.executeTrade(competitionId, user.userId, {
+                fromAsset: String(fromAsset).toUpperCase(),
+                toAsset: String(toAsset).toUpperCase(),
+                amount: parseFloat(amount),
+                unit
+            });
+
+            this.logOperation('execute_competition_trade', req, { competitionId, fromAsset, toAsset });
+
+            this.sendSuccess(res, {
+                message: 'Trade executed successfully',
+                trade: this.formatTrade(result.trade),
+                fromAmount: result.fromAmount,
+                toAmount: result.toAmount,
+                earlyExitPenaltySats: result.earlyExitPenaltySats,
+                btcPrice: result.btcPrice,
+                assetPrice: result.assetPrice
+            });
+        } catch (error) {
+            this.handleError(error, res, 'executeCompetitionTrade');
+        }
+    }
+
+    /**
+     * Get competition standings (frozen once the competition is finalized)
+     * GET /api/competitions/:id/standings
+     */
+    async getStandings(req, res) {
+        try {
+            const competitionId = this.validateId(req.params.id, 'competition ID');
+            const standings = await this.competitionService.getStandings(competitionId);
+
+            this.sendSuccess(res, standings);
+        } catch (error) {
+            this.handleError(error, res, 'getStandings');
+        }
+    }
+
+    /**
+     * Format a competition for API responses
+     * @param {Object} competition - Competition row with derived status fields
+     * @returns {Object} Formatted competition
+     */
+    formatCompetition(competition) {
+        return {
+            id: competition.id,
+            name: competition.name,
+            description: competition.description,
+            theme: competition.theme,
+            startingBalanceSats: competition.startingBalanceSats.toString(),
+            lockHours: competition.lockHours,
+            earlyExitPenaltyPercent: competition.earlyExitPenaltyPercent === null ? null : Number(competition.earlyExitPenaltyPercent),
+            joinOpensAt: competition.joinOpensAt,
+            joinClosesAt: competition.joinClosesAt,
+            startsAt: competition.startsAt,
+            endsAt: competition.endsAt,
+            finalizedAt: competition.finalizedAt,
+            status: competition.status,
+            joinOpen: competition.joinOpen,
+            participantCount: competition.participantCount
+        };
+    }
+
+    /**
+     * Format a competition trade for API responses
+     * @param {Object} trade - CompetitionTrade row
+     * @returns {Object} Formatted trade
+     */
+    formatTrade(trade) {
+        return {
+            id: trade.id,
+            fromAsset: trade.fromAsset,
+            toAsset: trade.toAsset,
+            fromAmount: trade.fromAmount.toString(),
+            toAmount: trade.toAmount.toString(),
+            btcPriceUsd: trade.btcPriceUsd,
+            assetPriceUsd: trade.assetPriceUsd,
+            priceProvenance: {
+                btc: { source: trade.btcPriceSource, quotedAt: trade.btcPriceAt },
+                asset: { source: trade.assetPriceSource, quotedAt: trade.assetPriceAt }
+            },
+            earlyExitPenaltySats: trade.earlyExitPenaltySats.toString(),
+            createdAt: trade.createdAt
+        };
+    }
+}
+
+module.exports = CompetitionController;
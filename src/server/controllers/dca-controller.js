@@ -0,0 +1,149 @@
+const BaseController = require('./base-controller');
+const DcaService = require('../services/dca-service');
+
+class DcaController extends BaseController {
+    constructor() {
+        super();
+        this.dcaService = new DcaService();
+    }
+
+    /**
+     * Create a recurring DCA plan
+     * POST /api/dca
+     */
+    async createPlan(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            this.validateRequiredFields(req.body, ['assetSymbol', 'amountSats', 'frequency']);
+
+            const { assetSymbol, amountSats, frequency, startAt } = this.sanitizeInput(req.body);
+
+            const plan = await this.dcaService.createPlan(user.userId, {
+                assetSymbol,
+                amountSats,
+                frequency: String(frequency).toLowerCase(),
+                startAt,
+                portfolioId: this.getPortfolioId(req)
+            });
+
+            this.logOperation('create_dca_plan', req, { planId: plan.id, assetSymbol: plan.assetSymbol });
+
+            this.sendSuccess(res, {
+                message: 'DCA plan created',
+                plan: this.formatPlan(plan)
+            }, 201);
+        } catch (error) {
+            this.handleError(error, res, 'createPlan');
+        }
+    }
+
+    /**
+     * List the user's DCA plans
+     * GET /api/dca
+     */
+    async getPlans(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const plans = await this.dcaService.getPlans(user.userId);
+
+            this.sendSuccess(res, {
+                plans: plans.map(plan => this.formatPlan(plan)),
+                totalCount: plans.length
+            });
+        } catch (error) {
+            this.handleError(error, res, 'getPlans');
+        }
+    }
+
+    /**
+     * Get a DCA plan with its run history
+     * GET /api/dca/:id
+     */
+    async getPlan(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const planId = this.validateId(req.params.id, 'plan ID');
+
+            const plan = await this.dcaService.getPlan(user.userId, planId);
+
+            this.sendSuccess(res, { plan: this.formatPlan(plan) });
+        } catch (error) {
+            this.handleError(error, res, 'getPlan');
+        }
+    }
+
+    /**
+     * Update a DCA plan's amount or frequency, or pause/resume it
+     * PUT /api/dca/:id
+     */
+    async updatePlan(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const planId = this.validateId(req.params.id, 'plan ID');
+
+            const { amountSats, frequency, isActive } = this.sanitizeInput(req.body);
+
+            const plan = await this.dcaService.updatePlan(user.userId, planId, {
+                amountSats,
+                frequency: frequency !== undefined ? String(frequency).toLowerCase() : undefined,
+                isActive
+            });
+
+            this.sendSuccess(res, {
+                message: 'DCA plan updated',
+                plan: this.formatPlan(plan)
+            });
+        } catch (error) {
+            this.handleError(error, res, 'updatePlan');
+        }
+    }
+
+    /**
+     * Delete a DCA plan
+     * DELETE /api/dca/:id
+     */
+    async deletePlan(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const planId = this.validateId(req.params.id, 'plan ID');
+
+            await this.dcaService.deletePlan(user.userId, planId);
+
+            this.logOperation('delete_dca_plan', req, { planId });
+
+            this.sendSuccess(res, { message: 'DCA plan deleted' });
+        } catch (error) {
+            this.handleError(error, res, 'deletePlan');
+        }
+    }
+
+    /**
+     * Format a plan for API responses
+     * @param {Object} plan - DCA plan row, optionally with runs
+     * @returns {Object} Plan with BigInt amounts as strings
+     */
+    formatPlan(plan) {
+        return {
+            id: plan.id,
+            portfolioId: plan.portfolioId,
+            assetSymbol: plan.assetSymbol,
+            amountSats: plan.amountSats.toString(),
+            frequency: plan.frequency,
+            isActive: plan.isActive,
+            anchorAt: plan.anchorAt,
+            nextRunAt: plan.nextRunAt,
+            lastRunAt: plan.lastRunAt,
+            createdAt: plan.createdAt,
+            runs: plan.runs ? plan.runs.map(run => ({
+                id: run.id,
+                status: run.status,
+                amountSats: run.amountSats.toString(),
+                tradeId: run.tradeId,
+                reason: run.reason,
+                runAt: run.runAt
+            })) : undefined
+        };
+    }
+}
+
+module.exports = DcaController;
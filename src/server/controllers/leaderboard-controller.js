@@ -0,0 +1,28 @@
+const BaseController = require('./base-controller');
+const LeaderboardService = require('../services/leaderboard-service');
+
+class LeaderboardController extends BaseController {
+    constructor() {
+        super();
+        this.leaderboardService = new LeaderboardService();
+    }
+
+    /**
+     * Get public users ranked by sats performance against holding 1 BTC
+     * GET /api/leaderboard?period=7d|30d|1y|all
+     */
+    async getLeaderboard(req, res) {
+        try {
+            const period = this.sanitizeInput(req.query.period || 'all');
+            const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+            const leaderboard = await this.leaderboardService.getLeaderboard(period, limit);
+
+            this.sendSuccess(res, leaderboard);
+        } catch (error) {
+            this.handleError(error, res, 'getLeaderboard');
+        }
+    }
+}
+
+module.exports = LeaderboardController;
@@ -0,0 +1,107 @@
+const BaseController = require('./base-controller');
+const OrderService = require('../services/order-service');
+
+class OrderController extends BaseController {
+    constructor() {
+        super();
+        this.orderService = new OrderService();
+    }
+
+    /**
+     * Place a limit or stop order
+     * POST /api/trades/orders
+     */
+    async placeOrder(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            this.validateRequiredFields(req.body, ['side', 'orderType', 'assetSymbol', 'amount', 'unit', 'triggerPriceSats']);
+
+            const { side, orderType, assetSymbol, amount, unit, triggerPriceSats } = this.sanitizeInput(req.body);
+
+            const order = await this.orderService.placeOrder(user.userId, {
+                side: String(side).toLowerCase(),
+                orderType: String(orderType).toLowerCase(),
+                assetSymbol: String(assetSymbol).toUpperCase(),
+                amount: parseFloat(amount),
+                unit,
+                triggerPriceSats,
+                portfolioId: this.getPortfolioId(req)
+            });
+
+            this.logOperation('place_order', req, { orderId: order.id, assetSymbol: order.assetSymbol });
+
+            this.sendSuccess(res, {
+                message: 'Order placed successfully',
+                order: this.formatOrder(order)
+            }, 201);
+        } catch (error) {
+            this.handleError(error, res, 'placeOrder');
+        }
+    }
+
+    /**
+     * List the user's orders
+     * GET /api/trades/orders?status=open
+     */
+    async getOrders(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const { status } = req.query;
+
+            const orders = await this.orderService.getOrders(user.userId, status, this.getPortfolioId(req));
+
+            this.sendSuccess(res, {
+                orders: orders.map(order => this.formatOrder(order)),
+                totalCount: orders.length
+            });
+        } catch (error) {
+            this.handleError(error, res, 'getOrders');
+        }
+    }
+
+    /**
+     * Cancel an open order
+     * DELETE /api/trades/orders/:id
+     */
+    async cancelOrder(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const orderId = this.validateId(req.params.id, 'order ID');
+
+            const order = await this.orderService.cancelOrder(user.userId, orderId);
+
+            this.sendSuccess(res, {
+                message: 'Order cancelled',
+                order: this.formatOrder(order)
+            });
+        } catch (error) {
+            this.handleError(error, res, 'cancelOrder');
+        }
+    }
+
+    /**
+     * Format an order for API responses
+     * @param {Object} order - PendingOrder row
+     * @returns {Object} Formatted order
+     */
+    formatOrder(order) {
+        return {
+            id: order.id,
+            portfolioId: order.portfolioId,
+            orderType: order.orderType,
+            side: order.side,
+            assetSymbol: order.assetSymbol,
+            amount: order.amount.toString(),
+            triggerPriceSats: order.triggerPriceSats.toString(),
+            status: order.status,
+            tradeId: order.tradeId,
+            filledPriceSats: order.filledPriceSats ? order.filledPriceSats.toString() : null,
+            failureReason: order.failureReason,
+            createdAt: order.createdAt,
+            filledAt: order.filledAt,
+            cancelledAt: order.cancelledAt
+        };
+    }
+}
+
+module.exports = OrderController;
@@ -1,5 +1,6 @@
 const BaseController = require('./base-controller');
 const PortfolioService = require('../services/portfolio-service');
+const { getLockPolicy } = require('../services/lock-policy');
 
 class PortfolioController extends BaseController {
     constructor() {
@@ -14,7 +15,7 @@ class PortfolioController extends BaseController {
     async getPortfolio(req, res) {
         try {
             const user = this.getUserFromRequest(req);
-            const portfolio = await this.portfolioService.getUserPortfolio(user.userId);
+            const portfolio = await this.portfolioService.getUserPortfolio(user.userId, this.getPortfolioId(req));
 
             this.sendSuccess(res, portfolio);
         } catch (error) {
@@ -36,7 +37,7 @@ class PortfolioController extends BaseController {
             }
 
             const sanitizedSymbol = this.sanitizeInput(symbol).toUpperCase();
-            const assetDetails = await this.portfolioService.getAssetDetails(user.userId, sanitizedSymbol);
+            const assetDetails = await this.portfolioService.getAssetDetails(user.userId, sanitizedSymbol, this.getPortfolioId(req));
 
             this.sendSuccess(res, {
                 symbol: sanitizedSymbol,
@@ -54,7 +55,7 @@ class PortfolioController extends BaseController {
     async getPortfolioValue(req, res) {
         try {
             const user = this.getUserFromRequest(req);
-            const portfolioValue = await this.portfolioService.calculatePortfolioValue(user.userId);
+            const portfolioValue = await this.portfolioService.calculatePortfolioValue(user.userId, this.getPortfolioId(req));
 
             this.sendSuccess(res, portfolioValue);
         } catch (error) {
@@ -69,7 +70,7 @@ class PortfolioController extends BaseController {
     async getPortfolioSummary(req, res) {
         try {
             const user = this.getUserFromRequest(req);
-            const portfolio = await this.portfolioService.getUserPortfolio(user.userId);
+            const portfolio = await this.portfolioService.getUserPortfolio(user.userId, this.getPortfolioId(req));
 
             // Calculate summary statistics
             const totalAssets = portfolio.holdings.length;
@@ -123,7 +124,7 @@ class PortfolioController extends BaseController {
                 throw new Error('Invalid period. Must be one of: ' + validPeriods.join(', '));
             }
 
-            const portfolio = await this.portfolioService.getUserPortfolio(user.userId);
+            const portfolio = await this.portfolioService.getUserPortfolio(user.userId, this.getPortfolioId(req));
 
             // Group holdings by category for performance breakdown
             const categories = {};
@@ -233,7 +234,7 @@ class PortfolioController extends BaseController {
     async getLockedAssets(req, res) {
         try {
             const user = this.getUserFromRequest(req);
-            const portfolio = await this.portfolioService.getUserPortfolio(user.userId);
+            const portfolio = await this.portfolioService.getUserPortfolio(user.userId, this.getPortfolioId(req));
 
             const lockedAssets = portfolio.holdings
                 .filter(holding => holding.lock_status === 'locked' || holding.lock_status === 'partial')
@@ -244,7 +245,9 @@ class PortfolioController extends BaseController {
                     lockStatus: holding.lock_status,
                     currentValueSats: holding.current_value_sats,
                     lockedUntil: holding.locked_until,
-                    lastPurchaseDate: holding.last_purchase_date
+                    fullyUnlockedAt: holding.fully_unlocked_at,
+                    lastPurchaseDate: holding.last_purchase_date,
+                    policy: getLockPolicy().describe(holding.asset_symbol)
                 }));
 
             this.sendSuccess(res, {
@@ -256,6 +259,94 @@ class PortfolioController extends BaseController {
             this.handleError(error, res, 'getLockedAssets');
         }
     }
+
+    /**
+     * List the user's portfolios with their current value
+     * GET /api/portfolio/portfolios
+     */
+    async listPortfolios(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const portfolios = await this.portfolioService.listPortfolios(user.userId);
+
+            this.sendSuccess(res, { portfolios });
+        } catch (error) {
+            this.handleError(error, res, 'listPortfolios');
+        }
+    }
+
+    /**
+     * Open a new portfolio starting with 1 BTC
+     * POST /api/portfolio/portfolios
+     */
+    async createPortfolio(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            this.validateRequiredFields(req.body, ['name']);
+
+            const { name } = this.sanitizeInput(req.body);
+            const portfolio = await this.portfolioService.createPortfolio(user.userId, name);
+
+            this.logOperation('create_portfolio', req, { portfolioId: portfolio.id });
+
+            this.sendSuccess(res, { portfolio }, 201);
+        } catch (error) {
+            this.handleError(error, res, 'createPortfolio');
+        }
+    }
+
+    /**
+     * Rename a portfolio
+     * PUT /api/portfolio/portfolios/:id
+     */
+    async renamePortfolio(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const portfolioId = this.validateId(req.params.id, 'portfolio ID');
+            this.validateRequiredFields(req.body, ['name']);
+
+            const { name } = this.sanitizeInput(req.body);
+            const portfolio = await this.portfolioService.renamePortfolio(user.userId, portfolioId, name);
+
+            this.sendSuccess(res, { portfolio });
+        } catch (error) {
+            this.handleError(error, res, 'renamePortfolio');
+        }
+    }
+
+    /**
+     * Delete a portfolio and everything in it
+     * DELETE /api/portfolio/portfolios/:id
+     */
+    async deletePortfolio(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const portfolioId = this.validateId(req.params.id, 'portfolio ID');
+
+            await this.portfolioService.deletePortfolio(user.userId, portfolioId);
+
+            this.logOperation('delete_portfolio', req, { portfolioId });
+
+            this.sendSuccess(res, { message: 'Portfolio deleted' });
+        } catch (error) {
+            this.handleError(error, res, 'deletePortfolio');
+        }
+    }
+
+    /**
+     * Compare all of the user's portfolios side by side
+     * GET /api/portfolio/compare
+     */
+    async comparePortfolios(req, res) {
+        try {
+            const user = this.getUserFromRequest(req);
+            const portfolios = await this.portfolioService.comparePortfolios(user.userId);
+
+            this.sendSuccess(res, { portfolios });
+        } catch (error) {
+            this.handleError(error, res, 'comparePortfolios');
+        }
+    }
 }
 
 module.exports = PortfolioController;
\ No newline at end of file
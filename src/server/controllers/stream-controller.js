@@ -0,0 +1,23 @@
+const BaseController = require('./base-controller');
+const { getStreamHub } = require('../services/stream-hub');
+
+class StreamController extends BaseController {
+    constructor() {
+        super();
+        this.streamHub = getStreamHub();
+    }
+
+    /**
+     * Open the live update stream (server-sent events)
+     * GET /api/stream - prices for everyone, plus portfolio events with a bearer token
+     */
+    subscribe(req, res) {
+        try {
+            this.streamHub.subscribe(req, res);
+        } catch (error) {
+            this.handleError(error, res, 'subscribe');
+        }
+    }
+}
+
+module.exports = StreamController;
@@ -1,46 +1,60 @@
 const BaseController = require('./base-controller');
 const TradeService = require('../services/trade-service');
+const TradeQuoteService = require('../services/trade-quote-service');
 
 class TradeController extends BaseController {
     constructor() {
         super();
         this.tradeService = new TradeService();
+        this.tradeQuoteService = new TradeQuoteService();
     }
 
     /**
      * Execute a trade between assets
      * POST /api/trades/execute
+     * With a quoteId from /preview the quoted amounts are traded, or the request fails with
+     * QUOTE_EXPIRED; without one the trade executes at current prices.
      */
     async executeTrade(req, res) {
         try {
             const user = this.getUserFromRequest(req);
-            this.validateRequiredFields(req.body, ['fromAsset', 'toAsset', 'amount', 'unit']);
+            let result;
 
-            const tradeData = this.sanitizeInput(req.body);
-            const { fromAsset, toAsset, amount, unit } = tradeData;
+            if (req.body.quoteId) {
+                result = await this.tradeQuoteService.executeQuote(user.userId, String(req.body.quoteId));
+            } else {
+                this.validateRequiredFields(req.body, ['fromAsset', 'toAsset', 'amount', 'unit']);
 
-            // Validate trade parameters
-            this.validateTradeParameters(fromAsset, toAsset, amount, unit);
+                const tradeData = this.sanitizeInput(req.body);
+                const { fromAsset, toAsset, amount, unit } = tradeData;
 
-            const result = await this.tradeService.executeTrade(user.userId, {
-                fromAsset,
-                toAsset,
-                amount: parseFloat(amount),
-                unit
-            });
+                // Validate trade parameters
+                this.validateTradeParameters(fromAsset, toAsset, amount, unit);
+
+                result = await this.tradeService.executeTrade(user.userId, {
+                    fromAsset,
+                    toAsset,
+                    amount: parseFloat(amount),
+                    unit,
+                    portfolioId: this.getPortfolioId(req)
+                });
+            }
 
             this.sendSuccess(res, {
                 message: 'Trade executed successfully',
                 trade: {
                     id: result.trade.id,
-                    fromAsset,
-                    toAsset,
+                    fromAsset: result.trade.fromAsset,
+                    toAsset: result.trade.toAsset,
                     fromAmount: result.fromAmount,
                     toAmount: result.toAmount,
+                    earlyExitPenaltySats: result.earlyExitPenaltySats,
                     btcPrice: result.btcPrice,
                     assetPrice: result.assetPrice,
+                    priceProvenance: this.formatPriceProvenance(result.trade),
                     executedAt: result.trade.createdAt
-                }
+                },
+                newAchievements: result.newAchievements || []
             }, 201);
         } catch (error) {
             this.handleError(error, res, 'executeTrade');
@@ -59,7 +73,7 @@ class TradeController extends BaseController {
             // Validate limit
             const validatedLimit = Math.min(100, Math.max(1, parseInt(limit) || 50));
 
-            const trades = await this.tradeService.getTradeHistory(user.userId, validatedLimit);
+            const trades = await this.tradeService.getTradeHistory(user.userId, validatedLimit, this.getPortfolioId(req));
 
             // Format trades for response
             const formattedTrades = trades.map(trade => ({
@@ -68,8 +82,10 @@ class TradeController extends BaseController {
                 toAsset: trade.toAsset,
                 fromAmount: trade.fromAmount.toString(),
                 toAmount: trade.toAmount.toString(),
+                earlyExitPenaltySats: trade.earlyExitPenaltySats.toString(),
                 btcPriceUsd: trade.btcPriceUsd,
                 assetPriceUsd: trade.assetPriceUsd,
+                priceProvenance: this.formatPriceProvenance(trade),
                 executedAt: trade.createdAt,
                 type: trade.fromAsset === 'BTC' ? 'buy' : 'sell'
             }));
@@ -98,7 +114,7 @@ class TradeController extends BaseController {
             }
 
             const sanitizedSymbol = this.sanitizeInput(symbol).toUpperCase();
-            const lockInfo = await this.tradeService.getAssetLockInfo(user.userId, sanitizedSymbol);
+            const lockInfo = await this.tradeService.getAssetLockInfo(user.userId, sanitizedSymbol, this.getPortfolioId(req));
 
             // Calculate time until unlock
             const now = new Date();
@@ -116,12 +132,14 @@ class TradeController extends BaseController {
                 symbol: sanitizedSymbol,
                 lockedAmount: lockInfo.lockedAmount,
                 lockedPurchases: lockInfo.lockedPurchases,
+                lockedLots: lockInfo.lockedLots,
                 totalAmount: lockInfo.totalAmount,
                 availableAmount: lockInfo.availableAmount,
                 earliestUnlock: lockInfo.earliestUnlock,
                 latestUnlock: lockInfo.latestUnlock,
                 timeUntilUnlock,
-                isLocked: lockInfo.lockedAmount > 0
+                isLocked: lockInfo.lockedAmount > 0,
+                policy: lockInfo.policy
             });
         } catch (error) {
             this.handleError(error, res, 'getAssetLockInfo');
@@ -135,7 +153,7 @@ class TradeController extends BaseController {
     async getTradeStats(req, res) {
         try {
             const user = this.getUserFromRequest(req);
-            const trades = await this.tradeService.getTradeHistory(user.userId, 1000); // Get more for stats
+            const trades = await this.tradeService.getTradeHistory(user.userId, 1000, this.getPortfolioId(req)); // Get more for stats
 
             // Calculate statistics
             const totalTrades = trades.length;
@@ -194,6 +212,7 @@ class TradeController extends BaseController {
     /**
      * Preview a trade (calculate amounts without executing)
      * POST /api/trades/preview
+     * The response's quoteId can be sent to /execute to trade these exact amounts until expiresAt.
      */
     async previewTrade(req, res) {
         try {
@@ -206,50 +225,29 @@ class TradeController extends BaseController {
             // Validate trade parameters
             this.validateTradeParameters(fromAsset, toAsset, amount, unit);
 
-            // Convert amount to satoshis
-            const amountInSats = this.tradeService.convertToSats(parseFloat(amount), unit);
-
-            if (amountInSats <= 0) {
-                throw new Error('Amount must be positive');
-            }
-
-            // Get current prices (using portfolio service to access asset prices)
-            const PortfolioService = require('../services/portfolio-service');
-            const portfolioService = new PortfolioService();
-            const assetPrices = await portfolioService.getAssetPrices();
-
-            if (!assetPrices[fromAsset] || !assetPrices[toAsset]) {
-                throw new Error('Asset prices not available');
-            }
-
-            // Calculate trade preview
-            let toAmount;
-            if (fromAsset === 'BTC' && toAsset !== 'BTC') {
-                // Buying asset with BTC
-                const assetPriceUsd = assetPrices[toAsset];
-                const btcValueUsd = (amountInSats / 100000000) * assetPrices['BTC'];
-                const assetShares = btcValueUsd / assetPriceUsd;
-                toAmount = Math.round(assetShares * 100000000);
-            } else if (fromAsset !== 'BTC' && toAsset === 'BTC') {
-                // Selling asset for BTC
-                const assetPriceUsd = assetPrices[fromAsset];
-                const assetShares = amountInSats / 100000000;
-                const usdValue = assetShares * assetPriceUsd;
-                toAmount = Math.round((usdValue / assetPrices['BTC']) * 100000000);
-            } else {
-                throw new Error('One asset must be BTC');
-            }
+            const quote = await this.tradeQuoteService.createQuote(user.userId, {
+                fromAsset,
+                toAsset,
+                amount: parseFloat(amount),
+                unit,
+                portfolioId: this.getPortfolioId(req)
+            });
+            const { fromAmount, toAmount } = quote;
 
             this.sendSuccess(res, {
+                quoteId: quote.quoteId,
+                expiresAt: quote.expiresAt,
+                expiresInSeconds: quote.expiresInSeconds,
                 fromAsset,
                 toAsset,
-                fromAmount: amountInSats,
+                fromAmount,
                 toAmount,
-                fromAmountFormatted: this.formatAmount(amountInSats, fromAsset),
+                earlyExitPenaltySats: quote.earlyExitPenaltySats,
+                fromAmountFormatted: this.formatAmount(fromAmount, fromAsset),
                 toAmountFormatted: this.formatAmount(toAmount, toAsset),
-                btcPrice: assetPrices['BTC'],
-                assetPrice: assetPrices[toAsset === 'BTC' ? fromAsset : toAsset],
-                exchangeRate: toAsset === 'BTC' ? toAmount / amountInSats : amountInSats / toAmount,
+                btcPrice: quote.btcPrice,
+                assetPrice: quote.assetPrice,
+                exchangeRate: toAsset === 'BTC' ? toAmount / fromAmount : fromAmount / toAmount,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
@@ -257,6 +255,18 @@ class TradeController extends BaseController {
         }
     }
 
+    /**
+     * Where and when the prices a trade executed at were quoted
+     * @param {Object} trade - Trade row
+     * @returns {Object} { btc: { source, quotedAt }, asset: { source, quotedAt } }
+     */
+    formatPriceProvenance(trade) {
+        return {
+            btc: { source: trade.btcPriceSource, quotedAt: trade.btcPriceAt },
+            asset: { source: trade.assetPriceSource, quotedAt: trade.assetPriceAt }
+        };
+    }
+
     /**
      * Validate trade parameters
      * @param {string} fromAsset - Source asset symbol
@@ -0,0 +1,14 @@
+const express = require('express');
+const AchievementController = require('../controllers/achievement-controller');
+const { asyncHandler } = require('../utils/error-handlers');
+const router = express.Router();
+
+// Initialize controller
+const achievementController = new AchievementController();
+
+// Get all achievement definitions
+router.get('/', asyncHandler(async (req, res) => {
+    await achievementController.getAllAchievements(req, res);
+}));
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const AdminController = require('../controllers/admin-controller');
+const requireAdmin = require('../../../middleware/requireAdmin');
+const auditAdmin = require('../../../middleware/auditAdmin');
+const { asyncHandler } = require('../utils/error-handlers');
+const { ADMIN_AUDIT_ACTIONS, ADMIN_AUDIT_TARGETS } = require('../utils/constants');
+const router = express.Router();
+
+// Initialize controller
+const adminController = new AdminController();
+
+// Every admin endpoint requires an admin token
+router.use(requireAdmin);
+
+// ===== DASHBOARD ENDPOINTS =====
+
+// Get user, portfolio, trade, suggestion and price freshness statistics
+router.get('/dashboard', asyncHandler(async (req, res) => {
+    await adminController.getDashboardStats(req, res);
+}));
+
+// Get server environment and database counts
+router.get('/system', asyncHandler(async (req, res) => {
+    await adminController.getSystemInfo(req, res);
+}));
+
+// Get recent signups, trades and suggestions
+router.get('/activity', asyncHandler(async (req, res) => {
+    await adminController.getRecentActivity(req, res);
+}));
+
+// ===== USER ENDPOINTS =====
+
+// Get all users with search, filtering and pagination
+router.get('/users', asyncHandler(async (req, res) => {
+    await adminController.getAllUsers(req, res);
+}));
+
+// Get a user's login sessions and activity timeline
+router.get('/users/:id/activity', asyncHandler(async (req, res) => {
+    await adminController.getUserActivity(req, res);
+}));
+
+// Diff a user's holdings and purchases against a replay of their trades (dryRun=false applies it)
+router.post('/users/:id/rebuild', auditAdmin(ADMIN_AUDIT_ACTIONS.REBUILD_PORTFOLIOS, {
+    targetType: ADMIN_AUDIT_TARGETS.HOLDINGS,
+    when: req => req.query.dryRun === 'false'
+}), asyncHandler(async (req, res) => {
+    await adminController.rebuildUserPortfolios(req, res);
+}));
+
+// View the app as a user with a read-only, time-limited token
+router.post('/users/:id/impersonate', auditAdmin(ADMIN_AUDIT_ACTIONS.START_IMPERSONATION, {
+    targetType: ADMIN_AUDIT_TARGETS.IMPERSONATION,
+    getTargetId: (req, body) => body?.data?.impersonation?.id
+}), asyncHandler(async (req, res) => {
+    await adminController.impersonateUser(req, res);
+}));
+
+// Promote user to admin
+router.post('/users/:id/promote', auditAdmin(ADMIN_AUDIT_ACTIONS.PROMOTE_USER, {
+    targetType: ADMIN_AUDIT_TARGETS.USER
+}), asyncHandler(async (req, res) => {
+    await adminController.promoteUser(req, res);
+}));
+
+// Demote user from admin
+router.post('/users/:id/demote', auditAdmin(ADMIN_AUDIT_ACTIONS.DEMOTE_USER, {
+    targetType: ADMIN_AUDIT_TARGETS.USER
+}), asyncHandler(async (req, res) => {
+    await adminController.demoteUser(req, res);
+}));
+
+// ===== IMPERSONATION ENDPOINTS =====
+
+// Get the impersonation audit log
+router.get('/impersonations', asyncHandler(async (req, res) => {
+    await adminController.getImpersonations(req, res);
+}));
+
+// End an impersonation session early
+router.post('/impersonations/:id/end', auditAdmin(ADMIN_AUDIT_ACTIONS.END_IMPERSONATION, {
+    targetType: ADMIN_AUDIT_TARGETS.IMPERSONATION
+}), asyncHandler(async (req, res) => {
+    await adminController.endImpersonation(req, res);
+}));
+
+// ===== AUDIT LOG ENDPOINTS =====
+
+// Get the admin audit log with filters and pagination
+router.get('/audit-log', asyncHandler(async (req, res) => {
+    await adminController.getAuditLog(req, res);
+}));
+
+// ===== SUGGESTION ENDPOINTS =====
+
+// Get all suggestions (with pagination and filters)
+router.get('/suggestions', asyncHandler(async (req, res) => {
+    await adminController.getAllSuggestions(req, res);
+}));
+
+// Add admin reply to suggestion
+router.put('/suggestions/:id/reply', auditAdmin(ADMIN_AUDIT_ACTIONS.REPLY_SUGGESTION, {
+    targetType: ADMIN_AUDIT_TARGETS.SUGGESTION
+}), asyncHandler(async (req, res) => {
+    await adminController.replySuggestion(req, res);
+}));
+
+// Update suggestion status
+router.put('/suggestions/:id/status', auditAdmin(ADMIN_AUDIT_ACTIONS.UPDATE_SUGGESTION_STATUS, {
+    targetType: ADMIN_AUDIT_TARGETS.SUGGESTION
+}), asyncHandler(async (req, res) => {
+    await adminController.updateSuggestionStatus(req, res);
+}));
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const AssetController = require('../controllers/asset-controller');
-const authenticateToken = require('../../../middleware/auth');
+const requireAdmin = require('../../../middleware/requireAdmin');
+const auditAdmin = require('../../../middleware/auditAdmin');
 const { asyncHandler } = require('../utils/error-handlers');
+const { ADMIN_AUDIT_ACTIONS, ADMIN_AUDIT_TARGETS } = require('../utils/constants');
 const router = express.Router();
 
 // Initialize controller
@@ -37,7 +39,7 @@ router.get('/:symbol/price', asyncHandler(async (req, res) => {
     await assetController.getAssetPrice(req, res);
 }));
 
-// Get asset price history (limited functionality)
+// Get daily asset price history in USD and sats
 router.get('/:symbol/history', asyncHandler(async (req, res) => {
     await assetController.getAssetHistory(req, res);
 }));
@@ -48,7 +50,9 @@ router.post('/prices', asyncHandler(async (req, res) => {
 }));
 
 // Update all asset prices (admin only)
-router.post('/update-prices', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/update-prices', requireAdmin, auditAdmin(ADMIN_AUDIT_ACTIONS.UPDATE_PRICES, {
+    targetType: ADMIN_AUDIT_TARGETS.PRICES
+}), asyncHandler(async (req, res) => {
     await assetController.updateAllPrices(req, res);
 }));
 
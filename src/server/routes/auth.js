@@ -1,5 +1,6 @@
 const express = require('express');
 const AuthController = require('../controllers/auth-controller');
+const authenticateToken = require('../../../middleware/auth');
 const { asyncHandler } = require('../utils/error-handlers');
 const router = express.Router();
 
@@ -21,6 +22,47 @@ router.get('/verify', asyncHandler(async (req, res) => {
     await authController.verifyMagicLink(req, res);
 }));
 
+// Exchange the refresh token cookie for a new access token
+router.post('/refresh', asyncHandler(async (req, res) => {
+    await authController.refreshSession(req, res);
+}));
+
+// End the current session
+router.post('/logout', asyncHandler(async (req, res) => {
+    await authController.logout(req, res);
+}));
+
+// Sign out of all devices
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+    await authController.logoutEverywhere(req, res);
+}));
+
+// Passkey (WebAuthn) login - magic links stay the recovery path
+router.post('/passkeys/login/options', asyncHandler(async (req, res) => {
+    await authController.getPasskeyLoginOptions(req, res);
+}));
+
+router.post('/passkeys/login', asyncHandler(async (req, res) => {
+    await authController.loginWithPasskey(req, res);
+}));
+
+// Manage the signed-in user's passkeys
+router.post('/passkeys/register/options', authenticateToken, asyncHandler(async (req, res) => {
+    await authController.getPasskeyRegistrationOptions(req, res);
+}));
+
+router.post('/passkeys/register', authenticateToken, asyncHandler(async (req, res) => {
+    await authController.registerPasskey(req, res);
+}));
+
+router.get('/passkeys', authenticateToken, asyncHandler(async (req, res) => {
+    await authController.listPasskeys(req, res);
+}));
+
+router.delete('/passkeys/:id', authenticateToken, asyncHandler(async (req, res) => {
+    await authController.deletePasskey(req, res);
+}));
+
 // Verify JWT token (for frontend auth checks)
 router.post('/verify-token', asyncHandler(async (req, res) => {
     await authController.verifyToken(req, res);
@@ -0,0 +1,51 @@
+const express = require('express');
+const CompetitionController = require('../controllers/competition-controller');
+const authenticateToken = require('../../../middleware/auth');
+const requireAdmin = require('../../../middleware/requireAdmin');
+const auditAdmin = require('../../../middleware/auditAdmin');
+const { asyncHandler } = require('../utils/error-handlers');
+const { ADMIN_AUDIT_ACTIONS, ADMIN_AUDIT_TARGETS } = require('../utils/constants');
+const router = express.Router();
+
+// Initialize controller
+const competitionController = new CompetitionController();
+
+// List competitions
+router.get('/', asyncHandler(async (req, res) => {
+    await competitionController.listCompetitions(req, res);
+}));
+
+// Create a competition (admin only)
+router.post('/', requireAdmin, auditAdmin(ADMIN_AUDIT_ACTIONS.CREATE_COMPETITION, {
+    targetType: ADMIN_AUDIT_TARGETS.COMPETITION,
+    getTargetId: (req, body) => body?.data?.competition?.id
+}), asyncHandler(async (req, res) => {
+    await competitionController.createCompetition(req, res);
+}));
+
+// Get a single competition
+router.get('/:id', asyncHandler(async (req, res) => {
+    await competitionController.getCompetition(req, res);
+}));
+
+// Get competition standings
+router.get('/:id/standings', asyncHandler(async (req, res) => {
+    await competitionController.getStandings(req, res);
+}));
+
+// Join a competition
+router.post('/:id/join', authenticateToken, asyncHandler(async (req, res) => {
+    await competitionController.joinCompetition(req, res);
+}));
+
+// Get the current user's competition portfolio
+router.get('/:id/portfolio', authenticateToken, asyncHandler(async (req, res) => {
+    await competitionController.getMyPortfolio(req, res);
+}));
+
+// Trade inside a competition
+router.post('/:id/trades', authenticateToken, asyncHandler(async (req, res) => {
+    await competitionController.executeTrade(req, res);
+}));
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const DcaController = require('../controllers/dca-controller');
+const authenticateToken = require('../../../middleware/auth');
+const { asyncHandler } = require('../utils/error-handlers');
+const router = express.Router();
+
+// Initialize controller
+const dcaController = new DcaController();
+
+// List the user's DCA plans
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+    await dcaController.getPlans(req, res);
+}));
+
+// Create a DCA plan
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+    await dcaController.createPlan(req, res);
+}));
+
+// Get a DCA plan with its run history
+router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
+    await dcaController.getPlan(req, res);
+}));
+
+// Update or pause/resume a DCA plan
+router.put('/:id', authenticateToken, asyncHandler(async (req, res) => {
+    await dcaController.updatePlan(req, res);
+}));
+
+// Delete a DCA plan
+router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
+    await dcaController.deletePlan(req, res);
+}));
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const prisma = require('../../../config/database');
 const authenticateToken = require('../../../middleware/auth');
+const PortfolioService = require('../services/portfolio-service');
 const router = express.Router();
 
 // Debug route to check user holdings
@@ -44,10 +45,13 @@ router.get('/holdings', authenticateToken, async (req, res) => {
 // Debug route to manually create 1 BTC holding
 router.post('/create-btc', authenticateToken, async (req, res) => {
   try {
+    const portfolio = await new PortfolioService().resolvePortfolio(req.user.userId);
+
     // Check if user already has BTC
     const existingBtc = await prisma.holding.findFirst({
       where: {
         userId: req.user.userId,
+        portfolioId: portfolio.id,
         assetSymbol: 'BTC'
       }
     });
@@ -60,6 +64,7 @@ router.post('/create-btc', authenticateToken, async (req, res) => {
     const btcHolding = await prisma.holding.create({
       data: {
         userId: req.user.userId,
+        portfolioId: portfolio.id,
         assetSymbol: 'BTC',
         amount: BigInt(100000000) // 1 BTC = 100,000,000 satoshis
       }
@@ -5,6 +5,13 @@ const assetRoutes = require('./assets');
 const suggestionsRoutes = require('./suggestions');
 const debugRoutes = require('./debug');
 const setForgetPortfoliosRoutes = require('./set-forget-portfolios');
+const achievementRoutes = require('./achievements');
+const userRoutes = require('./users');
+const leaderboardRoutes = require('./leaderboard');
+const competitionRoutes = require('./competitions');
+const dcaRoutes = require('./dca');
+const adminRoutes = require('./admin');
+const streamRoutes = require('./stream');
 
 function setupRoutes(app) {
   console.log('🛣️ Setting up API routes...');
@@ -42,6 +49,13 @@ function setupRoutes(app) {
   app.use('/api/suggestions', suggestionsRoutes);
   app.use('/api/debug', debugRoutes);
   app.use('/api/set-forget-portfolios', setForgetPortfoliosRoutes);
+  app.use('/api/achievements', achievementRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/leaderboard', leaderboardRoutes);
+  app.use('/api/competitions', competitionRoutes);
+  app.use('/api/dca', dcaRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/stream', streamRoutes);
 
   console.log('✅ API routes configured');
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const LeaderboardController = require('../controllers/leaderboard-controller');
+const { asyncHandler } = require('../utils/error-handlers');
+const router = express.Router();
+
+// Initialize controller
+const leaderboardController = new LeaderboardController();
+
+// Get the public leaderboard
+router.get('/', asyncHandler(async (req, res) => {
+    await leaderboardController.getLeaderboard(req, res);
+}));
+
+module.exports = router;
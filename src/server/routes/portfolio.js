@@ -32,6 +32,31 @@ router.get('/locked-assets', authenticateToken, asyncHandler(async (req, res) =>
     await portfolioController.getLockedAssets(req, res);
 }));
 
+// List the user's portfolios
+router.get('/portfolios', authenticateToken, asyncHandler(async (req, res) => {
+    await portfolioController.listPortfolios(req, res);
+}));
+
+// Create a new portfolio
+router.post('/portfolios', authenticateToken, asyncHandler(async (req, res) => {
+    await portfolioController.createPortfolio(req, res);
+}));
+
+// Rename a portfolio
+router.put('/portfolios/:id', authenticateToken, asyncHandler(async (req, res) => {
+    await portfolioController.renamePortfolio(req, res);
+}));
+
+// Delete a portfolio
+router.delete('/portfolios/:id', authenticateToken, asyncHandler(async (req, res) => {
+    await portfolioController.deletePortfolio(req, res);
+}));
+
+// Compare all portfolios side by side
+router.get('/compare', authenticateToken, asyncHandler(async (req, res) => {
+    await portfolioController.comparePortfolios(req, res);
+}));
+
 // Get detailed asset information
 router.get('/asset/:symbol', authenticateToken, asyncHandler(async (req, res) => {
     await portfolioController.getAssetDetails(req, res);
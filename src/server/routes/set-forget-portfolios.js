@@ -4,6 +4,9 @@ const authenticateToken = require('../../../middleware/auth');
 const crypto = require('crypto');
 const ImageGenerationService = require('../services/image-generation-service');
 const PriceCacheService = require('../services/price-cache-service');
+const AchievementService = require('../services/achievement-service');
+const PriceHistoryService = require('../services/price-history-service');
+const SetForgetRebalanceService = require('../services/set-forget-rebalance-service');
 const router = express.Router();
 
 // Portfolio baseline: always compare against 1 BTC (100M satoshis)
@@ -12,6 +15,9 @@ const PORTFOLIO_BASELINE_SATS = 100000000;
 // Initialize services
 const imageGenerator = new ImageGenerationService();
 const priceCache = new PriceCacheService();
+const achievementService = new AchievementService();
+const priceHistory = new PriceHistoryService();
+const rebalanceService = new SetForgetRebalanceService();
 
 // Set & Forget Portfolio Model Class
 class SetForgetPortfolio {
@@ -23,7 +29,42 @@ class SetForgetPortfolio {
     this.locked_until = data.locked_until;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
-    this.allocations = data.allocations || [];
+    this.rebalance_policy = data.rebalance_policy || 'never';
+    this.rebalance_threshold_percent = data.rebalance_threshold_percent ?? null;
+    this.last_rebalanced_at = data.last_rebalanced_at || null;
+
+    // Allocation rows are grouped by snapshot: 0 is the original purchase, each rebalance adds one
+    const rows = data.allocations || [];
+    const latestSnapshot = rows.reduce((max, row) => Math.max(max, row.snapshot || 0), 0);
+    this.allocations = rows.filter(row => (row.snapshot || 0) === latestSnapshot);
+    this.initial_allocations = rows.filter(row => !row.snapshot);
+    this.snapshots = [...new Set(rows.map(row => row.snapshot || 0))].sort((a, b) => a - b).map(snapshot => {
+      const snapshotRows = rows.filter(row => (row.snapshot || 0) === snapshot);
+      return {
+        snapshot,
+        created_at: snapshotRows[0].created_at,
+        value_sats: snapshotRows.reduce((sum, row) => sum + parseInt(row.btc_amount), 0)
+      };
+    });
+  }
+
+  // Convert a Prisma row (with set_forget_allocations) into the model's shape
+  static fromPrisma(portfolioData) {
+    return new SetForgetPortfolio({
+      id: portfolioData.id,
+      user_id: portfolioData.userId,
+      name: portfolioData.name,
+      share_token: portfolioData.share_token,
+      locked_until: portfolioData.locked_until,
+      created_at: portfolioData.createdAt,
+      updated_at: portfolioData.updatedAt,
+      rebalance_policy: portfolioData.rebalancePolicy,
+      rebalance_threshold_percent: portfolioData.rebalanceThresholdPercent !== null && portfolioData.rebalanceThresholdPercent !== undefined
+        ? parseFloat(portfolioData.rebalanceThresholdPercent)
+        : null,
+      last_rebalanced_at: portfolioData.lastRebalancedAt,
+      allocations: portfolioData.set_forget_allocations
+    });
   }
 
   // Generate a unique share token for public sharing
@@ -77,6 +118,8 @@ class SetForgetPortfolio {
         throw new Error(validation.error);
       }
 
+      const rebalancing = rebalanceService.validatePolicy(portfolioData.rebalance_policy, portfolioData.rebalance_threshold);
+
       // This is a theoretical portfolio - no actual BTC balance check needed
       // Always use 1 BTC (100M sats) as baseline for all portfolio comparisons
       const initialBtcAmount = PORTFOLIO_BASELINE_SATS;
@@ -113,7 +156,9 @@ class SetForgetPortfolio {
             userId: userId,
             name: portfolioData.name,
             share_token: shareToken,
-            locked_until: trackingStartDate
+            locked_until: trackingStartDate,
+            rebalancePolicy: rebalancing.policy,
+            rebalanceThresholdPercent: rebalancing.thresholdPercent
           }
         });
 
@@ -163,7 +208,7 @@ class SetForgetPortfolio {
       where: { id: portfolioId },
       include: {
         set_forget_allocations: {
-          orderBy: { allocation_percentage: 'desc' }
+          orderBy: [{ snapshot: 'asc' }, { allocation_percentage: 'desc' }]
         }
       }
     });
@@ -172,19 +217,7 @@ class SetForgetPortfolio {
       return null;
     }
 
-    // Convert Prisma result to match expected format
-    const formattedData = {
-      id: portfolioData.id,
-      user_id: portfolioData.userId,
-      name: portfolioData.name,
-      share_token: portfolioData.share_token,
-      locked_until: portfolioData.locked_until,
-      created_at: portfolioData.createdAt,
-      updated_at: portfolioData.updatedAt,
-      allocations: portfolioData.set_forget_allocations
-    };
-
-    return new SetForgetPortfolio(formattedData);
+    return this.fromPrisma(portfolioData);
   }
 
   // Find portfolio by share token (for public sharing)
@@ -193,7 +226,7 @@ class SetForgetPortfolio {
       where: { share_token: shareToken },
       include: {
         set_forget_allocations: {
-          orderBy: { allocation_percentage: 'desc' }
+          orderBy: [{ snapshot: 'asc' }, { allocation_percentage: 'desc' }]
         }
       }
     });
@@ -202,19 +235,7 @@ class SetForgetPortfolio {
       return null;
     }
 
-    // Convert Prisma result to match expected format
-    const formattedData = {
-      id: portfolioData.id,
-      user_id: portfolioData.userId,
-      name: portfolioData.name,
-      share_token: portfolioData.share_token,
-      locked_until: portfolioData.locked_until,
-      created_at: portfolioData.createdAt,
-      updated_at: portfolioData.updatedAt,
-      allocations: portfolioData.set_forget_allocations
-    };
-
-    return new SetForgetPortfolio(formattedData);
+    return this.fromPrisma(portfolioData);
   }
 
   // Find all portfolios for a user
@@ -224,29 +245,12 @@ class SetForgetPortfolio {
       orderBy: { createdAt: 'desc' },
       include: {
         set_forget_allocations: {
-          orderBy: { allocation_percentage: 'desc' }
+          orderBy: [{ snapshot: 'asc' }, { allocation_percentage: 'desc' }]
         }
       }
     });
 
-    const portfolios = [];
-    for (const portfolioData of portfoliosData) {
-      // Convert Prisma result to match expected format
-      const formattedData = {
-        id: portfolioData.id,
-        user_id: portfolioData.userId,
-        name: portfolioData.name,
-        share_token: portfolioData.share_token,
-        locked_until: portfolioData.locked_until,
-        created_at: portfolioData.createdAt,
-        updated_at: portfolioData.updatedAt,
-        allocations: portfolioData.set_forget_allocations
-      };
-
-      portfolios.push(new SetForgetPortfolio(formattedData));
-    }
-
-    return portfolios;
+    return portfoliosData.map(portfolioData => this.fromPrisma(portfolioData));
   }
 
   // Calculate current portfolio performance
@@ -286,9 +290,10 @@ class SetForgetPortfolio {
 
         currentValueSats += currentValueInSats;
 
-        // Calculate BTC-denominated performance
-        const initialBtcPrice = parseFloat(allocation.btc_price_usd);
-        const initialAssetPriceInBtc = parseFloat(allocation.purchase_price_usd) / initialBtcPrice;
+        // Calculate BTC-denominated performance since the original purchase, not the last rebalance
+        const initialAllocation = this.initial_allocations.find(a => a.asset_symbol === allocation.asset_symbol) || allocation;
+        const initialBtcPrice = parseFloat(initialAllocation.btc_price_usd);
+        const initialAssetPriceInBtc = parseFloat(initialAllocation.purchase_price_usd) / initialBtcPrice;
         const currentAssetPriceInBtc = currentPrice / currentBtcPrice;
 
         // For BTC itself, performance is always 0% (1 BTC = 1 BTC)
@@ -301,7 +306,7 @@ class SetForgetPortfolio {
           allocation_percentage: allocation.allocation_percentage,
           initial_btc_amount: Math.floor(PORTFOLIO_BASELINE_SATS * allocation.allocation_percentage / 100),
           current_value_sats: currentValueInSats,
-          initial_price_usd: parseFloat(allocation.purchase_price_usd),
+          initial_price_usd: parseFloat(initialAllocation.purchase_price_usd),
           current_price_usd: currentPrice,
           initial_btc_price_usd: initialBtcPrice,
           asset_performance_percent: btcDenominatedPerformance
@@ -311,6 +316,10 @@ class SetForgetPortfolio {
       const initialBtcAmount = PORTFOLIO_BASELINE_SATS;
       const totalPerformancePercent = ((currentValueSats / initialBtcAmount) - 1) * 100;
 
+      // The original mix held untouched, to compare against the rebalanced snapshots
+      const buyAndHoldValueSats = rebalanceService.valueAllocations(this.initial_allocations, priceMap)
+        .reduce((sum, position) => sum + position.value_sats, 0);
+
       // Calculate days since creation (tracking period)
       const now = new Date();
       const createdAt = new Date(this.created_at);
@@ -326,12 +335,155 @@ class SetForgetPortfolio {
         days_tracked: daysTracked,
         allocations: allocationPerformance,
         current_btc_price: currentBtcPrice,
-        share_token: this.share_token
+        share_token: this.share_token,
+        rebalance_policy: this.rebalance_policy,
+        rebalance_threshold_percent: this.rebalance_threshold_percent,
+        rebalance_count: this.snapshots.length - 1,
+        buy_and_hold_value_sats: buyAndHoldValueSats,
+        buy_and_hold_performance_percent: ((buyAndHoldValueSats / initialBtcAmount) - 1) * 100,
+        last_rebalanced_at: this.last_rebalanced_at,
+        rebalance_history: this.snapshots.slice(1)
       };
     } catch (error) {
       throw new Error(`Failed to calculate performance: ${error.message}`);
     }
   }
+
+  // Replay allocations against stored daily closes from a start date until today,
+  // optionally rebalancing them with the same policies live portfolios use
+  static async backtest(allocations, startDate, rebalancePolicy, rebalanceThreshold) {
+    const validation = this.validateAllocations(allocations);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const rebalancing = rebalanceService.validatePolicy(rebalancePolicy, rebalanceThreshold);
+
+    const requestedStart = priceHistory.toDay(startDate);
+    if (isNaN(requestedStart.getTime())) {
+      throw new Error('Invalid start date');
+    }
+    if (requestedStart >= priceHistory.toDay()) {
+      throw new Error('Start date must be in the past');
+    }
+
+    const symbols = [...new Set(['BTC', ...allocations.map(a => a.asset_symbol)])];
+    const closes = await priceHistory.getDailyCloses(symbols, requestedStart);
+
+    const missing = symbols.filter(symbol => closes[symbol].length === 0);
+    if (missing.length > 0) {
+      throw new Error(`No price history for: ${missing.join(', ')}`);
+    }
+
+    // Some histories begin after the requested date - start once every asset has a price
+    const effectiveStart = new Date(Math.max(...symbols.map(symbol => closes[symbol][0].date.getTime())));
+
+    // BTC trades every day, so its bars drive the calendar; other assets carry
+    // their last close over weekends and holidays
+    const cursors = Object.fromEntries(symbols.map(symbol => [symbol, 0]));
+    const closeOn = (symbol, date) => {
+      const bars = closes[symbol];
+      while (cursors[symbol] + 1 < bars.length && bars[cursors[symbol] + 1].date <= date) {
+        cursors[symbol]++;
+      }
+      return bars[cursors[symbol]].closeUsd;
+    };
+
+    let positions = null;
+    let lastRebalancedAt = null;
+    const rebalanceDates = [];
+    let peak = { date: null, value: 0 };
+    let maxDrawdown = { percent: 0, peakDate: null, troughDate: null };
+    const equityCurve = [];
+
+    for (const day of closes.BTC.filter(bar => bar.date >= effectiveStart)) {
+      const btcPrice = day.closeUsd;
+
+      if (!positions) {
+        lastRebalancedAt = day.date;
+
+        // Buy the allocation with 1 BTC on the first day, as create() does with live prices
+        positions = allocations.map(allocation => {
+          const btcAmount = Math.floor((allocation.allocation_percentage / 100) * PORTFOLIO_BASELINE_SATS);
+          const startPrice = closeOn(allocation.asset_symbol, day.date);
+          return {
+            asset_symbol: allocation.asset_symbol,
+            allocation_percentage: allocation.allocation_percentage,
+            start_price_usd: startPrice,
+            units: allocation.asset_symbol === 'BTC'
+              ? btcAmount
+              : ((btcAmount / 100000000) * btcPrice) / startPrice
+          };
+        });
+      }
+
+      let valueSats = 0;
+      for (const position of positions) {
+        position.price_usd = closeOn(position.asset_symbol, day.date);
+        position.value_sats = position.asset_symbol === 'BTC'
+          ? position.units
+          : Math.floor(((position.units * position.price_usd) / btcPrice) * 100000000);
+        valueSats += position.value_sats;
+      }
+
+      const date = day.date.toISOString().slice(0, 10);
+
+      // Rebalance at the day's close - the value is unchanged, only the mix is reset
+      const policy = { policy: rebalancing.policy, thresholdPercent: rebalancing.thresholdPercent, lastRebalancedAt };
+      if (rebalanceService.isRebalanceDue(policy, positions, day.date)) {
+        const priceMap = Object.fromEntries(positions.map(position => [position.asset_symbol, position.price_usd]));
+        priceMap.BTC = btcPrice;
+
+        rebalanceService.splitValue(positions, valueSats, priceMap).forEach((target, index) => {
+          positions[index].units = target.asset_symbol === 'BTC'
+            ? target.asset_amount
+            : ((target.btc_amount / 100000000) * btcPrice) / priceMap[target.asset_symbol];
+        });
+        lastRebalancedAt = day.date;
+        rebalanceDates.push(date);
+      }
+
+      equityCurve.push({ date, value_sats: valueSats });
+
+      if (valueSats > peak.value) {
+        peak = { date, value: valueSats };
+      }
+      const drawdownPercent = ((peak.value - valueSats) / peak.value) * 100;
+      if (drawdownPercent > maxDrawdown.percent) {
+        maxDrawdown = { percent: drawdownPercent, peakDate: peak.date, troughDate: date };
+      }
+    }
+
+    if (equityCurve.length === 0) {
+      throw new Error('Not enough price history to backtest these allocations');
+    }
+
+    const finalValueSats = equityCurve[equityCurve.length - 1].value_sats;
+
+    return {
+      start_date: requestedStart.toISOString().slice(0, 10),
+      effective_start_date: equityCurve[0].date,
+      end_date: equityCurve[equityCurve.length - 1].date,
+      initial_btc_amount: PORTFOLIO_BASELINE_SATS,
+      final_value_sats: finalValueSats,
+      final_ratio_vs_btc: finalValueSats / PORTFOLIO_BASELINE_SATS,
+      total_performance_percent: ((finalValueSats / PORTFOLIO_BASELINE_SATS) - 1) * 100,
+      max_drawdown_percent: maxDrawdown.percent,
+      max_drawdown_peak_date: maxDrawdown.peakDate,
+      max_drawdown_trough_date: maxDrawdown.troughDate,
+      rebalance_policy: rebalancing.policy,
+      rebalance_threshold_percent: rebalancing.thresholdPercent,
+      rebalance_dates: rebalanceDates,
+      allocations: positions.map(position => ({
+        asset_symbol: position.asset_symbol,
+        allocation_percentage: position.allocation_percentage,
+        start_price_usd: position.start_price_usd,
+        end_price_usd: position.price_usd,
+        final_value_sats: position.value_sats
+      })),
+      equity_curve: equityCurve
+    };
+  }
 }
 
 // API Routes
@@ -339,7 +491,7 @@ class SetForgetPortfolio {
 // Create a new Set & Forget portfolio
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { name, allocations } = req.body;
+    const { name, allocations, rebalance_policy: rebalancePolicy, rebalance_threshold: rebalanceThreshold } = req.body;
 
     // Validate required fields
     if (!name || !allocations) {
@@ -359,13 +511,16 @@ router.post('/', authenticateToken, async (req, res) => {
 
     const portfolio = await SetForgetPortfolio.create(
       req.user.userId,
-      { name },
+      { name, rebalance_policy: rebalancePolicy, rebalance_threshold: rebalanceThreshold },
       allocations
     );
 
+    const newAchievements = await achievementService.evaluateForEvent(req.user.userId, 'set_forget_created');
+
     res.status(201).json({
       message: 'Set & Forget portfolio created successfully',
-      portfolio: await portfolio.calculateCurrentPerformance()
+      portfolio: await portfolio.calculateCurrentPerformance(),
+      newAchievements
     });
 
   } catch (error) {
@@ -374,6 +529,31 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Backtest allocations against stored daily price history
+router.post('/backtest', authenticateToken, async (req, res) => {
+  try {
+    const {
+      allocations,
+      start_date: startDate,
+      rebalance_policy: rebalancePolicy,
+      rebalance_threshold: rebalanceThreshold
+    } = req.body;
+
+    if (!allocations || !startDate) {
+      return res.status(400).json({
+        error: 'Missing required fields: allocations, start_date'
+      });
+    }
+
+    const result = await SetForgetPortfolio.backtest(allocations, startDate, rebalancePolicy, rebalanceThreshold);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Backtest portfolio error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Get user's Set & Forget portfolios
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -424,6 +604,52 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Mark a portfolio as shared by its owner and return its share token
+router.post('/:id/share', authenticateToken, async (req, res) => {
+  try {
+    const portfolioId = parseInt(req.params.id);
+
+    if (isNaN(portfolioId)) {
+      return res.status(400).json({ error: 'Invalid portfolio ID' });
+    }
+
+    const portfolio = await prisma.setForgetPortfolio.findUnique({
+      where: { id: portfolioId },
+      select: { id: true, userId: true, share_token: true, sharedAt: true }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    // Verify ownership
+    if (portfolio.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Keep the first share date
+    const sharedAt = portfolio.sharedAt || new Date();
+    if (!portfolio.sharedAt) {
+      await prisma.setForgetPortfolio.update({
+        where: { id: portfolioId },
+        data: { sharedAt }
+      });
+    }
+
+    const newAchievements = await achievementService.evaluateForEvent(req.user.userId, 'portfolio_shared');
+
+    res.json({
+      share_token: portfolio.share_token,
+      shared_at: sharedAt,
+      newAchievements
+    });
+
+  } catch (error) {
+    console.error('Share portfolio error:', error);
+    res.status(500).json({ error: 'Failed to share portfolio' });
+  }
+});
+
 // Get public portfolio by share token (no authentication required)
 router.get('/public/:shareToken', async (req, res) => {
   try {
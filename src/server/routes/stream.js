@@ -0,0 +1,19 @@
+const express = require('express');
+const StreamController = require('../controllers/stream-controller');
+const authenticateToken = require('../../../middleware/auth');
+const router = express.Router();
+
+// Initialize controller
+const streamController = new StreamController();
+
+// Signed-in clients also get their portfolio events; anyone may follow prices
+const authenticateIfPresent = (req, res, next) => (
+    req.headers.authorization ? authenticateToken(req, res, next) : next()
+);
+
+// Live prices and portfolio changes (server-sent events)
+router.get('/', authenticateIfPresent, (req, res) => {
+    streamController.subscribe(req, res);
+});
+
+module.exports = router;
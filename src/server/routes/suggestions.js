@@ -2,7 +2,9 @@ const express = require('express');
 const AdminController = require('../controllers/admin-controller');
 const authenticateToken = require('../../../middleware/auth');
 const requireAdmin = require('../../../middleware/requireAdmin');
+const auditAdmin = require('../../../middleware/auditAdmin');
 const { asyncHandler } = require('../utils/error-handlers');
+const { ADMIN_AUDIT_ACTIONS, ADMIN_AUDIT_TARGETS } = require('../utils/constants');
 const router = express.Router();
 
 // Initialize controller
@@ -38,12 +40,16 @@ router.get('/admin/suggestions', requireAdmin, asyncHandler(async (req, res) =>
 }));
 
 // Add admin reply to suggestion
-router.put('/admin/suggestions/:id/reply', requireAdmin, asyncHandler(async (req, res) => {
+router.put('/admin/suggestions/:id/reply', requireAdmin, auditAdmin(ADMIN_AUDIT_ACTIONS.REPLY_SUGGESTION, {
+    targetType: ADMIN_AUDIT_TARGETS.SUGGESTION
+}), asyncHandler(async (req, res) => {
     await adminController.replySuggestion(req, res);
 }));
 
 // Update suggestion status
-router.put('/admin/suggestions/:id/status', requireAdmin, asyncHandler(async (req, res) => {
+router.put('/admin/suggestions/:id/status', requireAdmin, auditAdmin(ADMIN_AUDIT_ACTIONS.UPDATE_SUGGESTION_STATUS, {
+    targetType: ADMIN_AUDIT_TARGETS.SUGGESTION
+}), asyncHandler(async (req, res) => {
     await adminController.updateSuggestionStatus(req, res);
 }));
 
@@ -58,7 +64,9 @@ router.get('/admin/stats', requireAdmin, asyncHandler(async (req, res) => {
 }));
 
 // Promote user to admin via database flag
-router.post('/admin/users/:id/promote', requireAdmin, asyncHandler(async (req, res) => {
+router.post('/admin/users/:id/promote', requireAdmin, auditAdmin(ADMIN_AUDIT_ACTIONS.PROMOTE_USER, {
+    targetType: ADMIN_AUDIT_TARGETS.USER
+}), asyncHandler(async (req, res) => {
     await adminController.promoteUser(req, res);
 }));
 
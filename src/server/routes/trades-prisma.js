@@ -1,11 +1,13 @@
 const express = require('express');
 const TradeController = require('../controllers/trade-controller');
+const OrderController = require('../controllers/order-controller');
 const authenticateToken = require('../../../middleware/auth');
 const { asyncHandler } = require('../utils/error-handlers');
 const router = express.Router();
 
 // Initialize controller
 const tradeController = new TradeController();
+const orderController = new OrderController();
 
 // Execute a trade between assets
 router.post('/execute', authenticateToken, asyncHandler(async (req, res) => {
@@ -32,4 +34,19 @@ router.get('/lock-info/:symbol', authenticateToken, asyncHandler(async (req, res
     await tradeController.getAssetLockInfo(req, res);
 }));
 
+// Place a limit or stop order
+router.post('/orders', authenticateToken, asyncHandler(async (req, res) => {
+    await orderController.placeOrder(req, res);
+}));
+
+// List user's limit and stop orders
+router.get('/orders', authenticateToken, asyncHandler(async (req, res) => {
+    await orderController.getOrders(req, res);
+}));
+
+// Cancel an open order
+router.delete('/orders/:id', authenticateToken, asyncHandler(async (req, res) => {
+    await orderController.cancelOrder(req, res);
+}));
+
 module.exports = router;
\ No newline at end of file
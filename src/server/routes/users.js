@@ -0,0 +1,32 @@
+const express = require('express');
+const AchievementController = require('../controllers/achievement-controller');
+const AccountController = require('../controllers/account-controller');
+const authenticateToken = require('../../../middleware/auth');
+const { asyncHandler } = require('../utils/error-handlers');
+const router = express.Router();
+
+// Initialize controllers
+const achievementController = new AchievementController();
+const accountController = new AccountController();
+
+// Download everything stored about the current user
+router.get('/me/export', authenticateToken, asyncHandler(async (req, res) => {
+    await accountController.exportMyData(req, res);
+}));
+
+// Request (no token) or confirm (with the emailed token) deletion of the current user's account
+router.delete('/me', authenticateToken, asyncHandler(async (req, res) => {
+    await accountController.deleteMyAccount(req, res);
+}));
+
+// Get current user's achievements
+router.get('/me/achievements', authenticateToken, asyncHandler(async (req, res) => {
+    await achievementController.getMyAchievements(req, res);
+}));
+
+// Mark an educational article as completed
+router.post('/me/education/:contentId/complete', authenticateToken, asyncHandler(async (req, res) => {
+    await achievementController.completeEducation(req, res);
+}));
+
+module.exports = router;
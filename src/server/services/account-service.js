@@ -0,0 +1,209 @@
+const BaseService = require('./base-service');
+const UserActivityService = require('./user-activity-service');
+const { USER_ACTIVITY_TYPES, ADMIN_AUDIT_TARGETS } = require('../utils/constants');
+
+// Bumped whenever the shape of the export bundle changes
+const EXPORT_VERSION = 1;
+
+/**
+ * A user's own account data
+ *
+ * Exports everything stored about a user as one JSON bundle and deletes an account.
+ * Holdings, trades, pending orders, purchases and suggestions reference users with
+ * NoAction, so deleting a user row on its own fails - those rows are removed (or, for
+ * suggestions, anonymised) first. Everything else cascades from the user row.
+ */
+class AccountService extends BaseService {
+    constructor() {
+        super();
+        this.userActivityService = new UserActivityService();
+    }
+
+    /**
+     * Collect everything stored about a user
+     * @param {number} userId - User ID
+     * @param {Object} context - { ipAddress, userAgent }
+     * @returns {Promise<Object>} JSON-safe export bundle
+     */
+    async exportUserData(userId, context = {}) {
+        const user = await this.validateUser(userId);
+
+        const [
+            portfolios,
+            trades,
+            purchases,
+            pendingOrders,
+            dcaPlans,
+            setForgetPortfolios,
+            suggestions,
+            achievements,
+            educationProgress,
+            competitionEntries,
+            passkeys
+        ] = await Promise.all([
+            this.prisma.portfolio.findMany({
+                where: { userId: user.id },
+                include: { holdings: { orderBy: { assetSymbol: 'asc' } } },
+                orderBy: { id: 'asc' }
+            }),
+            this.prisma.trade.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'asc' } }),
+            this.prisma.purchase.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'asc' } }),
+            this.prisma.pendingOrder.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'asc' } }),
+            this.prisma.dcaPlan.findMany({
+                where: { userId: user.id },
+                include: { runs: { orderBy: { id: 'asc' } } },
+                orderBy: { id: 'asc' }
+            }),
+            this.prisma.setForgetPortfolio.findMany({
+                where: { userId: user.id },
+                include: { set_forget_allocations: { orderBy: { id: 'asc' } } },
+                orderBy: { id: 'asc' }
+            }),
+            this.prisma.suggestion.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'asc' } }),
+            this.prisma.user_achievements.findMany({
+                where: { user_id: user.id },
+                include: { achievements: { select: { code: true, name: true, description: true } } },
+                orderBy: { earned_at: 'asc' }
+            }),
+            this.prisma.educationProgress.findMany({ where: { userId: user.id }, orderBy: { completedAt: 'asc' } }),
+            this.prisma.competitionParticipant.findMany({
+                where: { userId: user.id },
+                include: { competition: { select: { id: true, name: true, startsAt: true, endsAt: true } } },
+                orderBy: { id: 'asc' }
+            }),
+            // Labels and dates only - public keys are useless outside this site
+            this.prisma.credential.findMany({
+                where: { userId: user.id },
+                select: { name: true, deviceType: true, createdAt: true, lastUsedAt: true },
+                orderBy: { id: 'asc' }
+            })
+        ]);
+
+        await this.userActivityService.recordActivity(user.id, USER_ACTIVITY_TYPES.DATA_EXPORTED, context);
+
+        return this.toJson({
+            exportVersion: EXPORT_VERSION,
+            exportedAt: new Date(),
+            profile: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                isPublic: user.isPublic,
+                createdAt: user.createdAt,
+                lastLoginAt: user.lastLoginAt
+            },
+            portfolios,
+            trades,
+            purchases,
+            pendingOrders,
+            dcaPlans,
+            setForgetPortfolios: setForgetPortfolios.map(({ set_forget_allocations: allocations, ...portfolio }) => ({
+                ...portfolio,
+                allocations
+            })),
+            suggestions,
+            achievements: achievements.map(award => ({
+                code: award.achievements?.code,
+                name: award.achievements?.name,
+                description: award.achievements?.description,
+                earnedAt: award.earned_at
+            })),
+            educationProgress,
+            competitionEntries,
+            passkeys
+        });
+    }
+
+    /**
+     * Delete a user and everything they own
+     *
+     * Suggestions are kept for the product team with the author removed. The admin audit
+     * log keeps its rows but loses the user's email, IP address and browser where they acted,
+     * and their username and email from snapshots of actions on their account. Impersonation
+     * sessions stay as a record too, without the IP address and browser of those the user
+     * started. Must run inside a transaction so a failure part way leaves the account untouched.
+     *
+     * @param {number} userId - User ID
+     * @param {Object} client - Prisma transaction
+     * @returns {Promise<Object>} Number of rows removed per table
+     */
+    async deleteUserData(userId, client) {
+        const user = await client.user.findUnique({ where: { id: userId } });
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        // DCA runs and filled orders point at trades without cascading, so they go first
+        const dcaPlans = await client.dcaPlan.deleteMany({ where: { userId } });
+        const pendingOrders = await client.pendingOrder.deleteMany({ where: { userId } });
+
+        const purchases = await client.purchase.deleteMany({ where: { userId } });
+        const holdings = await client.holding.deleteMany({ where: { userId } });
+        const trades = await client.trade.deleteMany({ where: { userId } });
+
+        const suggestions = await client.suggestion.updateMany({ where: { userId }, data: { userId: null } });
+
+        // The actor link is SET NULL on delete, but the email is copied onto each row
+        await client.adminAuditLog.updateMany({
+            where: { actorUserId: userId },
+            data: { actorEmail: null, ipAddress: null, userAgent: null }
+        });
+
+        // Actions on the account keep what changed, not who the user was
+        const targetedRows = await client.adminAuditLog.findMany({
+            where: { targetType: ADMIN_AUDIT_TARGETS.USER, targetId: String(userId) },
+            select: { id: true, before: true, after: true }
+        });
+        for (const row of targetedRows) {
+            await client.adminAuditLog.update({
+                where: { id: row.id },
+                data: { before: this.redactUserSnapshot(row.before), after: this.redactUserSnapshot(row.after) }
+            });
+        }
+
+        // Both user links are SET NULL on delete; the admin's IP address and browser go now
+        await client.impersonationSession.updateMany({
+            where: { adminUserId: userId },
+            data: { ipAddress: null, userAgent: null }
+        });
+
+        await client.magicLink.deleteMany({ where: { email: user.email } });
+
+        await client.user.delete({ where: { id: userId } });
+
+        return {
+            dcaPlans: dcaPlans.count,
+            pendingOrders: pendingOrders.count,
+            purchases: purchases.count,
+            holdings: holdings.count,
+            trades: trades.count,
+            anonymisedSuggestions: suggestions.count
+        };
+    }
+
+    /**
+     * Drop the fields that identify a user from an audit snapshot
+     * @param {Object|null} snapshot - Audit `before` or `after`
+     * @returns {Object|undefined} Redacted snapshot, or undefined to leave an empty one as it is
+     */
+    redactUserSnapshot(snapshot) {
+        if (!snapshot) {
+            return undefined;
+        }
+        const redacted = { ...snapshot };
+        delete redacted.username;
+        delete redacted.email;
+        return redacted;
+    }
+
+    /**
+     * Convert Prisma records to plain JSON - Decimals and BigInts become strings
+     * @param {Object} value - Records
+     * @returns {Object} JSON-safe copy
+     */
+    toJson(value) {
+        return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+    }
+}
+
+module.exports = AccountService;
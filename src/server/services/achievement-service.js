@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const BaseService = require('./base-service');
+const { ValidationError } = require('../utils/error-handlers');
+
+const EDUCATION_CONTENT_DIR = path.join(__dirname, '../../../content/educational');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Which criteria types can change after each kind of event
+const EVENT_CRITERIA = {
+    trade: ['trade_count', 'asset_count', 'holding_duration'],
+    holding: ['holding_duration'],
+    set_forget_created: ['set_forget_count'],
+    portfolio_shared: ['portfolio_shares'],
+    education_completed: ['education_complete']
+};
+
+/**
+ * Awards the achievements seeded in the `achievements` table
+ *
+ * Each achievement's JSON `criteria` has a `type` handled by one of the evaluators below.
+ * Awards go through the (user_id, achievement_id) unique key, so evaluating twice never
+ * awards twice.
+ */
+class AchievementService extends BaseService {
+    constructor() {
+        super();
+        this.evaluators = {
+            trade_count: (userId, criteria) => this.checkTradeCount(userId, criteria),
+            asset_count: (userId, criteria) => this.checkAssetCount(userId, criteria),
+            holding_duration: (userId, criteria) => this.checkHoldingDuration(userId, criteria),
+            set_forget_count: (userId, criteria) => this.checkSetForgetCount(userId, criteria),
+            portfolio_shares: (userId, criteria) => this.checkPortfolioShares(userId, criteria),
+            education_complete: (userId) => this.checkEducationComplete(userId)
+        };
+    }
+
+    /**
+     * Get every achievement definition
+     * @returns {Promise<Array>} Achievements ordered by id
+     */
+    async getAllAchievements() {
+        try {
+            return await this.prisma.achievement.findMany({
+                orderBy: { id: 'asc' }
+            });
+        } catch (error) {
+            await this.handleServiceError(error, 'getAllAchievements');
+        }
+    }
+
+    /**
+     * Get every achievement with the user's earned state
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Achievements with earned/earnedAt
+     */
+    async getUserAchievements(userId) {
+        try {
+            const [achievements, earned] = await Promise.all([
+                this.getAllAchievements(),
+                this.prisma.user_achievements.findMany({
+                    where: { user_id: parseInt(userId) }
+                })
+            ]);
+
+            const earnedAt = new Map(earned.map(row => [row.achievement_id, row.earned_at]));
+
+            return achievements.map(achievement => ({
+                ...achievement,
+                earned: earnedAt.has(achievement.id),
+                earnedAt: earnedAt.get(achievement.id) || null
+            }));
+        } catch (error) {
+            await this.handleServiceError(error, 'getUserAchievements');
+        }
+    }
+
+    /**
+     * Evaluate achievements affected by an event, awarding any newly met ones
+     * Never throws - a failed evaluation must not fail the action that triggered it
+     * @param {number} userId - User ID
+     * @param {string} event - One of trade, holding, set_forget_created, portfolio_shared, education_completed
+     * @returns {Promise<Array>} Newly awarded achievements
+     */
+    async evaluateForEvent(userId, event) {
+        try {
+            return await this.evaluateUser(userId, EVENT_CRITERIA[event]);
+        } catch (error) {
+            console.error(`Achievement evaluation failed for user ${userId} (${event}):`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Evaluate holding-period achievements for everyone holding an asset
+     * Holding is not an event, so the scheduled snapshot job runs this; never throws
+     * @returns {Promise<Object>} Summary with checked/awarded counts
+     */
+    async evaluateHoldingDurations() {
+        const summary = { checked: 0, awarded: 0 };
+
+        try {
+            const holders = await this.prisma.holding.findMany({
+                where: { assetSymbol: { not: 'BTC' }, amount: { gt: 0 } },
+                distinct: ['userId'],
+                select: { userId: true }
+            });
+
+            for (const { userId } of holders) {
+                const awarded = await this.evaluateForEvent(userId, 'holding');
+                summary.checked++;
+                summary.awarded += awarded.length;
+            }
+        } catch (error) {
+            console.error('Holding duration evaluation failed:', error.message);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Evaluate achievements for a user and award the ones whose criteria are met
+     * @param {number} userId - User ID
+     * @param {string[]} [criteriaTypes] - Only evaluate these criteria types (default: all)
+     * @returns {Promise<Array>} Newly awarded achievements
+     */
+    async evaluateUser(userId, criteriaTypes) {
+        const id = parseInt(userId);
+
+        const [achievements, earned] = await Promise.all([
+            this.prisma.achievement.findMany(),
+            this.prisma.user_achievements.findMany({
+                where: { user_id: id },
+                select: { achievement_id: true }
+            })
+        ]);
+
+        const earnedIds = new Set(earned.map(row => row.achievement_id));
+        const candidates = achievements.filter(achievement =>
+            !earnedIds.has(achievement.id) &&
+            (!criteriaTypes || criteriaTypes.includes(achievement.criteria?.type))
+        );
+
+        const awarded = [];
+        for (const achievement of candidates) {
+            const evaluator = this.evaluators[achievement.criteria?.type];
+            if (!evaluator) {
+                continue;
+            }
+
+            if (await evaluator(id, achievement.criteria)) {
+                const { count } = await this.prisma.user_achievements.createMany({
+                    data: [{ user_id: id, achievement_id: achievement.id }],
+                    skipDuplicates: true
+                });
+
+                if (count > 0) {
+                    console.log(`🏆 User ${id} earned achievement ${achievement.code}`);
+                    awarded.push(achievement);
+                }
+            }
+        }
+
+        return awarded;
+    }
+
+    /**
+     * Record that a user finished an educational article, then check achievements
+     * @param {number} userId - User ID
+     * @param {string} contentId - Article id (e.g. 'why-bitcoin')
+     * @returns {Promise<Object>} Progress and newly awarded achievements
+     */
+    async recordEducationCompletion(userId, contentId) {
+        const contentIds = this.getEducationContentIds();
+        if (!contentIds.includes(contentId)) {
+            throw new ValidationError(`Unknown educational content: ${contentId}`, 'contentId');
+        }
+
+        try {
+            await this.prisma.educationProgress.upsert({
+                where: { userId_contentId: { userId: parseInt(userId), contentId } },
+                update: {},
+                create: { userId: parseInt(userId), contentId }
+            });
+
+            const completed = await this.prisma.educationProgress.findMany({
+                where: { userId: parseInt(userId) },
+                select: { contentId: true }
+            });
+            const newAchievements = await this.evaluateForEvent(userId, 'education_completed');
+
+            return {
+                completed: completed.map(row => row.contentId),
+                total: contentIds.length,
+                newAchievements
+            };
+        } catch (error) {
+            await this.handleServiceError(error, 'recordEducationCompletion');
+        }
+    }
+
+    /**
+     * Ids of the educational articles, taken from the English content files
+     * @returns {string[]} e.g. ['fiat-experiment', 'why-bitcoin', 'why-not-gold']
+     */
+    getEducationContentIds() {
+        if (!this.educationContentIds) {
+            this.educationContentIds = fs.readdirSync(EDUCATION_CONTENT_DIR)
+                .filter(file => file.endsWith('-en.js'))
+                .map(file => file.slice(0, -'-en.js'.length))
+                .sort();
+        }
+        return this.educationContentIds;
+    }
+
+    // ===== CRITERIA EVALUATORS =====
+
+    async checkTradeCount(userId, criteria) {
+        const count = await this.prisma.trade.count({ where: { userId } });
+        return count >= Number(criteria.value);
+    }
+
+    async checkAssetCount(userId, criteria) {
+        // BTC is the unit of account, so only other assets count - once, however many portfolios hold them
+        const assets = await this.prisma.holding.findMany({
+            where: {
+                userId,
+                assetSymbol: { not: 'BTC' },
+                amount: { gt: 0 }
+            },
+            distinct: ['assetSymbol'],
+            select: { assetSymbol: true }
+        });
+        return assets.length >= Number(criteria.value);
+    }
+
+    async checkHoldingDuration(userId, criteria) {
+        const days = criteria.unit === 'hours' ? Number(criteria.value) / 24 : Number(criteria.value);
+        const cutoff = new Date(Date.now() - days * DAY_MS);
+
+        const holdings = await this.prisma.holding.findMany({
+            where: { userId, assetSymbol: { not: 'BTC' }, amount: { gt: 0 } },
+            select: { assetSymbol: true, portfolioId: true }
+        });
+
+        for (const { assetSymbol, portfolioId } of holdings) {
+            // The holding period restarts with every sale of the asset from the same portfolio
+            const lastSale = await this.prisma.trade.findFirst({
+                where: { userId, portfolioId, fromAsset: assetSymbol },
+                orderBy: { createdAt: 'desc' },
+                select: { createdAt: true }
+            });
+
+            const firstPurchaseSinceSale = await this.prisma.purchase.findFirst({
+                where: {
+                    userId,
+                    portfolioId,
+                    assetSymbol,
+                    ...(lastSale ? { createdAt: { gt: lastSale.createdAt } } : {})
+                },
+                orderBy: { createdAt: 'asc' },
+                select: { createdAt: true }
+            });
+
+            if (firstPurchaseSinceSale && firstPurchaseSinceSale.createdAt <= cutoff) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    async checkSetForgetCount(userId, criteria) {
+        const count = await this.prisma.setForgetPortfolio.count({ where: { userId } });
+        return count >= Number(criteria.value);
+    }
+
+    async checkPortfolioShares(userId, criteria) {
+        const count = await this.prisma.setForgetPortfolio.count({
+            where: { userId, sharedAt: { not: null } }
+        });
+        return count >= Number(criteria.value);
+    }
+
+    async checkEducationComplete(userId) {
+        const contentIds = this.getEducationContentIds();
+        const completed = await this.prisma.educationProgress.count({
+            where: { userId, contentId: { in: contentIds } }
+        });
+        return contentIds.length > 0 && completed >= contentIds.length;
+    }
+}
+
+module.exports = AchievementService;
@@ -0,0 +1,193 @@
+const BaseService = require('./base-service');
+const { ADMIN_AUDIT_TARGETS } = require('../utils/constants');
+
+/**
+ * Admin audit log
+ *
+ * Every privileged admin action is kept in `admin_audit_log` with the admin who made it,
+ * what it targeted and a JSON snapshot of the target before and after. Rows are written by
+ * the auditAdmin middleware, so route handlers do not have to remember to log.
+ */
+class AdminAuditService extends BaseService {
+    /**
+     * Take a JSON snapshot of an audit target
+     * @param {string} targetType - One of ADMIN_AUDIT_TARGETS
+     * @param {number|string|null} targetId - Target ID (unused for prices)
+     * @returns {Promise<Object|null>} Snapshot, or null if the target does not exist (yet)
+     */
+    async snapshot(targetType, targetId) {
+        if (targetType === ADMIN_AUDIT_TARGETS.PRICES) {
+            const assets = await this.prisma.asset.findMany({
+                select: { symbol: true, currentPriceUsd: true, lastUpdated: true },
+                orderBy: { symbol: 'asc' }
+            });
+
+            return this.toJson(Object.fromEntries(assets.map(asset => [
+                asset.symbol,
+                { priceUsd: asset.currentPriceUsd, lastUpdated: asset.lastUpdated }
+            ])));
+        }
+
+        const id = parseInt(targetId);
+        if (!id) {
+            return null;
+        }
+
+        let record = null;
+        switch (targetType) {
+            case ADMIN_AUDIT_TARGETS.USER:
+                record = await this.prisma.user.findUnique({
+                    where: { id },
+                    select: { id: true, username: true, email: true, isAdmin: true }
+                });
+                break;
+            case ADMIN_AUDIT_TARGETS.SUGGESTION:
+                record = await this.prisma.suggestion.findUnique({
+                    where: { id },
+                    select: { id: true, status: true, adminReply: true, repliedAt: true }
+                });
+                break;
+            case ADMIN_AUDIT_TARGETS.COMPETITION:
+                record = await this.prisma.competition.findUnique({
+                    where: { id },
+                    select: {
+                        id: true,
+                        name: true,
+                        theme: true,
+                        startingBalanceSats: true,
+                        joinOpensAt: true,
+                        joinClosesAt: true,
+                        startsAt: true,
+                        endsAt: true
+                    }
+                });
+                break;
+            case ADMIN_AUDIT_TARGETS.HOLDINGS:
+                record = await this.snapshotHoldings(id);
+                break;
+            case ADMIN_AUDIT_TARGETS.IMPERSONATION:
+                record = await this.prisma.impersonationSession.findUnique({
+                    where: { id },
+                    select: {
+                        id: true,
+                        adminUserId: true,
+                        targetUserId: true,
+                        reason: true,
+                        expiresAt: true,
+                        endedAt: true
+                    }
+                });
+                break;
+            default:
+                return null;
+        }
+
+        return this.toJson(record);
+    }
+
+    /**
+     * Snapshot a user's holdings and purchase counts, keyed by portfolio
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { [portfolioId]: { holdings: { [symbol]: amount }, purchases } }
+     */
+    async snapshotHoldings(userId) {
+        const portfolios = await this.prisma.portfolio.findMany({
+            where: { userId },
+            select: {
+                id: true,
+                holdings: { select: { assetSymbol: true, amount: true }, orderBy: { assetSymbol: 'asc' } },
+                _count: { select: { purchases: true } }
+            },
+            orderBy: { id: 'asc' }
+        });
+
+        return Object.fromEntries(portfolios.map(portfolio => [
+            portfolio.id,
+            {
+                holdings: Object.fromEntries(portfolio.holdings.map(holding => [holding.assetSymbol, holding.amount])),
+                purchases: portfolio._count.purchases
+            }
+        ]));
+    }
+
+    /**
+     * Write an audit log row
+     * @param {Object} entry - { action, targetType, targetId, before, after, actor, ipAddress, userAgent }
+     * @returns {Promise<Object>} Created row
+     */
+    recordAction({ action, targetType, targetId = null, before = null, after = null, actor = {}, ipAddress, userAgent }) {
+        return this.prisma.adminAuditLog.create({
+            data: {
+                actorUserId: actor.userId || null,
+                actorEmail: actor.email || null,
+                action,
+                targetType,
+                targetId: targetId !== null && targetId !== undefined ? String(targetId).slice(0, 50) : null,
+                before: before === null ? undefined : before,
+                after: after === null ? undefined : after,
+                ipAddress: ipAddress ? String(ipAddress).slice(0, 45) : null,
+                userAgent: userAgent ? String(userAgent).slice(0, 500) : null
+            }
+        });
+    }
+
+    /**
+     * List audit log rows, newest first
+     * @param {Object} filters - { actorUserId, action, targetType, targetId, from, to }
+     * @param {Object} pagination - { limit, offset }
+     * @returns {Promise<Object>} { entries, total }
+     */
+    async listAuditLog({ actorUserId, action, targetType, targetId, from, to } = {}, { limit, offset }) {
+        const where = {};
+        if (actorUserId) {
+            where.actorUserId = actorUserId;
+        }
+        if (action) {
+            where.action = action;
+        }
+        if (targetType) {
+            where.targetType = targetType;
+        }
+        if (targetId) {
+            where.targetId = String(targetId);
+        }
+        if (from || to) {
+            where.createdAt = {};
+            if (from) {
+                where.createdAt.gte = from;
+            }
+            if (to) {
+                where.createdAt.lte = to;
+            }
+        }
+
+        const [entries, total] = await Promise.all([
+            this.prisma.adminAuditLog.findMany({
+                where,
+                include: {
+                    actor: { select: { id: true, username: true, email: true } }
+                },
+                orderBy: { createdAt: 'desc' },
+                take: limit,
+                skip: offset
+            }),
+            this.prisma.adminAuditLog.count({ where })
+        ]);
+
+        return { entries, total };
+    }
+
+    /**
+     * Convert a Prisma record to plain JSON - Decimals and BigInts become strings
+     * @param {Object|null} value - Record
+     * @returns {Object|null} JSON-safe copy
+     */
+    toJson(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+    }
+}
+
+module.exports = AdminAuditService;
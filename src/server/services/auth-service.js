@@ -1,10 +1,30 @@
 const crypto = require('node:crypto');
 const jwt = require('jsonwebtoken');
 const BaseService = require('./base-service');
+const UserActivityService = require('./user-activity-service');
+const ImpersonationService = require('./impersonation-service');
+const AccountService = require('./account-service');
+const MailService = require('./mail-service');
+const SessionService = require('./session-service');
+const PasskeyService = require('./passkey-service');
+const { AuthenticationError } = require('../utils/error-handlers');
+const {
+    BUSINESS_RULES,
+    USER_ACTIVITY_TYPES,
+    MAGIC_LINK_PURPOSES,
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE
+} = require('../utils/constants');
 
 class AuthService extends BaseService {
     constructor() {
         super();
+        this.userActivityService = new UserActivityService();
+        this.impersonationService = new ImpersonationService();
+        this.accountService = new AccountService();
+        this.mailService = new MailService();
+        this.sessionService = new SessionService();
+        this.passkeyService = new PasskeyService();
     }
 
     async checkUserExists(email) {
@@ -19,14 +39,15 @@ class AuthService extends BaseService {
         }
     }
 
-    async requestMagicLink(email, username = null) {
+    async requestMagicLink(email, username = null, context = {}, language = null) {
         try {
             const sanitizedEmail = this.sanitizeInput(email);
             const sanitizedUsername = username ? this.sanitizeInput(username) : null;
+            const preferredLanguage = SUPPORTED_LANGUAGES.includes(language) ? language : null;
 
             // Generate secure token
             const token = crypto.randomBytes(32).toString('hex');
-            const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+            const expiresAt = new Date(Date.now() + BUSINESS_RULES.MAGIC_LINK_EXPIRY_MINUTES * 60 * 1000);
 
             // Check if user exists
             let user = await this.prisma.user.findUnique({
@@ -39,19 +60,29 @@ class AuthService extends BaseService {
                     const newUser = await prisma.user.create({
                         data: {
                             username: sanitizedUsername,
-                            email: sanitizedEmail
+                            email: sanitizedEmail,
+                            language: preferredLanguage || DEFAULT_LANGUAGE
                         }
                     });
 
-                    // Give them 1 BTC (100,000,000 satoshis)
-                    await prisma.holding.create({
+                    // Open their default portfolio with 1 BTC (100,000,000 satoshis)
+                    await prisma.portfolio.create({
                         data: {
                             userId: newUser.id,
-                            assetSymbol: 'BTC',
-                            amount: BigInt(100000000)
+                            name: BUSINESS_RULES.DEFAULT_PORTFOLIO_NAME,
+                            isDefault: true,
+                            holdings: {
+                                create: {
+                                    userId: newUser.id,
+                                    assetSymbol: 'BTC',
+                                    amount: BigInt(100000000)
+                                }
+                            }
                         }
                     });
 
+                    await this.userActivityService.recordActivity(newUser.id, USER_ACTIVITY_TYPES.REGISTERED, context, prisma);
+
                     return newUser;
                 });
             }
@@ -60,6 +91,14 @@ class AuthService extends BaseService {
                 throw new Error('User not found. Please provide username for registration.');
             }
 
+            // Emails follow the language the user last picked in the app
+            if (preferredLanguage && user.language !== preferredLanguage) {
+                user = await this.prisma.user.update({
+                    where: { id: user.id },
+                    data: { language: preferredLanguage }
+                });
+            }
+
             // Store magic link
             await this.prisma.magicLink.create({
                 data: {
@@ -69,10 +108,14 @@ class AuthService extends BaseService {
                 }
             });
 
+            await this.userActivityService.recordActivity(user.id, USER_ACTIVITY_TYPES.MAGIC_LINK_REQUESTED, context);
+
             // Generate magic link URL
             const baseUrl = process.env.APP_URL || process.env.VERCEL_URL || 'http://localhost:3000';
             const magicLinkUrl = `${baseUrl}/auth/verify?token=${token}`;
 
+            await this.mailService.sendMagicLink(user, magicLinkUrl);
+
             return {
                 token,
                 magicLinkUrl,
@@ -92,13 +135,14 @@ class AuthService extends BaseService {
         }
     }
 
-    async verifyMagicLink(token) {
+    async verifyMagicLink(token, context = {}) {
         try {
             const sanitizedToken = this.sanitizeInput(token);
 
             const link = await this.prisma.magicLink.findFirst({
                 where: {
                     token: sanitizedToken,
+                    purpose: MAGIC_LINK_PURPOSES.LOGIN,
                     expiresAt: { gt: new Date() },
                     used: false
                 }
@@ -108,8 +152,8 @@ class AuthService extends BaseService {
                 throw new Error('Invalid or expired token');
             }
 
-            // Mark token as used and get user in transaction
-            const result = await this.prisma.$transaction(async (prisma) => {
+            // Mark token as used, get user and open a login session with its first refresh token in transaction
+            return await this.prisma.$transaction(async (prisma) => {
                 await prisma.magicLink.update({
                     where: { id: link.id },
                     data: { used: true }
@@ -119,32 +163,236 @@ class AuthService extends BaseService {
                     where: { email: link.email }
                 });
 
-                return user;
+                return this.openLoginSession(user, context, prisma, USER_ACTIVITY_TYPES.MAGIC_LINK_VERIFIED);
             });
+        } catch (error) {
+            await this.handleServiceError(error, 'verifyMagicLink');
+        }
+    }
 
-            // Check admin status
-            const isAdmin = this.checkAdminStatus(result.email, result.isAdmin);
-
-            // Generate JWT
-            const jwtToken = jwt.sign(
-                {
-                    userId: result.id,
-                    email: result.email,
-                    isAdmin: isAdmin
-                },
-                process.env.JWT_SECRET,
-                { expiresIn: '7d' }
+    /**
+     * Sign in with a passkey - the passwordless alternative to a magic link
+     * @param {Object} response - AuthenticationResponseJSON from navigator.credentials.get()
+     * @param {string} challengeToken - Token from PasskeyService.getAuthenticationOptions
+     * @param {Object} context - { ipAddress, userAgent }
+     * @returns {Promise<Object>} Same shape as verifyMagicLink
+     */
+    async loginWithPasskey(response, challengeToken, context = {}) {
+        try {
+            const user = await this.passkeyService.verifyAuthentication(response, challengeToken);
+
+            return await this.prisma.$transaction(prisma =>
+                this.openLoginSession(user, context, prisma, USER_ACTIVITY_TYPES.PASSKEY_LOGIN)
             );
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                throw error;
+            }
+            await this.handleServiceError(error, 'loginWithPasskey');
+        }
+    }
+
+    /**
+     * Open a login session with its first refresh token and sign the first access token
+     * @param {Object} user - User row
+     * @param {Object} context - { ipAddress, userAgent }
+     * @param {Object} prisma - Transaction client
+     * @param {string} loginType - Activity recorded for the login
+     * @returns {Promise<Object>} { token, expiresAt, refreshToken, user }
+     */
+    async openLoginSession(user, context, prisma, loginType) {
+        const session = await this.userActivityService.startSession(user.id, context, prisma, loginType);
+        const refreshToken = await this.sessionService.issueRefreshToken(session, prisma);
+
+        // Check admin status
+        const isAdmin = this.checkAdminStatus(user.email, user.isAdmin);
+        const accessToken = this.signAccessToken({ ...user, isAdmin }, session.id);
+
+        return {
+            token: accessToken.token,
+            expiresAt: accessToken.expiresAt,
+            refreshToken,
+            user: {
+                ...user,
+                lastLoginAt: session.createdAt,
+                isAdmin: isAdmin
+            }
+        };
+    }
+
+    /**
+     * Sign a short-lived access token for a login session
+     * @param {Object} user - { id, email, isAdmin } with isAdmin already resolved
+     * @param {number} sessionId - UserSession ID
+     * @returns {{token:string,expiresAt:Date}}
+     */
+    signAccessToken(user, sessionId) {
+        const token = jwt.sign(
+            {
+                userId: user.id,
+                email: user.email,
+                isAdmin: user.isAdmin,
+                sessionId
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: `${BUSINESS_RULES.ACCESS_TOKEN_EXPIRY_MINUTES}m` }
+        );
+
+        return {
+            token,
+            expiresAt: new Date(Date.now() + BUSINESS_RULES.ACCESS_TOKEN_EXPIRY_MINUTES * 60 * 1000)
+        };
+    }
+
+    /**
+     * Trade a refresh token for a new access token and the next refresh token
+     * Admin status is re-read, so promotions and demotions apply on the next refresh
+     * @param {string} refreshToken - Raw refresh token from the cookie
+     * @param {Object} context - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { token, expiresAt, refreshToken, user }
+     * @throws {AuthenticationError} If the refresh token can't be used
+     */
+    async refreshSession(refreshToken, context = {}) {
+        try {
+            const { session, user, refreshToken: nextRefreshToken } = await this.sessionService.rotateRefreshToken(
+                this.sanitizeInput(refreshToken),
+                context
+            );
+
+            const isAdmin = this.checkAdminStatus(user.email, user.isAdmin);
+            const accessToken = this.signAccessToken({ ...user, isAdmin }, session.id);
 
             return {
-                token: jwtToken,
-                user: {
-                    ...result,
-                    isAdmin: isAdmin
+                token: accessToken.token,
+                expiresAt: accessToken.expiresAt,
+                refreshToken: nextRefreshToken,
+                user: { ...user, isAdmin }
+            };
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                throw error;
+            }
+            await this.handleServiceError(error, 'refreshSession');
+        }
+    }
+
+    /**
+     * End the session a refresh token belongs to
+     * @param {string} refreshToken - Raw refresh token from the cookie
+     * @param {Object} context - { ipAddress, userAgent }
+     * @returns {Promise<boolean>} Whether an open session was revoked
+     */
+    async logout(refreshToken, context = {}) {
+        try {
+            const session = await this.sessionService.findSessionByRefreshToken(this.sanitizeInput(refreshToken));
+            if (!session || !await this.sessionService.revokeSession(session.id)) {
+                return false;
+            }
+
+            await this.userActivityService.recordActivity(session.userId, USER_ACTIVITY_TYPES.LOGGED_OUT, {
+                ...context,
+                sessionId: session.id
+            });
+
+            return true;
+        } catch (error) {
+            await this.handleServiceError(error, 'logout');
+        }
+    }
+
+    /**
+     * Revoke every session of a user, signing them out on all devices
+     * @param {number} userId - User ID
+     * @param {Object} context - { ipAddress, userAgent }
+     * @returns {Promise<number>} Sessions revoked
+     */
+    async logoutEverywhere(userId, context = {}) {
+        try {
+            const user = await this.validateUser(userId);
+            const revoked = await this.sessionService.revokeAllSessions(user.id);
+
+            await this.userActivityService.recordActivity(user.id, USER_ACTIVITY_TYPES.LOGGED_OUT_EVERYWHERE, {
+                ...context,
+                details: { revokedSessions: revoked }
+            });
+
+            return revoked;
+        } catch (error) {
+            await this.handleServiceError(error, 'logoutEverywhere');
+        }
+    }
+
+    /**
+     * Issue a magic link that confirms deleting the user's account
+     * @param {number} userId - User ID
+     * @param {Object} context - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { token, confirmationUrl, expiresAt }
+     */
+    async requestAccountDeletion(userId, context = {}) {
+        try {
+            const user = await this.validateUser(userId);
+
+            const token = crypto.randomBytes(32).toString('hex');
+            const expiresAt = new Date(Date.now() + BUSINESS_RULES.MAGIC_LINK_EXPIRY_MINUTES * 60 * 1000);
+
+            await this.prisma.magicLink.create({
+                data: {
+                    email: user.email,
+                    token,
+                    purpose: MAGIC_LINK_PURPOSES.DELETE_ACCOUNT,
+                    expiresAt
                 }
+            });
+
+            await this.userActivityService.recordActivity(user.id, USER_ACTIVITY_TYPES.ACCOUNT_DELETION_REQUESTED, context);
+
+            const baseUrl = process.env.APP_URL || process.env.VERCEL_URL || 'http://localhost:3000';
+            const confirmationUrl = `${baseUrl}/?deleteAccountToken=${token}`;
+
+            await this.mailService.sendAccountDeletion(user, confirmationUrl);
+
+            return {
+                token,
+                confirmationUrl,
+                expiresAt
             };
         } catch (error) {
-            await this.handleServiceError(error, 'verifyMagicLink');
+            await this.handleServiceError(error, 'requestAccountDeletion');
+        }
+    }
+
+    /**
+     * Consume an account deletion link and delete the account it was issued for
+     * The link must belong to the signed-in user, so a leaked link alone cannot delete anything
+     * @param {number} userId - User ID
+     * @param {string} token - Deletion token from requestAccountDeletion
+     * @returns {Promise<Object>} Rows removed per table
+     */
+    async confirmAccountDeletion(userId, token) {
+        try {
+            const user = await this.validateUser(userId);
+            const sanitizedToken = this.sanitizeInput(token);
+
+            const link = await this.prisma.magicLink.findFirst({
+                where: {
+                    token: sanitizedToken,
+                    email: user.email,
+                    purpose: MAGIC_LINK_PURPOSES.DELETE_ACCOUNT,
+                    expiresAt: { gt: new Date() },
+                    used: false
+                }
+            });
+
+            if (!link) {
+                throw new Error('Invalid or expired token');
+            }
+
+            // The user's magic links go with the account, so nothing needs marking as used
+            return await this.prisma.$transaction(
+                (prisma) => this.accountService.deleteUserData(user.id, prisma)
+            );
+        } catch (error) {
+            await this.handleServiceError(error, 'confirmAccountDeletion');
         }
     }
 
@@ -162,6 +410,16 @@ class AuthService extends BaseService {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Impersonation tokens stop working as soon as the admin ends the session
+            if (decoded.impersonationId && !await this.impersonationService.isSessionActive(decoded.impersonationId)) {
+                throw new jwt.TokenExpiredError('Impersonation session has ended', new Date());
+            }
+
+            // Login tokens stop working as soon as their session is revoked
+            if (!decoded.impersonationId && !await this.sessionService.isSessionActive(decoded.sessionId)) {
+                throw new jwt.TokenExpiredError('Session has been revoked', new Date());
+            }
+
             // Verify user still exists
             const user = await this.prisma.user.findUnique({
                 where: { id: decoded.userId }
@@ -185,18 +443,6 @@ class AuthService extends BaseService {
             await this.handleServiceError(error, 'verifyJWT');
         }
     }
-
-    async updateLastLogin(userId) {
-        try {
-            await this.prisma.user.update({
-                where: { id: userId },
-                data: { lastLoginAt: new Date() }
-            });
-        } catch (error) {
-            console.error('Failed to update last login:', error);
-            // Don't throw - this is non-critical
-        }
-    }
 }
 
 module.exports = AuthService;
\ No newline at end of file
@@ -0,0 +1,68 @@
+const IntervalJob = require('./interval-job');
+const LeaderboardService = require('./leaderboard-service');
+const AchievementService = require('./achievement-service');
+const CompetitionService = require('./competition-service');
+const DcaService = require('./dca-service');
+const SetForgetRebalanceService = require('./set-forget-rebalance-service');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * The interval jobs the server runs in the background
+ * @returns {IntervalJob[]} Jobs in start order
+ */
+function createBackgroundJobs() {
+    const leaderboardService = new LeaderboardService();
+    const achievementService = new AchievementService();
+    const competitionService = new CompetitionService();
+    const dcaService = new DcaService();
+    const rebalanceService = new SetForgetRebalanceService();
+
+    return [
+        // Snapshot portfolio values for the leaderboard periods - one per user per day,
+        // later runs on the same day overwrite it with a fresher value. Also awards
+        // holding-period achievements, which no user action triggers
+        new IntervalJob({
+            name: 'Leaderboard snapshot',
+            intervalMs: 6 * HOUR_MS,
+            initialDelayMs: MINUTE_MS,
+            startMessage: '📸 Leaderboard snapshots every 360 minutes',
+            task: async () => {
+                const summary = await leaderboardService.captureSnapshots();
+                console.log(`📸 Leaderboard snapshots: ${summary.captured} captured, ${summary.failed} failed`);
+
+                const holding = await achievementService.evaluateHoldingDurations();
+                if (holding.awarded > 0) {
+                    console.log(`🏆 Holding achievements: ${holding.awarded} awarded (${holding.checked} users checked)`);
+                }
+            }
+        }),
+
+        // Freeze competition results once their window ends
+        new IntervalJob({
+            name: 'Competition finalization',
+            intervalMs: 5 * MINUTE_MS,
+            startMessage: '🏁 Competition finalizer checking every 5 minutes',
+            task: () => competitionService.finalizeEndedCompetitions()
+        }),
+
+        // Execute due DCA plan installments
+        new IntervalJob({
+            name: 'DCA scheduler run',
+            intervalMs: 5 * MINUTE_MS,
+            startMessage: '🔁 DCA scheduler checking every 5 minutes',
+            task: () => dcaService.runDuePlans()
+        }),
+
+        // Rebalance Set & Forget portfolios whose policy is due
+        new IntervalJob({
+            name: 'Set & Forget rebalancing',
+            intervalMs: 6 * HOUR_MS,
+            startMessage: '⚖️ Set & Forget rebalancer checking every 6 hours',
+            task: () => rebalanceService.rebalanceDuePortfolios()
+        })
+    ];
+}
+
+module.exports = { createBackgroundJobs };
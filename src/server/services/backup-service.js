@@ -0,0 +1,485 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { Prisma } = require('@prisma/client');
+const BaseService = require('./base-service');
+const { ValidationError, BusinessRuleError } = require('../utils/error-handlers');
+const { BACKUP_ARCHIVE } = require('../utils/constants');
+
+/**
+ * Database backup and restore
+ *
+ * Dumps every Prisma model to a versioned archive and restores it into an empty database.
+ * The model list comes from the generated Prisma client, so new tables are picked up without
+ * touching this file. Values are stored as JSON-safe scalars - BigInt and Decimal as strings,
+ * DateTime as ISO strings, Bytes as base64 - and decoded from the field types on restore.
+ *
+ * Each model carries a row count and a SHA-256 checksum over its encoded rows in primary key
+ * order. Restore checks the archive against them before committing, then recomputes both from
+ * the restored database.
+ *
+ * Archive formats:
+ * - json:   { format, version, createdAt, models: [{ name, table, fields, rows, count, checksum }] }
+ * - ndjson: a header line, then `row` lines per model each followed by that model's `model` line
+ */
+class BackupService extends BaseService {
+    /**
+     * Describe every Prisma model, parents before children so rows restore without FK errors
+     * @returns {Array<Object>} { name, table, delegate, fields, orderBy, dependsOn }
+     */
+    getModels() {
+        const models = Prisma.dmmf.datamodel.models.map(model => {
+            const fields = model.fields
+                .filter(field => field.kind === 'scalar' || field.kind === 'enum')
+                .map(field => ({
+                    name: field.name,
+                    column: field.dbName || field.name,
+                    type: field.type,
+                    isList: field.isList,
+                    isAutoincrement: field.default?.name === 'autoincrement'
+                }));
+
+            const keyFields = model.primaryKey?.fields
+                || model.fields.filter(field => field.isId).map(field => field.name);
+            const orderFields = keyFields.length > 0
+                ? keyFields
+                : (model.uniqueFields[0] || fields.map(field => field.name));
+
+            return {
+                name: model.name,
+                table: model.dbName || model.name,
+                delegate: model.name.charAt(0).toLowerCase() + model.name.slice(1),
+                fields,
+                orderBy: orderFields.map(field => ({ [field]: 'asc' })),
+                dependsOn: model.fields
+                    .filter(field => field.kind === 'object' && field.relationFromFields?.length > 0 && field.type !== model.name)
+                    .map(field => field.type)
+            };
+        });
+
+        return this.sortByDependencies(models);
+    }
+
+    /**
+     * Order models so every model comes after the models it references
+     * @param {Array<Object>} models - Models from getModels
+     * @returns {Array<Object>} Sorted models
+     */
+    sortByDependencies(models) {
+        const byName = new Map(models.map(model => [model.name, model]));
+        const sorted = [];
+        const visited = new Set();
+
+        const visit = (model) => {
+            if (visited.has(model.name)) {
+                return;
+            }
+            visited.add(model.name);
+            model.dependsOn.filter(name => byName.has(name)).forEach(name => visit(byName.get(name)));
+            sorted.push(model);
+        };
+
+        models.forEach(visit);
+        return sorted;
+    }
+
+    /**
+     * Write every model to an archive file
+     * @param {string} filePath - Destination file
+     * @param {Object} options - { format } - json or ndjson
+     * @returns {Promise<Object>} { filePath, format, models: [{ name, count, checksum }], totalRows }
+     */
+    async exportToFile(filePath, { format = 'json' } = {}) {
+        if (!BACKUP_ARCHIVE.FORMATS.includes(format)) {
+            throw new ValidationError(`Format must be one of: ${BACKUP_ARCHIVE.FORMATS.join(', ')}`, 'format');
+        }
+
+        const models = this.getModels();
+        const header = {
+            format: BACKUP_ARCHIVE.FORMAT,
+            version: BACKUP_ARCHIVE.VERSION,
+            createdAt: new Date().toISOString()
+        };
+
+        const stream = fs.createWriteStream(filePath);
+        const write = async (chunk) => {
+            if (!stream.write(chunk)) {
+                await once(stream, 'drain');
+            }
+        };
+
+        const summaries = [];
+
+        try {
+            if (format === 'ndjson') {
+                await write(`${JSON.stringify({ type: 'header', ...header })}\n`);
+            } else {
+                await write(`${JSON.stringify(header).slice(0, -1)},"models":[\n`);
+            }
+
+            for (const [index, model] of models.entries()) {
+                const fieldTypes = Object.fromEntries(model.fields.map(field => [field.name, field.type]));
+                const hash = crypto.createHash('sha256');
+                let count = 0;
+
+                if (format === 'json') {
+                    await write(`${index > 0 ? ',\n' : ''}{"name":${JSON.stringify(model.name)},"table":${JSON.stringify(model.table)},"fields":${JSON.stringify(fieldTypes)},"rows":[\n`);
+                }
+
+                for await (const rows of this.readModelRows(model)) {
+                    for (const row of rows) {
+                        const line = JSON.stringify(row);
+                        hash.update(`${line}\n`);
+
+                        if (format === 'ndjson') {
+                            await write(`{"type":"row","model":${JSON.stringify(model.name)},"data":${line}}\n`);
+                        } else {
+                            await write(`${count > 0 ? ',\n' : ''}${line}`);
+                        }
+                        count++;
+                    }
+                }
+
+                const summary = { name: model.name, count, checksum: hash.digest('hex') };
+                summaries.push(summary);
+
+                if (format === 'ndjson') {
+                    await write(`${JSON.stringify({ type: 'model', table: model.table, fields: fieldTypes, ...summary })}\n`);
+                } else {
+                    await write(`\n],"count":${count},"checksum":"${summary.checksum}"}`);
+                }
+            }
+
+            if (format === 'json') {
+                await write('\n]}\n');
+            }
+        } finally {
+            stream.end();
+            await once(stream, 'finish');
+        }
+
+        return {
+            filePath,
+            format,
+            models: summaries,
+            totalRows: summaries.reduce((sum, summary) => sum + summary.count, 0)
+        };
+    }
+
+    /**
+     * Restore an archive into an empty database, then verify it
+     * Rows are inserted in one transaction - a corrupt archive leaves the database empty.
+     * @param {string} filePath - Archive file
+     * @returns {Promise<Object>} { filePath, models: [{ name, count, checksum }], verification }
+     */
+    async restoreFromFile(filePath) {
+        const models = this.getModels();
+        const byName = new Map(models.map(model => [model.name, model]));
+
+        await this.assertEmpty(models);
+
+        const summaries = await this.prisma.$transaction(async (tx) => {
+            const restored = [];
+            let current = null;
+
+            for await (const event of this.readArchive(filePath)) {
+                if (event.type === 'rows') {
+                    const model = byName.get(event.model);
+                    if (!model) {
+                        throw new ValidationError(`Archive contains unknown model "${event.model}" - restore into a matching schema`);
+                    }
+
+                    if (!current || current.name !== model.name) {
+                        current = { name: model.name, hash: crypto.createHash('sha256'), count: 0 };
+                    }
+                    event.rows.forEach(row => current.hash.update(`${JSON.stringify(row)}\n`));
+                    current.count += event.rows.length;
+
+                    await tx[model.delegate].createMany({
+                        data: event.rows.map(row => this.decodeRow(model, row))
+                    });
+                } else if (event.type === 'model') {
+                    const count = current?.name === event.name ? current.count : 0;
+                    const checksum = current?.name === event.name
+                        ? current.hash.digest('hex')
+                        : crypto.createHash('sha256').digest('hex');
+
+                    if (count !== event.count || checksum !== event.checksum) {
+                        throw new ValidationError(`Archive data for ${event.name} does not match its recorded count or checksum`);
+                    }
+
+                    restored.push({ name: event.name, count, checksum });
+                    current = null;
+                }
+            }
+
+            await this.resetSequences(tx, models);
+            return restored;
+        }, { maxWait: 10000, timeout: BACKUP_ARCHIVE.RESTORE_TIMEOUT_MS });
+
+        const verification = await this.verify(summaries);
+
+        return { filePath, models: summaries, verification };
+    }
+
+    /**
+     * Compare the database with an archive without changing anything
+     * @param {string} filePath - Archive file
+     * @returns {Promise<Object>} { ok, models }
+     */
+    async verifyFile(filePath) {
+        const summaries = [];
+        for await (const event of this.readArchive(filePath)) {
+            if (event.type === 'model') {
+                summaries.push({ name: event.name, count: event.count, checksum: event.checksum });
+            }
+        }
+        return this.verify(summaries);
+    }
+
+    /**
+     * Recompute row counts and checksums from the database and compare them
+     * @param {Array<Object>} summaries - Expected { name, count, checksum } per model
+     * @returns {Promise<Object>} { ok, models: [{ name, expectedCount, actualCount, checksumMatches, ok }] }
+     */
+    async verify(summaries) {
+        const byName = new Map(this.getModels().map(model => [model.name, model]));
+        const results = [];
+
+        for (const summary of summaries) {
+            const model = byName.get(summary.name);
+            const actual = model ? await this.digestModel(model) : { count: 0, checksum: null };
+            const checksumMatches = actual.checksum === summary.checksum;
+
+            results.push({
+                name: summary.name,
+                expectedCount: summary.count,
+                actualCount: actual.count,
+                checksumMatches,
+                ok: actual.count === summary.count && checksumMatches
+            });
+        }
+
+        return { ok: results.every(result => result.ok), models: results };
+    }
+
+    /**
+     * Count and checksum a model's rows as they are stored now
+     * @param {Object} model - Model from getModels
+     * @returns {Promise<Object>} { count, checksum }
+     */
+    async digestModel(model) {
+        const hash = crypto.createHash('sha256');
+        let count = 0;
+
+        for await (const rows of this.readModelRows(model)) {
+            rows.forEach(row => hash.update(`${JSON.stringify(row)}\n`));
+            count += rows.length;
+        }
+
+        return { count, checksum: hash.digest('hex') };
+    }
+
+    /**
+     * Read a model's encoded rows in primary key order, a batch at a time
+     * @param {Object} model - Model from getModels
+     * @param {Object} client - Prisma client or transaction
+     * @yields {Array<Object>} Encoded rows
+     */
+    async *readModelRows(model, client = this.prisma) {
+        const select = Object.fromEntries(model.fields.map(field => [field.name, true]));
+
+        for (let skip = 0; ; skip += BACKUP_ARCHIVE.BATCH_SIZE) {
+            const records = await client[model.delegate].findMany({
+                select,
+                orderBy: model.orderBy,
+                skip,
+                take: BACKUP_ARCHIVE.BATCH_SIZE
+            });
+
+            if (records.length === 0) {
+                return;
+            }
+
+            yield records.map(record => this.encodeRow(model, record));
+
+            if (records.length < BACKUP_ARCHIVE.BATCH_SIZE) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Read archive events: { type: 'rows', model, rows } batches and { type: 'model', name, count, checksum }
+     * @param {string} filePath - .json or .ndjson archive
+     * @yields {Object} Archive event
+     */
+    async *readArchive(filePath) {
+        if (filePath.endsWith('.ndjson')) {
+            yield* this.readNdjsonArchive(filePath);
+            return;
+        }
+
+        const archive = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        this.validateHeader(archive);
+
+        for (const model of archive.models) {
+            for (let start = 0; start < model.rows.length; start += BACKUP_ARCHIVE.BATCH_SIZE) {
+                yield { type: 'rows', model: model.name, rows: model.rows.slice(start, start + BACKUP_ARCHIVE.BATCH_SIZE) };
+            }
+            yield { type: 'model', name: model.name, count: model.count, checksum: model.checksum };
+        }
+    }
+
+    /**
+     * Stream an NDJSON archive line by line so large backups never sit in memory
+     * @param {string} filePath - .ndjson archive
+     * @yields {Object} Archive event
+     */
+    async *readNdjsonArchive(filePath) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(filePath),
+            crlfDelay: Infinity
+        });
+
+        let batch = null;
+        let sawHeader = false;
+
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            const entry = JSON.parse(line);
+
+            if (!sawHeader) {
+                this.validateHeader(entry);
+                sawHeader = true;
+                continue;
+            }
+
+            if (entry.type === 'row') {
+                if (batch && batch.model !== entry.model) {
+                    yield batch;
+                    batch = null;
+                }
+                batch = batch || { type: 'rows', model: entry.model, rows: [] };
+                batch.rows.push(entry.data);
+
+                if (batch.rows.length >= BACKUP_ARCHIVE.BATCH_SIZE) {
+                    yield batch;
+                    batch = null;
+                }
+            } else if (entry.type === 'model') {
+                if (batch) {
+                    yield batch;
+                    batch = null;
+                }
+                yield { type: 'model', name: entry.name, count: entry.count, checksum: entry.checksum };
+            }
+        }
+
+        if (!sawHeader) {
+            throw new ValidationError('Backup archive is empty');
+        }
+    }
+
+    /**
+     * Reject files that are not backup archives this version can read
+     * @param {Object} header - Archive header
+     */
+    validateHeader(header) {
+        if (header.format !== BACKUP_ARCHIVE.FORMAT) {
+            throw new ValidationError('File is not a database backup archive');
+        }
+        if (header.version > BACKUP_ARCHIVE.VERSION) {
+            throw new ValidationError(`Archive version ${header.version} is newer than this server supports (${BACKUP_ARCHIVE.VERSION})`);
+        }
+    }
+
+    /**
+     * Refuse to restore over existing data
+     * @param {Array<Object>} models - Models from getModels
+     */
+    async assertEmpty(models) {
+        const counts = await Promise.all(models.map(model => this.prisma[model.delegate].count()));
+        const populated = models.filter((model, index) => counts[index] > 0).map(model => model.table);
+
+        if (populated.length > 0) {
+            throw new BusinessRuleError(`Restore needs an empty database - these tables have rows: ${populated.join(', ')}`);
+        }
+    }
+
+    /**
+     * Point every autoincrement sequence past the restored IDs
+     * @param {Object} tx - Prisma transaction
+     * @param {Array<Object>} models - Models from getModels
+     */
+    async resetSequences(tx, models) {
+        for (const model of models) {
+            for (const field of model.fields.filter(candidate => candidate.isAutoincrement)) {
+                // Names come from the Prisma schema, not user input
+                await tx.$queryRawUnsafe(
+                    `SELECT setval(pg_get_serial_sequence('"public"."${model.table}"', '${field.column}'), ` +
+                    `COALESCE(MAX("${field.column}"), 1), MAX("${field.column}") IS NOT NULL) FROM "public"."${model.table}"`
+                );
+            }
+        }
+    }
+
+    encodeRow(model, record) {
+        return Object.fromEntries(model.fields.map(field => [field.name, this.encodeValue(field, record[field.name])]));
+    }
+
+    decodeRow(model, row) {
+        return Object.fromEntries(model.fields
+            .filter(field => field.name in row)
+            .map(field => [field.name, this.decodeValue(field, row[field.name])]));
+    }
+
+    encodeValue(field, value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (field.isList) {
+            return value.map(item => this.encodeValue({ ...field, isList: false }, item));
+        }
+
+        switch (field.type) {
+            case 'BigInt':
+            case 'Decimal':
+                return value.toString();
+            case 'DateTime':
+                return value.toISOString();
+            case 'Bytes':
+                return Buffer.from(value).toString('base64');
+            default:
+                return value;
+        }
+    }
+
+    decodeValue(field, value) {
+        if (value === null || value === undefined) {
+            return field.type === 'Json' ? Prisma.DbNull : null;
+        }
+        if (field.isList) {
+            return value.map(item => this.decodeValue({ ...field, isList: false }, item));
+        }
+
+        switch (field.type) {
+            case 'BigInt':
+                return BigInt(value);
+            case 'Decimal':
+                return new Prisma.Decimal(value);
+            case 'DateTime':
+                return new Date(value);
+            case 'Bytes':
+                return Buffer.from(value, 'base64');
+            default:
+                return value;
+        }
+    }
+}
+
+module.exports = BackupService;
@@ -0,0 +1,686 @@
+const BaseService = require('./base-service');
+const PortfolioService = require('./portfolio-service');
+const TradeService = require('./trade-service');
+const MailService = require('./mail-service');
+const PriceHistoryService = require('./price-history-service');
+const { getCompetitionLockPolicy } = require('./lock-policy');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    BusinessRuleError,
+    ServiceUnavailableError
+} = require('../utils/error-handlers');
+const {
+    BITCOIN_CONSTANTS,
+    SUPPORTED_ASSETS,
+    ASSET_CATEGORIES,
+    COMPETITION_DURATIONS,
+    COMPETITION_STATUS
+} = require('../utils/constants');
+
+/**
+ * Time-boxed trading competitions
+ *
+ * Every participant gets an isolated starting balance (1 BTC by default) held in
+ * competition_holdings, so competition trades never touch the main portfolio. A competition
+ * may be themed on an asset category, which limits the assets that can be bought, and may lock
+ * each purchase for `lockHours` (with an optional early-exit penalty) under the same lock policy as
+ * main portfolios. Standings use the same sats valuation as PortfolioService and are frozen once
+ * the window ends, at the last prices recorded at or before `endsAt`.
+ */
+class CompetitionService extends BaseService {
+    constructor() {
+        super();
+        this.portfolioService = new PortfolioService();
+        this.tradeService = new TradeService();
+        this.mailService = new MailService();
+        this.priceHistoryService = new PriceHistoryService();
+    }
+
+    /**
+     * Work out where a competition is in its lifecycle
+     * @param {Object} competition - Competition row
+     * @param {Date} now - Reference time
+     * @returns {string} One of COMPETITION_STATUS
+     */
+    getStatus(competition, now = new Date()) {
+        if (competition.finalizedAt) {
+            return COMPETITION_STATUS.FINISHED;
+        }
+        if (now >= competition.endsAt) {
+            return COMPETITION_STATUS.ENDED;
+        }
+        if (now >= competition.startsAt) {
+            return COMPETITION_STATUS.ACTIVE;
+        }
+        if (now >= competition.joinOpensAt) {
+            return COMPETITION_STATUS.OPEN;
+        }
+        return COMPETITION_STATUS.UPCOMING;
+    }
+
+    /**
+     * Whether new participants can join right now
+     * @param {Object} competition - Competition row
+     * @param {Date} now - Reference time
+     * @returns {boolean} True inside the join window
+     */
+    isJoinOpen(competition, now = new Date()) {
+        return !competition.finalizedAt &&
+            now >= competition.joinOpensAt &&
+            now < competition.joinClosesAt &&
+            now < competition.endsAt;
+    }
+
+    /**
+     * Assets that can be traded in a competition (BTC is always allowed)
+     * @param {Object} competition - Competition row
+     * @returns {string[]} Asset symbols
+     */
+    getAllowedAssets(competition) {
+        if (!competition.theme) {
+            return SUPPORTED_ASSETS;
+        }
+        return SUPPORTED_ASSETS.filter(symbol =>
+            symbol === 'BTC' || ASSET_CATEGORIES[symbol] === competition.theme
+        );
+    }
+
+    /**
+     * Create a competition
+     * Either `duration` ('1m' or '6m') or an explicit `endsAt` sets the trading window
+     * @param {Object} data - { name, description, theme, startsAt, endsAt, duration, joinOpensAt, joinClosesAt, startingBalanceSats,
+     *   lockHours, earlyExitPenaltyPercent }
+     * @param {number} createdBy - Admin user ID
+     * @returns {Promise<Object>} Created competition
+     */
+    async createCompetition(data, createdBy) {
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!name || name.length > 100) {
+            throw new ValidationError('Competition name is required (max 100 characters)', 'name');
+        }
+
+        const themes = [...new Set(Object.values(ASSET_CATEGORIES))];
+        if (data.theme && !themes.includes(data.theme)) {
+            throw new ValidationError(`Invalid theme. Must be one of: ${themes.join(', ')}`, 'theme');
+        }
+
+        const startsAt = this.parseDate(data.startsAt, 'startsAt');
+        let endsAt;
+        if (data.duration) {
+            const months = COMPETITION_DURATIONS[data.duration];
+            if (!months) {
+                throw new ValidationError(`Invalid duration. Must be one of: ${Object.keys(COMPETITION_DURATIONS).join(', ')}`, 'duration');
+            }
+            endsAt = new Date(startsAt);
+            endsAt.setUTCMonth(endsAt.getUTCMonth() + months);
+        } else {
+            endsAt = this.parseDate(data.endsAt, 'endsAt');
+        }
+
+        // Entries open now and close when trading starts unless told otherwise
+        const joinOpensAt = data.joinOpensAt ? this.parseDate(data.joinOpensAt, 'joinOpensAt') : new Date();
+        const joinClosesAt = data.joinClosesAt ? this.parseDate(data.joinClosesAt, 'joinClosesAt') : startsAt;
+
+        if (endsAt <= startsAt) {
+            throw new ValidationError('Competition must end after it starts', 'endsAt');
+        }
+        if (joinClosesAt <= joinOpensAt) {
+            throw new ValidationError('Join window must close after it opens', 'joinClosesAt');
+        }
+        if (joinClosesAt > endsAt) {
+            throw new ValidationError('Join window must close before the competition ends', 'joinClosesAt');
+        }
+
+        const startingBalanceSats = data.startingBalanceSats !== undefined
+            ? Number(data.startingBalanceSats)
+            : BITCOIN_CONSTANTS.INITIAL_BTC_AMOUNT_SATS;
+        if (!Number.isInteger(startingBalanceSats) || startingBalanceSats <= 0) {
+            throw new ValidationError('Starting balance must be a positive whole number of sats', 'startingBalanceSats');
+        }
+
+        // No lock unless asked for; without a penalty, locked purchases can't be sold early
+        const lockHours = data.lockHours !== undefined ? Number(data.lockHours) : 0;
+        if (!Number.isInteger(lockHours) || lockHours < 0) {
+            throw new ValidationError('Lock hours must be a whole number, 0 or more', 'lockHours');
+        }
+
+        const hasPenalty = data.earlyExitPenaltyPercent !== undefined && data.earlyExitPenaltyPercent !== null && data.earlyExitPenaltyPercent !== '';
+        const earlyExitPenaltyPercent = hasPenalty ? Number(data.earlyExitPenaltyPercent) : null;
+        if (hasPenalty && !(earlyExitPenaltyPercent >= 0 && earlyExitPenaltyPercent <= 100)) {
+            throw new ValidationError('Early exit penalty must be between 0 and 100 percent', 'earlyExitPenaltyPercent');
+        }
+
+        try {
+            return await this.prisma.competition.create({
+                data: {
+                    name,
+                    description: data.description || null,
+                    theme: data.theme || null,
+                    startingBalanceSats: BigInt(startingBalanceSats),
+                    lockHours,
+                    earlyExitPenaltyPercent,
+                    joinOpensAt,
+                    joinClosesAt,
+                    startsAt,
+                    endsAt,
+                    createdBy: createdBy ? parseInt(createdBy) : null
+                }
+            });
+        } catch (error) {
+            await this.handleServiceError(error, 'createCompetition');
+        }
+    }
+
+    /**
+     * List competitions, optionally filtered by status
+     * @param {string} [status] - One of COMPETITION_STATUS
+     * @returns {Promise<Array>} Competitions with status and participant count
+     */
+    async listCompetitions(status) {
+        if (status && !Object.values(COMPETITION_STATUS).includes(status)) {
+            throw new ValidationError(`Invalid status. Must be one of: ${Object.values(COMPETITION_STATUS).join(', ')}`, 'status');
+        }
+
+        try {
+            const competitions = await this.prisma.competition.findMany({
+                orderBy: { startsAt: 'desc' },
+                include: { _count: { select: { participants: true } } }
+            });
+
+            const now = new Date();
+            return competitions
+                .map(competition => ({
+                    ...competition,
+                    status: this.getStatus(competition, now),
+                    joinOpen: this.isJoinOpen(competition, now),
+                    participantCount: competition._count.participants
+                }))
+                .filter(competition => !status || competition.status === status);
+        } catch (error) {
+            await this.handleServiceError(error, 'listCompetitions');
+        }
+    }
+
+    /**
+     * Get a competition by id
+     * @param {number} competitionId - Competition ID
+     * @returns {Promise<Object>} Competition with status and allowed assets
+     */
+    async getCompetition(competitionId) {
+        const competition = await this.prisma.competition.findUnique({
+            where: { id: parseInt(competitionId) },
+            include: { _count: { select: { participants: true } } }
+        });
+
+        if (!competition) {
+            throw new NotFoundError('Competition not found');
+        }
+
+        return {
+            ...competition,
+            status: this.getStatus(competition),
+            joinOpen: this.isJoinOpen(competition),
+            participantCount: competition._count.participants,
+            allowedAssets: this.getAllowedAssets(competition)
+        };
+    }
+
+    /**
+     * Enter a user into a competition with a fresh starting balance
+     * @param {number} competitionId - Competition ID
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Participant
+     */
+    async joinCompetition(competitionId, userId) {
+        await this.validateUser(userId);
+        const competition = await this.getCompetition(competitionId);
+
+        if (!competition.joinOpen) {
+            throw new BusinessRuleError('This competition is not accepting entries');
+        }
+
+        const existing = await this.prisma.competitionParticipant.findUnique({
+            where: { competitionId_userId: { competitionId: competition.id, userId: parseInt(userId) } }
+        });
+        if (existing) {
+            throw new ConflictError('You have already joined this competition');
+        }
+
+        try {
+            return await this.prisma.competitionParticipant.create({
+                data: {
+                    competitionId: competition.id,
+                    userId: parseInt(userId),
+                    holdings: {
+                        create: { assetSymbol: 'BTC', amount: competition.startingBalanceSats }
+                    }
+                },
+                include: { holdings: true }
+            });
+        } catch (error) {
+            await this.handleServiceError(error, 'joinCompetition');
+        }
+    }
+
+    /**
+     * Get a participant's competition portfolio valued in sats
+     * @param {number} competitionId - Competition ID
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} Holdings, value and recent trades
+     */
+    async getParticipantPortfolio(competitionId, userId) {
+        const participant = await this.getParticipant(competitionId, userId);
+
+        try {
+            const [assetPrices, trades] = await Promise.all([
+                this.portfolioService.getAssetPrices(),
+                this.prisma.competitionTrade.findMany({
+                    where: { participantId: participant.id },
+                    orderBy: { createdAt: 'desc' },
+                    take: 50
+                })
+            ]);
+
+            const { portfolioHoldings, totalValueSats } = this.valueHoldings(participant.holdings, assetPrices);
+            const startingBalanceSats = Number(participant.competition.startingBalanceSats);
+
+            return {
+                holdings: portfolioHoldings,
+                totalValueSats,
+                startingBalanceSats,
+                performancePercent: ((totalValueSats - startingBalanceSats) / startingBalanceSats) * 100,
+                trades
+            };
+        } catch (error) {
+            await this.handleServiceError(error, 'getParticipantPortfolio');
+        }
+    }
+
+    /**
+     * Convert between BTC and an allowed asset inside a competition
+     * Same pricing and conversion maths as a main-portfolio trade, with the competition's own locks
+     * @param {number} competitionId - Competition ID
+     * @param {number} userId - User ID
+     * @param {Object} trade - { fromAsset, toAsset, amount, unit }
+     * @returns {Promise<Object>} Recorded trade with amounts, and prices with their source and quote time
+     */
+    async executeTrade(competitionId, userId, { fromAsset, toAsset, amount, unit }) {
+        const participant = await this.getParticipant(competitionId, userId);
+        const competition = participant.competition;
+
+        if (this.getStatus(competition) !== COMPETITION_STATUS.ACTIVE) {
+            throw new BusinessRuleError('Trading is only possible while the competition is running');
+        }
+
+        if (fromAsset === toAsset || (fromAsset !== 'BTC' && toAsset !== 'BTC')) {
+            throw new ValidationError('Trades must convert between BTC and another asset', 'asset');
+        }
+
+        const allowedAssets = this.getAllowedAssets(competition);
+        for (const symbol of [fromAsset, toAsset]) {
+            if (!allowedAssets.includes(symbol)) {
+                throw new ValidationError(`${symbol} cannot be traded in this competition`, 'asset');
+            }
+        }
+
+        const amountInSats = this.tradeService.convertToSats(amount, unit);
+        if (amountInSats <= 0) {
+            throw new ValidationError('Amount must be positive', 'amount');
+        }
+
+        try {
+            // Outside the transaction - re-quoting a stale price waits on the price providers
+            const priceQuotes = await this.tradeService.getPriceQuotes([fromAsset, toAsset]);
+            const assetPrices = this.tradeService.toAssetPrices(priceQuotes);
+            const assetSymbol = toAsset === 'BTC' ? fromAsset : toAsset;
+
+            return await this.prisma.$transaction(async (tx) => {
+                const grossAmount = this.tradeService.calculateTradeAmount(fromAsset, toAsset, amountInSats, assetPrices);
+
+                const lockPolicy = getCompetitionLockPolicy(competition);
+                const lockedAmount = fromAsset === 'BTC'
+                    ? 0
+                    : await this.checkLockedSale(tx, participant.id, lockPolicy, fromAsset, amountInSats);
+                const earlyExitPenaltySats = lockPolicy.earlyExitPenalty(grossAmount, amountInSats, lockedAmount);
+                const toAmount = grossAmount - earlyExitPenaltySats;
+
+                // Guarded decrement so concurrent trades can't overdraw the balance
+                const { count } = await tx.competitionHolding.updateMany({
+                    where: {
+                        participantId: participant.id,
+                        assetSymbol: fromAsset,
+                        amount: { gte: BigInt(amountInSats) }
+                    },
+                    data: { amount: { decrement: BigInt(amountInSats) }, updatedAt: new Date() }
+                });
+                if (count === 0) {
+                    throw new BusinessRuleError(`Insufficient ${fromAsset} balance`);
+                }
+
+                await tx.competitionHolding.upsert({
+                    where: { participantId_assetSymbol: { participantId: participant.id, assetSymbol: toAsset } },
+                    update: { amount: { increment: BigInt(toAmount) }, updatedAt: new Date() },
+                    create: { participantId: participant.id, assetSymbol: toAsset, amount: BigInt(toAmount) }
+                });
+
+                const trade = await tx.competitionTrade.create({
+                    data: {
+                        participantId: participant.id,
+                        fromAsset,
+                        toAsset,
+                        fromAmount: BigInt(amountInSats),
+                        toAmount: BigInt(toAmount),
+                        btcPriceUsd: assetPrices.BTC,
+                        assetPriceUsd: assetPrices[assetSymbol],
+                        // Provenance, as on main-portfolio trades
+                        btcPriceSource: priceQuotes.BTC?.source || null,
+                        btcPriceAt: priceQuotes.BTC?.updatedAt || null,
+                        assetPriceSource: priceQuotes[assetSymbol]?.source || null,
+                        assetPriceAt: priceQuotes[assetSymbol]?.updatedAt || null,
+                        earlyExitPenaltySats: BigInt(earlyExitPenaltySats)
+                    }
+                });
+
+                return {
+                    trade,
+                    fromAmount: amountInSats,
+                    toAmount,
+                    earlyExitPenaltySats,
+                    btcPrice: assetPrices.BTC,
+                    assetPrice: assetPrices[assetSymbol]
+                };
+            });
+        } catch (error) {
+            if (error instanceof BusinessRuleError || error instanceof ServiceUnavailableError) {
+                throw error;
+            }
+            await this.handleServiceError(error, 'executeCompetitionTrade');
+        }
+    }
+
+    /**
+     * Check a competition sale against the competition's locks - the participant's buys are the lots
+     * @param {Object} tx - Prisma transaction client
+     * @param {number} participantId - Participant ID
+     * @param {LockPolicy} lockPolicy - The competition's lock policy
+     * @param {string} assetSymbol - Asset being sold
+     * @param {number} amountInSats - Amount being sold
+     * @returns {Promise<number>} Part of the sale drawn from locked lots
+     */
+    async checkLockedSale(tx, participantId, lockPolicy, assetSymbol, amountInSats) {
+        if (lockPolicy.lockHours(assetSymbol) === 0) {
+            return 0;
+        }
+
+        const holding = await tx.competitionHolding.findUnique({
+            where: { participantId_assetSymbol: { participantId, assetSymbol } }
+        });
+        // Overdrawing is reported as an insufficient balance by the guarded decrement
+        if (!holding || holding.amount < BigInt(amountInSats)) {
+            return 0;
+        }
+
+        const trades = await tx.competitionTrade.findMany({
+            where: { participantId, OR: [{ toAsset: assetSymbol }, { fromAsset: assetSymbol }] },
+            select: { id: true, fromAsset: true, toAsset: true, fromAmount: true, toAmount: true, createdAt: true }
+        });
+        const lots = lockPolicy.applySales(
+            trades
+                .filter(trade => trade.toAsset === assetSymbol)
+                .map(trade => ({
+                    id: trade.id,
+                    amount: trade.toAmount,
+                    lockedUntil: lockPolicy.lockedUntil(assetSymbol, trade.createdAt),
+                    createdAt: trade.createdAt
+                })),
+            trades
+                .filter(trade => trade.fromAsset === assetSymbol)
+                .map(trade => ({ amount: trade.fromAmount, createdAt: trade.createdAt }))
+        );
+
+        return lockPolicy.checkSale(holding.amount, lots, amountInSats);
+    }
+
+    /**
+     * Get standings - frozen results once finalized, live valuation otherwise
+     * @param {number} competitionId - Competition ID
+     * @returns {Promise<Object>} Competition summary and ranked standings
+     */
+    async getStandings(competitionId) {
+        const competition = await this.getCompetition(competitionId);
+
+        try {
+            const standings = competition.finalizedAt
+                ? await this.getFinalStandings(competition)
+                : await this.computeStandings(competition);
+
+            return {
+                competition: {
+                    id: competition.id,
+                    name: competition.name,
+                    theme: competition.theme,
+                    status: competition.status,
+                    startsAt: competition.startsAt,
+                    endsAt: competition.endsAt,
+                    finalizedAt: competition.finalizedAt
+                },
+                isFinal: Boolean(competition.finalizedAt),
+                standings
+            };
+        } catch (error) {
+            await this.handleServiceError(error, 'getStandings');
+        }
+    }
+
+    /**
+     * Freeze final standings for every competition whose window has ended
+     * @returns {Promise<number>} Number of competitions finalized
+     */
+    async finalizeEndedCompetitions() {
+        const ended = await this.prisma.competition.findMany({
+            where: { finalizedAt: null, endsAt: { lte: new Date() } }
+        });
+
+        let finalized = 0;
+        for (const competition of ended) {
+            try {
+                const standings = await this.computeStandings(competition, await this.getPricesAsOf(competition.endsAt));
+
+                const claimed = await this.prisma.$transaction(async (tx) => {
+                    // Claim the competition first so two runs can't both write results
+                    const { count } = await tx.competition.updateMany({
+                        where: { id: competition.id, finalizedAt: null },
+                        data: { finalizedAt: new Date() }
+                    });
+                    if (count === 0) {
+                        return false;
+                    }
+
+                    for (const entry of standings) {
+                        await tx.competitionParticipant.update({
+                            where: { id: entry.participantId },
+                            data: { finalValueSats: BigInt(entry.valueSats), finalRank: entry.rank }
+                        });
+                    }
+                    return true;
+                });
+
+                if (!claimed) {
+                    continue;
+                }
+                finalized++;
+
+                console.log(`🏁 Competition ${competition.id} (${competition.name}) finalized with ${standings.length} participants`);
+
+                await this.emailFinalResults(competition, standings);
+            } catch (error) {
+                console.error(`Failed to finalize competition ${competition.id}:`, error.message);
+            }
+        }
+
+        return finalized;
+    }
+
+    /**
+     * Email every participant their final rank - one failed address doesn't stop the rest
+     * @param {Object} competition - Competition row
+     * @param {Array} standings - Ranked standings
+     */
+    async emailFinalResults(competition, standings) {
+        const participants = await this.prisma.competitionParticipant.findMany({
+            where: { competitionId: competition.id },
+            select: { id: true, user: { select: { username: true, email: true, language: true } } }
+        });
+        const usersByParticipant = new Map(participants.map(participant => [participant.id, participant.user]));
+
+        for (const standing of standings) {
+            try {
+                await this.mailService.sendCompetitionResult(
+                    usersByParticipant.get(standing.participantId),
+                    competition,
+                    standing,
+                    standings.length
+                );
+            } catch (error) {
+                console.error(`Failed to email competition ${competition.id} result to participant ${standing.participantId}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Value every participant and rank them
+     * @param {Object} competition - Competition row
+     * @param {Object} [prices] - symbol -> USD price (default: current cached prices)
+     * @returns {Promise<Array>} Ranked standings
+     */
+    async computeStandings(competition, prices = null) {
+        const [participants, assetPrices] = await Promise.all([
+            this.prisma.competitionParticipant.findMany({
+                where: { competitionId: competition.id },
+                include: { holdings: true, user: { select: { username: true } } }
+            }),
+            prices || this.portfolioService.getAssetPrices()
+        ]);
+
+        const startingBalanceSats = Number(competition.startingBalanceSats);
+
+        return participants
+            .map(participant => {
+                const { totalValueSats } = this.valueHoldings(participant.holdings, assetPrices);
+                return this.formatStanding(participant, totalValueSats, startingBalanceSats);
+            })
+            .sort((a, b) => b.valueSats - a.valueSats)
+            .map((entry, index) => ({ ...entry, rank: index + 1 }));
+    }
+
+    /**
+     * Prices as they stood at a moment, so final results don't depend on when the finalizer runs
+     * Each asset takes the close of the day `at` falls in - the last price recorded that day, which the
+     * finalizer reads within minutes of the window ending - or of the latest day before it; assets with
+     * no history yet keep the cached price
+     * @param {Date} at - Moment to price at
+     * @returns {Promise<Object>} symbol -> USD price
+     */
+    async getPricesAsOf(at) {
+        const [cachedPrices, closes] = await Promise.all([
+            this.portfolioService.getAssetPrices(),
+            this.priceHistoryService.getClosesAt(SUPPORTED_ASSETS, at)
+        ]);
+
+        const missing = SUPPORTED_ASSETS.filter(symbol => closes[symbol] === undefined && cachedPrices[symbol]);
+        if (missing.length > 0) {
+            console.warn(`⚠️ No price history up to ${at.toISOString()} for ${missing.join(', ')} - using cached prices`);
+        }
+
+        return { ...cachedPrices, ...closes };
+    }
+
+    /**
+     * Read the frozen standings of a finalized competition
+     * @param {Object} competition - Competition row
+     * @returns {Promise<Array>} Ranked standings
+     */
+    async getFinalStandings(competition) {
+        const participants = await this.prisma.competitionParticipant.findMany({
+            where: { competitionId: competition.id },
+            include: { user: { select: { username: true } } },
+            orderBy: { finalRank: 'asc' }
+        });
+
+        const startingBalanceSats = Number(competition.startingBalanceSats);
+
+        return participants.map(participant => ({
+            ...this.formatStanding(participant, Number(participant.finalValueSats || 0), startingBalanceSats),
+            rank: participant.finalRank
+        }));
+    }
+
+    formatStanding(participant, valueSats, startingBalanceSats) {
+        return {
+            participantId: participant.id,
+            username: participant.user.username,
+            valueSats,
+            performancePercent: ((valueSats - startingBalanceSats) / startingBalanceSats) * 100,
+            beatsBitcoin: valueSats > startingBalanceSats
+        };
+    }
+
+    /**
+     * Value competition holdings with PortfolioService's sats valuation
+     * @param {Array} holdings - CompetitionHolding rows
+     * @param {Object} assetPrices - Map of symbol -> USD price
+     * @returns {Object} { portfolioHoldings, totalValueSats }
+     */
+    valueHoldings(holdings, assetPrices) {
+        const { portfolioHoldings, totalValueSats } = this.portfolioService.calculatePortfolioMetrics(
+            holdings.map(holding => ({
+                id: holding.id,
+                userId: null,
+                assetSymbol: holding.assetSymbol,
+                amount: holding.amount,
+                lockedUntil: null,
+                createdAt: holding.updatedAt
+            })),
+            assetPrices,
+            {},
+            {}
+        );
+
+        return {
+            portfolioHoldings: portfolioHoldings.map(holding => ({
+                asset_symbol: holding.asset_symbol,
+                amount: holding.amount,
+                current_value_sats: holding.current_value_sats,
+                current_price_usd: holding.current_price_usd
+            })),
+            totalValueSats
+        };
+    }
+
+    async getParticipant(competitionId, userId) {
+        const participant = await this.prisma.competitionParticipant.findUnique({
+            where: {
+                competitionId_userId: { competitionId: parseInt(competitionId), userId: parseInt(userId) }
+            },
+            include: { competition: true, holdings: true }
+        });
+
+        if (!participant) {
+            throw new NotFoundError('You have not joined this competition');
+        }
+
+        return participant;
+    }
+
+    parseDate(value, field) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) {
+            throw new ValidationError(`Invalid or missing date: ${field}`, field);
+        }
+        return date;
+    }
+}
+
+module.exports = CompetitionService;
@@ -0,0 +1,336 @@
+const BaseService = require('./base-service');
+const TradeService = require('./trade-service');
+const { ValidationError, NotFoundError, BusinessRuleError } = require('../utils/error-handlers');
+const {
+    BUSINESS_RULES,
+    DCA_FREQUENCIES,
+    DCA_RUN_STATUS,
+    SUPPORTED_ASSETS
+} = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recurring "convert N sats into ASSET every day/week/month" plans
+ *
+ * Each installment runs through TradeService.executeTrade at the cached price, exactly
+ * like a manual trade. Installments due while the balance is too low are recorded as
+ * skipped rather than failing the plan. Installments missed while the server was down
+ * are not caught up - the plan runs once and moves on to its next future date. Dates are
+ * counted from the plan's first installment (anchorAt), so a plan started on the 31st runs
+ * on the last day of shorter months and returns to the 31st after them.
+ */
+class DcaService extends BaseService {
+    constructor() {
+        super();
+        this.tradeService = new TradeService();
+    }
+
+    /**
+     * Create a DCA plan
+     * @param {number} userId - User ID
+     * @param {Object} plan - { assetSymbol, amountSats, frequency, startAt, portfolioId }
+     * @returns {Promise<Object>} Created plan
+     */
+    async createPlan(userId, { assetSymbol, amountSats, frequency, startAt, portfolioId = null }) {
+        await this.validateUser(userId);
+
+        const symbol = this.validateAssetSymbol(assetSymbol);
+        const amount = this.validateAmount(amountSats);
+        const planFrequency = this.validateFrequency(frequency);
+        const nextRunAt = startAt ? this.parseDate(startAt, 'startAt') : new Date();
+
+        const portfolio = await this.tradeService.portfolioService.resolvePortfolio(userId, portfolioId);
+
+        const count = await this.prisma.dcaPlan.count({ where: { userId: parseInt(userId) } });
+        if (count >= BUSINESS_RULES.MAX_DCA_PLANS_PER_USER) {
+            throw new BusinessRuleError(`You can have at most ${BUSINESS_RULES.MAX_DCA_PLANS_PER_USER} DCA plans`);
+        }
+
+        try {
+            return await this.prisma.dcaPlan.create({
+                data: {
+                    userId: parseInt(userId),
+                    portfolioId: portfolio.id,
+                    assetSymbol: symbol,
+                    amountSats: BigInt(amount),
+                    frequency: planFrequency,
+                    anchorAt: nextRunAt,
+                    nextRunAt
+                }
+            });
+        } catch (error) {
+            await this.handleServiceError(error, 'createPlan');
+        }
+    }
+
+    /**
+     * List a user's DCA plans with their latest runs
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Plans, newest first
+     */
+    async getPlans(userId) {
+        try {
+            return await this.prisma.dcaPlan.findMany({
+                where: { userId: parseInt(userId) },
+                include: { runs: { orderBy: { runAt: 'desc' }, take: 5 } },
+                orderBy: { createdAt: 'desc' }
+            });
+        } catch (error) {
+            await this.handleServiceError(error, 'getPlans');
+        }
+    }
+
+    /**
+     * Get one plan with its run history
+     * @param {number} userId - User ID
+     * @param {number} planId - Plan ID
+     * @returns {Promise<Object>} Plan with runs
+     */
+    async getPlan(userId, planId) {
+        const plan = await this.prisma.dcaPlan.findFirst({
+            where: { id: parseInt(planId), userId: parseInt(userId) },
+            include: { runs: { orderBy: { runAt: 'desc' }, take: 100 } }
+        });
+
+        if (!plan) {
+            throw new NotFoundError('DCA plan not found');
+        }
+
+        return plan;
+    }
+
+    /**
+     * Change a plan's amount or frequency, or pause/resume it
+     * A new frequency starts a new schedule, counted from the plan's last installment
+     * (see rescheduleForFrequency).
+     * @param {number} userId - User ID
+     * @param {number} planId - Plan ID
+     * @param {Object} changes - { amountSats, frequency, isActive }
+     * @returns {Promise<Object>} Updated plan
+     */
+    async updatePlan(userId, planId, { amountSats, frequency, isActive }) {
+        const plan = await this.getPlan(userId, planId);
+        const data = {};
+
+        if (amountSats !== undefined) {
+            data.amountSats = BigInt(this.validateAmount(amountSats));
+        }
+        if (frequency !== undefined) {
+            data.frequency = this.validateFrequency(frequency);
+
+            if (data.frequency !== plan.frequency) {
+                Object.assign(data, this.rescheduleForFrequency(plan, data.frequency));
+            }
+        }
+        if (isActive !== undefined) {
+            data.isActive = isActive === true || isActive === 'true';
+
+            // A resumed plan runs at the next check instead of replaying what it missed
+            if (data.isActive && !plan.isActive && (data.nextRunAt ?? plan.nextRunAt) < new Date()) {
+                data.nextRunAt = new Date();
+            }
+        }
+
+        try {
+            return await this.prisma.dcaPlan.update({
+                where: { id: plan.id },
+                data
+            });
+        } catch (error) {
+            await this.handleServiceError(error, 'updatePlan');
+        }
+    }
+
+    /**
+     * Delete a plan and its run history (trades it made are kept)
+     * @param {number} userId - User ID
+     * @param {number} planId - Plan ID
+     */
+    async deletePlan(userId, planId) {
+        const plan = await this.getPlan(userId, planId);
+
+        try {
+            await this.prisma.dcaPlan.delete({ where: { id: plan.id } });
+        } catch (error) {
+            await this.handleServiceError(error, 'deletePlan');
+        }
+    }
+
+    /**
+     * Run every active plan whose next installment is due
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Summary with executed/skipped/failed counts
+     */
+    async runDuePlans(now = new Date()) {
+        const plans = await this.prisma.dcaPlan.findMany({
+            where: { isActive: true, nextRunAt: { lte: now } },
+            orderBy: { nextRunAt: 'asc' }
+        });
+
+        const summary = { executed: 0, skipped: 0, failed: 0 };
+
+        for (const plan of plans) {
+            const status = await this.runPlan(plan, now);
+            if (status) {
+                summary[status]++;
+            }
+        }
+
+        if (plans.length > 0) {
+            console.log(`🔁 DCA run: ${summary.executed} executed, ${summary.skipped} skipped, ${summary.failed} failed`);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Run a single due installment and record the outcome
+     * @param {Object} plan - Due plan
+     * @param {Date} now - Current time
+     * @returns {Promise<string|null>} Run status, or null if another run already took it
+     */
+    async runPlan(plan, now = new Date()) {
+        // Move the plan on first so overlapping scheduler runs can't execute it twice
+        const { count } = await this.prisma.dcaPlan.updateMany({
+            where: { id: plan.id, isActive: true, nextRunAt: plan.nextRunAt },
+            data: {
+                nextRunAt: this.getNextRunAt(plan.anchorAt, plan.frequency, now),
+                lastRunAt: now
+            }
+        });
+
+        if (count === 0) {
+            return null;
+        }
+
+        const run = { planId: plan.id, amountSats: plan.amountSats };
+
+        try {
+            const btcHolding = await this.prisma.holding.findFirst({
+                where: { userId: plan.userId, portfolioId: plan.portfolioId, assetSymbol: 'BTC' }
+            });
+
+            if (!btcHolding || BigInt(btcHolding.amount) < BigInt(plan.amountSats)) {
+                run.status = DCA_RUN_STATUS.SKIPPED;
+                run.reason = 'Insufficient BTC balance';
+            } else {
+                const result = await this.tradeService.executeTrade(plan.userId, {
+                    fromAsset: 'BTC',
+                    toAsset: plan.assetSymbol,
+                    amount: plan.amountSats.toString(),
+                    unit: 'sat',
+                    portfolioId: plan.portfolioId
+                });
+
+                run.status = DCA_RUN_STATUS.EXECUTED;
+                run.tradeId = result.trade.id;
+            }
+        } catch (error) {
+            console.error(`DCA plan ${plan.id} failed:`, error.message);
+            run.status = DCA_RUN_STATUS.FAILED;
+            run.reason = error.message;
+        }
+
+        await this.prisma.dcaRun.create({ data: run });
+
+        return run.status;
+    }
+
+    /**
+     * Anchor and next installment of a plan switching to another frequency
+     * A plan that has run is re-anchored on its last installment, so the next one comes a new
+     * period after it. One that hasn't run yet keeps its pending first installment.
+     * @param {Object} plan - Plan before the change
+     * @param {string} frequency - New frequency
+     * @param {Date} now - Current time
+     * @returns {{anchorAt: Date, nextRunAt: Date}}
+     */
+    rescheduleForFrequency(plan, frequency, now = new Date()) {
+        if (!plan.lastRunAt) {
+            return { anchorAt: plan.nextRunAt, nextRunAt: plan.nextRunAt };
+        }
+
+        return {
+            anchorAt: plan.lastRunAt,
+            nextRunAt: this.getNextRunAt(plan.lastRunAt, frequency, now)
+        };
+    }
+
+    /**
+     * Work out the first installment date after now, counted from the plan's first installment
+     * @param {Date} anchorAt - The plan's first installment
+     * @param {string} frequency - daily, weekly or monthly
+     * @param {Date} now - Current time
+     * @returns {Date} Next installment date
+     */
+    getNextRunAt(anchorAt, frequency, now = new Date()) {
+        const anchor = new Date(anchorAt);
+        if (anchor > now) {
+            return anchor;
+        }
+
+        if (frequency === DCA_FREQUENCIES.MONTHLY) {
+            let months = Math.max(1, (now.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + now.getUTCMonth() - anchor.getUTCMonth());
+            let next = this.addMonths(anchor, months);
+            while (next <= now) {
+                months++;
+                next = this.addMonths(anchor, months);
+            }
+            return next;
+        }
+
+        const periodMs = (frequency === DCA_FREQUENCIES.WEEKLY ? 7 : 1) * DAY_MS;
+        const periods = Math.floor((now - anchor) / periodMs) + 1;
+        return new Date(anchor.getTime() + periods * periodMs);
+    }
+
+    /**
+     * Same time of day, `months` later - on the anchor's day of the month, or the last day of shorter months
+     * @param {Date} anchor - First installment
+     * @param {number} months - Months to add
+     * @returns {Date}
+     */
+    addMonths(anchor, months) {
+        const year = anchor.getUTCFullYear();
+        const month = anchor.getUTCMonth() + months;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+        const date = new Date(anchor);
+        date.setUTCFullYear(year, month, Math.min(anchor.getUTCDate(), lastDay));
+        return date;
+    }
+
+    validateAssetSymbol(assetSymbol) {
+        const symbol = typeof assetSymbol === 'string' ? assetSymbol.toUpperCase() : '';
+        if (symbol === 'BTC' || !SUPPORTED_ASSETS.includes(symbol)) {
+            throw new ValidationError(`Invalid asset symbol: ${assetSymbol}`, 'assetSymbol');
+        }
+        return symbol;
+    }
+
+    validateAmount(amountSats) {
+        const amount = Number(amountSats);
+        if (!Number.isInteger(amount) || amount < BUSINESS_RULES.MIN_DCA_AMOUNT_SATS) {
+            throw new ValidationError(`Amount must be a whole number of at least ${BUSINESS_RULES.MIN_DCA_AMOUNT_SATS} sats`, 'amountSats');
+        }
+        return amount;
+    }
+
+    validateFrequency(frequency) {
+        if (!Object.values(DCA_FREQUENCIES).includes(frequency)) {
+            throw new ValidationError(`Invalid frequency: ${frequency}. Must be one of: ${Object.values(DCA_FREQUENCIES).join(', ')}`, 'frequency');
+        }
+        return frequency;
+    }
+
+    parseDate(value, field) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) {
+            throw new ValidationError(`Invalid or missing date: ${field}`, field);
+        }
+        return date;
+    }
+}
+
+module.exports = DcaService;
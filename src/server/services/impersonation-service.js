@@ -0,0 +1,145 @@
+const jwt = require('jsonwebtoken');
+const BaseService = require('./base-service');
+const { ValidationError, NotFoundError, BusinessRuleError } = require('../utils/error-handlers');
+const { BUSINESS_RULES } = require('../utils/constants');
+
+/**
+ * Admin "view as user" sessions
+ *
+ * An admin gets a short-lived JWT for another user so they can see exactly what that
+ * user's portfolio endpoints return. The token carries `readOnly` and `impersonationId`:
+ * the auth middleware rejects writes made with it and stops accepting it once its
+ * impersonation session has been ended. Every session is kept in
+ * `impersonation_sessions` with the admin, target, reason and client details.
+ */
+class ImpersonationService extends BaseService {
+    /**
+     * Start a read-only impersonation session
+     * @param {number} adminUserId - Admin starting the session
+     * @param {number} targetUserId - User to view as
+     * @param {Object} options - { reason, ipAddress, userAgent }
+     * @returns {Promise<Object>} { token, session, user }
+     */
+    async startImpersonation(adminUserId, targetUserId, { reason, ipAddress, userAgent } = {}) {
+        const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+        if (!trimmedReason) {
+            throw new ValidationError('A reason is required to view the app as another user', 'reason');
+        }
+        if (trimmedReason.length > 500) {
+            throw new ValidationError('Reason must be 500 characters or less', 'reason');
+        }
+
+        if (adminUserId === targetUserId) {
+            throw new BusinessRuleError('You cannot impersonate yourself');
+        }
+
+        const target = await this.prisma.user.findUnique({
+            where: { id: targetUserId },
+            select: { id: true, username: true, email: true, createdAt: true }
+        });
+        if (!target) {
+            throw new NotFoundError('User not found');
+        }
+
+        const expiresAt = new Date(Date.now() + BUSINESS_RULES.IMPERSONATION_EXPIRY_MINUTES * 60 * 1000);
+
+        const session = await this.prisma.impersonationSession.create({
+            data: {
+                adminUserId,
+                targetUserId,
+                reason: trimmedReason,
+                ipAddress: ipAddress ? String(ipAddress).slice(0, 45) : null,
+                userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+                expiresAt
+            }
+        });
+
+        const token = jwt.sign(
+            {
+                userId: target.id,
+                email: target.email,
+                isAdmin: false,
+                readOnly: true,
+                impersonatedBy: adminUserId,
+                impersonationId: session.id
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: `${BUSINESS_RULES.IMPERSONATION_EXPIRY_MINUTES}m` }
+        );
+
+        return { token, session, user: target };
+    }
+
+    /**
+     * End an impersonation session before it expires
+     * @param {number} adminUserId - Admin who started the session
+     * @param {number} impersonationId - Session ID
+     * @returns {Promise<Object>} Updated session
+     */
+    async endImpersonation(adminUserId, impersonationId) {
+        const session = await this.prisma.impersonationSession.findFirst({
+            where: { id: impersonationId, adminUserId }
+        });
+        if (!session) {
+            throw new NotFoundError('Impersonation session not found');
+        }
+
+        if (session.endedAt) {
+            return session;
+        }
+
+        return this.prisma.impersonationSession.update({
+            where: { id: session.id },
+            data: { endedAt: new Date() }
+        });
+    }
+
+    /**
+     * List impersonation sessions, newest first
+     * @param {Object} filters - { adminUserId, targetUserId }
+     * @param {Object} pagination - { limit, offset }
+     * @returns {Promise<Object>} { sessions, total }
+     */
+    async listImpersonations({ adminUserId, targetUserId } = {}, { limit, offset }) {
+        const where = {};
+        if (adminUserId) {
+            where.adminUserId = adminUserId;
+        }
+        if (targetUserId) {
+            where.targetUserId = targetUserId;
+        }
+
+        const [sessions, total] = await Promise.all([
+            this.prisma.impersonationSession.findMany({
+                where,
+                include: {
+                    admin: { select: { id: true, username: true, email: true } },
+                    targetUser: { select: { id: true, username: true, email: true } }
+                },
+                orderBy: { createdAt: 'desc' },
+                take: limit,
+                skip: offset
+            }),
+            this.prisma.impersonationSession.count({ where })
+        ]);
+
+        return { sessions, total };
+    }
+
+    /**
+     * Check whether an impersonation token may still be used
+     * @param {number} impersonationId - Session ID from the token
+     * @returns {Promise<boolean>} True if the session exists, has not ended or expired, and neither user was deleted
+     */
+    async isSessionActive(impersonationId) {
+        const session = await this.prisma.impersonationSession.findUnique({
+            where: { id: impersonationId },
+            select: { adminUserId: true, targetUserId: true, endedAt: true, expiresAt: true }
+        });
+
+        return !!session && session.adminUserId !== null && session.targetUserId !== null &&
+            !session.endedAt && session.expiresAt > new Date();
+    }
+}
+
+module.exports = ImpersonationService;
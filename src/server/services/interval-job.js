@@ -0,0 +1,62 @@
+/**
+ * Runs a background task on a fixed interval, one run at a time
+ * A tick that arrives while the previous run is still going is skipped; failures are logged, never thrown.
+ */
+class IntervalJob {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Job name for log lines
+     * @param {Function} options.task - async () => void
+     * @param {number} options.intervalMs - Time between runs
+     * @param {number} [options.initialDelayMs] - Run once this soon after start instead of waiting a full interval
+     * @param {string} [options.startMessage] - Logged on start
+     */
+    constructor({ name, task, intervalMs, initialDelayMs = null, startMessage = null }) {
+        this.name = name;
+        this.task = task;
+        this.intervalMs = intervalMs;
+        this.initialDelayMs = initialDelayMs;
+        this.startMessage = startMessage;
+        this.timer = null;
+        this.initialTimer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.initialDelayMs !== null) {
+            this.initialTimer = setTimeout(() => this.run(), this.initialDelayMs);
+        }
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        if (this.startMessage) {
+            console.log(this.startMessage);
+        }
+    }
+
+    stop() {
+        if (this.initialTimer) {
+            clearTimeout(this.initialTimer);
+            this.initialTimer = null;
+        }
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async run() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            await this.task();
+        } catch (error) {
+            console.error(`${this.name} failed:`, error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = IntervalJob;
@@ -0,0 +1,169 @@
+const BaseService = require('./base-service');
+const PortfolioService = require('./portfolio-service');
+const { ValidationError } = require('../utils/error-handlers');
+const { BITCOIN_CONSTANTS } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Leaderboard periods in days (null = since account creation)
+const LEADERBOARD_PERIODS = {
+    '7d': 7,
+    '30d': 30,
+    '1y': 365,
+    'all': null
+};
+
+/**
+ * "Can you beat Bitcoin?" leaderboard
+ *
+ * Every account starts with 1 BTC, so holding bitcoin is the 100M-sat baseline and a user's
+ * score is the change of their portfolio value in sats over the period. Values at the start
+ * of 7d/30d/1y periods come from the daily portfolio snapshots written by captureSnapshots().
+ */
+class LeaderboardService extends BaseService {
+    constructor() {
+        super();
+        this.portfolioService = new PortfolioService();
+    }
+
+    /**
+     * Truncate a timestamp to its UTC calendar day
+     * @param {Date|string|number} value - Any date-like value
+     * @returns {Date} Midnight UTC of that day
+     */
+    toDay(value = new Date()) {
+        const date = new Date(value);
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    }
+
+    /**
+     * Store today's portfolio value for every user (public or not, so switching
+     * to public later still has history)
+     * @returns {Promise<Object>} Summary with captured/failed counts
+     */
+    async captureSnapshots() {
+        const today = this.toDay();
+        const users = await this.prisma.user.findMany({ select: { id: true } });
+        const summary = { captured: 0, failed: 0 };
+
+        for (const { id } of users) {
+            try {
+                const { totalValueSats } = await this.portfolioService.calculatePortfolioValue(id);
+                const valueSats = BigInt(Math.round(totalValueSats));
+
+                await this.prisma.portfolioSnapshot.upsert({
+                    where: { userId_date: { userId: id, date: today } },
+                    update: { valueSats, capturedAt: new Date() },
+                    create: { userId: id, date: today, valueSats }
+                });
+                summary.captured++;
+            } catch (error) {
+                console.error(`Failed to snapshot portfolio for user ${id}:`, error.message);
+                summary.failed++;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Rank public users by portfolio performance in sats over a period
+     * @param {string} period - One of 7d, 30d, 1y, all
+     * @param {number} limit - Maximum number of entries
+     * @returns {Promise<Object>} Period, baseline and ranked entries
+     */
+    async getLeaderboard(period = 'all', limit = 50) {
+        if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period)) {
+            throw new ValidationError(`Invalid period. Must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}`, 'period');
+        }
+
+        const days = LEADERBOARD_PERIODS[period];
+        const startDate = days ? this.toDay(Date.now() - days * DAY_MS) : null;
+
+        try {
+            const users = await this.prisma.user.findMany({
+                where: { isPublic: true },
+                select: { id: true, username: true, createdAt: true }
+            });
+
+            const startValues = startDate
+                ? await this.getStartValues(users, startDate)
+                : new Map(users.map(user => [user.id, BITCOIN_CONSTANTS.PORTFOLIO_BASELINE_SATS]));
+
+            const entries = [];
+            for (const user of users) {
+                const startValueSats = startValues.get(user.id);
+                if (!startValueSats) {
+                    // No snapshot yet for this user - nothing to measure against
+                    continue;
+                }
+
+                const { totalValueSats } = await this.portfolioService.calculatePortfolioValue(user.id);
+                const currentValueSats = Math.round(totalValueSats);
+
+                entries.push({
+                    username: user.username,
+                    currentValueSats,
+                    startValueSats,
+                    gainSats: currentValueSats - startValueSats,
+                    performancePercent: ((currentValueSats - startValueSats) / startValueSats) * 100,
+                    beatsBitcoin: currentValueSats > startValueSats
+                });
+            }
+
+            entries.sort((a, b) => b.performancePercent - a.performancePercent);
+
+            return {
+                period,
+                startDate: startDate ? startDate.toISOString().slice(0, 10) : null,
+                baselineSats: BITCOIN_CONSTANTS.PORTFOLIO_BASELINE_SATS,
+                entries: entries.slice(0, limit).map((entry, index) => ({ rank: index + 1, ...entry }))
+            };
+        } catch (error) {
+            await this.handleServiceError(error, 'getLeaderboard');
+        }
+    }
+
+    /**
+     * Work out each user's portfolio value at the start of a period
+     * Users who signed up during the period start from the 1 BTC baseline; everyone else
+     * from their latest snapshot on or before the start day, or their earliest one after it
+     * @param {Array} users - Users with id and createdAt
+     * @param {Date} startDate - First day of the period
+     * @returns {Promise<Map<number, number>>} userId → start value in sats
+     */
+    async getStartValues(users, startDate) {
+        const userIds = users.map(user => user.id);
+
+        const [before, after] = await Promise.all([
+            this.prisma.portfolioSnapshot.findMany({
+                where: { userId: { in: userIds }, date: { lte: startDate } },
+                orderBy: [{ userId: 'asc' }, { date: 'desc' }],
+                distinct: ['userId']
+            }),
+            this.prisma.portfolioSnapshot.findMany({
+                where: { userId: { in: userIds }, date: { gt: startDate } },
+                orderBy: [{ userId: 'asc' }, { date: 'asc' }],
+                distinct: ['userId']
+            })
+        ]);
+
+        const beforeByUser = new Map(before.map(row => [row.userId, Number(row.valueSats)]));
+        const afterByUser = new Map(after.map(row => [row.userId, Number(row.valueSats)]));
+        const startValues = new Map();
+
+        for (const user of users) {
+            if (user.createdAt && user.createdAt >= startDate) {
+                startValues.set(user.id, BITCOIN_CONSTANTS.PORTFOLIO_BASELINE_SATS);
+            } else if (beforeByUser.has(user.id)) {
+                startValues.set(user.id, beforeByUser.get(user.id));
+            } else if (afterByUser.has(user.id)) {
+                startValues.set(user.id, afterByUser.get(user.id));
+            }
+        }
+
+        return startValues;
+    }
+}
+
+module.exports = LeaderboardService;
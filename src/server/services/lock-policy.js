@@ -0,0 +1,278 @@
+const { BusinessRuleError } = require('../utils/error-handlers');
+const { ASSET_CATEGORIES, LOCK_POLICY, LOCK_RELEASE } = require('../utils/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Lock-up rules for purchased assets
+ *
+ * Each purchase of a non-BTC asset is a lot, locked for the hours the policy sets for that asset's
+ * category in ASSET_CATEGORIES - the categories competition themes use - or for a competition. A sale draws from unlocked lots first and reaches locked
+ * lots only when the policy allows early exit, forfeiting a share of the proceeds; within each group
+ * lots are drawn FIFO or LIFO. Lots are rebuilt from purchases and past sales rather than stored, so
+ * the trade check, lock info and the portfolio's lock status all come from the same calculation.
+ */
+class LockPolicy {
+    /**
+     * @param {Object} options
+     * @param {number} options.defaultHours - Lock for assets without a category rule
+     * @param {Object} options.hoursByCategory - Asset category (ASSET_CATEGORIES) -> hours
+     * @param {number|null} options.earlyExitPenaltyPercent - null when locked lots can't be sold
+     * @param {string} options.release - One of LOCK_RELEASE
+     */
+    constructor({ defaultHours, hoursByCategory = {}, earlyExitPenaltyPercent = null, release = LOCK_RELEASE.FIFO }) {
+        this.defaultHours = defaultHours;
+        this.hoursByCategory = hoursByCategory;
+        this.earlyExitPenaltyPercent = earlyExitPenaltyPercent;
+        this.release = release;
+    }
+
+    /**
+     * Hours a purchase of this asset stays locked - its category's rule, or the default
+     * @param {string} symbol - Asset symbol
+     * @returns {number}
+     */
+    lockHours(symbol) {
+        if (symbol === 'BTC') {
+            return 0;
+        }
+        return this.hoursByCategory[ASSET_CATEGORIES[symbol]] ?? this.defaultHours;
+    }
+
+    /**
+     * @param {string} symbol - Asset symbol
+     * @param {Date} from - Purchase time (default now)
+     * @returns {Date|null} When a purchase made at `from` unlocks; null when the asset doesn't lock
+     */
+    lockedUntil(symbol, from = new Date()) {
+        const hours = this.lockHours(symbol);
+        return hours > 0 ? new Date(new Date(from).getTime() + hours * HOUR_MS) : null;
+    }
+
+    allowsEarlyExit() {
+        return this.earlyExitPenaltyPercent !== null;
+    }
+
+    isLocked(lot, at) {
+        return Boolean(lot.lockedUntil) && new Date(lot.lockedUntil) > at;
+    }
+
+    /**
+     * Replay past sales against the purchase lots of one asset
+     * @param {Array} purchases - [{ id, amount, lockedUntil, createdAt }]
+     * @param {Array} sales - [{ amount, createdAt }]
+     * @returns {Array} Lots oldest first, each with the `remaining` amount (BigInt) not yet sold
+     */
+    applySales(purchases, sales) {
+        const lots = purchases
+            .map(purchase => ({ ...purchase, amount: BigInt(purchase.amount), remaining: BigInt(purchase.amount) }))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        [...sales]
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(sale => {
+                const at = new Date(sale.createdAt);
+                const held = lots.filter(lot => lot.remaining > 0n && new Date(lot.createdAt) <= at);
+                this.drawFromLots(held, BigInt(sale.amount), at);
+            });
+
+        return lots;
+    }
+
+    /**
+     * Take an amount out of lots: unlocked lots first, then locked ones, each group in release order
+     * @param {Array} lots - Lots oldest first; their `remaining` is reduced
+     * @param {bigint} amount - Amount sold
+     * @param {Date} at - Time of the sale
+     */
+    drawFromLots(lots, amount, at) {
+        const ordered = this.release === LOCK_RELEASE.LIFO ? [...lots].reverse() : lots;
+        const drawOrder = [
+            ...ordered.filter(lot => !this.isLocked(lot, at)),
+            ...ordered.filter(lot => this.isLocked(lot, at))
+        ];
+
+        let left = amount;
+        for (const lot of drawOrder) {
+            if (left === 0n) {
+                break;
+            }
+            const taken = lot.remaining < left ? lot.remaining : left;
+            lot.remaining -= taken;
+            left -= taken;
+        }
+    }
+
+    /**
+     * Lock state of one holding
+     * Holding amounts not covered by lots (e.g. from before purchases were recorded) count as unlocked.
+     * @param {bigint|number} holdingAmount - Current holding amount
+     * @param {Array} lots - Lots from applySales
+     * @param {Date} now - Reference time
+     * @returns {Object} { totalAmount, lockedAmount, availableAmount, lockedLots, earliestUnlock, latestUnlock }
+     */
+    summarize(holdingAmount, lots, now = new Date()) {
+        const lockedLots = lots.filter(lot => lot.remaining > 0n && this.isLocked(lot, now));
+        const total = BigInt(holdingAmount);
+        const lockedSum = lockedLots.reduce((sum, lot) => sum + lot.remaining, 0n);
+        const locked = lockedSum < total ? lockedSum : total;
+        const unlockTimes = lockedLots.map(lot => new Date(lot.lockedUntil)).sort((a, b) => a - b);
+
+        return {
+            totalAmount: Number(total),
+            lockedAmount: Number(locked),
+            availableAmount: Number(total - locked),
+            lockedLots: lockedLots.map(lot => ({
+                id: lot.id,
+                amount: Number(lot.remaining),
+                lockedUntil: lot.lockedUntil,
+                createdAt: lot.createdAt
+            })),
+            earliestUnlock: unlockTimes[0] || null,
+            latestUnlock: unlockTimes[unlockTimes.length - 1] || null
+        };
+    }
+
+    /**
+     * Check a sale against the locks
+     * @param {bigint|number} holdingAmount - Current holding amount
+     * @param {Array} lots - Lots from applySales
+     * @param {number} amount - Amount to sell
+     * @param {Date} now - Reference time
+     * @returns {number} How much of the sale comes out of locked lots (0 unless exiting early)
+     * @throws {BusinessRuleError} If the sale needs locked lots and the policy doesn't allow early exit
+     */
+    checkSale(holdingAmount, lots, amount, now = new Date()) {
+        const { availableAmount } = this.summarize(holdingAmount, lots, now);
+        const fromLocked = Math.max(0, Number(amount) - availableAmount);
+
+        if (fromLocked > 0 && !this.allowsEarlyExit()) {
+            throw new BusinessRuleError(`Asset is locked. Available: ${availableAmount / 100000000}`);
+        }
+
+        return fromLocked;
+    }
+
+    /**
+     * Sats forfeited for selling locked lots early - the penalty share of the locked part's proceeds
+     * @param {number} proceedsSats - Sats the whole sale converts to
+     * @param {number} amount - Amount sold
+     * @param {number} lockedAmount - Part of it drawn from locked lots (from checkSale)
+     * @returns {number} Never more than the proceeds, so the seller can't end up owing sats
+     */
+    earlyExitPenalty(proceedsSats, amount, lockedAmount) {
+        if (!lockedAmount || !this.earlyExitPenaltyPercent) {
+            return 0;
+        }
+        const penalty = Math.round(proceedsSats * (lockedAmount / Number(amount)) * (this.earlyExitPenaltyPercent / 100));
+        return Math.min(penalty, proceedsSats);
+    }
+
+    /**
+     * Rules as reported to clients
+     * @param {string} symbol - Asset symbol
+     * @returns {Object} { lockHours, earlyExitAllowed, earlyExitPenaltyPercent, release }
+     */
+    describe(symbol) {
+        return {
+            lockHours: this.lockHours(symbol),
+            earlyExitAllowed: this.allowsEarlyExit(),
+            earlyExitPenaltyPercent: this.earlyExitPenaltyPercent,
+            release: this.release
+        };
+    }
+}
+
+/**
+ * Read ASSET_LOCK_HOURS_BY_CATEGORY - a typo would otherwise silently leave a category on the default lock
+ * @param {string} value - JSON object of category -> hours
+ * @returns {Object}
+ * @throws {Error} If the JSON is invalid, names an unknown category or has a negative or non-numeric lock
+ */
+function parseHoursByCategory(value) {
+    if (!value) {
+        return LOCK_POLICY.ASSET_LOCK_HOURS_BY_CATEGORY;
+    }
+
+    let hoursByCategory;
+    try {
+        hoursByCategory = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`ASSET_LOCK_HOURS_BY_CATEGORY is not valid JSON: ${error.message}`);
+    }
+    if (!hoursByCategory || typeof hoursByCategory !== 'object' || Array.isArray(hoursByCategory)) {
+        throw new Error('ASSET_LOCK_HOURS_BY_CATEGORY must be a JSON object of category -> hours');
+    }
+
+    const categories = [...new Set(Object.values(ASSET_CATEGORIES))];
+    Object.entries(hoursByCategory).forEach(([category, hours]) => {
+        if (!categories.includes(category)) {
+            throw new Error(`ASSET_LOCK_HOURS_BY_CATEGORY has unknown category "${category}". Categories: ${categories.join(', ')}`);
+        }
+        if (typeof hours !== 'number' || !Number.isFinite(hours) || hours < 0) {
+            throw new Error(`ASSET_LOCK_HOURS_BY_CATEGORY must give "${category}" a number of hours, 0 or more`);
+        }
+    });
+
+    return hoursByCategory;
+}
+
+/**
+ * Read ASSET_LOCK_EARLY_EXIT_PENALTY_PERCENT - above 100 a sale would forfeit more than its proceeds
+ * @param {string} value - Percentage, or empty when locked lots can't be sold early
+ * @returns {number|null}
+ * @throws {Error} If the value is not a number from 0 to 100
+ */
+function parseEarlyExitPenaltyPercent(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return LOCK_POLICY.ASSET_LOCK_EARLY_EXIT_PENALTY_PERCENT;
+    }
+
+    const percent = Number(value);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        throw new Error(`ASSET_LOCK_EARLY_EXIT_PENALTY_PERCENT must be a percentage from 0 to 100, got "${value}"`);
+    }
+    return percent;
+}
+
+function parseNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+let sharedPolicy = null;
+
+/**
+ * Get the lock policy for main portfolios, read once from the environment
+ * The server loads it at startup, so a bad ASSET_LOCK_HOURS_BY_CATEGORY or penalty stops it from starting
+ * @returns {LockPolicy}
+ */
+function getLockPolicy() {
+    if (!sharedPolicy) {
+        const release = process.env.ASSET_LOCK_RELEASE;
+        sharedPolicy = new LockPolicy({
+            defaultHours: parseNumber(process.env.ASSET_LOCK_HOURS, LOCK_POLICY.ASSET_LOCK_HOURS),
+            hoursByCategory: parseHoursByCategory(process.env.ASSET_LOCK_HOURS_BY_CATEGORY),
+            earlyExitPenaltyPercent: parseEarlyExitPenaltyPercent(process.env.ASSET_LOCK_EARLY_EXIT_PENALTY_PERCENT),
+            release: Object.values(LOCK_RELEASE).includes(release) ? release : LOCK_POLICY.ASSET_LOCK_RELEASE
+        });
+    }
+    return sharedPolicy;
+}
+
+/**
+ * Lock policy of a competition - its own lock hours and penalty for every asset, the main release order
+ * @param {Object} competition - Competition row
+ * @returns {LockPolicy}
+ */
+function getCompetitionLockPolicy(competition) {
+    return new LockPolicy({
+        defaultHours: competition.lockHours || 0,
+        earlyExitPenaltyPercent: competition.earlyExitPenaltyPercent === null || competition.earlyExitPenaltyPercent === undefined
+            ? null
+            : Number(competition.earlyExitPenaltyPercent),
+        release: getLockPolicy().release
+    });
+}
+
+module.exports = { LockPolicy, getLockPolicy, getCompetitionLockPolicy, parseHoursByCategory, parseEarlyExitPenaltyPercent };
@@ -0,0 +1,80 @@
+const { getMailTransport } = require('./mail-transports');
+const { renderMailTemplate } = require('./mail-templates');
+const { BUSINESS_RULES, BITCOIN_CONSTANTS, DEFAULT_LANGUAGE } = require('../utils/constants');
+
+/**
+ * Sends the app's emails
+ *
+ * Messages are rendered from the localized templates in mail-templates (HTML and plain text)
+ * in the recipient's language, then handed to the transport picked by MAIL_TRANSPORT.
+ */
+class MailService {
+    constructor(options = {}) {
+        this.transport = options.transport || getMailTransport();
+    }
+
+    get appUrl() {
+        return process.env.APP_URL || process.env.VERCEL_URL || 'http://localhost:3000';
+    }
+
+    /**
+     * Render a template and send it
+     * @param {string} template - Template name
+     * @param {Object} user - Recipient ({ email, username, language })
+     * @param {Object} data - Template data
+     * @returns {Promise<{messageId:string,transport:string}>}
+     */
+    async send(template, user, data = {}) {
+        const rendered = renderMailTemplate(template, user.language || DEFAULT_LANGUAGE, {
+            username: user.username,
+            appUrl: this.appUrl,
+            ...data
+        });
+
+        const info = await this.transport.send({ to: user.email, template, ...rendered });
+        console.log(`📬 ${template} mail to ${user.email} sent via ${info.transport}`);
+        return info;
+    }
+
+    sendMagicLink(user, url) {
+        return this.send('magicLink', user, { url, minutes: BUSINESS_RULES.MAGIC_LINK_EXPIRY_MINUTES });
+    }
+
+    sendAccountDeletion(user, url) {
+        return this.send('accountDeletion', user, { url, minutes: BUSINESS_RULES.MAGIC_LINK_EXPIRY_MINUTES });
+    }
+
+    /**
+     * @param {Object} user - Suggestion author
+     * @param {Object} suggestion - Suggestion row after the reply
+     * @param {string} reply - The new reply text only, not the whole thread
+     */
+    sendSuggestionReply(user, suggestion, reply) {
+        return this.send('suggestionReply', user, {
+            title: suggestion.title,
+            reply,
+            closed: suggestion.status === 'closed',
+            url: `${this.appUrl}/#home`
+        });
+    }
+
+    /**
+     * @param {Object} user - Participant
+     * @param {Object} competition - Competition row
+     * @param {Object} standing - Final standing ({ rank, valueSats, performancePercent, beatsBitcoin })
+     * @param {number} participants - Number of participants
+     */
+    sendCompetitionResult(user, competition, standing, participants) {
+        return this.send('competitionResult', user, {
+            competition: competition.name,
+            rank: standing.rank,
+            participants,
+            valueBtc: standing.valueSats / BITCOIN_CONSTANTS.SATOSHIS_PER_BTC,
+            performancePercent: standing.performancePercent,
+            beatsBitcoin: standing.beatsBitcoin,
+            url: `${this.appUrl}/#leaderboard`
+        });
+    }
+}
+
+module.exports = MailService;
@@ -0,0 +1,58 @@
+// Bulgarian mail templates - keep wording in line with content/translations/bg.js
+// Each template returns plain strings; the renderer escapes them for HTML
+module.exports = {
+    locale: 'bg-BG',
+
+    layout: {
+        appName: 'Измервайте всичко в Биткойн',
+        footer: ({ appUrl }) => `Получавате този имейл, защото имате профил в ${appUrl}.`
+    },
+
+    magicLink: ({ username, url, minutes }) => ({
+        subject: 'Вашата магическа връзка за вход',
+        heading: 'Вход в Измервайте всичко в Биткойн',
+        body: [
+            `Здравейте, ${username},`,
+            `Използвайте бутона по-долу, за да влезете. Връзката работи еднократно и изтича след ${minutes} минути.`
+        ],
+        action: { label: 'Вход', url },
+        note: 'Ако не сте поискали тази връзка, можете спокойно да игнорирате този имейл.'
+    }),
+
+    accountDeletion: ({ username, url, minutes }) => ({
+        subject: 'Потвърдете изтриването на профила си',
+        heading: 'Да изтрием ли профила ви?',
+        body: [
+            `Здравейте, ${username},`,
+            'Получихме заявка за окончателно изтриване на вашия профил, портфолиата ви и историята на търговията ви.',
+            `Отворете връзката по-долу, докато сте влезли в профила си, за да потвърдите. Тя изтича след ${minutes} минути.`
+        ],
+        action: { label: 'Изтрий профила ми', url },
+        note: 'Ако не сте поискали това, игнорирайте този имейл - нищо няма да бъде изтрито.'
+    }),
+
+    suggestionReply: ({ username, title, reply, closed, url }) => ({
+        subject: `Отговор на вашето предложение „${title}“`,
+        heading: 'Отговорихме на вашето предложение',
+        body: [
+            `Здравейте, ${username},`,
+            `Благодарим ви за предложението „${title}“. Нашият отговор:`,
+            reply,
+            closed ? 'Предложението вече е затворено.' : 'Можете да го проследите в приложението.'
+        ],
+        action: { label: 'Отворете приложението', url }
+    }),
+
+    competitionResult: ({ username, competition, rank, participants, valueBtc, performancePercent, beatsBitcoin, url }, format) => ({
+        subject: `Крайни резултати: ${competition}`,
+        heading: `${competition} приключи`,
+        body: [
+            `Здравейте, ${username},`,
+            `Завършихте на ${rank}. място от ${participants} с ${format.number(valueBtc, 8)} BTC (${format.percent(performancePercent)}).`,
+            beatsBitcoin
+                ? 'Надминахте простото държане на Биткойн - браво!'
+                : 'Този път простото държане на Биткойн би се представило по-добре.'
+        ],
+        action: { label: 'Вижте класацията', url }
+    })
+};
@@ -0,0 +1,58 @@
+// English mail templates - keep wording in line with content/translations/en.js
+// Each template returns plain strings; the renderer escapes them for HTML
+module.exports = {
+    locale: 'en-US',
+
+    layout: {
+        appName: 'Measure Everything in Bitcoin',
+        footer: ({ appUrl }) => `You are receiving this email because you have an account at ${appUrl}.`
+    },
+
+    magicLink: ({ username, url, minutes }) => ({
+        subject: 'Your login link',
+        heading: 'Log in to Measure Everything in Bitcoin',
+        body: [
+            `Hi ${username},`,
+            `Use the button below to log in. The link works once and expires in ${minutes} minutes.`
+        ],
+        action: { label: 'Log in', url },
+        note: 'If you did not ask for this link, you can safely ignore this email.'
+    }),
+
+    accountDeletion: ({ username, url, minutes }) => ({
+        subject: 'Confirm deleting your account',
+        heading: 'Delete your account?',
+        body: [
+            `Hi ${username},`,
+            'We received a request to permanently delete your account, your portfolios and your trading history.',
+            `Open the link below while logged in to confirm. It expires in ${minutes} minutes.`
+        ],
+        action: { label: 'Delete my account', url },
+        note: 'If you did not ask for this, ignore this email - nothing will be deleted.'
+    }),
+
+    suggestionReply: ({ username, title, reply, closed, url }) => ({
+        subject: `Reply to your suggestion "${title}"`,
+        heading: 'We replied to your suggestion',
+        body: [
+            `Hi ${username},`,
+            `Thank you for your suggestion "${title}". Our reply:`,
+            reply,
+            closed ? 'The suggestion is now closed.' : 'You can follow it up from the app.'
+        ],
+        action: { label: 'Open the app', url }
+    }),
+
+    competitionResult: ({ username, competition, rank, participants, valueBtc, performancePercent, beatsBitcoin, url }, format) => ({
+        subject: `Final results: ${competition}`,
+        heading: `${competition} has ended`,
+        body: [
+            `Hi ${username},`,
+            `You finished #${rank} of ${participants} with ${format.number(valueBtc, 8)} BTC (${format.percent(performancePercent)}).`,
+            beatsBitcoin
+                ? 'You beat simply holding Bitcoin - well played!'
+                : 'Simply holding Bitcoin would have done better this time.'
+        ],
+        action: { label: 'See the leaderboard', url }
+    })
+};
@@ -0,0 +1,93 @@
+const en = require('./en');
+const bg = require('./bg');
+const { DEFAULT_LANGUAGE } = require('../../utils/constants');
+
+const TEMPLATES = { en, bg };
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Number formatting in the template's locale
+ * @param {string} locale - e.g. 'en-US'
+ */
+function createFormatter(locale) {
+    return {
+        number: (value, maximumFractionDigits = 2) => Number(value).toLocaleString(locale, { maximumFractionDigits }),
+        percent: (value) => `${value >= 0 ? '+' : ''}${Number(value).toLocaleString(locale, { maximumFractionDigits: 2 })}%`
+    };
+}
+
+/**
+ * Render a mail template to a subject, HTML and plain-text body
+ * Unknown languages fall back to English
+ * @param {string} name - Template name, e.g. 'magicLink'
+ * @param {string} language - 'en' or 'bg'
+ * @param {Object} data - Template data
+ * @returns {{subject:string,html:string,text:string}}
+ */
+function renderMailTemplate(name, language, data = {}) {
+    const strings = TEMPLATES[language] || TEMPLATES[DEFAULT_LANGUAGE];
+    const template = strings[name];
+    if (typeof template !== 'function') {
+        throw new Error(`Unknown mail template "${name}"`);
+    }
+
+    const appUrl = data.appUrl || process.env.APP_URL || 'http://localhost:3000';
+    const content = template({ ...data, appUrl }, createFormatter(strings.locale));
+    const footer = strings.layout.footer({ appUrl });
+
+    return {
+        subject: `${content.subject} - ${strings.layout.appName}`,
+        html: renderHtml(strings, content, footer),
+        text: renderText(strings, content, footer)
+    };
+}
+
+function renderHtml(strings, { heading, body, action, note }, footer) {
+    const paragraphs = body
+        .map(line => `<p style="margin:0 0 16px;">${escapeHtml(line).replace(/\n/g, '<br>')}</p>`)
+        .join('\n');
+
+    const button = action
+        ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#ea580c;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="${strings.locale.slice(0, 2)}">
+<head><meta charset="utf-8"><title>${escapeHtml(heading)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+<p style="margin:0 0 8px;color:#ea580c;font-weight:bold;">₿ ${escapeHtml(strings.layout.appName)}</p>
+<h1 style="margin:0 0 24px;font-size:22px;">${escapeHtml(heading)}</h1>
+${paragraphs}
+${button}
+${note ? `<p style="margin:0 0 16px;color:#6b7280;font-size:13px;">${escapeHtml(note)}</p>` : ''}
+<hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0;">
+<p style="margin:0;color:#9ca3af;font-size:12px;">${escapeHtml(footer)}</p>
+</div>
+</body>
+</html>`;
+}
+
+function renderText(strings, { heading, body, action, note }, footer) {
+    return [
+        heading,
+        '',
+        ...body.flatMap(line => [line, '']),
+        ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+        ...(note ? [note, ''] : []),
+        '--',
+        strings.layout.appName,
+        footer
+    ].join('\n');
+}
+
+module.exports = {
+    renderMailTemplate,
+    escapeHtml
+};
@@ -0,0 +1,47 @@
+const MailTransport = require('./mail-transport');
+const SmtpMailTransport = require('./smtp-transport');
+const LocalMailTransport = require('./local-transport');
+const OutboxMailTransport = require('./outbox-transport');
+
+const TRANSPORTS = {
+    smtp: SmtpMailTransport,
+    local: LocalMailTransport,
+    outbox: OutboxMailTransport
+};
+
+let sharedTransport = null;
+
+/**
+ * Build a transport by name
+ * Without MAIL_TRANSPORT, SMTP is used when EMAIL_HOST is set and the outbox otherwise
+ * @param {string} name - One of smtp, local, outbox
+ * @returns {MailTransport}
+ */
+function createMailTransport(name = process.env.MAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'outbox')) {
+    const Transport = TRANSPORTS[name.trim().toLowerCase()];
+    if (!Transport) {
+        throw new Error(`Unknown mail transport "${name}". Must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    return new Transport();
+}
+
+/**
+ * Get the process-wide transport configured through MAIL_TRANSPORT
+ * @returns {MailTransport}
+ */
+function getMailTransport() {
+    if (!sharedTransport) {
+        sharedTransport = createMailTransport();
+    }
+    return sharedTransport;
+}
+
+module.exports = {
+    MailTransport,
+    SmtpMailTransport,
+    LocalMailTransport,
+    OutboxMailTransport,
+    createMailTransport,
+    getMailTransport
+};
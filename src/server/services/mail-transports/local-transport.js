@@ -0,0 +1,25 @@
+const SmtpMailTransport = require('./smtp-transport');
+
+const DEFAULT_LOCAL_PORT = 1025;
+
+/**
+ * Delivers to a stand-in SMTP server on this machine - scripts/mail-server.js,
+ * or any catcher such as Mailpit or MailHog listening on MAIL_LOCAL_PORT
+ * No authentication and no TLS, so real credentials are never needed in dev
+ */
+class LocalMailTransport extends SmtpMailTransport {
+    constructor(options = {}) {
+        super({
+            ...options,
+            name: 'local',
+            host: options.host || '127.0.0.1',
+            port: options.port || process.env.MAIL_LOCAL_PORT || DEFAULT_LOCAL_PORT,
+            user: null,
+            ignoreTLS: true
+        });
+    }
+}
+
+LocalMailTransport.DEFAULT_LOCAL_PORT = DEFAULT_LOCAL_PORT;
+
+module.exports = LocalMailTransport;
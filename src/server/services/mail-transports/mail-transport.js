@@ -0,0 +1,46 @@
+const DEFAULT_FROM = 'Measure Everything in Bitcoin <no-reply@localhost>';
+
+/**
+ * Base class for mail transports
+ *
+ * A transport delivers one rendered message ({ to, subject, html, text }).
+ * Subclasses implement deliver() and get the sender address and validation for free.
+ */
+class MailTransport {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.from = options.from || process.env.MAIL_FROM || DEFAULT_FROM;
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - { to, subject, html, text, template }
+     * @returns {Promise<{messageId:string,transport:string}>}
+     * @throws {Error} When the message is incomplete or delivery fails
+     */
+    async send(message) {
+        this.validateMessage(message);
+
+        const info = await this.deliver({ from: this.from, ...message });
+
+        return {
+            messageId: info.messageId,
+            transport: this.name
+        };
+    }
+
+    deliver() {
+        throw new Error(`${this.name} mail transport does not implement deliver()`);
+    }
+
+    validateMessage({ to, subject, html, text } = {}) {
+        if (!to) {
+            throw new Error('Mail recipient is required');
+        }
+        if (!subject || (!html && !text)) {
+            throw new Error(`Mail to ${to} has no subject or body`);
+        }
+    }
+}
+
+module.exports = MailTransport;
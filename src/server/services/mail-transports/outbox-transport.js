@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mail-transport');
+
+/**
+ * Writes every message to a directory instead of sending it, for dev and tests
+ *
+ * Each message becomes <timestamp>-<template>-<recipient>.eml (openable in any mail client)
+ * plus a .json twin with the subject, text and HTML so tests can pull links out of it.
+ */
+class OutboxMailTransport extends MailTransport {
+    constructor(options = {}) {
+        super('outbox', options);
+        this.directory = path.resolve(options.directory || process.env.MAIL_OUTBOX_DIR || 'tmp/mail-outbox');
+        this.composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+
+    async deliver(message) {
+        const info = await this.composer.sendMail(message);
+
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const recipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const baseName = [timestamp, message.template, recipient].filter(Boolean).join('-');
+        const emlPath = path.join(this.directory, `${baseName}.eml`);
+
+        fs.writeFileSync(emlPath, info.message);
+        fs.writeFileSync(path.join(this.directory, `${baseName}.json`), JSON.stringify({
+            messageId: info.messageId,
+            template: message.template || null,
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            createdAt: new Date()
+        }, null, 2));
+
+        return info;
+    }
+
+    /**
+     * Read the messages in the outbox, oldest first
+     * @returns {Array<Object>} Parsed .json twins
+     */
+    list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')));
+    }
+}
+
+module.exports = OutboxMailTransport;
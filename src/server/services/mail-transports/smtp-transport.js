@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mail-transport');
+
+/**
+ * Delivers through an SMTP server configured with EMAIL_HOST, EMAIL_PORT, EMAIL_USER and EMAIL_PASS
+ * Port 465 uses implicit TLS; other ports upgrade with STARTTLS when the server offers it
+ */
+class SmtpMailTransport extends MailTransport {
+    constructor(options = {}) {
+        super(options.name || 'smtp', options);
+
+        const host = options.host || process.env.EMAIL_HOST;
+        if (!host) {
+            throw new Error('EMAIL_HOST is required for the smtp mail transport');
+        }
+
+        const port = parseInt(options.port || process.env.EMAIL_PORT || 587, 10);
+        const user = options.user ?? process.env.EMAIL_USER;
+
+        this.transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure: port === 465,
+            ignoreTLS: Boolean(options.ignoreTLS),
+            auth: user ? { user, pass: options.pass ?? process.env.EMAIL_PASS } : undefined
+        });
+    }
+
+    deliver(message) {
+        return this.transporter.sendMail(message);
+    }
+
+    /**
+     * Check the connection and credentials without sending anything
+     * @returns {Promise<boolean>}
+     */
+    verify() {
+        return this.transporter.verify();
+    }
+}
+
+module.exports = SmtpMailTransport;
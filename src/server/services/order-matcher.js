@@ -0,0 +1,74 @@
+const OrderService = require('./order-service');
+const priceEvents = require('./price-events');
+
+/**
+ * Runs pending limit/stop orders against prices as soon as the price cache refreshes them
+ * Updates arriving close together are batched into one matching pass
+ */
+class OrderMatcher {
+    constructor(options = {}) {
+        this.orderService = new OrderService();
+        this.debounceMs = options.debounceMs || 2000;
+        this.pendingSymbols = new Set();
+        this.timer = null;
+        this.running = false;
+        this.onPriceUpdated = this.onPriceUpdated.bind(this);
+    }
+
+    start() {
+        priceEvents.on('price:updated', this.onPriceUpdated);
+        console.log('🎯 Order matcher listening for price updates');
+    }
+
+    stop() {
+        priceEvents.off('price:updated', this.onPriceUpdated);
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    onPriceUpdated({ symbol }) {
+        this.pendingSymbols.add(symbol);
+        this.schedule();
+    }
+
+    schedule() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.run();
+        }, this.debounceMs);
+    }
+
+    async run() {
+        // A pass is already in flight - its symbols stay queued for the next one
+        if (this.running) {
+            this.schedule();
+            return;
+        }
+
+        const symbols = [...this.pendingSymbols];
+        this.pendingSymbols.clear();
+        if (symbols.length === 0) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            const summary = await this.orderService.matchOrders(symbols);
+            if (summary.filled > 0 || summary.failed > 0) {
+                console.log(`🎯 Order matcher: ${summary.filled} filled, ${summary.failed} failed (${summary.checked} checked)`);
+            }
+        } catch (error) {
+            console.error('Order matching failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = OrderMatcher;
@@ -0,0 +1,295 @@
+const BaseService = require('./base-service');
+const TradeService = require('./trade-service');
+const portfolioEvents = require('./portfolio-events');
+const { ValidationError, NotFoundError, ConflictError, BusinessRuleError } = require('../utils/error-handlers');
+const {
+    BITCOIN_CONSTANTS,
+    ORDER_TYPES,
+    ORDER_SIDES,
+    ORDER_STATUS,
+    SUPPORTED_ASSETS
+} = require('../utils/constants');
+
+/**
+ * Limit and stop orders priced in sats per asset unit
+ *
+ * Trigger rules (P = current asset price in sats):
+ *   buy  limit: P <= trigger    buy  stop: P >= trigger
+ *   sell limit: P >= trigger    sell stop: P <= trigger
+ *
+ * Balances aren't reserved while an order is open - they are checked when the order
+ * is placed and again when it fills, through the same path as a market trade.
+ */
+class OrderService extends BaseService {
+    constructor() {
+        super();
+        this.tradeService = new TradeService();
+    }
+
+    /**
+     * Place a new limit or stop order
+     * @param {number} userId - User ID
+     * @param {Object} order - { side, orderType, assetSymbol, amount, unit, triggerPriceSats, portfolioId }
+     * @returns {Promise<Object>} Created order
+     */
+    async placeOrder(userId, { side, orderType, assetSymbol, amount, unit, triggerPriceSats, portfolioId = null }) {
+        await this.validateUser(userId);
+
+        if (!Object.values(ORDER_SIDES).includes(side)) {
+            throw new ValidationError(`Invalid side: ${side}. Must be one of: ${Object.values(ORDER_SIDES).join(', ')}`, 'side');
+        }
+        if (!Object.values(ORDER_TYPES).includes(orderType)) {
+            throw new ValidationError(`Invalid order type: ${orderType}. Must be one of: ${Object.values(ORDER_TYPES).join(', ')}`, 'orderType');
+        }
+        if (assetSymbol === 'BTC' || !SUPPORTED_ASSETS.includes(assetSymbol)) {
+            throw new ValidationError(`Invalid asset symbol: ${assetSymbol}`, 'assetSymbol');
+        }
+
+        const trigger = Number(triggerPriceSats);
+        if (!Number.isInteger(trigger) || trigger <= 0) {
+            throw new ValidationError('Trigger price must be a positive whole number of sats', 'triggerPriceSats');
+        }
+
+        const amountInSats = this.tradeService.convertToSats(amount, unit);
+        if (amountInSats <= 0) {
+            throw new ValidationError('Amount must be positive', 'amount');
+        }
+
+        const fromAsset = side === ORDER_SIDES.BUY ? 'BTC' : assetSymbol;
+        const portfolio = await this.tradeService.portfolioService.resolvePortfolio(userId, portfolioId);
+
+        try {
+            // Fail early if the balance can't cover the order right now
+            await this.tradeService.validateTradeRequirements(this.prisma, userId, fromAsset, amountInSats, portfolio.id);
+
+            return await this.prisma.pendingOrder.create({
+                data: {
+                    userId: parseInt(userId),
+                    portfolioId: portfolio.id,
+                    orderType,
+                    side,
+                    assetSymbol,
+                    amount: BigInt(amountInSats),
+                    triggerPriceSats: BigInt(trigger)
+                }
+            });
+        } catch (error) {
+            if (error instanceof BusinessRuleError) {
+                throw error;
+            }
+            await this.handleServiceError(error, 'placeOrder');
+        }
+    }
+
+    /**
+     * List a user's orders, newest first
+     * @param {number} userId - User ID
+     * @param {string} [status] - Optional status filter
+     * @param {number} [portfolioId] - Only orders placed from this portfolio
+     * @returns {Promise<Array>} Orders
+     */
+    async getOrders(userId, status, portfolioId = null) {
+        if (status && !Object.values(ORDER_STATUS).includes(status)) {
+            throw new ValidationError(`Invalid status: ${status}. Must be one of: ${Object.values(ORDER_STATUS).join(', ')}`, 'status');
+        }
+
+        try {
+            return await this.prisma.pendingOrder.findMany({
+                where: {
+                    userId: parseInt(userId),
+                    ...(status ? { status } : {}),
+                    ...(portfolioId ? { portfolioId: parseInt(portfolioId) } : {})
+                },
+                orderBy: { createdAt: 'desc' }
+            });
+        } catch (error) {
+            await this.handleServiceError(error, 'getOrders');
+        }
+    }
+
+    /**
+     * Cancel one of the user's open orders
+     * @param {number} userId - User ID
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Object>} Cancelled order
+     */
+    async cancelOrder(userId, orderId) {
+        const order = await this.prisma.pendingOrder.findFirst({
+            where: { id: parseInt(orderId), userId: parseInt(userId) }
+        });
+
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        // Guard on status so an order filled in the meantime isn't cancelled
+        const { count } = await this.prisma.pendingOrder.updateMany({
+            where: { id: order.id, status: ORDER_STATUS.OPEN },
+            data: { status: ORDER_STATUS.CANCELLED, cancelledAt: new Date() }
+        });
+
+        if (count === 0) {
+            throw new ConflictError(`Order is already ${order.status}`);
+        }
+
+        return { ...order, status: ORDER_STATUS.CANCELLED };
+    }
+
+    /**
+     * Convert an asset's USD price to sats per whole asset unit
+     * @param {Object} assetPrices - Map of symbol -> USD price
+     * @param {string} symbol - Asset symbol
+     * @returns {number|null} Price in sats
+     */
+    getPriceSats(assetPrices, symbol) {
+        const assetPrice = assetPrices[symbol];
+        const btcPrice = assetPrices.BTC;
+        if (!assetPrice || !btcPrice) {
+            return null;
+        }
+        return Math.round((assetPrice / btcPrice) * BITCOIN_CONSTANTS.SATOSHIS_PER_BTC);
+    }
+
+    /**
+     * Whether an order should fill at the given price
+     * @param {Object} order - Pending order
+     * @param {number} priceSats - Current asset price in sats
+     * @returns {boolean}
+     */
+    isTriggered(order, priceSats) {
+        const trigger = Number(order.triggerPriceSats);
+        const triggersOnFall = (order.side === ORDER_SIDES.BUY && order.orderType === ORDER_TYPES.LIMIT) ||
+            (order.side === ORDER_SIDES.SELL && order.orderType === ORDER_TYPES.STOP);
+
+        return triggersOnFall ? priceSats <= trigger : priceSats >= trigger;
+    }
+
+    /**
+     * Fill every open order whose trigger is reached at the cached prices
+     * @param {string[]} [symbols] - Symbols whose price changed; a BTC change affects every order
+     * @returns {Promise<{checked:number,filled:number,failed:number}>}
+     */
+    async matchOrders(symbols) {
+        const where = { status: ORDER_STATUS.OPEN };
+        if (symbols && !symbols.includes('BTC')) {
+            where.assetSymbol = { in: symbols };
+        }
+
+        const orders = await this.prisma.pendingOrder.findMany({
+            where,
+            orderBy: { createdAt: 'asc' }
+        });
+
+        const summary = { checked: orders.length, filled: 0, failed: 0 };
+        if (orders.length === 0) {
+            return summary;
+        }
+
+        const orderSymbols = [...new Set(orders.map(order => order.assetSymbol))];
+        const assets = await this.prisma.asset.findMany({
+            where: { symbol: { in: ['BTC', ...orderSymbols] } },
+            select: { symbol: true, currentPriceUsd: true, lastUpdated: true, source: true }
+        });
+
+        // Stale prices are left out - their orders wait for the next refresh instead of filling at an old price
+        const maxAgeMs = this.tradeService.getPriceMaxAgeSeconds() * 1000;
+        const assetPrices = {};
+        const priceQuotes = {};
+        assets.forEach(asset => {
+            const price = parseFloat(asset.currentPriceUsd);
+            const quote = { priceUsd: price, source: asset.source, updatedAt: asset.lastUpdated };
+            if (!isNaN(price) && price > 0 && this.tradeService.isQuoteFresh(quote, maxAgeMs, asset.symbol)) {
+                assetPrices[asset.symbol] = price;
+                priceQuotes[asset.symbol] = quote;
+            }
+        });
+
+        for (const order of orders) {
+            const priceSats = this.getPriceSats(assetPrices, order.assetSymbol);
+            if (priceSats === null || !this.isTriggered(order, priceSats)) {
+                continue;
+            }
+
+            const filled = await this.fillOrder(order, assetPrices, priceSats, priceQuotes);
+            if (filled) {
+                summary.filled++;
+            } else {
+                summary.failed++;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Execute a triggered order as a market trade at the given prices
+     * @param {Object} order - Pending order
+     * @param {Object} assetPrices - Map of symbol -> USD price
+     * @param {number} priceSats - Asset price in sats that triggered the order
+     * @param {Object} priceQuotes - Map of symbol -> { source, updatedAt }, recorded on the trade
+     * @returns {Promise<Object|null>} Trade result, or null if the order failed or was already taken
+     */
+    async fillOrder(order, assetPrices, priceSats, priceQuotes = {}) {
+        const isBuy = order.side === ORDER_SIDES.BUY;
+
+        try {
+            const result = await this.prisma.$transaction(async (tx) => {
+                // Claim the order first so overlapping matcher runs can't fill it twice
+                const { count } = await tx.pendingOrder.updateMany({
+                    where: { id: order.id, status: ORDER_STATUS.OPEN },
+                    data: {
+                        status: ORDER_STATUS.FILLED,
+                        filledPriceSats: BigInt(priceSats),
+                        filledAt: new Date()
+                    }
+                });
+
+                if (count === 0) {
+                    return null;
+                }
+
+                // Orders placed before portfolios existed fill against the default one
+                const portfolio = await this.tradeService.portfolioService.resolvePortfolio(order.userId, order.portfolioId, tx);
+
+                const tradeResult = await this.tradeService.executeTradeWithPrices(tx, order.userId, {
+                    fromAsset: isBuy ? 'BTC' : order.assetSymbol,
+                    toAsset: isBuy ? order.assetSymbol : 'BTC',
+                    amountInSats: Number(order.amount),
+                    portfolioId: portfolio.id
+                }, assetPrices, priceQuotes);
+
+                await tx.pendingOrder.update({
+                    where: { id: order.id },
+                    data: { tradeId: tradeResult.trade.id }
+                });
+
+                console.log(`📈 Filled ${order.orderType} ${order.side} order ${order.id} for ${order.assetSymbol} at ${priceSats} sats`);
+                return tradeResult;
+            });
+
+            if (result) {
+                portfolioEvents.emit('portfolio:changed', {
+                    userId: order.userId,
+                    portfolioId: result.trade.portfolioId,
+                    reason: 'order_filled',
+                    tradeId: result.trade.id,
+                    changedAt: new Date()
+                });
+                await this.tradeService.achievementService.evaluateForEvent(order.userId, 'trade');
+            }
+
+            return result;
+        } catch (error) {
+            console.error(`Failed to fill order ${order.id}:`, error.message);
+
+            await this.prisma.pendingOrder.updateMany({
+                where: { id: order.id, status: ORDER_STATUS.OPEN },
+                data: { status: ORDER_STATUS.FAILED, failureReason: error.message }
+            });
+
+            return null;
+        }
+    }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,322 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const BaseService = require('./base-service');
+const UserActivityService = require('./user-activity-service');
+const { AuthenticationError, BusinessRuleError, NotFoundError, ValidationError } = require('../utils/error-handlers');
+const { BUSINESS_RULES, USER_ACTIVITY_TYPES } = require('../utils/constants');
+
+// Keeps challenge tokens apart from access tokens signed with the same secret
+const CHALLENGE_AUDIENCE = 'webauthn-challenge';
+
+const CHALLENGE_PURPOSES = {
+    REGISTER: 'passkey_register',
+    LOGIN: 'passkey_login'
+};
+
+/**
+ * WebAuthn passkeys - registration and login ceremonies and the user's stored credentials
+ *
+ * Challenges are not stored: each options response carries a short-lived signed challenge token
+ * that the client sends back with the authenticator's answer, so any server instance can verify it.
+ * Only the ids of answered challenges are kept, until they expire, so no challenge is answered twice.
+ * Passkeys are discoverable credentials, so login needs no email - the authenticator picks the account.
+ */
+class PasskeyService extends BaseService {
+    constructor() {
+        super();
+        this.userActivityService = new UserActivityService();
+    }
+
+    get appUrl() {
+        return process.env.APP_URL || process.env.VERCEL_URL || 'http://localhost:3000';
+    }
+
+    // Relying party: the site passkeys are bound to. Defaults to APP_URL's host and origin
+    get rpId() {
+        return process.env.WEBAUTHN_RP_ID || new URL(this.appUrl).hostname;
+    }
+
+    get rpName() {
+        return process.env.WEBAUTHN_RP_NAME || 'Measure Everything in Bitcoin';
+    }
+
+    get expectedOrigins() {
+        return (process.env.WEBAUTHN_ORIGIN || new URL(this.appUrl).origin)
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Options for navigator.credentials.create() to add a passkey to the signed-in user
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { options, challengeToken }
+     */
+    async getRegistrationOptions(userId) {
+        const user = await this.validateUser(userId);
+        const credentials = await this.prisma.credential.findMany({ where: { userId: user.id } });
+
+        if (credentials.length >= BUSINESS_RULES.MAX_PASSKEYS_PER_USER) {
+            throw new BusinessRuleError(`You can register up to ${BUSINESS_RULES.MAX_PASSKEYS_PER_USER} passkeys`);
+        }
+
+        const options = await generateRegistrationOptions({
+            rpName: this.rpName,
+            rpID: this.rpId,
+            userName: user.email,
+            userDisplayName: user.username,
+            userID: Buffer.from(`user-${user.id}`),
+            attestationType: 'none',
+            excludeCredentials: credentials.map(credential => ({
+                id: credential.credentialId,
+                transports: credential.transports || undefined
+            })),
+            authenticatorSelection: {
+                residentKey: 'required',
+                userVerification: 'preferred'
+            }
+        });
+
+        return {
+            options,
+            challengeToken: this.signChallenge(options.challenge, CHALLENGE_PURPOSES.REGISTER, user.id)
+        };
+    }
+
+    /**
+     * Check the authenticator's answer to a registration and store the new passkey
+     * @param {number} userId - User ID
+     * @param {Object} response - RegistrationResponseJSON from the browser
+     * @param {string} challengeToken - Token from getRegistrationOptions
+     * @param {string} name - Label for the passkey, e.g. "MacBook"
+     * @param {Object} context - { ipAddress, userAgent }
+     * @returns {Promise<Object>} Stored passkey summary
+     */
+    async registerCredential(userId, response, challengeToken, name, context = {}) {
+        const challenge = await this.consumeChallenge(challengeToken, CHALLENGE_PURPOSES.REGISTER, userId);
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: challenge,
+                expectedOrigin: this.expectedOrigins,
+                expectedRPID: this.rpId,
+                requireUserVerification: false
+            });
+        } catch (error) {
+            throw new ValidationError(`Passkey registration failed: ${error.message}`);
+        }
+
+        if (!verification.verified) {
+            throw new ValidationError('Passkey registration could not be verified');
+        }
+
+        const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+        const label = String(name || '').trim().slice(0, 100) || 'Passkey';
+
+        const stored = await this.prisma.credential.create({
+            data: {
+                userId,
+                credentialId: credential.id,
+                publicKey: Buffer.from(credential.publicKey),
+                counter: BigInt(credential.counter),
+                transports: credential.transports || response.response?.transports || null,
+                name: label,
+                deviceType: credentialDeviceType,
+                backedUp: credentialBackedUp
+            }
+        });
+
+        await this.userActivityService.recordActivity(userId, USER_ACTIVITY_TYPES.PASSKEY_REGISTERED, {
+            ...context,
+            credentialId: stored.id,
+            name: label
+        });
+
+        return this.toSummary(stored);
+    }
+
+    /**
+     * Options for navigator.credentials.get() - any passkey registered for this site may answer
+     * @returns {Promise<Object>} { options, challengeToken }
+     */
+    async getAuthenticationOptions() {
+        const options = await generateAuthenticationOptions({
+            rpID: this.rpId,
+            userVerification: 'preferred'
+        });
+
+        return {
+            options,
+            challengeToken: this.signChallenge(options.challenge, CHALLENGE_PURPOSES.LOGIN)
+        };
+    }
+
+    /**
+     * Check a passkey login and return the account it belongs to
+     * @param {Object} response - AuthenticationResponseJSON from the browser
+     * @param {string} challengeToken - Token from getAuthenticationOptions
+     * @returns {Promise<Object>} User row
+     * @throws {AuthenticationError} If the passkey is unknown or the signature does not verify
+     */
+    async verifyAuthentication(response, challengeToken) {
+        const challenge = await this.consumeChallenge(challengeToken, CHALLENGE_PURPOSES.LOGIN);
+
+        const stored = response?.id
+            ? await this.prisma.credential.findUnique({
+                where: { credentialId: String(response.id) },
+                include: { user: true }
+            })
+            : null;
+
+        if (!stored) {
+            throw new AuthenticationError('This passkey is not registered. Sign in with a magic link instead.');
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: challenge,
+                expectedOrigin: this.expectedOrigins,
+                expectedRPID: this.rpId,
+                credential: {
+                    id: stored.credentialId,
+                    publicKey: new Uint8Array(stored.publicKey),
+                    counter: Number(stored.counter),
+                    transports: stored.transports || undefined
+                },
+                requireUserVerification: false
+            });
+        } catch (error) {
+            throw new AuthenticationError(`Passkey login failed: ${error.message}`);
+        }
+
+        if (!verification.verified) {
+            throw new AuthenticationError('Passkey login could not be verified');
+        }
+
+        await this.prisma.credential.update({
+            where: { id: stored.id },
+            data: {
+                counter: BigInt(verification.authenticationInfo.newCounter),
+                backedUp: verification.authenticationInfo.credentialBackedUp,
+                lastUsedAt: new Date()
+            }
+        });
+
+        return stored.user;
+    }
+
+    /**
+     * The user's passkeys, newest first
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Passkey summaries (no key material)
+     */
+    async listCredentials(userId) {
+        const credentials = await this.prisma.credential.findMany({
+            where: { userId },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        return credentials.map(credential => this.toSummary(credential));
+    }
+
+    /**
+     * Remove one of the user's passkeys - magic links keep working as the way back in
+     * @param {number} userId - User ID
+     * @param {number} credentialId - Credential row ID
+     * @param {Object} context - { ipAddress, userAgent }
+     */
+    async deleteCredential(userId, credentialId, context = {}) {
+        const { count } = await this.prisma.credential.deleteMany({
+            where: { id: credentialId, userId }
+        });
+
+        if (count === 0) {
+            throw new NotFoundError('Passkey not found');
+        }
+
+        await this.userActivityService.recordActivity(userId, USER_ACTIVITY_TYPES.PASSKEY_REMOVED, {
+            ...context,
+            credentialId
+        });
+    }
+
+    signChallenge(challenge, purpose, userId = null) {
+        return jwt.sign(
+            { challenge, purpose, userId },
+            process.env.JWT_SECRET,
+            {
+                expiresIn: `${BUSINESS_RULES.PASSKEY_CHALLENGE_EXPIRY_MINUTES}m`,
+                audience: CHALLENGE_AUDIENCE,
+                jwtid: crypto.randomUUID()
+            }
+        );
+    }
+
+    /**
+     * Verify a challenge token and mark it used, so a captured answer can't be replayed
+     * @returns {Promise<string>} The challenge the authenticator must have signed
+     * @throws {AuthenticationError} If the token is invalid or was already answered
+     */
+    async consumeChallenge(challengeToken, purpose, userId = null) {
+        const payload = this.verifyChallenge(challengeToken, purpose, userId);
+
+        // Rows of expired challenges can go - jwt.verify already rejects their tokens
+        await this.prisma.usedPasskeyChallenge.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+
+        try {
+            await this.prisma.usedPasskeyChallenge.create({
+                data: { jti: payload.jti, expiresAt: new Date(payload.exp * 1000) }
+            });
+        } catch (error) {
+            // The unique jti rejects a second answer, including two racing each other
+            if (error.code === 'P2002') {
+                throw new AuthenticationError('Passkey prompt already used, please try again');
+            }
+            throw error;
+        }
+
+        return payload.challenge;
+    }
+
+    /**
+     * @returns {Object} Token payload - challenge, purpose, userId, jti and exp
+     * @throws {AuthenticationError} If the token is expired, forged or for another ceremony or user
+     */
+    verifyChallenge(challengeToken, purpose, userId = null) {
+        let payload;
+        try {
+            payload = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+        } catch (error) {
+            throw new AuthenticationError('Passkey prompt expired, please try again');
+        }
+
+        if (payload.purpose !== purpose || (userId && payload.userId !== userId) || !payload.jti) {
+            throw new AuthenticationError('Invalid passkey challenge');
+        }
+
+        return payload;
+    }
+
+    toSummary(credential) {
+        return {
+            id: credential.id,
+            name: credential.name,
+            deviceType: credential.deviceType,
+            backedUp: credential.backedUp,
+            createdAt: credential.createdAt,
+            lastUsedAt: credential.lastUsedAt
+        };
+    }
+}
+
+module.exports = PasskeyService;
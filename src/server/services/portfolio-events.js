@@ -0,0 +1,15 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Process-wide notifications about changed user portfolios
+ *
+ * Events:
+ *   'portfolio:changed' - { userId, portfolioId, reason, tradeId, changedAt } after the change is committed
+ *                         reason is 'trade', 'order_filled' or 'rebuilt'
+ */
+const portfolioEvents = new EventEmitter();
+
+// Streaming etc. each add a listener
+portfolioEvents.setMaxListeners(20);
+
+module.exports = portfolioEvents;
@@ -0,0 +1,320 @@
+const BaseService = require('./base-service');
+const portfolioEvents = require('./portfolio-events');
+const { getLockPolicy } = require('./lock-policy');
+const { NotFoundError, BusinessRuleError } = require('../utils/error-handlers');
+const { BITCOIN_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Portfolio repair
+ *
+ * Trades are the ledger: every portfolio starts with 1 BTC and its holdings and purchase
+ * (lock) records should be exactly what replaying its trades produces. This service
+ * computes that replay, diffs it against the stored rows and, when asked, writes the
+ * expected state back in one transaction. It replaces the old rebuild/fix scripts.
+ */
+class PortfolioRepairService extends BaseService {
+    /**
+     * Diff a user's portfolios against a replay of their trades, optionally applying the result
+     * @param {number} userId - User ID
+     * @param {Object} options - { dryRun, portfolioId } - portfolioId limits the rebuild to one portfolio
+     * @returns {Promise<Object>} { userId, dryRun, applied, portfolios, summary }
+     */
+    async rebuildUser(userId, { dryRun = true, portfolioId = null } = {}) {
+        const user = await this.validateUser(userId);
+
+        const buildPlans = async (client) => {
+            const portfolios = await this.getPortfolios(client, user.id, portfolioId);
+            return Promise.all(portfolios.map(portfolio => this.planPortfolio(client, portfolio)));
+        };
+
+        if (dryRun) {
+            const plans = await buildPlans(this.prisma);
+            return this.formatResult(user.id, plans, { dryRun: true, applied: false });
+        }
+
+        // Plan and apply against the same snapshot so a concurrent trade cannot slip between them
+        const plans = await this.prisma.$transaction(async (tx) => {
+            const txPlans = await buildPlans(tx);
+
+            const negative = txPlans.find(plan => plan.holdings.some(change => change.expectedAmount < 0n));
+            if (negative) {
+                throw new BusinessRuleError(
+                    `Replaying trades for portfolio "${negative.name}" gives a negative balance - fix the trades first`
+                );
+            }
+
+            for (const plan of txPlans) {
+                await this.applyPlan(tx, user.id, plan);
+            }
+            return txPlans;
+        });
+
+        plans.forEach(plan => portfolioEvents.emit('portfolio:changed', {
+            userId: user.id,
+            portfolioId: plan.portfolioId,
+            reason: 'rebuilt',
+            tradeId: null,
+            changedAt: new Date()
+        }));
+
+        return this.formatResult(user.id, plans, { dryRun: false, applied: true });
+    }
+
+    /**
+     * Load the portfolios to rebuild
+     * @param {Object} client - Prisma client or transaction
+     * @param {number} userId - User ID
+     * @param {number|null} portfolioId - Optional single portfolio
+     * @returns {Promise<Array>} Portfolios
+     */
+    async getPortfolios(client, userId, portfolioId) {
+        const portfolios = await client.portfolio.findMany({
+            where: { userId, ...(portfolioId ? { id: portfolioId } : {}) },
+            orderBy: { id: 'asc' }
+        });
+
+        if (portfolioId && portfolios.length === 0) {
+            throw new NotFoundError('Portfolio not found');
+        }
+
+        return portfolios;
+    }
+
+    /**
+     * Replay a portfolio's trades and diff the result against its stored rows
+     * @param {Object} client - Prisma client or transaction
+     * @param {Object} portfolio - Portfolio row
+     * @returns {Promise<Object>} { portfolioId, name, tradeCount, holdings, purchases, warnings }
+     */
+    async planPortfolio(client, portfolio) {
+        const [trades, holdings, purchases] = await Promise.all([
+            client.trade.findMany({
+                where: { portfolioId: portfolio.id },
+                orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+            }),
+            client.holding.findMany({
+                where: { portfolioId: portfolio.id },
+                orderBy: { id: 'asc' }
+            }),
+            client.purchase.findMany({
+                where: { portfolioId: portfolio.id },
+                orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+            })
+        ]);
+
+        const { balances, expectedPurchases, warnings } = this.replayTrades(trades);
+
+        return {
+            portfolioId: portfolio.id,
+            name: portfolio.name,
+            tradeCount: trades.length,
+            holdings: this.diffHoldings(holdings, balances),
+            purchases: this.diffPurchases(purchases, expectedPurchases),
+            warnings
+        };
+    }
+
+    /**
+     * Replay trades from the 1 BTC starting balance
+     * @param {Array} trades - Trades in execution order
+     * @returns {Object} { balances: Map<symbol, bigint>, expectedPurchases, warnings }
+     */
+    replayTrades(trades) {
+        const balances = new Map([['BTC', BigInt(BITCOIN_CONSTANTS.INITIAL_BTC_AMOUNT_SATS)]]);
+        const expectedPurchases = [];
+        const warnings = [];
+        const lockPolicy = getLockPolicy();
+
+        for (const trade of trades) {
+            const fromBalance = (balances.get(trade.fromAsset) || 0n) - BigInt(trade.fromAmount);
+            balances.set(trade.fromAsset, fromBalance);
+            balances.set(trade.toAsset, (balances.get(trade.toAsset) || 0n) + BigInt(trade.toAmount));
+
+            if (fromBalance < 0n) {
+                warnings.push(`Trade #${trade.id} spends more ${trade.fromAsset} than the portfolio held`);
+            }
+
+            // Buying a non-BTC asset is what creates a locked purchase
+            if (trade.fromAsset === 'BTC' && trade.toAsset !== 'BTC') {
+                expectedPurchases.push({
+                    tradeId: trade.id,
+                    assetSymbol: trade.toAsset,
+                    amount: BigInt(trade.toAmount),
+                    btcSpent: BigInt(trade.fromAmount),
+                    purchasePriceUsd: trade.assetPriceUsd,
+                    btcPriceUsd: trade.btcPriceUsd,
+                    lockedUntil: lockPolicy.lockedUntil(trade.toAsset, trade.createdAt),
+                    createdAt: trade.createdAt
+                });
+            }
+        }
+
+        return { balances, expectedPurchases, warnings };
+    }
+
+    /**
+     * Compare stored holdings with replayed balances
+     * @param {Array} holdings - Stored holding rows
+     * @param {Map} balances - Replayed balance per asset
+     * @returns {Array} Assets whose stored amount or row count is wrong
+     */
+    diffHoldings(holdings, balances) {
+        const rowsByAsset = new Map();
+        for (const holding of holdings) {
+            rowsByAsset.set(holding.assetSymbol, [...(rowsByAsset.get(holding.assetSymbol) || []), holding]);
+        }
+
+        const symbols = new Set([...rowsByAsset.keys(), ...balances.keys()]);
+        const changes = [];
+
+        for (const assetSymbol of [...symbols].sort()) {
+            const rows = rowsByAsset.get(assetSymbol) || [];
+            const currentAmount = rows.reduce((sum, row) => sum + BigInt(row.amount), 0n);
+            const expectedAmount = balances.get(assetSymbol) || 0n;
+
+            // Several rows for one asset is corruption even when they add up
+            if (currentAmount !== expectedAmount || rows.length > 1) {
+                changes.push({
+                    assetSymbol,
+                    currentAmount,
+                    expectedAmount,
+                    difference: expectedAmount - currentAmount,
+                    holdingIds: rows.map(row => row.id)
+                });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Match stored purchases to the purchases the trades imply
+     * Purchases are created alongside their trade, so they are matched on asset, amount and
+     * BTC spent in chronological order rather than by exact timestamp.
+     * @param {Array} purchases - Stored purchase rows
+     * @param {Array} expectedPurchases - Purchases implied by the trades
+     * @returns {Object} { toCreate, toDelete }
+     */
+    diffPurchases(purchases, expectedPurchases) {
+        const unmatched = [...purchases];
+        const toCreate = [];
+
+        for (const expected of expectedPurchases) {
+            const index = unmatched.findIndex(purchase =>
+                purchase.assetSymbol === expected.assetSymbol &&
+                BigInt(purchase.amount) === expected.amount &&
+                BigInt(purchase.btcSpent) === expected.btcSpent
+            );
+
+            if (index === -1) {
+                toCreate.push(expected);
+            } else {
+                unmatched.splice(index, 1);
+            }
+        }
+
+        return { toCreate, toDelete: unmatched };
+    }
+
+    /**
+     * Write a plan's expected holdings and purchases
+     * @param {Object} tx - Prisma transaction
+     * @param {number} userId - User ID
+     * @param {Object} plan - Result of planPortfolio
+     */
+    async applyPlan(tx, userId, plan) {
+        for (const change of plan.holdings) {
+            const [keepId, ...duplicateIds] = change.holdingIds;
+
+            if (duplicateIds.length > 0) {
+                await tx.holding.deleteMany({ where: { id: { in: duplicateIds } } });
+            }
+
+            if (keepId) {
+                await tx.holding.update({
+                    where: { id: keepId },
+                    data: { amount: change.expectedAmount }
+                });
+            } else {
+                await tx.holding.create({
+                    data: {
+                        userId,
+                        portfolioId: plan.portfolioId,
+                        assetSymbol: change.assetSymbol,
+                        amount: change.expectedAmount
+                    }
+                });
+            }
+        }
+
+        if (plan.purchases.toDelete.length > 0) {
+            await tx.purchase.deleteMany({
+                where: { id: { in: plan.purchases.toDelete.map(purchase => purchase.id) } }
+            });
+        }
+
+        for (const purchase of plan.purchases.toCreate) {
+            await tx.purchase.create({
+                data: {
+                    userId,
+                    portfolioId: plan.portfolioId,
+                    assetSymbol: purchase.assetSymbol,
+                    amount: purchase.amount,
+                    btcSpent: purchase.btcSpent,
+                    purchasePriceUsd: purchase.purchasePriceUsd,
+                    btcPriceUsd: purchase.btcPriceUsd,
+                    lockedUntil: purchase.lockedUntil,
+                    createdAt: purchase.createdAt
+                }
+            });
+        }
+    }
+
+    /**
+     * Shape plans for the API - BigInt amounts become strings
+     * @param {number} userId - User ID
+     * @param {Array} plans - Portfolio plans
+     * @param {Object} flags - { dryRun, applied }
+     * @returns {Object} Rebuild result
+     */
+    formatResult(userId, plans, { dryRun, applied }) {
+        const formatPurchase = purchase => ({
+            id: purchase.id,
+            tradeId: purchase.tradeId,
+            assetSymbol: purchase.assetSymbol,
+            amount: purchase.amount.toString(),
+            btcSpent: purchase.btcSpent.toString(),
+            lockedUntil: purchase.lockedUntil,
+            createdAt: purchase.createdAt
+        });
+
+        const portfolios = plans.map(plan => ({
+            portfolioId: plan.portfolioId,
+            name: plan.name,
+            tradeCount: plan.tradeCount,
+            holdings: plan.holdings.map(change => ({
+                assetSymbol: change.assetSymbol,
+                currentAmount: change.currentAmount.toString(),
+                expectedAmount: change.expectedAmount.toString(),
+                difference: change.difference.toString(),
+                duplicateRows: Math.max(change.holdingIds.length - 1, 0)
+            })),
+            purchases: {
+                toCreate: plan.purchases.toCreate.map(formatPurchase),
+                toDelete: plan.purchases.toDelete.map(formatPurchase)
+            },
+            warnings: plan.warnings
+        }));
+
+        const summary = {
+            holdingChanges: portfolios.reduce((sum, plan) => sum + plan.holdings.length, 0),
+            purchasesToCreate: portfolios.reduce((sum, plan) => sum + plan.purchases.toCreate.length, 0),
+            purchasesToDelete: portfolios.reduce((sum, plan) => sum + plan.purchases.toDelete.length, 0)
+        };
+        summary.inSync = summary.holdingChanges === 0 && summary.purchasesToCreate === 0 && summary.purchasesToDelete === 0;
+
+        return { userId, dryRun, applied, portfolios, summary };
+    }
+}
+
+module.exports = PortfolioRepairService;
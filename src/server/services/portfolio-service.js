@@ -1,25 +1,30 @@
 const BaseService = require('./base-service');
+const { ValidationError, NotFoundError, BusinessRuleError, ConflictError } = require('../utils/error-handlers');
+const { BITCOIN_CONSTANTS, BUSINESS_RULES } = require('../utils/constants');
+const { getLockPolicy } = require('./lock-policy');
 
 class PortfolioService extends BaseService {
     constructor() {
         super();
     }
 
-    async getUserPortfolio(userId) {
+    async getUserPortfolio(userId, portfolioId = null) {
         try {
             await this.validateUser(userId);
+            const portfolio = await this.resolvePortfolio(userId, portfolioId);
 
             const holdings = await this.prisma.holding.findMany({
-                where: { userId: parseInt(userId) }
+                where: { userId: parseInt(userId), portfolioId: portfolio.id }
             });
 
             // Get current asset prices
             const assetPrices = await this.getAssetPrices();
 
             // Get purchase details for each asset
-            const purchases = await this.getPurchaseData(userId);
-            const sales = await this.getSalesData(userId);
-            const legacyCost = await this.getLegacyCostData(userId);
+            const purchases = await this.getPurchaseData(userId, portfolio.id);
+            const sales = await this.getSalesData(userId, portfolio.id);
+            const legacyCost = await this.getLegacyCostData(userId, portfolio.id);
+            const lockMap = this.buildLockMap(holdings, await this.getAssetLots(userId, portfolio.id));
 
             // Build lookup maps
             const purchaseMap = this.buildPurchaseMap(purchases, legacyCost);
@@ -27,27 +32,32 @@ class PortfolioService extends BaseService {
 
             // Calculate portfolio metrics
             const { portfolioHoldings, totalValueSats, totalCostSats } =
-                this.calculatePortfolioMetrics(holdings, assetPrices, purchaseMap, salesMap);
+                this.calculatePortfolioMetrics(holdings, assetPrices, purchaseMap, salesMap, lockMap);
 
             return {
+                portfolio: this.formatPortfolio(portfolio),
                 holdings: portfolioHoldings,
                 total_value_sats: totalValueSats,
                 total_cost_sats: totalCostSats,
                 btc_price: assetPrices['BTC'] || 0
             };
         } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
             await this.handleServiceError(error, 'getUserPortfolio');
         }
     }
 
-    async getAssetDetails(userId, symbol) {
+    async getAssetDetails(userId, symbol, portfolioId = null) {
         try {
             await this.validateUser(userId);
+            const portfolio = await this.resolvePortfolio(userId, portfolioId);
 
             const sanitizedSymbol = this.sanitizeInput(symbol);
 
             // Get individual purchases
-            const purchases = await this.prisma.$queryRaw`
+            const rows = await this.prisma.$queryRaw`
                 SELECT
                     id,
                     amount,
@@ -55,17 +65,32 @@ class PortfolioService extends BaseService {
                     purchase_price_usd,
                     btc_price_usd,
                     locked_until,
-                    created_at,
-                    CASE WHEN locked_until > NOW() THEN true ELSE false END as is_locked
+                    created_at
                 FROM purchases
-                WHERE user_id = ${parseInt(userId)} AND asset_symbol = ${sanitizedSymbol}
+                WHERE user_id = ${parseInt(userId)}
+                  AND portfolio_id = ${portfolio.id}
+                  AND asset_symbol = ${sanitizedSymbol}
                 ORDER BY created_at DESC
             `;
 
+            // A purchase is locked while part of it is unsold and its lock hasn't ended
+            const lots = (await this.getAssetLots(userId, portfolio.id, { assetSymbol: sanitizedSymbol })).get(sanitizedSymbol) || [];
+            const remaining = new Map(lots.map(lot => [lot.id, lot.remaining]));
+            const now = new Date();
+            const purchases = rows.map(row => {
+                const remainingAmount = remaining.get(row.id) ?? 0n;
+                return {
+                    ...row,
+                    remaining_amount: Number(remainingAmount),
+                    is_locked: remainingAmount > 0n && getLockPolicy().isLocked({ lockedUntil: row.locked_until }, now)
+                };
+            });
+
             // Get any sales (trades back to BTC)
             const sales = await this.prisma.trade.findMany({
                 where: {
                     userId: parseInt(userId),
+                    portfolioId: portfolio.id,
                     fromAsset: sanitizedSymbol,
                     toAsset: 'BTC'
                 },
@@ -77,6 +102,9 @@ class PortfolioService extends BaseService {
                 sales
             };
         } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
             await this.handleServiceError(error, 'getAssetDetails');
         }
     }
@@ -97,7 +125,7 @@ class PortfolioService extends BaseService {
         }
     }
 
-    async getPurchaseData(userId) {
+    async getPurchaseData(userId, portfolioId) {
         try {
             return await this.prisma.$queryRaw`
                 SELECT
@@ -105,10 +133,9 @@ class PortfolioService extends BaseService {
                     SUM(btc_spent) as total_spent_sats,
                     COUNT(*) as purchase_count,
                     MAX(created_at) as last_purchase_date,
-                    SUM(CASE WHEN locked_until > NOW() THEN amount ELSE 0 END) as locked_amount,
                     SUM(amount) as total_purchased_amount
                 FROM purchases
-                WHERE user_id = ${parseInt(userId)}
+                WHERE user_id = ${parseInt(userId)} AND portfolio_id = ${portfolioId}
                 GROUP BY asset_symbol
             `;
         } catch (error) {
@@ -117,7 +144,57 @@ class PortfolioService extends BaseService {
         }
     }
 
-    async getSalesData(userId) {
+    /**
+     * What is left of each purchase lot after sales, by asset (see lock-policy.js)
+     * @param {number} userId - User ID
+     * @param {number} portfolioId - Portfolio ID
+     * @param {Object} options - { assetSymbol } to load one asset, { db } to read inside a transaction
+     * @returns {Promise<Map<string, Array>>} Asset symbol -> lots, oldest first
+     */
+    async getAssetLots(userId, portfolioId, { assetSymbol = null, db = this.prisma } = {}) {
+        const owner = { userId: parseInt(userId), portfolioId };
+
+        const purchases = await db.purchase.findMany({
+            where: { ...owner, ...(assetSymbol ? { assetSymbol } : {}) },
+            select: { id: true, assetSymbol: true, amount: true, lockedUntil: true, createdAt: true }
+        });
+        const sales = await db.trade.findMany({
+            where: { ...owner, toAsset: 'BTC', fromAsset: assetSymbol || { not: 'BTC' } },
+            select: { fromAsset: true, fromAmount: true, createdAt: true }
+        });
+
+        const lotsBySymbol = new Map();
+        const symbols = new Set(purchases.map(purchase => purchase.assetSymbol));
+        symbols.forEach(symbol => {
+            lotsBySymbol.set(symbol, getLockPolicy().applySales(
+                purchases.filter(purchase => purchase.assetSymbol === symbol),
+                sales.filter(sale => sale.fromAsset === symbol).map(sale => ({ amount: sale.fromAmount, createdAt: sale.createdAt }))
+            ));
+        });
+
+        return lotsBySymbol;
+    }
+
+    /**
+     * Lock state of each non-BTC holding
+     * @param {Array} holdings - Holding rows
+     * @param {Map} lotsBySymbol - From getAssetLots
+     * @returns {Object} Asset symbol -> LockPolicy.summarize result
+     */
+    buildLockMap(holdings, lotsBySymbol) {
+        const lockMap = {};
+        const now = new Date();
+
+        holdings
+            .filter(holding => holding.assetSymbol !== 'BTC')
+            .forEach(holding => {
+                lockMap[holding.assetSymbol] = getLockPolicy().summarize(holding.amount, lotsBySymbol.get(holding.assetSymbol) || [], now);
+            });
+
+        return lockMap;
+    }
+
+    async getSalesData(userId, portfolioId) {
         try {
             return await this.prisma.$queryRaw`
                 SELECT
@@ -125,7 +202,8 @@ class PortfolioService extends BaseService {
                     SUM(from_amount) as total_sold_amount,
                     SUM(to_amount) as total_received_sats
                 FROM trades
-                WHERE user_id = ${parseInt(userId)} AND to_asset = 'BTC' AND from_asset != 'BTC'
+                WHERE user_id = ${parseInt(userId)} AND portfolio_id = ${portfolioId}
+                  AND to_asset = 'BTC' AND from_asset != 'BTC'
                 GROUP BY from_asset
             `;
         } catch (error) {
@@ -134,7 +212,7 @@ class PortfolioService extends BaseService {
         }
     }
 
-    async getLegacyCostData(userId) {
+    async getLegacyCostData(userId, portfolioId) {
         try {
             return await this.prisma.$queryRaw`
                 SELECT
@@ -143,7 +221,7 @@ class PortfolioService extends BaseService {
                     COUNT(*) as trade_count,
                     MAX(created_at) as last_trade_date
                 FROM trades
-                WHERE user_id = ${parseInt(userId)} AND from_asset = 'BTC'
+                WHERE user_id = ${parseInt(userId)} AND portfolio_id = ${portfolioId} AND from_asset = 'BTC'
                 GROUP BY to_asset
             `;
         } catch (error) {
@@ -161,7 +239,6 @@ class PortfolioService extends BaseService {
                 total_spent_sats: parseInt(row.total_spent_sats),
                 purchase_count: parseInt(row.purchase_count),
                 last_purchase_date: row.last_purchase_date,
-                locked_amount: parseInt(row.locked_amount),
                 total_purchased_amount: parseInt(row.total_purchased_amount)
             };
         });
@@ -173,7 +250,6 @@ class PortfolioService extends BaseService {
                     total_spent_sats: parseInt(row.total_spent_sats),
                     purchase_count: parseInt(row.trade_count),
                     last_purchase_date: row.last_trade_date,
-                    locked_amount: 0,
                     total_purchased_amount: 0
                 };
             }
@@ -195,7 +271,7 @@ class PortfolioService extends BaseService {
         return salesMap;
     }
 
-    calculatePortfolioMetrics(holdings, assetPrices, purchaseMap, salesMap) {
+    calculatePortfolioMetrics(holdings, assetPrices, purchaseMap, salesMap, lockMap = {}) {
         let totalValueSats = 0;
         let totalCostSats = 0;
 
@@ -207,10 +283,11 @@ class PortfolioService extends BaseService {
                 total_spent_sats: 0,
                 purchase_count: 0,
                 last_purchase_date: null,
-                locked_amount: 0,
                 total_purchased_amount: 0
             };
 
+            const lockInfo = lockMap[holding.assetSymbol] || { lockedAmount: 0, earliestUnlock: null, latestUnlock: null };
+
             const salesInfo = salesMap[holding.assetSymbol] || {
                 total_sold_amount: 0,
                 total_received_sats: 0
@@ -242,8 +319,8 @@ class PortfolioService extends BaseService {
 
             // Determine lock status
             let lockStatus = 'unlocked';
-            if (holding.assetSymbol !== 'BTC' && purchaseInfo.locked_amount > 0) {
-                if (purchaseInfo.locked_amount >= holdingAmount) {
+            if (holding.assetSymbol !== 'BTC' && lockInfo.lockedAmount > 0) {
+                if (lockInfo.lockedAmount >= holdingAmount) {
                     lockStatus = 'locked';
                 } else {
                     lockStatus = 'partial';
@@ -255,13 +332,15 @@ class PortfolioService extends BaseService {
                 user_id: holding.userId,
                 asset_symbol: holding.assetSymbol,
                 amount: holdingAmount,
-                locked_until: holding.lockedUntil,
+                // When the next locked lot becomes sellable
+                locked_until: lockInfo.earliestUnlock || holding.lockedUntil,
+                fully_unlocked_at: lockInfo.latestUnlock,
                 created_at: holding.createdAt,
                 current_value_sats: valueSats,
                 cost_basis_sats: adjustedCostBasis,
                 purchase_count: purchaseInfo.purchase_count || 0,
                 last_purchase_date: purchaseInfo.last_purchase_date,
-                locked_amount: purchaseInfo.locked_amount || 0,
+                locked_amount: lockInfo.lockedAmount,
                 lock_status: lockStatus,
                 current_price_usd: priceUsd,
                 total_spent_sats: purchaseInfo.total_spent_sats || 0,
@@ -276,9 +355,9 @@ class PortfolioService extends BaseService {
         };
     }
 
-    async calculatePortfolioValue(userId) {
+    async calculatePortfolioValue(userId, portfolioId = null) {
         try {
-            const portfolio = await this.getUserPortfolio(userId);
+            const portfolio = await this.getUserPortfolio(userId, portfolioId);
 
             return {
                 totalValueSats: portfolio.total_value_sats,
@@ -289,9 +368,266 @@ class PortfolioService extends BaseService {
                     : 0
             };
         } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
             await this.handleServiceError(error, 'calculatePortfolioValue');
         }
     }
+
+    // ===== MULTIPLE PORTFOLIOS =====
+
+    /**
+     * Resolve the portfolio a request refers to
+     * Without an id this is the user's default portfolio, created on first use
+     * @param {number} userId - User ID
+     * @param {number|null} portfolioId - Portfolio ID, or null for the default one
+     * @param {Object} client - Prisma client or open transaction
+     * @returns {Promise<Object>} Portfolio row
+     * @throws {NotFoundError} If the portfolio doesn't exist or belongs to someone else
+     */
+    async resolvePortfolio(userId, portfolioId = null, client = this.prisma) {
+        if (portfolioId) {
+            const portfolio = await client.portfolio.findFirst({
+                where: { id: parseInt(portfolioId), userId: parseInt(userId) }
+            });
+
+            if (!portfolio) {
+                throw new NotFoundError('Portfolio not found');
+            }
+            return portfolio;
+        }
+
+        const defaultPortfolio = await client.portfolio.findFirst({
+            where: { userId: parseInt(userId), isDefault: true }
+        });
+
+        return defaultPortfolio || this.createDefaultPortfolio(userId, client);
+    }
+
+    /**
+     * Create a user's default portfolio and move any rows not yet scoped to a portfolio into it
+     * @param {number} userId - User ID
+     * @param {Object} client - Prisma client or open transaction
+     * @returns {Promise<Object>} Default portfolio
+     */
+    async createDefaultPortfolio(userId, client = this.prisma) {
+        const id = parseInt(userId);
+
+        try {
+            const portfolio = await client.portfolio.create({
+                data: { userId: id, name: BUSINESS_RULES.DEFAULT_PORTFOLIO_NAME, isDefault: true }
+            });
+
+            const unscoped = { where: { userId: id, portfolioId: null }, data: { portfolioId: portfolio.id } };
+            await client.holding.updateMany(unscoped);
+            await client.trade.updateMany(unscoped);
+            await client.purchase.updateMany(unscoped);
+            await client.pendingOrder.updateMany(unscoped);
+
+            return portfolio;
+        } catch (error) {
+            // Another request created it first
+            if (error.code === 'P2002') {
+                return client.portfolio.findFirst({ where: { userId: id, isDefault: true } });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * List a user's portfolios with their current value against the 1 BTC baseline
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Portfolios, default first
+     */
+    async listPortfolios(userId) {
+        try {
+            await this.validateUser(userId);
+            await this.resolvePortfolio(userId);
+
+            const portfolios = await this.prisma.portfolio.findMany({
+                where: { userId: parseInt(userId) },
+                orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+            });
+
+            const results = [];
+            for (const portfolio of portfolios) {
+                const value = await this.calculatePortfolioValue(userId, portfolio.id);
+                results.push({
+                    ...this.formatPortfolio(portfolio),
+                    totalValueSats: value.totalValueSats,
+                    vsBitcoinPercent: this.calculateVsBaseline(value.totalValueSats)
+                });
+            }
+
+            return results;
+        } catch (error) {
+            await this.handleServiceError(error, 'listPortfolios');
+        }
+    }
+
+    /**
+     * Open a new named portfolio starting with 1 BTC
+     * @param {number} userId - User ID
+     * @param {string} name - Portfolio name
+     * @returns {Promise<Object>} Created portfolio
+     */
+    async createPortfolio(userId, name) {
+        await this.validateUser(userId);
+        const portfolioName = this.validatePortfolioName(name);
+
+        // Make sure the default exists so the limit counts it
+        await this.resolvePortfolio(userId);
+
+        const count = await this.prisma.portfolio.count({ where: { userId: parseInt(userId) } });
+        if (count >= BUSINESS_RULES.MAX_PORTFOLIOS_PER_USER) {
+            throw new BusinessRuleError(`You can have at most ${BUSINESS_RULES.MAX_PORTFOLIOS_PER_USER} portfolios`);
+        }
+
+        await this.ensureNameAvailable(userId, portfolioName);
+
+        try {
+            const portfolio = await this.prisma.portfolio.create({
+                data: {
+                    userId: parseInt(userId),
+                    name: portfolioName,
+                    holdings: {
+                        create: {
+                            userId: parseInt(userId),
+                            assetSymbol: 'BTC',
+                            amount: BigInt(BITCOIN_CONSTANTS.INITIAL_BTC_AMOUNT_SATS)
+                        }
+                    }
+                }
+            });
+
+            return this.formatPortfolio(portfolio);
+        } catch (error) {
+            await this.handleServiceError(error, 'createPortfolio');
+        }
+    }
+
+    /**
+     * Rename one of the user's portfolios
+     * @param {number} userId - User ID
+     * @param {number} portfolioId - Portfolio ID
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Updated portfolio
+     */
+    async renamePortfolio(userId, portfolioId, name) {
+        const portfolio = await this.resolvePortfolio(userId, portfolioId);
+        const portfolioName = this.validatePortfolioName(name);
+
+        if (portfolioName !== portfolio.name) {
+            await this.ensureNameAvailable(userId, portfolioName);
+        }
+
+        try {
+            const updated = await this.prisma.portfolio.update({
+                where: { id: portfolio.id },
+                data: { name: portfolioName }
+            });
+
+            return this.formatPortfolio(updated);
+        } catch (error) {
+            await this.handleServiceError(error, 'renamePortfolio');
+        }
+    }
+
+    /**
+     * Delete a portfolio with its holdings, trades, purchases and orders
+     * The default portfolio can't be deleted
+     * @param {number} userId - User ID
+     * @param {number} portfolioId - Portfolio ID
+     */
+    async deletePortfolio(userId, portfolioId) {
+        const portfolio = await this.resolvePortfolio(userId, portfolioId);
+
+        if (portfolio.isDefault) {
+            throw new BusinessRuleError('The default portfolio cannot be deleted');
+        }
+
+        try {
+            await this.prisma.portfolio.delete({ where: { id: portfolio.id } });
+        } catch (error) {
+            await this.handleServiceError(error, 'deletePortfolio');
+        }
+    }
+
+    /**
+     * Side-by-side comparison of all of a user's portfolios
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Per-portfolio value, performance, allocation and activity
+     */
+    async comparePortfolios(userId) {
+        try {
+            await this.validateUser(userId);
+            await this.resolvePortfolio(userId);
+
+            const portfolios = await this.prisma.portfolio.findMany({
+                where: { userId: parseInt(userId) },
+                orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
+                include: { _count: { select: { trades: true } } }
+            });
+
+            const comparison = [];
+            for (const portfolio of portfolios) {
+                const data = await this.getUserPortfolio(userId, portfolio.id);
+                const totalValueSats = data.total_value_sats;
+
+                comparison.push({
+                    ...this.formatPortfolio(portfolio),
+                    totalValueSats,
+                    totalCostSats: data.total_cost_sats,
+                    vsBitcoinPercent: this.calculateVsBaseline(totalValueSats),
+                    tradeCount: portfolio._count.trades,
+                    allocation: data.holdings
+                        .filter(holding => holding.current_value_sats > 0)
+                        .map(holding => ({
+                            symbol: holding.asset_symbol,
+                            valueSats: holding.current_value_sats,
+                            percentage: totalValueSats > 0 ? (holding.current_value_sats / totalValueSats) * 100 : 0
+                        }))
+                        .sort((a, b) => b.valueSats - a.valueSats)
+                });
+            }
+
+            return comparison;
+        } catch (error) {
+            await this.handleServiceError(error, 'comparePortfolios');
+        }
+    }
+
+    validatePortfolioName(name) {
+        const portfolioName = typeof name === 'string' ? name.trim() : '';
+        if (!portfolioName || portfolioName.length > 50) {
+            throw new ValidationError('Portfolio name is required (max 50 characters)', 'name');
+        }
+        return portfolioName;
+    }
+
+    async ensureNameAvailable(userId, name) {
+        const existing = await this.prisma.portfolio.findFirst({
+            where: { userId: parseInt(userId), name }
+        });
+        if (existing) {
+            throw new ConflictError(`You already have a portfolio named "${name}"`);
+        }
+    }
+
+    calculateVsBaseline(totalValueSats) {
+        const baseline = BITCOIN_CONSTANTS.PORTFOLIO_BASELINE_SATS;
+        return ((totalValueSats - baseline) / baseline) * 100;
+    }
+
+    formatPortfolio(portfolio) {
+        return {
+            id: portfolio.id,
+            name: portfolio.name,
+            isDefault: portfolio.isDefault,
+            createdAt: portfolio.createdAt
+        };
+    }
 }
 
 module.exports = PortfolioService;
\ No newline at end of file
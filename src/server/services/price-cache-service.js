@@ -1,15 +1,21 @@
-const axios = require('axios');
 const BaseService = require('./base-service');
+const PriceHistoryService = require('./price-history-service');
+const priceEvents = require('./price-events');
+const { getPriceProvider } = require('./price-providers');
 
 /**
- * Lazy-loading price cache service
- * Fetches prices on-demand and caches them in database
+ * Price cache service
+ * Serves prices from the database. For symbols the background PriceRefresher keeps fresh in this
+ * process, requests only fetch prices that were never cached; any other symbol (and every symbol
+ * without the refresher: scripts, serverless) is fetched on demand once older than the TTL.
  */
 class PriceCacheService extends BaseService {
   constructor() {
     super();
     // Cache TTL in minutes
     this.cacheTTL = 5; // 5 minutes
+    this.priceHistoryService = new PriceHistoryService();
+    this.priceProvider = getPriceProvider();
   }
 
   /**
@@ -26,12 +32,13 @@ class PriceCacheService extends BaseService {
       }
 
       // Cache miss or expired - fetch from API
-      const price = await this.fetchPrice(symbol);
-      if (price !== null) {
-        await this.cachePrice(symbol, price);
+      const quote = await this.fetchQuote(symbol);
+      if (!quote) {
+        return null;
       }
 
-      return price;
+      await this.cachePrice(symbol, quote.priceUsd, quote.source);
+      return quote.priceUsd;
     } catch (error) {
       console.error(`Error getting price for ${symbol}:`, error.message);
       return null;
@@ -74,9 +81,8 @@ class PriceCacheService extends BaseService {
       const result = await this.prisma.asset.findFirst({
         where: {
           symbol: symbol,
-          lastUpdated: {
-            gt: cacheExpiry
-          },
+          // The refresher owns freshness - an older row just means the market is closed
+          ...(this.isRefreshedInBackground(symbol) ? {} : { lastUpdated: { gt: cacheExpiry } }),
           currentPriceUsd: {
             not: null
           }
@@ -101,102 +107,68 @@ class PriceCacheService extends BaseService {
   }
 
   /**
-   * Fetch price from external API
+   * Whether the background price refresher keeps this symbol fresh in this process
    * @param {string} symbol
-   * @returns {Promise<number|null>}
+   * @returns {boolean}
    */
-  async fetchPrice(symbol) {
-    try {
-      if (symbol === 'BTC') {
-        return await this.fetchBitcoinPrice();
-      } else if (['XAU', 'XAG', 'WTI'].includes(symbol)) {
-        return await this.fetchCommodityPrice(symbol);
-      } else {
-        return await this.fetchStockPrice(symbol);
-      }
-    } catch (error) {
-      console.error(`Failed to fetch price for ${symbol}:`, error.message);
-      return null;
-    }
+  isRefreshedInBackground(symbol) {
+    // Required here: the refresher itself builds on this service
+    const { getPriceRefresher } = require('./price-refresher');
+    return getPriceRefresher().refreshes(symbol);
   }
 
   /**
-   * Fetch Bitcoin price from CoinGecko
+   * Fetch price from the configured price provider
+   * @param {string} symbol
+   * @returns {Promise<number|null>}
    */
-  async fetchBitcoinPrice() {
-    const response = await axios.get(`${process.env.COINGECKO_API_URL}/simple/price?ids=bitcoin&vs_currencies=usd`);
-    const price = response.data.bitcoin.usd;
-
-    // Validate reasonable BTC price
-    if (price && price > 50000 && price < 200000) {
-      console.log(`Fetched BTC price: $${price}`);
-      return price;
-    }
-
-    throw new Error(`Invalid BTC price: ${price}`);
+  async fetchPrice(symbol) {
+    const quote = await this.fetchQuote(symbol);
+    return quote ? quote.priceUsd : null;
   }
 
   /**
-   * Fetch commodity prices from Yahoo Finance
+   * Fetch a fresh quote (price plus provider and timestamp)
+   * @param {string} symbol
+   * @returns {Promise<{symbol:string,priceUsd:number,source:string,fetchedAt:Date}|null>}
    */
-  async fetchCommodityPrice(symbol) {
-    const yahooSymbols = {
-      'XAU': 'GC=F',  // Gold futures
-      'XAG': 'SI=F',  // Silver futures
-      'WTI': 'CL=F'   // Oil futures
-    };
-
-    const yahooSymbol = yahooSymbols[symbol];
-    if (!yahooSymbol) {
-      throw new Error(`No Yahoo symbol mapping for ${symbol}`);
+  async fetchQuote(symbol) {
+    try {
+      const quote = await this.priceProvider.getQuote(symbol);
+      console.log(`Fetched ${symbol} price from ${quote.source}: $${quote.priceUsd}`);
+      return quote;
+    } catch (error) {
+      console.error(`Failed to fetch price for ${symbol}:`, error.message);
+      return null;
     }
-
-    const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${yahooSymbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-
-    const price = response.data.chart.result[0].meta.regularMarketPrice;
-    console.log(`Fetched ${symbol} price: $${price}`);
-    return price;
-  }
-
-  /**
-   * Fetch stock/ETF prices from Yahoo Finance
-   */
-  async fetchStockPrice(symbol) {
-    const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-
-    const price = response.data.chart.result[0].meta.regularMarketPrice;
-    console.log(`Fetched ${symbol} price: $${price}`);
-    return price;
   }
 
   /**
    * Cache price in database using UPSERT
    * @param {string} symbol
    * @param {number} price
+   * @param {string} source - Provider the price came from
    */
-  async cachePrice(symbol, price) {
+  async cachePrice(symbol, price, source) {
     try {
       await this.prisma.asset.upsert({
         where: { symbol: symbol },
         update: {
           currentPriceUsd: price,
-          lastUpdated: new Date()
+          lastUpdated: new Date(),
+          source
         },
         create: {
           symbol: symbol,
           currentPriceUsd: price,
-          lastUpdated: new Date()
+          lastUpdated: new Date(),
+          source
         }
       });
 
+      await this.priceHistoryService.recordPrice(symbol, price, source);
+      priceEvents.emit('price:updated', { symbol, priceUsd: price, source, updatedAt: new Date() });
+
       console.log(`Cached ${symbol} price: $${price}`);
     } catch (error) {
       console.error(`Failed to cache price for ${symbol}:`, error.message);
@@ -0,0 +1,14 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Process-wide notifications about freshly fetched prices
+ *
+ * Events:
+ *   'price:updated' - { symbol, priceUsd, source, updatedAt } after a price is cached
+ */
+const priceEvents = new EventEmitter();
+
+// Order matching, streaming etc. each add a listener
+priceEvents.setMaxListeners(20);
+
+module.exports = priceEvents;
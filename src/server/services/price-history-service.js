@@ -0,0 +1,251 @@
+const BaseService = require('./base-service');
+
+const SATOSHIS_PER_BTC = 100000000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Daily price history (one OHLC bar per asset per UTC day)
+ * Written by the price fetchers and the backfill script, read by the history endpoint
+ */
+class PriceHistoryService extends BaseService {
+    constructor() {
+        super();
+        this.periods = {
+            '24h': 2,
+            '7d': 7,
+            '30d': 30,
+            '90d': 90,
+            '1y': 365,
+            '5y': 5 * 365,
+            '10y': 10 * 365
+        };
+    }
+
+    /**
+     * Truncate a timestamp to its UTC calendar day
+     * @param {Date|string|number} value - Any date-like value
+     * @returns {Date} Midnight UTC of that day
+     */
+    toDay(value = new Date()) {
+        const date = new Date(value);
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    }
+
+    /**
+     * Record a live price into today's bar, widening high/low and moving the close
+     * @param {string} symbol - Asset symbol
+     * @param {number} priceUsd - Observed price
+     * @param {string} source - Where the price came from
+     * @param {Date} observedAt - When the price was observed
+     */
+    async recordPrice(symbol, priceUsd, source = 'live', observedAt = new Date()) {
+        try {
+            const price = Number(priceUsd);
+            if (!symbol || !isFinite(price) || price <= 0) {
+                return;
+            }
+
+            const day = this.toDay(observedAt);
+
+            await this.prisma.$executeRaw`
+                INSERT INTO price_history (asset_symbol, date, open_usd, high_usd, low_usd, close_usd, source)
+                VALUES (${symbol}, ${day}, ${price}, ${price}, ${price}, ${price}, ${source})
+                ON CONFLICT (asset_symbol, date) DO UPDATE SET
+                    high_usd = GREATEST(COALESCE(price_history.high_usd, EXCLUDED.close_usd), EXCLUDED.close_usd),
+                    low_usd = LEAST(COALESCE(price_history.low_usd, EXCLUDED.close_usd), EXCLUDED.close_usd),
+                    close_usd = EXCLUDED.close_usd,
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+        } catch (error) {
+            console.error(`Failed to record price history for ${symbol}:`, error.message);
+            // Don't throw - history is secondary to serving the live price
+        }
+    }
+
+    /**
+     * Store complete daily bars, replacing whatever is stored for those days
+     * @param {string} symbol - Asset symbol
+     * @param {Array<{date:Date,open:number,high:number,low:number,close:number}>} bars - Daily bars
+     * @param {string} source - Where the bars came from
+     * @returns {Promise<number>} Number of bars written
+     */
+    async saveDailyBars(symbol, bars, source = 'backfill') {
+        try {
+            const validBars = bars.filter(bar => bar && isFinite(bar.close) && bar.close > 0);
+            const chunkSize = 200;
+
+            for (let i = 0; i < validBars.length; i += chunkSize) {
+                const chunk = validBars.slice(i, i + chunkSize);
+
+                await this.prisma.$transaction(chunk.map(bar => {
+                    const day = this.toDay(bar.date);
+                    const data = {
+                        openUsd: bar.open ?? null,
+                        highUsd: bar.high ?? null,
+                        lowUsd: bar.low ?? null,
+                        closeUsd: bar.close,
+                        source,
+                        updatedAt: new Date()
+                    };
+
+                    return this.prisma.priceHistory.upsert({
+                        where: { assetSymbol_date: { assetSymbol: symbol, date: day } },
+                        update: data,
+                        create: { assetSymbol: symbol, date: day, ...data }
+                    });
+                }));
+            }
+
+            return validBars.length;
+        } catch (error) {
+            await this.handleServiceError(error, 'saveDailyBars');
+        }
+    }
+
+    /**
+     * Get the first day included in a period
+     * @param {string} period - One of 24h, 7d, 30d, 90d, 1y, 5y, 10y, all
+     * @returns {Date|null} Start day, or null for the full history
+     */
+    getPeriodStart(period) {
+        if (period === 'all') {
+            return null;
+        }
+
+        const days = this.periods[period];
+        if (!days) {
+            throw new Error(`Invalid period. Must be one of: ${Object.keys(this.periods).join(', ')}, all`);
+        }
+
+        return this.toDay(Date.now() - days * DAY_MS);
+    }
+
+    /**
+     * Get daily history for an asset with USD and sats-denominated prices
+     * @param {string} symbol - Asset symbol
+     * @param {string} period - Period key accepted by getPeriodStart
+     * @returns {Promise<Array>} Bars ordered by date ascending
+     */
+    async getHistory(symbol, period = '1y') {
+        const startDate = this.getPeriodStart(period);
+
+        try {
+            const where = startDate ? { date: { gte: startDate } } : {};
+
+            const [rows, btcRows] = await Promise.all([
+                this.prisma.priceHistory.findMany({
+                    where: { ...where, assetSymbol: symbol },
+                    orderBy: { date: 'asc' }
+                }),
+                symbol === 'BTC'
+                    ? Promise.resolve([])
+                    : this.prisma.priceHistory.findMany({
+                        where: { ...where, assetSymbol: 'BTC' },
+                        select: { date: true, closeUsd: true },
+                        orderBy: { date: 'asc' }
+                    })
+            ]);
+
+            // Walk both series together so gaps in BTC data reuse the latest earlier BTC close
+            let btcIndex = -1;
+            return rows.map(row => {
+                while (btcIndex + 1 < btcRows.length && btcRows[btcIndex + 1].date <= row.date) {
+                    btcIndex++;
+                }
+                return this.formatBar(row, btcIndex >= 0 ? btcRows[btcIndex] : undefined);
+            });
+        } catch (error) {
+            await this.handleServiceError(error, 'getHistory');
+        }
+    }
+
+    /**
+     * Get daily closes for several assets from a day onwards
+     * @param {string[]} symbols - Asset symbols
+     * @param {Date} startDate - First day to include
+     * @returns {Promise<Object>} symbol -> [{ date, closeUsd }] ordered by date ascending
+     */
+    async getDailyCloses(symbols, startDate) {
+        try {
+            const rows = await this.prisma.priceHistory.findMany({
+                where: { assetSymbol: { in: symbols }, date: { gte: this.toDay(startDate) } },
+                select: { assetSymbol: true, date: true, closeUsd: true },
+                orderBy: { date: 'asc' }
+            });
+
+            const closes = Object.fromEntries(symbols.map(symbol => [symbol, []]));
+            rows.forEach(row => {
+                closes[row.assetSymbol].push({ date: row.date, closeUsd: parseFloat(row.closeUsd) });
+            });
+
+            return closes;
+        } catch (error) {
+            await this.handleServiceError(error, 'getDailyCloses');
+        }
+    }
+
+    /**
+     * Last recorded close of each asset at a given moment
+     * Live prices move the close of the day they were observed in, so the bar of the day the moment
+     * falls in holds the last price recorded that day; a moment at midnight belongs to the day before.
+     * @param {string[]} symbols - Asset symbols
+     * @param {Date} at - Moment to price at
+     * @returns {Promise<Object>} symbol -> closeUsd; symbols without history are left out
+     */
+    async getClosesAt(symbols, at) {
+        try {
+            const rows = await this.prisma.priceHistory.findMany({
+                where: { assetSymbol: { in: symbols }, date: { lte: this.toDay(new Date(at).getTime() - 1) } },
+                orderBy: [{ assetSymbol: 'asc' }, { date: 'desc' }],
+                distinct: ['assetSymbol'],
+                select: { assetSymbol: true, closeUsd: true }
+            });
+
+            return Object.fromEntries(rows.map(row => [row.assetSymbol, parseFloat(row.closeUsd)]));
+        } catch (error) {
+            await this.handleServiceError(error, 'getClosesAt');
+        }
+    }
+
+    /**
+     * Convert a stored bar into the API shape, pricing it in sats against a BTC bar
+     * @param {Object} row - PriceHistory row
+     * @param {Object|undefined} btcRow - BTC PriceHistory row for that day (or the closest earlier one)
+     * @returns {Object} Formatted bar
+     */
+    formatBar(row, btcRow) {
+        const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+        const toSats = (usd, btcUsd) => {
+            if (usd === null || !btcUsd) {
+                return null;
+            }
+            return Math.round((usd / btcUsd) * SATOSHIS_PER_BTC);
+        };
+
+        const bar = {
+            date: row.date.toISOString().slice(0, 10),
+            openUsd: toNumber(row.openUsd),
+            highUsd: toNumber(row.highUsd),
+            lowUsd: toNumber(row.lowUsd),
+            closeUsd: toNumber(row.closeUsd),
+            source: row.source
+        };
+
+        if (row.assetSymbol === 'BTC') {
+            return { ...bar, openSats: SATOSHIS_PER_BTC, highSats: SATOSHIS_PER_BTC, lowSats: SATOSHIS_PER_BTC, closeSats: SATOSHIS_PER_BTC };
+        }
+
+        // Intraday BTC moves aren't stored, so every leg is priced against the BTC close of that day
+        const btcClose = btcRow ? toNumber(btcRow.closeUsd) : null;
+
+        return {
+            ...bar,
+            openSats: toSats(bar.openUsd, btcClose),
+            highSats: toSats(bar.highUsd, btcClose),
+            lowSats: toSats(bar.lowUsd, btcClose),
+            closeSats: toSats(bar.closeUsd, btcClose)
+        };
+    }
+}
+
+module.exports = PriceHistoryService;
@@ -0,0 +1,134 @@
+const { PRICE_REFRESH } = require('../../utils/constants');
+
+const BREAKER_STATES = {
+    CLOSED: 'closed', // requests go through
+    OPEN: 'open', // provider skipped until the cooldown ends
+    HALF_OPEN: 'half_open' // one trial request decides whether to close again
+};
+
+/**
+ * Stops calling a price provider that keeps failing
+ *
+ * After BREAKER_FAILURE_THRESHOLD consecutive failures the breaker opens and quotes fail fast,
+ * so a fallback chain moves straight on to the next provider. When the cooldown ends one trial
+ * request is let through: success closes the breaker, failure reopens it for twice as long.
+ */
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || PRICE_REFRESH.BREAKER_FAILURE_THRESHOLD;
+        this.baseCooldownMs = (options.cooldownSeconds || PRICE_REFRESH.BREAKER_COOLDOWN_SECONDS) * 1000;
+        this.maxCooldownMs = (options.maxCooldownSeconds || PRICE_REFRESH.BREAKER_MAX_COOLDOWN_SECONDS) * 1000;
+
+        this.state = BREAKER_STATES.CLOSED;
+        this.cooldownMs = this.baseCooldownMs;
+        this.openUntil = null;
+        this.consecutiveFailures = 0;
+        this.totalRequests = 0;
+        this.totalFailures = 0;
+        this.lastSuccessAt = null;
+        this.lastFailureAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Whether a request may go to the provider now
+     * @returns {boolean}
+     */
+    allowRequest() {
+        if (this.state === BREAKER_STATES.CLOSED) {
+            return true;
+        }
+
+        // Cooldown over: let one trial through; further requests wait while it is in flight
+        if (this.state === BREAKER_STATES.OPEN && Date.now() >= this.openUntil.getTime()) {
+            this.state = BREAKER_STATES.HALF_OPEN;
+            return true;
+        }
+
+        return false;
+    }
+
+    recordSuccess() {
+        this.totalRequests += 1;
+        this.consecutiveFailures = 0;
+        this.lastSuccessAt = new Date();
+
+        if (this.state !== BREAKER_STATES.CLOSED) {
+            console.log(`✅ ${this.name} price provider recovered`);
+        }
+        this.state = BREAKER_STATES.CLOSED;
+        this.cooldownMs = this.baseCooldownMs;
+        this.openUntil = null;
+    }
+
+    recordFailure(error) {
+        this.totalRequests += 1;
+        this.totalFailures += 1;
+        this.consecutiveFailures += 1;
+        this.lastFailureAt = new Date();
+        this.lastError = error.message;
+
+        if (this.state === BREAKER_STATES.HALF_OPEN) {
+            this.cooldownMs = Math.min(this.cooldownMs * 2, this.maxCooldownMs);
+            this.open();
+        } else if (this.state === BREAKER_STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+            this.open();
+        }
+    }
+
+    open() {
+        this.state = BREAKER_STATES.OPEN;
+        this.openUntil = new Date(Date.now() + this.cooldownMs);
+        console.warn(`⚠️ ${this.name} price provider failing (${this.lastError}) - skipping it for ${Math.round(this.cooldownMs / 1000)}s`);
+    }
+
+    /**
+     * Health summary for admin system info
+     * @returns {Object}
+     */
+    getHealth() {
+        return {
+            provider: this.name,
+            state: this.state,
+            healthy: this.state === BREAKER_STATES.CLOSED,
+            consecutiveFailures: this.consecutiveFailures,
+            totalRequests: this.totalRequests,
+            totalFailures: this.totalFailures,
+            lastSuccessAt: this.lastSuccessAt,
+            lastFailureAt: this.lastFailureAt,
+            lastError: this.lastError,
+            openUntil: this.state === BREAKER_STATES.CLOSED ? null : this.openUntil
+        };
+    }
+}
+
+// Keyed by provider name so every instance of a provider shares one breaker
+const breakers = new Map();
+
+/**
+ * Get the breaker for a provider
+ * @param {string} name - Provider name (yahoo, coingecko, fixture)
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, new CircuitBreaker(name));
+    }
+    return breakers.get(name);
+}
+
+/**
+ * Health of every provider that has been asked for a quote in this process
+ * @returns {Array<Object>}
+ */
+function getProviderHealth() {
+    return [...breakers.values()].map(breaker => breaker.getHealth());
+}
+
+module.exports = {
+    BREAKER_STATES,
+    CircuitBreaker,
+    getCircuitBreaker,
+    getProviderHealth
+};
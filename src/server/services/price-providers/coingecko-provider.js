@@ -0,0 +1,37 @@
+const axios = require('axios');
+const PriceProvider = require('./price-provider');
+
+// App symbols priced by CoinGecko, keyed to CoinGecko coin ids
+const COINGECKO_IDS = {
+    'BTC': 'bitcoin'
+};
+
+/**
+ * CoinGecko simple price API - crypto only
+ */
+class CoinGeckoPriceProvider extends PriceProvider {
+    constructor(options = {}) {
+        super('coingecko');
+        this.baseUrl = options.baseUrl || process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+        this.timeout = options.timeout || 10000;
+    }
+
+    supports(symbol) {
+        return Boolean(COINGECKO_IDS[symbol]);
+    }
+
+    async fetchQuotePrice(symbol) {
+        const coinId = COINGECKO_IDS[symbol];
+        const response = await axios.get(`${this.baseUrl}/simple/price`, {
+            params: { ids: coinId, vs_currencies: 'usd' },
+            timeout: this.timeout,
+            headers: {
+                'User-Agent': 'Measured-in-Bitcoin/1.0'
+            }
+        });
+
+        return response?.data?.[coinId]?.usd;
+    }
+}
+
+module.exports = CoinGeckoPriceProvider;
@@ -0,0 +1,51 @@
+const PriceProvider = require('./price-provider');
+
+/**
+ * Tries a chain of providers in order until one answers
+ */
+class FallbackPriceProvider extends PriceProvider {
+    constructor(providers) {
+        super(providers.map(provider => provider.name).join(','));
+        this.providers = providers;
+    }
+
+    checkConfiguration() {
+        this.providers.forEach(provider => provider.checkConfiguration());
+    }
+
+    supports(symbol) {
+        return this.providers.some(provider => provider.supports(symbol));
+    }
+
+    async getQuote(symbol) {
+        let lastError = new Error(`No price provider supports ${symbol}`);
+
+        for (const provider of this.providers) {
+            if (!provider.supports(symbol)) {
+                continue;
+            }
+
+            try {
+                return await provider.getQuote(symbol);
+            } catch (error) {
+                console.warn(`${provider.name}: quote for ${symbol} failed, trying next provider:`, error.message);
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    async getDailyBars(symbol, range = '5y') {
+        for (const provider of this.providers) {
+            const result = await provider.getDailyBars(symbol, range);
+            if (result) {
+                return result;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = FallbackPriceProvider;
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const PriceProvider = require('./price-provider');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Yahoo-style ranges (plus the app's own period keys) in days
+const RANGE_DAYS = {
+    '1d': 1,
+    '24h': 1,
+    '5d': 5,
+    '7d': 7,
+    '1mo': 30,
+    '30d': 30,
+    '3mo': 90,
+    '90d': 90,
+    '6mo': 182,
+    '1y': 365,
+    '2y': 2 * 365,
+    '5y': 5 * 365,
+    '10y': 10 * 365
+};
+
+/**
+ * File-backed provider that serves recorded prices, so dev and test runs need no network
+ *
+ * Fixture format (see scripts/record-price-fixtures.js):
+ * {
+ *   "recordedAt": "2026-10-18T09:00:00.000Z",
+ *   "prices": { "BTC": 65000, "XAU": 2400 },
+ *   "history": { "BTC": [{ "date": "2026-10-17", "open": 1, "high": 1, "low": 1, "close": 1 }] }
+ * }
+ */
+class FixturePriceProvider extends PriceProvider {
+    constructor(options = {}) {
+        super('fixture');
+        this.filePath = path.resolve(
+            options.filePath || process.env.PRICE_FIXTURE_FILE || 'tests/fixtures/prices.json'
+        );
+        this.data = null;
+    }
+
+    load() {
+        if (!this.data) {
+            if (!fs.existsSync(this.filePath)) {
+                throw new Error(
+                    `Price fixture file not found: ${this.filePath}. Recordings are not committed - ` +
+                    'run npm run prices:record, or point PRICE_FIXTURE_FILE at an existing recording'
+                );
+            }
+            try {
+                this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Price fixture file ${this.filePath} is not valid JSON: ${error.message}`);
+            }
+        }
+        return this.data;
+    }
+
+    checkConfiguration() {
+        this.load();
+    }
+
+    reload() {
+        this.data = null;
+        return this.load();
+    }
+
+    supports(symbol) {
+        const { prices = {}, history = {} } = this.load();
+        return prices[symbol] !== undefined || Array.isArray(history[symbol]);
+    }
+
+    fetchQuotePrice(symbol) {
+        const { prices = {}, history = {} } = this.load();
+
+        if (prices[symbol] !== undefined) {
+            return Number(prices[symbol]);
+        }
+
+        // Fall back to the last recorded close
+        const bars = history[symbol] || [];
+        return bars.length > 0 ? Number(bars[bars.length - 1].close) : null;
+    }
+
+    fetchDailyBars(symbol, range) {
+        const { history = {} } = this.load();
+        const bars = (history[symbol] || []).map(bar => ({
+            date: new Date(bar.date),
+            open: bar.open ?? null,
+            high: bar.high ?? null,
+            low: bar.low ?? null,
+            close: Number(bar.close)
+        }));
+
+        const days = RANGE_DAYS[range];
+        if (!days || bars.length === 0) {
+            return bars;
+        }
+
+        // Ranges are measured back from the last recorded bar, not from today,
+        // so an old recording keeps answering every period
+        const start = bars[bars.length - 1].date.getTime() - days * DAY_MS;
+        return bars.filter(bar => bar.date.getTime() >= start);
+    }
+}
+
+module.exports = FixturePriceProvider;
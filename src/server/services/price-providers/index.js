@@ -0,0 +1,64 @@
+const PriceProvider = require('./price-provider');
+const YahooPriceProvider = require('./yahoo-provider');
+const CoinGeckoPriceProvider = require('./coingecko-provider');
+const FixturePriceProvider = require('./fixture-provider');
+const FallbackPriceProvider = require('./fallback-provider');
+const { getProviderHealth } = require('./circuit-breaker');
+
+const PROVIDERS = {
+    yahoo: YahooPriceProvider,
+    coingecko: CoinGeckoPriceProvider,
+    fixture: FixturePriceProvider
+};
+
+// CoinGecko for BTC, Yahoo Finance for everything else (and as BTC fallback)
+const DEFAULT_PROVIDER_CHAIN = 'coingecko,yahoo';
+
+let sharedProvider = null;
+
+/**
+ * Build a provider from a comma-separated chain of provider names
+ * @param {string} chain - e.g. 'coingecko,yahoo' or 'fixture'
+ * @returns {PriceProvider}
+ */
+function createPriceProvider(chain = process.env.PRICE_PROVIDER || DEFAULT_PROVIDER_CHAIN) {
+    const providers = chain
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .map(name => {
+            const Provider = PROVIDERS[name];
+            if (!Provider) {
+                throw new Error(`Unknown price provider "${name}". Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+            }
+            return new Provider();
+        });
+
+    if (providers.length === 0) {
+        throw new Error('PRICE_PROVIDER must name at least one provider');
+    }
+
+    return providers.length === 1 ? providers[0] : new FallbackPriceProvider(providers);
+}
+
+/**
+ * Get the process-wide provider configured through PRICE_PROVIDER
+ * @returns {PriceProvider}
+ */
+function getPriceProvider() {
+    if (!sharedProvider) {
+        sharedProvider = createPriceProvider();
+    }
+    return sharedProvider;
+}
+
+module.exports = {
+    PriceProvider,
+    YahooPriceProvider,
+    CoinGeckoPriceProvider,
+    FixturePriceProvider,
+    FallbackPriceProvider,
+    createPriceProvider,
+    getPriceProvider,
+    getProviderHealth
+};
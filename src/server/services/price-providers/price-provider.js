@@ -0,0 +1,105 @@
+const { getCircuitBreaker } = require('./circuit-breaker');
+
+/**
+ * Base class for price providers
+ *
+ * A provider turns an app symbol (BTC, XAU, AAPL...) into USD prices.
+ * Subclasses implement fetchQuotePrice() and optionally fetchDailyBars().
+ * Quotes go through the provider's circuit breaker, so a provider that keeps failing is skipped for a while.
+ */
+class PriceProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Check the provider can answer at all - the server calls this at startup
+     * @throws {Error} If the provider is misconfigured
+     */
+    checkConfiguration() {}
+
+    /**
+     * Whether this provider can price the given symbol
+     * @param {string} symbol - App symbol
+     * @returns {boolean}
+     */
+    supports(symbol) {
+        return Boolean(symbol);
+    }
+
+    /**
+     * Get the current USD price for a symbol
+     * @param {string} symbol - App symbol
+     * @returns {Promise<{symbol:string,priceUsd:number,source:string,fetchedAt:Date}>}
+     * @throws {Error} When the provider can't return a valid price
+     */
+    async getQuote(symbol) {
+        if (!this.supports(symbol)) {
+            throw new Error(`${this.name} provider does not support ${symbol}`);
+        }
+
+        const breaker = getCircuitBreaker(this.name);
+        if (!breaker.allowRequest()) {
+            throw new Error(`${this.name} provider is paused after repeated failures`);
+        }
+
+        let priceUsd;
+        try {
+            priceUsd = await this.fetchQuotePrice(symbol);
+            this.validatePrice(symbol, priceUsd);
+        } catch (error) {
+            breaker.recordFailure(error);
+            throw error;
+        }
+        breaker.recordSuccess();
+
+        return {
+            symbol,
+            priceUsd,
+            source: this.name,
+            fetchedAt: new Date()
+        };
+    }
+
+    /**
+     * Get daily OHLC bars for a symbol
+     * @param {string} symbol - App symbol
+     * @param {string} range - Range like '1mo', '1y', '5y', 'max'
+     * @returns {Promise<{source:string,bars:Array<{date:Date,open:number,high:number,low:number,close:number}>}|null>}
+     */
+    async getDailyBars(symbol, range = '5y') {
+        if (!this.supports(symbol)) {
+            return null;
+        }
+
+        try {
+            const bars = await this.fetchDailyBars(symbol, range);
+            return bars && bars.length > 0 ? { source: this.name, bars } : null;
+        } catch (error) {
+            console.error(`${this.name}: failed to fetch daily bars for ${symbol}:`, error.message);
+            return null;
+        }
+    }
+
+    fetchQuotePrice(symbol) {
+        throw new Error(`${this.name} provider does not implement quotes (${symbol})`);
+    }
+
+    fetchDailyBars() {
+        // History is optional - providers without it let the next provider answer
+        return null;
+    }
+
+    validatePrice(symbol, price) {
+        if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+            throw new Error(`Invalid price data for ${symbol}: ${price}`);
+        }
+
+        // Guard against obviously broken BTC feeds
+        if (symbol === 'BTC' && (price < 10000 || price > 500000)) {
+            throw new Error(`Invalid BTC price: ${price}`);
+        }
+    }
+}
+
+module.exports = PriceProvider;
@@ -0,0 +1,82 @@
+const axios = require('axios');
+const PriceProvider = require('./price-provider');
+
+const YAHOO_CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+
+// App symbols that trade under a different ticker on Yahoo Finance
+const YAHOO_SYMBOLS = {
+    'XAU': 'GC=F', // Gold futures
+    'XAG': 'SI=F', // Silver futures
+    'WTI': 'CL=F', // Crude oil futures
+    'BTC': 'BTC-USD'
+};
+
+/**
+ * Yahoo Finance chart API - stocks, ETFs, commodity futures and BTC-USD
+ */
+class YahooPriceProvider extends PriceProvider {
+    constructor(options = {}) {
+        super('yahoo');
+        this.timeout = options.timeout || 10000;
+    }
+
+    /**
+     * Map an app symbol to its Yahoo Finance symbol
+     * @param {string} symbol - App symbol (e.g., 'XAU', 'AAPL')
+     * @returns {string} Yahoo Finance symbol
+     */
+    toYahooSymbol(symbol) {
+        return YAHOO_SYMBOLS[symbol] || symbol;
+    }
+
+    async fetchChart(symbol, params = {}) {
+        const yahooSymbol = this.toYahooSymbol(symbol);
+        const response = await axios.get(`${YAHOO_CHART_URL}/${encodeURIComponent(yahooSymbol)}`, {
+            params,
+            timeout: this.timeout,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+        });
+
+        const result = response?.data?.chart?.result?.[0];
+        if (!result || !result.meta) {
+            throw new Error(`Invalid response format for ${symbol} (${yahooSymbol})`);
+        }
+
+        return result;
+    }
+
+    async fetchQuotePrice(symbol) {
+        const chart = await this.fetchChart(symbol);
+        return chart.meta.regularMarketPrice;
+    }
+
+    async fetchDailyBars(symbol, range) {
+        const chart = await this.fetchChart(symbol, { range, interval: '1d' });
+
+        const timestamps = chart.timestamp || [];
+        const quote = chart.indicators?.quote?.[0] || {};
+        const closes = quote.close || [];
+
+        const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+        const bars = [];
+        for (let i = 0; i < timestamps.length && i < closes.length; i++) {
+            const close = toNumber(closes[i]);
+            if (close === null) {
+                continue;
+            }
+            bars.push({
+                date: new Date(timestamps[i] * 1000),
+                open: toNumber(quote.open?.[i]),
+                high: toNumber(quote.high?.[i]),
+                low: toNumber(quote.low?.[i]),
+                close
+            });
+        }
+
+        return bars;
+    }
+}
+
+module.exports = YahooPriceProvider;
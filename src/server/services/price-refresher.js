@@ -0,0 +1,175 @@
+const PriceCacheService = require('./price-cache-service');
+const { getMarketSession, MARKET_SESSIONS } = require('../utils/market-hours');
+const { PRICE_REFRESH, SUPPORTED_ASSETS } = require('../utils/constants');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Keeps every asset price in the cache fresh, so requests never wait on a provider
+ *
+ * Each tick refreshes the symbols that are due: crypto every minute, stocks and commodities every
+ * few minutes while their market trades and hourly while it is closed. A symbol whose quote fails
+ * waits twice as long before the next try; provider-wide failures trip that provider's circuit
+ * breaker (see price-providers/circuit-breaker.js). Fresh prices go through PriceCacheService,
+ * which emits 'price:updated' for order matching and the live stream.
+ */
+class PriceRefresher {
+    constructor(options = {}) {
+        this.priceCacheService = new PriceCacheService();
+        this.symbols = options.symbols || SUPPORTED_ASSETS;
+        this.tickMs = options.tickMs || PRICE_REFRESH.TICK_SECONDS * 1000;
+        this.timer = null;
+        this.running = false;
+        this.lastRunAt = null;
+        // symbol -> { lastAttemptAt, lastSuccessAt, failures }
+        this.symbolState = new Map();
+    }
+
+    start() {
+        this.timer = setInterval(() => this.run(), this.tickMs);
+        this.run();
+        console.log(`💹 Price refresher keeping ${this.symbols.length} symbols fresh`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Whether this process refreshes prices in the background
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Whether the running refresher keeps this symbol's price fresh
+     * @param {string} symbol
+     * @returns {boolean}
+     */
+    refreshes(symbol) {
+        return this.isActive() && this.symbols.includes(symbol);
+    }
+
+    async run() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            if (this.symbolState.size === 0) {
+                await this.loadLastUpdated();
+            }
+
+            const now = new Date();
+            const due = this.symbols.filter(symbol => this.isDue(symbol, now));
+
+            // One at a time - a slow provider delays this pass rather than piling up requests
+            for (const symbol of due) {
+                await this.refreshSymbol(symbol);
+            }
+
+            this.lastRunAt = now;
+        } catch (error) {
+            console.error('Price refresh run failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Seed from the cache so a restart doesn't refetch prices that are still fresh
+     */
+    async loadLastUpdated() {
+        const assets = await this.priceCacheService.prisma.asset.findMany({
+            where: { symbol: { in: this.symbols }, currentPriceUsd: { not: null } },
+            select: { symbol: true, lastUpdated: true }
+        });
+
+        assets.forEach(asset => {
+            this.symbolState.set(asset.symbol, {
+                lastAttemptAt: asset.lastUpdated,
+                lastSuccessAt: asset.lastUpdated,
+                failures: 0
+            });
+        });
+    }
+
+    /**
+     * Minutes between refreshes of a symbol right now
+     * @param {string} symbol
+     * @param {Date} now
+     * @returns {number}
+     */
+    intervalMinutes(symbol, now) {
+        const session = getMarketSession(symbol, now);
+        const base = session === MARKET_SESSIONS.ALWAYS
+            ? PRICE_REFRESH.CRYPTO_MINUTES
+            : session === MARKET_SESSIONS.OPEN ? PRICE_REFRESH.OPEN_MARKET_MINUTES : PRICE_REFRESH.CLOSED_MARKET_MINUTES;
+
+        const failures = this.symbolState.get(symbol)?.failures || 0;
+        return Math.min(base * 2 ** failures, Math.max(base, PRICE_REFRESH.MAX_BACKOFF_MINUTES));
+    }
+
+    isDue(symbol, now) {
+        const state = this.symbolState.get(symbol);
+        if (!state || !state.lastAttemptAt) {
+            return true;
+        }
+
+        return now.getTime() - state.lastAttemptAt.getTime() >= this.intervalMinutes(symbol, now) * MINUTE_MS;
+    }
+
+    async refreshSymbol(symbol) {
+        const state = this.symbolState.get(symbol) || { lastAttemptAt: null, lastSuccessAt: null, failures: 0 };
+        state.lastAttemptAt = new Date();
+        this.symbolState.set(symbol, state);
+
+        const quote = await this.priceCacheService.fetchQuote(symbol);
+        if (!quote) {
+            state.failures += 1;
+            return;
+        }
+
+        await this.priceCacheService.cachePrice(symbol, quote.priceUsd, quote.source);
+        state.lastSuccessAt = new Date();
+        state.failures = 0;
+    }
+
+    /**
+     * Refresher summary for admin system info
+     * @returns {Object}
+     */
+    getStatus() {
+        const failing = [...this.symbolState.entries()]
+            .filter(([, state]) => state.failures > 0)
+            .map(([symbol, state]) => ({ symbol, failures: state.failures, lastSuccessAt: state.lastSuccessAt }));
+
+        return {
+            active: this.isActive(),
+            symbols: this.symbols.length,
+            lastRunAt: this.lastRunAt,
+            failing
+        };
+    }
+}
+
+let sharedRefresher = null;
+
+/**
+ * Get the process-wide refresher that the server starts and the price cache consults
+ * @returns {PriceRefresher}
+ */
+function getPriceRefresher() {
+    if (!sharedRefresher) {
+        sharedRefresher = new PriceRefresher();
+    }
+    return sharedRefresher;
+}
+
+module.exports = { PriceRefresher, getPriceRefresher };
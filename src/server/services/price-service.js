@@ -1,5 +1,7 @@
-const axios = require('axios');
 const BaseService = require('./base-service');
+const PriceHistoryService = require('./price-history-service');
+const priceEvents = require('./price-events');
+const { getPriceProvider } = require('./price-providers');
 
 class PriceService extends BaseService {
     constructor() {
@@ -7,6 +9,8 @@ class PriceService extends BaseService {
         this.cacheTTL = 5; // 5 minutes cache TTL
         this.rateLimitDelay = 1200; // 1.2 seconds between API calls
         this.lastApiCall = 0;
+        this.priceHistoryService = new PriceHistoryService();
+        this.priceProvider = getPriceProvider();
     }
 
     async getPrice(symbol) {
@@ -23,12 +27,13 @@ class PriceService extends BaseService {
             await this.enforceRateLimit();
 
             // Cache miss or expired - fetch from API
-            const price = await this.fetchPrice(sanitizedSymbol);
-            if (price !== null) {
-                await this.cachePrice(sanitizedSymbol, price);
+            const quote = await this.fetchQuote(sanitizedSymbol);
+            if (!quote) {
+                return null;
             }
 
-            return price;
+            await this.cachePrice(sanitizedSymbol, quote.priceUsd, quote.source);
+            return quote.priceUsd;
         } catch (error) {
             console.error(`Error getting price for ${symbol}:`, error.message);
             return null;
@@ -97,156 +102,67 @@ class PriceService extends BaseService {
     }
 
     async fetchPrice(symbol) {
+        const quote = await this.fetchQuote(symbol);
+        return quote ? quote.priceUsd : null;
+    }
+
+    /**
+     * Fetch a fresh quote from the configured price provider
+     * @param {string} symbol - App symbol
+     * @returns {Promise<{symbol:string,priceUsd:number,source:string,fetchedAt:Date}|null>}
+     */
+    async fetchQuote(symbol) {
         try {
-            if (symbol === 'BTC') {
-                return await this.fetchBitcoinPrice();
-            } else if (['XAU', 'XAG', 'WTI'].includes(symbol)) {
-                return await this.fetchCommodityPrice(symbol);
-            } else {
-                return await this.fetchStockPrice(symbol);
-            }
+            const quote = await this.priceProvider.getQuote(symbol);
+            console.log(`Fetched ${symbol} price from ${quote.source}: $${quote.priceUsd}`);
+            return quote;
         } catch (error) {
             console.error(`Failed to fetch price for ${symbol}:`, error.message);
             return null;
         }
     }
 
-    async fetchBitcoinPrice() {
-        const apiUrl = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
-        const response = await axios.get(`${apiUrl}/simple/price?ids=bitcoin&vs_currencies=usd`, {
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'Measured-in-Bitcoin/1.0'
-            }
-        });
-
-        const price = response.data.bitcoin.usd;
-
-        // Validate reasonable BTC price
-        if (price && price > 10000 && price < 500000) {
-            console.log(`Fetched BTC price: $${price}`);
-            return price;
-        }
-
-        throw new Error(`Invalid BTC price: ${price}`);
-    }
-
-    async fetchCommodityPrice(symbol) {
-        const yahooSymbols = {
-            'XAU': 'GC=F',  // Gold futures
-            'XAG': 'SI=F',  // Silver futures
-            'WTI': 'CL=F'   // Oil futures
-        };
-
-        const yahooSymbol = yahooSymbols[symbol];
-        if (!yahooSymbol) {
-            throw new Error(`No Yahoo symbol mapping for ${symbol}`);
-        }
-
-        const response = await axios.get(
-            `https://query1.finance.yahoo.com/v8/finance/chart/${yahooSymbol}`,
-            {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            }
-        );
-
-        const chart = response.data.chart;
-        if (!chart || !chart.result || !chart.result[0] || !chart.result[0].meta) {
-            throw new Error(`Invalid response format for ${symbol}`);
-        }
-
-        const price = chart.result[0].meta.regularMarketPrice;
-        if (!price || price <= 0) {
-            throw new Error(`Invalid price data for ${symbol}: ${price}`);
-        }
-
-        console.log(`Fetched ${symbol} price: $${price}`);
-        return price;
-    }
-
-    async fetchStockPrice(symbol) {
-        const response = await axios.get(
-            `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`,
-            {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            }
-        );
-
-        const chart = response.data.chart;
-        if (!chart || !chart.result || !chart.result[0] || !chart.result[0].meta) {
-            throw new Error(`Invalid response format for ${symbol}`);
-        }
-
-        const price = chart.result[0].meta.regularMarketPrice;
-        if (!price || price <= 0) {
-            throw new Error(`Invalid price data for ${symbol}: ${price}`);
-        }
-
-        console.log(`Fetched ${symbol} price: $${price}`);
-        return price;
-    }
-
     /**
-     * Fetch Yahoo Finance chart and return first/last non-null close
-     * @param {string} yahooSymbol - Yahoo Finance symbol (e.g., 'AAPL', 'GC=F', 'BTC-USD')
-     * @param {string} range - Range like '5y', '1y'
-     * @returns {Promise<{first:number,last:number}|null>}
+     * Fetch daily OHLC bars and the first/last close from the configured price provider
+     * @param {string} symbol - App symbol (e.g., 'AAPL', 'XAU', 'BTC')
+     * @param {string} range - Range like '5y', '1y', 'max'
+     * @returns {Promise<{first:number,last:number,bars:Array,source:string}|null>}
      */
-    async getYahooHistoricalCloses(yahooSymbol, range = '5y') {
-        try {
-            const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(yahooSymbol)}?range=${encodeURIComponent(range)}&interval=1d`;
-            const response = await axios.get(url, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            });
-
-            const result = response?.data?.chart?.result?.[0];
-            const closes = result?.indicators?.quote?.[0]?.close || [];
-            if (!closes || closes.length === 0) return null;
-
-            // Find first and last non-null close
-            let first = null;
-            let last = null;
-            for (let i = 0; i < closes.length; i++) {
-                const v = closes[i];
-                if (v !== null && v !== undefined) { first = v; break; }
-            }
-            for (let i = closes.length - 1; i >= 0; i--) {
-                const v = closes[i];
-                if (v !== null && v !== undefined) { last = v; break; }
-            }
-
-            if (first === null || last === null) return null;
-            return { first: Number(first), last: Number(last) };
-        } catch (error) {
-            console.error(`Failed to fetch Yahoo historical for ${yahooSymbol}:`, error.message);
+    async getHistoricalCloses(symbol, range = '5y') {
+        const result = await this.priceProvider.getDailyBars(symbol, range);
+        if (!result) {
             return null;
         }
+
+        const { bars, source } = result;
+        return {
+            first: bars[0].close,
+            last: bars[bars.length - 1].close,
+            bars,
+            source
+        };
     }
 
-    async cachePrice(symbol, price) {
+    async cachePrice(symbol, price, source) {
         try {
             await this.prisma.asset.upsert({
                 where: { symbol: symbol },
                 update: {
                     currentPriceUsd: price,
-                    lastUpdated: new Date()
+                    lastUpdated: new Date(),
+                    source
                 },
                 create: {
                     symbol: symbol,
                     currentPriceUsd: price,
-                    lastUpdated: new Date()
+                    lastUpdated: new Date(),
+                    source
                 }
             });
 
+            await this.priceHistoryService.recordPrice(symbol, price, source);
+            priceEvents.emit('price:updated', { symbol, priceUsd: price, source, updatedAt: new Date() });
+
             console.log(`Cached ${symbol} price: $${price}`);
         } catch (error) {
             console.error(`Failed to cache price for ${symbol}:`, error.message);
@@ -0,0 +1,199 @@
+const crypto = require('node:crypto');
+const BaseService = require('./base-service');
+const UserActivityService = require('./user-activity-service');
+const { AuthenticationError, RefreshTokenRotatedError } = require('../utils/error-handlers');
+const { BUSINESS_RULES, USER_ACTIVITY_TYPES } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Login sessions and their rotating refresh tokens
+ *
+ * Each login opens a user_sessions row. The browser holds one refresh token for it; every
+ * refresh marks that token used and issues the next one, and pushes the session expiry
+ * forward. Only a SHA-256 hash of each token is stored. A rotated token that comes back
+ * means it was copied, so the whole session is revoked.
+ *
+ * Revoked sessions are the revocation list: access tokens carry their sessionId and the auth
+ * middleware rejects them as soon as the session is revoked, without waiting for them to expire.
+ */
+class SessionService extends BaseService {
+    constructor() {
+        super();
+        this.userActivityService = new UserActivityService();
+    }
+
+    /**
+     * Issue a refresh token for a session
+     * @param {Object} session - UserSession row
+     * @param {Object} client - Prisma client or transaction
+     * @returns {Promise<{token:string,expiresAt:Date}>} Raw token - only its hash is stored
+     */
+    async issueRefreshToken(session, client = this.prisma) {
+        const token = crypto.randomBytes(48).toString('base64url');
+
+        await client.refreshToken.create({
+            data: {
+                sessionId: session.id,
+                tokenHash: this.hashToken(token),
+                expiresAt: session.expiresAt
+            }
+        });
+
+        return { token, expiresAt: session.expiresAt };
+    }
+
+    /**
+     * Exchange a refresh token for the next one
+     * @param {string} token - Raw refresh token
+     * @param {Object} context - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { session, user, refreshToken: { token, expiresAt } }
+     * @throws {AuthenticationError} If the token is unknown, expired, reused or its session revoked
+     */
+    async rotateRefreshToken(token, context = {}) {
+        if (!token) {
+            throw new AuthenticationError('Refresh token required');
+        }
+
+        const stored = await this.prisma.refreshToken.findUnique({
+            where: { tokenHash: this.hashToken(token) },
+            include: { session: { include: { user: true } } }
+        });
+
+        if (!stored) {
+            throw new AuthenticationError('Invalid refresh token');
+        }
+
+        const { session } = stored;
+        const now = new Date();
+
+        if (stored.usedAt) {
+            await this.handleReuse(stored, context, now);
+        }
+
+        if (session.revokedAt || session.expiresAt <= now || stored.expiresAt <= now) {
+            throw new AuthenticationError('Session expired');
+        }
+
+        const rotated = await this.prisma.$transaction(async (prisma) => {
+            // Claim the token so two concurrent refreshes can't both rotate it
+            const { count } = await prisma.refreshToken.updateMany({
+                where: { id: stored.id, usedAt: null },
+                data: { usedAt: now }
+            });
+            if (count === 0) {
+                return null;
+            }
+
+            const extended = await prisma.userSession.update({
+                where: { id: session.id },
+                data: { expiresAt: new Date(now.getTime() + BUSINESS_RULES.SESSION_EXPIRY_DAYS * DAY_MS) }
+            });
+
+            return { session: extended, refreshToken: await this.issueRefreshToken(extended, prisma) };
+        });
+
+        if (!rotated) {
+            throw new RefreshTokenRotatedError();
+        }
+
+        return { ...rotated, user: session.user };
+    }
+
+    /**
+     * A used token was presented again. Within the grace window this is a second tab racing
+     * the first; after it, the token has leaked and the session is revoked.
+     * @throws {RefreshTokenRotatedError} Within the grace window, while the session is live
+     * @throws {AuthenticationError} Otherwise - the cookie holding this token should be dropped
+     */
+    async handleReuse(stored, context, now) {
+        const graceEndsAt = stored.usedAt.getTime() + BUSINESS_RULES.REFRESH_TOKEN_REUSE_GRACE_SECONDS * 1000;
+
+        if (stored.session.revokedAt || stored.session.expiresAt <= now) {
+            throw new AuthenticationError('Session expired');
+        }
+        if (now.getTime() <= graceEndsAt) {
+            throw new RefreshTokenRotatedError();
+        }
+
+        await this.revokeSession(stored.session.id);
+        await this.userActivityService.recordActivity(stored.session.userId, USER_ACTIVITY_TYPES.REFRESH_TOKEN_REUSED, {
+            ...context,
+            sessionId: stored.session.id
+        });
+        console.warn(`🚨 Refresh token reuse on session ${stored.session.id} - session revoked`);
+
+        throw new AuthenticationError('Refresh token already used');
+    }
+
+    /**
+     * Find the session a refresh token belongs to, whether or not the token is still usable
+     * @param {string} token - Raw refresh token
+     * @returns {Promise<Object|null>} UserSession row
+     */
+    async findSessionByRefreshToken(token) {
+        if (!token) {
+            return null;
+        }
+
+        const stored = await this.prisma.refreshToken.findUnique({
+            where: { tokenHash: this.hashToken(token) },
+            include: { session: true }
+        });
+
+        return stored ? stored.session : null;
+    }
+
+    /**
+     * Revoke one session - its refresh tokens stop working and its access tokens are rejected
+     * @param {number} sessionId - Session ID
+     * @param {number|null} userId - Only revoke if the session belongs to this user
+     * @returns {Promise<number>} Sessions revoked (0 or 1)
+     */
+    async revokeSession(sessionId, userId = null) {
+        const { count } = await this.prisma.userSession.updateMany({
+            where: { id: sessionId, revokedAt: null, ...(userId ? { userId } : {}) },
+            data: { revokedAt: new Date() }
+        });
+
+        return count;
+    }
+
+    /**
+     * Revoke every open session of a user ("sign out of all devices")
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Sessions revoked
+     */
+    async revokeAllSessions(userId) {
+        const { count } = await this.prisma.userSession.updateMany({
+            where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+            data: { revokedAt: new Date() }
+        });
+
+        return count;
+    }
+
+    /**
+     * Whether an access token's session is still open
+     * @param {number} sessionId - Session ID from the token
+     * @returns {Promise<boolean>}
+     */
+    async isSessionActive(sessionId) {
+        if (!sessionId) {
+            return false;
+        }
+
+        const session = await this.prisma.userSession.findUnique({
+            where: { id: sessionId },
+            select: { revokedAt: true, expiresAt: true }
+        });
+
+        return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
+
+module.exports = SessionService;
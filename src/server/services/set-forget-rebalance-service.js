@@ -0,0 +1,221 @@
+const BaseService = require('./base-service');
+const PriceCacheService = require('./price-cache-service');
+const { BUSINESS_RULES, REBALANCE_POLICIES, BITCOIN_CONSTANTS } = require('../utils/constants');
+
+const REBALANCE_MONTHS = {
+    [REBALANCE_POLICIES.QUARTERLY]: 3,
+    [REBALANCE_POLICIES.YEARLY]: 12
+};
+
+/**
+ * Rebalancing for Set & Forget portfolios
+ *
+ * A portfolio's allocations are stored as numbered snapshots in `set_forget_allocations`:
+ * snapshot 0 is the mix bought at creation, and every rebalance sells everything at current
+ * prices and buys the target percentages again as the next snapshot. The latest snapshot is
+ * what the portfolio holds now.
+ */
+class SetForgetRebalanceService extends BaseService {
+    constructor() {
+        super();
+        this.priceCache = new PriceCacheService();
+    }
+
+    /**
+     * Validate a rebalancing policy and its drift threshold
+     * @param {string} policy - One of never, quarterly, yearly, drift
+     * @param {number|string} threshold - Drift threshold in percentage points (drift only)
+     * @returns {Object} { policy, thresholdPercent }
+     */
+    validatePolicy(policy = REBALANCE_POLICIES.NEVER, threshold) {
+        if (!Object.values(REBALANCE_POLICIES).includes(policy)) {
+            throw new Error(`Invalid rebalance policy: ${policy}. Must be one of: ${Object.values(REBALANCE_POLICIES).join(', ')}`);
+        }
+
+        if (policy !== REBALANCE_POLICIES.DRIFT) {
+            return { policy, thresholdPercent: null };
+        }
+
+        const thresholdPercent = threshold === undefined || threshold === null
+            ? BUSINESS_RULES.DEFAULT_REBALANCE_DRIFT_PERCENT
+            : Number(threshold);
+        if (!isFinite(thresholdPercent) || thresholdPercent <= 0 || thresholdPercent >= 100) {
+            throw new Error('Rebalance threshold must be between 0 and 100 percentage points');
+        }
+
+        return { policy, thresholdPercent };
+    }
+
+    /**
+     * Check whether a portfolio should be rebalanced
+     * @param {Object} policy - { policy, thresholdPercent, lastRebalancedAt } (lastRebalancedAt = creation if never rebalanced)
+     * @param {Array} positions - [{ allocation_percentage, value_sats }] of the current snapshot
+     * @param {Date} now - Current time
+     * @returns {boolean} True if a rebalance is due
+     */
+    isRebalanceDue({ policy, thresholdPercent, lastRebalancedAt }, positions, now = new Date()) {
+        if (REBALANCE_MONTHS[policy]) {
+            const due = new Date(lastRebalancedAt);
+            due.setUTCMonth(due.getUTCMonth() + REBALANCE_MONTHS[policy]);
+            return due <= now;
+        }
+
+        if (policy === REBALANCE_POLICIES.DRIFT) {
+            const totalSats = positions.reduce((sum, position) => sum + position.value_sats, 0);
+            if (totalSats <= 0) {
+                return false;
+            }
+
+            return positions.some(position =>
+                Math.abs((position.value_sats / totalSats) * 100 - parseFloat(position.allocation_percentage)) > thresholdPercent);
+        }
+
+        return false;
+    }
+
+    /**
+     * Value a snapshot's allocations in sats at the given prices
+     * @param {Array} allocations - set_forget_allocations rows of one snapshot
+     * @param {Object} priceMap - symbol -> USD price (must include BTC)
+     * @returns {Array} [{ asset_symbol, allocation_percentage, value_sats }]
+     */
+    valueAllocations(allocations, priceMap) {
+        const btcPrice = priceMap.BTC;
+
+        return allocations.map(allocation => {
+            const assetAmount = parseInt(allocation.asset_amount);
+            const valueSats = allocation.asset_symbol === 'BTC'
+                ? assetAmount
+                : Math.floor(((assetAmount / BITCOIN_CONSTANTS.SATOSHIS_PER_BTC) * priceMap[allocation.asset_symbol] / btcPrice) * BITCOIN_CONSTANTS.SATOSHIS_PER_BTC);
+
+            return {
+                asset_symbol: allocation.asset_symbol,
+                allocation_percentage: allocation.allocation_percentage,
+                value_sats: valueSats
+            };
+        });
+    }
+
+    /**
+     * Split a sats value across target percentages at the given prices
+     * @param {Array} allocations - [{ asset_symbol, allocation_percentage }]
+     * @param {number} totalSats - Value to split
+     * @param {Object} priceMap - symbol -> USD price (must include BTC)
+     * @returns {Array} [{ asset_symbol, allocation_percentage, btc_amount, asset_amount }]
+     */
+    splitValue(allocations, totalSats, priceMap) {
+        const btcPrice = priceMap.BTC;
+
+        return allocations.map(allocation => {
+            const btcAmount = Math.floor((parseFloat(allocation.allocation_percentage) / 100) * totalSats);
+            const assetAmount = allocation.asset_symbol === 'BTC'
+                ? btcAmount
+                : Math.floor((((btcAmount / BITCOIN_CONSTANTS.SATOSHIS_PER_BTC) * btcPrice) / priceMap[allocation.asset_symbol]) * BITCOIN_CONSTANTS.SATOSHIS_PER_BTC);
+
+            return {
+                asset_symbol: allocation.asset_symbol,
+                allocation_percentage: allocation.allocation_percentage,
+                btc_amount: btcAmount,
+                asset_amount: assetAmount
+            };
+        });
+    }
+
+    /**
+     * Rebalance every portfolio whose policy says it is due
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Summary with checked/rebalanced/failed counts
+     */
+    async rebalanceDuePortfolios(now = new Date()) {
+        const portfolios = await this.prisma.setForgetPortfolio.findMany({
+            where: { rebalancePolicy: { not: REBALANCE_POLICIES.NEVER } },
+            include: { set_forget_allocations: { orderBy: { snapshot: 'desc' } } }
+        });
+
+        const summary = { checked: portfolios.length, rebalanced: 0, failed: 0 };
+        if (portfolios.length === 0) {
+            return summary;
+        }
+
+        const symbols = new Set(['BTC']);
+        portfolios.forEach(portfolio => portfolio.set_forget_allocations.forEach(a => symbols.add(a.asset_symbol)));
+        const priceMap = await this.priceCache.getPrices([...symbols]);
+
+        for (const portfolio of portfolios) {
+            try {
+                if (await this.rebalanceIfDue(portfolio, priceMap, now)) {
+                    summary.rebalanced++;
+                }
+            } catch (error) {
+                console.error(`Failed to rebalance Set & Forget portfolio ${portfolio.id}:`, error.message);
+                summary.failed++;
+            }
+        }
+
+        if (summary.rebalanced > 0 || summary.failed > 0) {
+            console.log(`⚖️ Set & Forget rebalancing: ${summary.rebalanced} rebalanced, ${summary.failed} failed of ${summary.checked}`);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Rebalance one portfolio into a new snapshot if its policy says it is due
+     * @param {Object} portfolio - Portfolio with set_forget_allocations
+     * @param {Object} priceMap - symbol -> USD price
+     * @param {Date} now - Current time
+     * @returns {Promise<boolean>} True if a new snapshot was written
+     */
+    async rebalanceIfDue(portfolio, priceMap, now = new Date()) {
+        const rows = portfolio.set_forget_allocations;
+        const snapshot = Math.max(...rows.map(row => row.snapshot));
+        const current = rows.filter(row => row.snapshot === snapshot);
+
+        const missing = ['BTC', ...current.map(row => row.asset_symbol)].filter(symbol => !priceMap[symbol]);
+        if (missing.length > 0) {
+            throw new Error(`Price not available for: ${missing.join(', ')}`);
+        }
+
+        const positions = this.valueAllocations(current, priceMap);
+        const due = this.isRebalanceDue({
+            policy: portfolio.rebalancePolicy,
+            thresholdPercent: portfolio.rebalanceThresholdPercent !== null ? parseFloat(portfolio.rebalanceThresholdPercent) : null,
+            lastRebalancedAt: portfolio.lastRebalancedAt || portfolio.createdAt
+        }, positions, now);
+
+        if (!due) {
+            return false;
+        }
+
+        const totalSats = positions.reduce((sum, position) => sum + position.value_sats, 0);
+        const target = this.splitValue(current, totalSats, priceMap);
+
+        await this.prisma.$transaction(async (tx) => {
+            // Claim the rebalance so overlapping runs can't write the same snapshot twice
+            const { count } = await tx.setForgetPortfolio.updateMany({
+                where: { id: portfolio.id, lastRebalancedAt: portfolio.lastRebalancedAt },
+                data: { lastRebalancedAt: now }
+            });
+            if (count === 0) {
+                return;
+            }
+
+            await tx.set_forget_allocations.createMany({
+                data: target.map(allocation => ({
+                    portfolio_id: portfolio.id,
+                    asset_symbol: allocation.asset_symbol,
+                    allocation_percentage: allocation.allocation_percentage,
+                    btc_amount: BigInt(allocation.btc_amount),
+                    asset_amount: BigInt(allocation.asset_amount),
+                    purchase_price_usd: priceMap[allocation.asset_symbol],
+                    btc_price_usd: priceMap.BTC,
+                    snapshot: snapshot + 1
+                }))
+            });
+        });
+
+        return true;
+    }
+}
+
+module.exports = SetForgetRebalanceService;
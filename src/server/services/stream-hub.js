@@ -0,0 +1,132 @@
+const priceEvents = require('./price-events');
+const portfolioEvents = require('./portfolio-events');
+
+/**
+ * Server-sent events channel for live prices and portfolio changes
+ *
+ * Every client gets 'prices' events when the price cache refreshes; updates arriving close
+ * together are sent as one batch. Signed-in clients also get 'portfolio' events for their own
+ * portfolios after trades, filled orders and rebuilds. A signed-in stream is closed when its
+ * access token expires so the client reconnects with a fresh one - revoked sessions drop off.
+ */
+class StreamHub {
+    constructor(options = {}) {
+        this.batchMs = options.batchMs || 1000;
+        this.heartbeatMs = options.heartbeatMs || 25000;
+        this.clients = new Set();
+        this.pendingPrices = new Map();
+        this.batchTimer = null;
+        this.heartbeatTimer = null;
+        this.onPriceUpdated = this.onPriceUpdated.bind(this);
+        this.onPortfolioChanged = this.onPortfolioChanged.bind(this);
+    }
+
+    start() {
+        priceEvents.on('price:updated', this.onPriceUpdated);
+        portfolioEvents.on('portfolio:changed', this.onPortfolioChanged);
+
+        // Comment lines keep proxies from closing idle connections
+        this.heartbeatTimer = setInterval(() => {
+            this.clients.forEach(client => client.res.write(': ping\n\n'));
+        }, this.heartbeatMs);
+
+        console.log('📡 Stream hub broadcasting price and portfolio updates');
+    }
+
+    stop() {
+        priceEvents.off('price:updated', this.onPriceUpdated);
+        portfolioEvents.off('portfolio:changed', this.onPortfolioChanged);
+
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.batchTimer);
+        this.heartbeatTimer = null;
+        this.batchTimer = null;
+
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+
+    /**
+     * Turn a request into an event stream
+     * @param {Request} req - Express request; req.user is set for signed-in clients
+     * @param {Response} res - Express response, kept open
+     */
+    subscribe(req, res) {
+        // Streams stay open - lift the request timeout set for ordinary requests
+        req.setTimeout(0);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const client = {
+            res,
+            // An admin viewing as a user follows that user's portfolio
+            userId: req.user ? req.user.userId : null,
+            expiryTimer: null
+        };
+
+        if (req.user && req.user.exp) {
+            client.expiryTimer = setTimeout(() => res.end(), Math.max(req.user.exp * 1000 - Date.now(), 0));
+        }
+
+        this.clients.add(client);
+        req.on('close', () => {
+            clearTimeout(client.expiryTimer);
+            this.clients.delete(client);
+        });
+
+        res.write('retry: 5000\n\n');
+        this.send(client, 'ready', { authenticated: Boolean(req.user), connectedAt: new Date() });
+    }
+
+    onPriceUpdated({ symbol, priceUsd, source, updatedAt }) {
+        this.pendingPrices.set(symbol, { usd: priceUsd, source, lastUpdated: updatedAt });
+
+        if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => this.flushPrices(), this.batchMs);
+        }
+    }
+
+    flushPrices() {
+        this.batchTimer = null;
+        if (this.pendingPrices.size === 0) {
+            return;
+        }
+
+        const prices = Object.fromEntries(this.pendingPrices);
+        this.pendingPrices.clear();
+
+        this.clients.forEach(client => this.send(client, 'prices', { prices }));
+    }
+
+    onPortfolioChanged(change) {
+        this.clients.forEach(client => {
+            if (client.userId === change.userId) {
+                this.send(client, 'portfolio', change);
+            }
+        });
+    }
+
+    send(client, event, data) {
+        client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+let sharedHub = null;
+
+/**
+ * Get the process-wide hub that the stream route and the server lifecycle share
+ * @returns {StreamHub}
+ */
+function getStreamHub() {
+    if (!sharedHub) {
+        sharedHub = new StreamHub();
+    }
+    return sharedHub;
+}
+
+module.exports = { StreamHub, getStreamHub };
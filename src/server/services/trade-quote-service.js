@@ -0,0 +1,184 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const BaseService = require('./base-service');
+const TradeService = require('./trade-service');
+const PortfolioService = require('./portfolio-service');
+const AchievementService = require('./achievement-service');
+const portfolioEvents = require('./portfolio-events');
+const { getLockPolicy } = require('./lock-policy');
+const {
+    BusinessRuleError,
+    ConflictError,
+    NotFoundError,
+    QuoteExpiredError,
+    ServiceUnavailableError,
+    ValidationError
+} = require('../utils/error-handlers');
+const { BUSINESS_RULES } = require('../utils/constants');
+
+// Keeps quote tokens apart from access tokens signed with the same secret
+const QUOTE_AUDIENCE = 'trade-quote';
+
+/**
+ * Quote-then-confirm trades
+ *
+ * A preview fixes the amounts of a trade at current prices and returns them as a short-lived signed
+ * quote; executing the quote trades exactly those amounts, however prices moved in between (less any
+ * early-exit penalty for selling locked lots, see lock-policy.js). Quotes are not stored: the token
+ * carries the trade, and its id is recorded on the trade so each quote executes at most once.
+ */
+class TradeQuoteService extends BaseService {
+    constructor() {
+        super();
+        this.tradeService = new TradeService();
+        this.portfolioService = new PortfolioService();
+        this.achievementService = new AchievementService();
+    }
+
+    getQuoteTtlSeconds() {
+        return parseInt(process.env.TRADE_QUOTE_TTL_SECONDS, 10) || BUSINESS_RULES.TRADE_QUOTE_TTL_SECONDS;
+    }
+
+    /**
+     * Price a trade and sign its amounts
+     * @param {number} userId - User ID
+     * @param {Object} trade - { fromAsset, toAsset, amount, unit, portfolioId }
+     * @returns {Promise<Object>} Quote with quoteId, expiresAt, amounts and prices
+     */
+    async createQuote(userId, { fromAsset, toAsset, amount, unit, portfolioId = null }) {
+        try {
+            await this.validateUser(userId);
+
+            const amountInSats = this.tradeService.convertToSats(amount, unit);
+            if (amountInSats <= 0) {
+                throw new Error('Amount must be positive');
+            }
+
+            const portfolio = await this.portfolioService.resolvePortfolio(userId, portfolioId);
+            const lockedAmount = await this.tradeService.validateTradeRequirements(this.prisma, userId, fromAsset, amountInSats, portfolio.id);
+            const priceQuotes = await this.tradeService.getPriceQuotes([fromAsset, toAsset]);
+            const assetPrices = this.tradeService.toAssetPrices(priceQuotes);
+            const toAmount = this.tradeService.calculateTradeAmount(fromAsset, toAsset, amountInSats, assetPrices);
+            const assetSymbol = toAsset === 'BTC' ? fromAsset : toAsset;
+
+            const ttlSeconds = this.getQuoteTtlSeconds();
+            const quoteId = crypto.randomUUID();
+            const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+            const token = jwt.sign(
+                {
+                    userId: parseInt(userId),
+                    portfolioId: portfolio.id,
+                    fromAsset,
+                    toAsset,
+                    fromAmount: amountInSats,
+                    toAmount,
+                    prices: { BTC: assetPrices.BTC, [assetSymbol]: assetPrices[assetSymbol] },
+                    sources: {
+                        BTC: { source: priceQuotes.BTC.source, updatedAt: priceQuotes.BTC.updatedAt },
+                        [assetSymbol]: { source: priceQuotes[assetSymbol].source, updatedAt: priceQuotes[assetSymbol].updatedAt }
+                    }
+                },
+                process.env.JWT_SECRET,
+                { expiresIn: ttlSeconds, audience: QUOTE_AUDIENCE, jwtid: quoteId }
+            );
+
+            return {
+                quoteId: token,
+                expiresAt,
+                expiresInSeconds: ttlSeconds,
+                fromAsset,
+                toAsset,
+                fromAmount: amountInSats,
+                toAmount,
+                // Estimate - the penalty is worked out again on execution, when locks may have ended
+                earlyExitPenaltySats: getLockPolicy().earlyExitPenalty(toAmount, amountInSats, lockedAmount),
+                btcPrice: assetPrices.BTC,
+                assetPrice: assetPrices[assetSymbol]
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ServiceUnavailableError || error instanceof BusinessRuleError) {
+                throw error;
+            }
+            await this.handleServiceError(error, 'createQuote');
+        }
+    }
+
+    /**
+     * Execute a quoted trade at its quoted amounts
+     * @param {number} userId - User ID
+     * @param {string} quoteToken - quoteId returned by createQuote
+     * @returns {Promise<Object>} Same shape as TradeService.executeTrade
+     * @throws {QuoteExpiredError} If the quote's time ran out
+     * @throws {ConflictError} If the quote was already executed
+     */
+    async executeQuote(userId, quoteToken) {
+        try {
+            await this.validateUser(userId);
+            const quote = this.verifyQuote(quoteToken, userId);
+
+            const result = await this.prisma.$transaction(async (tx) => {
+                const executed = await tx.trade.findUnique({ where: { quoteId: quote.jti }, select: { id: true } });
+                if (executed) {
+                    throw new ConflictError('Quote has already been executed');
+                }
+
+                return this.tradeService.executeTradeWithPrices(tx, userId, {
+                    fromAsset: quote.fromAsset,
+                    toAsset: quote.toAsset,
+                    amountInSats: quote.fromAmount,
+                    toAmount: quote.toAmount,
+                    quoteId: quote.jti,
+                    portfolioId: quote.portfolioId
+                }, quote.prices, quote.sources);
+            });
+
+            portfolioEvents.emit('portfolio:changed', {
+                userId: result.trade.userId,
+                portfolioId: result.trade.portfolioId,
+                reason: 'trade',
+                tradeId: result.trade.id,
+                changedAt: new Date()
+            });
+
+            result.newAchievements = await this.achievementService.evaluateForEvent(userId, 'trade');
+
+            return result;
+        } catch (error) {
+            // Two confirms of the same quote racing: the unique quote_id rejects the second
+            if (error.code === 'P2002') {
+                throw new ConflictError('Quote has already been executed');
+            }
+            if (error instanceof NotFoundError || error instanceof QuoteExpiredError ||
+                error instanceof ConflictError || error instanceof ValidationError || error instanceof BusinessRuleError) {
+                throw error;
+            }
+            await this.handleServiceError(error, 'executeQuote');
+        }
+    }
+
+    /**
+     * @returns {Object} The signed quote
+     * @throws {QuoteExpiredError} If the token is past its expiry
+     * @throws {ValidationError} If the token is forged or belongs to another user
+     */
+    verifyQuote(quoteToken, userId) {
+        let quote;
+        try {
+            quote = jwt.verify(String(quoteToken || ''), process.env.JWT_SECRET, { audience: QUOTE_AUDIENCE });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new QuoteExpiredError();
+            }
+            throw new ValidationError('Invalid trade quote');
+        }
+
+        if (quote.userId !== parseInt(userId)) {
+            throw new ValidationError('Invalid trade quote');
+        }
+
+        return quote;
+    }
+}
+
+module.exports = TradeQuoteService;
@@ -1,11 +1,22 @@
 const BaseService = require('./base-service');
+const AchievementService = require('./achievement-service');
+const PortfolioService = require('./portfolio-service');
+const portfolioEvents = require('./portfolio-events');
+const { getLockPolicy } = require('./lock-policy');
+const { NotFoundError, ServiceUnavailableError, BusinessRuleError } = require('../utils/error-handlers');
+const { BUSINESS_RULES } = require('../utils/constants');
+const { getMarketSession, MARKET_SESSIONS } = require('../utils/market-hours');
+
+const MINUTE_MS = 60 * 1000;
 
 class TradeService extends BaseService {
     constructor() {
         super();
+        this.achievementService = new AchievementService();
+        this.portfolioService = new PortfolioService();
     }
 
-    async executeTrade(userId, { fromAsset, toAsset, amount, unit }) {
+    async executeTrade(userId, { fromAsset, toAsset, amount, unit, portfolioId = null }) {
         try {
             await this.validateUser(userId);
 
@@ -20,66 +31,109 @@ class TradeService extends BaseService {
                 throw new Error('Amount must be positive');
             }
 
-            const result = await this.prisma.$transaction(async (tx) => {
-                // Get current prices
-                const assetPrices = await this.getAssetPrices(tx, [sanitizedData.fromAsset, sanitizedData.toAsset]);
-
-                // Validate trade requirements
-                await this.validateTradeRequirements(tx, userId, sanitizedData.fromAsset, amountInSats);
+            // Get current prices, re-quoting any that are too old - before the transaction, since
+            // re-quoting waits on the price providers
+            const priceQuotes = await this.getPriceQuotes([sanitizedData.fromAsset, sanitizedData.toAsset]);
 
-                // Calculate trade amounts
-                const toAmount = this.calculateTradeAmount(
-                    sanitizedData.fromAsset,
-                    sanitizedData.toAsset,
-                    amountInSats,
-                    assetPrices
-                );
+            const result = await this.prisma.$transaction(async (tx) => {
+                const portfolio = await this.portfolioService.resolvePortfolio(userId, portfolioId, tx);
 
-                // Execute the trade
-                await this.executeTradeOperations(tx, userId, {
+                return this.executeTradeWithPrices(tx, userId, {
                     fromAsset: sanitizedData.fromAsset,
                     toAsset: sanitizedData.toAsset,
-                    fromAmount: amountInSats,
-                    toAmount,
-                    assetPrices
-                });
+                    amountInSats,
+                    portfolioId: portfolio.id
+                }, this.toAssetPrices(priceQuotes), priceQuotes);
+            });
 
-                // Record the trade
-                const trade = await this.recordTrade(tx, userId, {
-                    fromAsset: sanitizedData.fromAsset,
-                    toAsset: sanitizedData.toAsset,
-                    fromAmount: amountInSats,
-                    toAmount,
-                    assetPrices
-                });
-
-                return {
-                    trade,
-                    fromAmount: amountInSats,
-                    toAmount,
-                    btcPrice: assetPrices['BTC'],
-                    assetPrice: assetPrices[sanitizedData.toAsset === 'BTC' ? sanitizedData.fromAsset : sanitizedData.toAsset]
-                };
+            portfolioEvents.emit('portfolio:changed', {
+                userId: result.trade.userId,
+                portfolioId: result.trade.portfolioId,
+                reason: 'trade',
+                tradeId: result.trade.id,
+                changedAt: new Date()
             });
 
+            result.newAchievements = await this.achievementService.evaluateForEvent(userId, 'trade');
+
             return result;
         } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ServiceUnavailableError || error instanceof BusinessRuleError) {
+                throw error;
+            }
             await this.handleServiceError(error, 'executeTrade');
         }
     }
 
-    async getTradeHistory(userId, limit = 50) {
+    /**
+     * Validate, apply and record a trade inside an open transaction at the given prices
+     * Shared by market trades and by pending orders filled by the order matcher
+     * @param {Object} tx - Prisma transaction client
+     * @param {number} userId - User ID
+     * @param {Object} trade - { fromAsset, toAsset, amountInSats, portfolioId }, plus toAmount and quoteId
+     *   when executing a quote whose amounts were fixed at preview
+     * @param {Object} assetPrices - Map of symbol -> USD price (must include BTC)
+     * @param {Object} priceQuotes - Map of symbol -> { source, updatedAt }, recorded on the trade
+     * @returns {Promise<Object>} Recorded trade with amounts, prices and any early-exit penalty
+     */
+    async executeTradeWithPrices(tx, userId, { fromAsset, toAsset, amountInSats, portfolioId, toAmount: quotedAmount = null, quoteId = null }, assetPrices, priceQuotes = {}) {
+        // Validate trade requirements
+        const lockedAmount = await this.validateTradeRequirements(tx, userId, fromAsset, amountInSats, portfolioId);
+
+        // Calculate trade amounts - selling locked lots early forfeits part of the proceeds
+        const grossAmount = quotedAmount ?? this.calculateTradeAmount(fromAsset, toAsset, amountInSats, assetPrices);
+        const earlyExitPenaltySats = getLockPolicy().earlyExitPenalty(grossAmount, amountInSats, lockedAmount);
+        const toAmount = grossAmount - earlyExitPenaltySats;
+
+        // Execute the trade
+        await this.executeTradeOperations(tx, userId, {
+            fromAsset,
+            toAsset,
+            fromAmount: amountInSats,
+            toAmount,
+            assetPrices,
+            portfolioId
+        });
+
+        // Record the trade
+        const trade = await this.recordTrade(tx, userId, {
+            fromAsset,
+            toAsset,
+            fromAmount: amountInSats,
+            toAmount,
+            assetPrices,
+            priceQuotes,
+            quoteId,
+            earlyExitPenaltySats,
+            portfolioId
+        });
+
+        return {
+            trade,
+            fromAmount: amountInSats,
+            toAmount,
+            earlyExitPenaltySats,
+            btcPrice: assetPrices['BTC'],
+            assetPrice: assetPrices[toAsset === 'BTC' ? fromAsset : toAsset]
+        };
+    }
+
+    async getTradeHistory(userId, limit = 50, portfolioId = null) {
         try {
             await this.validateUser(userId);
+            const portfolio = await this.portfolioService.resolvePortfolio(userId, portfolioId);
 
             const trades = await this.prisma.trade.findMany({
-                where: { userId: parseInt(userId) },
+                where: { userId: parseInt(userId), portfolioId: portfolio.id },
                 orderBy: { createdAt: 'desc' },
                 take: limit
             });
 
             return trades;
         } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
             await this.handleServiceError(error, 'getTradeHistory');
         }
     }
@@ -107,56 +161,133 @@ class TradeService extends BaseService {
         }
     }
 
-    async getAssetPrices(tx, symbols) {
-        // Try database cache first
-        const assets = await tx.asset.findMany({
-            where: { symbol: { in: symbols } }
+    /**
+     * Current prices for a trade, each with the time and provider it was quoted at
+     * Cached prices older than the max age are re-quoted first, so a trade never executes on a
+     * price the cache has been holding for hours (a closed market's price the refresher keeps
+     * current stays usable, see isQuoteFresh). Call it before opening the trade's transaction:
+     * a re-quote waits on the price providers, far longer than a transaction should stay open.
+     * @param {string[]} symbols - Symbols the trade needs; BTC is always included
+     * @returns {Promise<Object>} Map of symbol -> { priceUsd, source, updatedAt }
+     * @throws {ServiceUnavailableError} If a stale price could not be re-quoted
+     */
+    async getPriceQuotes(symbols) {
+        const required = [...new Set(['BTC', ...symbols])];
+        const maxAgeMs = this.getPriceMaxAgeSeconds() * 1000;
+
+        const assets = await this.prisma.asset.findMany({
+            where: { symbol: { in: required } }
         });
 
-        const assetPrices = {};
+        const priceQuotes = {};
         assets.forEach(asset => {
             const price = parseFloat(asset.currentPriceUsd);
             if (!isNaN(price)) {
-                assetPrices[asset.symbol] = price;
+                priceQuotes[asset.symbol] = { priceUsd: price, source: asset.source, updatedAt: asset.lastUpdated };
             }
         });
 
-        // If any price missing, fetch on-demand and cache
-        const missing = symbols.filter(sym => assetPrices[sym] === undefined || assetPrices[sym] === null);
-        if (missing.length > 0) {
-            try {
-                const PriceCacheService = require('./price-cache-service');
-                const priceCache = new PriceCacheService();
-                const fetched = await priceCache.getPrices(missing);
-
-                // Merge fetched prices
-                Object.entries(fetched).forEach(([sym, price]) => {
-                    if (typeof price === 'number' && !isNaN(price)) {
-                        assetPrices[sym] = price;
-                    }
-                });
-            } catch (e) {
-                // Non-fatal; will validate below
-                console.warn('Price fetch fallback failed:', e.message);
+        // Missing or too old - ask the provider now
+        const outdated = required.filter(symbol => !this.isQuoteFresh(priceQuotes[symbol], maxAgeMs, symbol));
+        if (outdated.length > 0) {
+            // Required here to avoid a load-time cycle through the price services
+            const PriceCacheService = require('./price-cache-service');
+            const priceCache = new PriceCacheService();
+
+            for (const symbol of outdated) {
+                const quote = await priceCache.fetchQuote(symbol);
+                if (quote) {
+                    await priceCache.cachePrice(symbol, quote.priceUsd, quote.source);
+                    priceQuotes[symbol] = { priceUsd: quote.priceUsd, source: quote.source, updatedAt: quote.fetchedAt };
+                }
             }
         }
 
-        // Validate presence of BTC and all required symbols
-        const btcPrice = assetPrices['BTC'];
-        const requiredPrices = symbols.every(symbol => typeof assetPrices[symbol] === 'number' && !isNaN(assetPrices[symbol]));
-
-        if (!btcPrice || !requiredPrices) {
+        if (required.some(symbol => !priceQuotes[symbol])) {
             throw new Error('Asset prices not available');
         }
 
-        return assetPrices;
+        const stale = required.filter(symbol => !this.isQuoteFresh(priceQuotes[symbol], maxAgeMs, symbol));
+        if (stale.length > 0) {
+            throw new ServiceUnavailableError(`Price for ${stale.join(', ')} is out of date and could not be refreshed. Please try again shortly.`);
+        }
+
+        return priceQuotes;
     }
 
-    async validateTradeRequirements(tx, userId, fromAsset, amountInSats) {
+    /**
+     * Current USD prices for a trade (see getPriceQuotes)
+     * @param {string[]} symbols - Symbols the trade needs
+     * @returns {Promise<Object>} Map of symbol -> USD price
+     */
+    async getAssetPrices(symbols) {
+        const priceQuotes = await this.getPriceQuotes(symbols);
+        return this.toAssetPrices(priceQuotes);
+    }
+
+    toAssetPrices(priceQuotes) {
+        return Object.fromEntries(Object.entries(priceQuotes).map(([symbol, quote]) => [symbol, quote.priceUsd]));
+    }
+
+    /**
+     * Oldest price a trade may execute at, in seconds
+     * @returns {number}
+     */
+    getPriceMaxAgeSeconds() {
+        return parseInt(process.env.TRADE_PRICE_MAX_AGE_SECONDS, 10) || BUSINESS_RULES.TRADE_PRICE_MAX_AGE_SECONDS;
+    }
+
+    /**
+     * Whether a cached price is recent enough to trade at
+     * @param {Object} quote - { updatedAt }
+     * @param {number} maxAgeMs - Oldest price allowed while the market moves
+     * @param {string} [symbol] - Symbol quoted; lets a closed market's price count as fresh for longer
+     * @param {Date} [now]
+     * @returns {boolean}
+     */
+    isQuoteFresh(quote, maxAgeMs, symbol = null, now = new Date()) {
+        if (!quote || !quote.updatedAt) {
+            return false;
+        }
+
+        const updatedAt = new Date(quote.updatedAt);
+        return now.getTime() - updatedAt.getTime() <= Math.max(maxAgeMs, this.getClosedMarketMaxAgeMs(symbol, updatedAt, now));
+    }
+
+    /**
+     * How old a price may be when it was quoted after its market closed and the refresher keeps it
+     * current - it re-quotes closed markets only every PRICE_REFRESH.CLOSED_MARKET_MINUTES, the same
+     * trust PriceCacheService.getCachedPrice gives it
+     * @returns {number} Milliseconds, 0 when the usual max age applies
+     */
+    getClosedMarketMaxAgeMs(symbol, updatedAt, now) {
+        if (!symbol || getMarketSession(symbol, now) !== MARKET_SESSIONS.CLOSED ||
+            getMarketSession(symbol, updatedAt) !== MARKET_SESSIONS.CLOSED) {
+            return 0;
+        }
+
+        // Required here: the refresher builds on the price services that load this one
+        const { getPriceRefresher } = require('./price-refresher');
+        const refresher = getPriceRefresher();
+        if (!refresher.refreshes(symbol)) {
+            return 0;
+        }
+
+        // One refresh interval, plus the tick it can take the refresher to notice the symbol is due
+        return refresher.intervalMinutes(symbol, now) * MINUTE_MS + refresher.tickMs;
+    }
+
+    /**
+     * Check the portfolio can make this trade - enough balance, and for a sale enough unlocked lots
+     * @returns {Promise<number>} Part of the sale drawn from locked lots (early exit), 0 otherwise
+     * @throws {BusinessRuleError} If the sale needs locked lots and the lock policy forbids early exit
+     */
+    async validateTradeRequirements(tx, userId, fromAsset, amountInSats, portfolioId) {
         // Check user has enough of fromAsset
         const holding = await tx.holding.findFirst({
             where: {
                 userId: parseInt(userId),
+                portfolioId,
                 assetSymbol: fromAsset
             }
         });
@@ -169,25 +300,13 @@ class TradeService extends BaseService {
             throw new Error(`Insufficient ${fromAsset} balance`);
         }
 
-        // Check if asset is locked (for non-BTC assets)
-        if (fromAsset !== 'BTC') {
-            const lockedPurchases = await tx.$queryRaw`
-                SELECT SUM(amount) as locked_amount
-                FROM purchases
-                WHERE user_id = ${parseInt(userId)}
-                  AND asset_symbol = ${fromAsset}
-                  AND locked_until > NOW()
-            `;
-
-            const lockedAmount = BigInt(lockedPurchases[0]?.locked_amount || 0);
-
-            if (lockedAmount > 0 && BigInt(amountInSats) > (BigInt(holding.amount) - lockedAmount)) {
-                const availableAmount = Number(BigInt(holding.amount) - lockedAmount) / 100000000;
-                throw new Error(`Asset is locked. Available: ${availableAmount}`);
-            }
+        // BTC never locks; other assets are checked against their purchase lots
+        if (fromAsset === 'BTC') {
+            return 0;
         }
 
-        return holding;
+        const lots = await this.portfolioService.getAssetLots(userId, portfolioId, { assetSymbol: fromAsset, db: tx });
+        return getLockPolicy().checkSale(holding.amount, lots.get(fromAsset) || [], amountInSats);
     }
 
     calculateTradeAmount(fromAsset, toAsset, amountInSats, assetPrices) {
@@ -220,11 +339,12 @@ class TradeService extends BaseService {
         return toAmount;
     }
 
-    async executeTradeOperations(tx, userId, { fromAsset, toAsset, fromAmount, toAmount, assetPrices }) {
+    async executeTradeOperations(tx, userId, { fromAsset, toAsset, fromAmount, toAmount, assetPrices, portfolioId }) {
         // Update fromAsset holding
         await tx.holding.updateMany({
             where: {
                 userId: parseInt(userId),
+                portfolioId,
                 assetSymbol: fromAsset
             },
             data: {
@@ -235,10 +355,11 @@ class TradeService extends BaseService {
         // Handle toAsset holding
         if (toAsset === 'BTC') {
             // Adding to BTC (no lock)
-            await this.updateOrCreateBtcHolding(tx, userId, toAmount);
+            await this.updateOrCreateBtcHolding(tx, userId, toAmount, portfolioId);
         } else {
-            // Buying non-BTC asset (with 24-hour lock)
+            // Buying non-BTC asset (locked as the lock policy says)
             await this.createAssetPurchase(tx, userId, {
+                portfolioId,
                 assetSymbol: toAsset,
                 amount: toAmount,
                 btcSpent: fromAmount,
@@ -246,14 +367,15 @@ class TradeService extends BaseService {
                 btcPriceUsd: assetPrices['BTC']
             });
 
-            await this.updateOrCreateAssetHolding(tx, userId, toAsset, toAmount);
+            await this.updateOrCreateAssetHolding(tx, userId, toAsset, toAmount, portfolioId);
         }
     }
 
-    async updateOrCreateBtcHolding(tx, userId, amount) {
+    async updateOrCreateBtcHolding(tx, userId, amount, portfolioId) {
         const btcHolding = await tx.holding.findFirst({
             where: {
                 userId: parseInt(userId),
+                portfolioId,
                 assetSymbol: 'BTC'
             }
         });
@@ -267,6 +389,7 @@ class TradeService extends BaseService {
             await tx.holding.create({
                 data: {
                     userId: parseInt(userId),
+                    portfolioId,
                     assetSymbol: 'BTC',
                     amount: BigInt(amount)
                 }
@@ -274,12 +397,13 @@ class TradeService extends BaseService {
         }
     }
 
-    async createAssetPurchase(tx, userId, { assetSymbol, amount, btcSpent, purchasePriceUsd, btcPriceUsd }) {
-        const lockUntil = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    async createAssetPurchase(tx, userId, { portfolioId, assetSymbol, amount, btcSpent, purchasePriceUsd, btcPriceUsd }) {
+        const lockUntil = getLockPolicy().lockedUntil(assetSymbol);
 
         await tx.purchase.create({
             data: {
                 userId: parseInt(userId),
+                portfolioId,
                 assetSymbol,
                 amount: BigInt(amount),
                 btcSpent: BigInt(btcSpent),
@@ -290,10 +414,11 @@ class TradeService extends BaseService {
         });
     }
 
-    async updateOrCreateAssetHolding(tx, userId, assetSymbol, amount) {
+    async updateOrCreateAssetHolding(tx, userId, assetSymbol, amount, portfolioId) {
         const holding = await tx.holding.findFirst({
             where: {
                 userId: parseInt(userId),
+                portfolioId,
                 assetSymbol
             }
         });
@@ -307,6 +432,7 @@ class TradeService extends BaseService {
             await tx.holding.create({
                 data: {
                     userId: parseInt(userId),
+                    portfolioId,
                     assetSymbol,
                     amount: BigInt(amount)
                 }
@@ -314,55 +440,60 @@ class TradeService extends BaseService {
         }
     }
 
-    async recordTrade(tx, userId, { fromAsset, toAsset, fromAmount, toAmount, assetPrices }) {
+    async recordTrade(tx, userId, { fromAsset, toAsset, fromAmount, toAmount, assetPrices, priceQuotes = {}, quoteId = null, earlyExitPenaltySats = 0, portfolioId }) {
+        const assetSymbol = toAsset === 'BTC' ? fromAsset : toAsset;
+
         return await tx.trade.create({
             data: {
                 userId: parseInt(userId),
+                portfolioId,
                 fromAsset,
                 toAsset,
                 fromAmount: BigInt(fromAmount),
                 toAmount: BigInt(toAmount),
                 btcPriceUsd: assetPrices['BTC'],
-                assetPriceUsd: assetPrices[toAsset === 'BTC' ? fromAsset : toAsset]
+                assetPriceUsd: assetPrices[assetSymbol],
+                // Provenance, so a trade can be audited against the price it executed at
+                btcPriceSource: priceQuotes.BTC?.source || null,
+                btcPriceAt: priceQuotes.BTC?.updatedAt || null,
+                assetPriceSource: priceQuotes[assetSymbol]?.source || null,
+                assetPriceAt: priceQuotes[assetSymbol]?.updatedAt || null,
+                quoteId,
+                earlyExitPenaltySats: BigInt(earlyExitPenaltySats)
             }
         });
     }
 
-    async getAssetLockInfo(userId, assetSymbol) {
+    /**
+     * Lock state of one asset in a portfolio, from its purchase lots
+     * @returns {Promise<Object>} Amounts, the locked lots with their unlock times, and the policy that applies
+     */
+    async getAssetLockInfo(userId, assetSymbol, portfolioId = null) {
         try {
             await this.validateUser(userId);
-
-            const lockInfo = await this.prisma.$queryRaw`
-                SELECT
-                    SUM(amount) as locked_amount,
-                    COUNT(*) as locked_purchases,
-                    MIN(locked_until) as earliest_unlock,
-                    MAX(locked_until) as latest_unlock
-                FROM purchases
-                WHERE user_id = ${parseInt(userId)}
-                  AND asset_symbol = ${assetSymbol}
-                  AND locked_until > NOW()
-            `;
+            const portfolio = await this.portfolioService.resolvePortfolio(userId, portfolioId);
 
             const totalHolding = await this.prisma.holding.findFirst({
                 where: {
                     userId: parseInt(userId),
+                    portfolioId: portfolio.id,
                     assetSymbol
                 },
                 select: { amount: true }
             });
 
+            const lots = await this.portfolioService.getAssetLots(userId, portfolio.id, { assetSymbol });
+            const lockInfo = getLockPolicy().summarize(totalHolding ? totalHolding.amount : 0, lots.get(assetSymbol) || []);
+
             return {
-                lockedAmount: parseInt(lockInfo[0]?.locked_amount || 0),
-                lockedPurchases: parseInt(lockInfo[0]?.locked_purchases || 0),
-                earliestUnlock: lockInfo[0]?.earliest_unlock,
-                latestUnlock: lockInfo[0]?.latest_unlock,
-                totalAmount: totalHolding ? Number(totalHolding.amount) : 0,
-                availableAmount: totalHolding
-                    ? Number(totalHolding.amount) - parseInt(lockInfo[0]?.locked_amount || 0)
-                    : 0
+                ...lockInfo,
+                lockedPurchases: lockInfo.lockedLots.length,
+                policy: getLockPolicy().describe(assetSymbol)
             };
         } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
             await this.handleServiceError(error, 'getAssetLockInfo');
         }
     }
@@ -0,0 +1,138 @@
+const BaseService = require('./base-service');
+const { BUSINESS_RULES, USER_ACTIVITY_TYPES } = require('../utils/constants');
+
+/**
+ * Login sessions and account activity
+ *
+ * Every verified magic link opens a session row carrying the IP address and user agent
+ * it was verified from. Activity events (registration, magic link requests and
+ * verifications) are kept alongside so admins can read a per-user timeline.
+ */
+class UserActivityService extends BaseService {
+    /**
+     * Record an activity event
+     * @param {number} userId - User ID
+     * @param {string} type - One of USER_ACTIVITY_TYPES
+     * @param {Object} context - { ipAddress, userAgent, sessionId, details }
+     * @param {Object} client - Prisma client or transaction
+     * @returns {Promise<Object>} Created activity row
+     */
+    recordActivity(userId, type, { ipAddress, userAgent, sessionId = null, details = null } = {}, client = this.prisma) {
+        return client.userActivity.create({
+            data: {
+                userId,
+                sessionId,
+                type,
+                ipAddress: this.truncate(ipAddress, 45),
+                userAgent: this.truncate(userAgent, 500),
+                details
+            }
+        });
+    }
+
+    /**
+     * Open a session for a successful login and stamp the user's last login
+     * @param {number} userId - User ID
+     * @param {Object} context - { ipAddress, userAgent }
+     * @param {Object} client - Prisma client or transaction
+     * @param {string} loginType - Activity recorded for the login (magic link or passkey)
+     * @returns {Promise<Object>} Created session row
+     */
+    async startSession(userId, { ipAddress, userAgent } = {}, client = this.prisma, loginType = USER_ACTIVITY_TYPES.MAGIC_LINK_VERIFIED) {
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + BUSINESS_RULES.SESSION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+        const session = await client.userSession.create({
+            data: {
+                userId,
+                ipAddress: this.truncate(ipAddress, 45),
+                userAgent: this.truncate(userAgent, 500),
+                expiresAt,
+                createdAt: now
+            }
+        });
+
+        await client.user.update({
+            where: { id: userId },
+            data: { lastLoginAt: now }
+        });
+
+        await this.recordActivity(userId, loginType, {
+            ipAddress,
+            userAgent,
+            sessionId: session.id
+        }, client);
+
+        return session;
+    }
+
+    /**
+     * Get a user's sessions and activity timeline, newest first
+     * @param {number} userId - User ID
+     * @param {number} limit - Max sessions and events to return
+     * @returns {Promise<Object>} { lastLoginAt, sessions, timeline }
+     */
+    async getUserActivity(userId, limit = BUSINESS_RULES.USER_ACTIVITY_TIMELINE_LIMIT) {
+        const user = await this.validateUser(userId);
+
+        const [sessions, activities, trades] = await Promise.all([
+            this.prisma.userSession.findMany({
+                where: { userId: user.id },
+                orderBy: { createdAt: 'desc' },
+                take: limit
+            }),
+            this.prisma.userActivity.findMany({
+                where: { userId: user.id },
+                orderBy: { createdAt: 'desc' },
+                take: limit
+            }),
+            this.prisma.trade.findMany({
+                where: { userId: user.id },
+                select: { id: true, fromAsset: true, toAsset: true, fromAmount: true, toAmount: true, createdAt: true },
+                orderBy: { createdAt: 'desc' },
+                take: limit
+            })
+        ]);
+
+        // Trades are part of the timeline too, so the admin sees what a session was used for
+        const timeline = [
+            ...activities.map(activity => ({
+                type: activity.type,
+                sessionId: activity.sessionId,
+                ipAddress: activity.ipAddress,
+                userAgent: activity.userAgent,
+                details: activity.details,
+                timestamp: activity.createdAt
+            })),
+            ...trades.map(trade => ({
+                type: 'trade',
+                sessionId: null,
+                ipAddress: null,
+                userAgent: null,
+                details: {
+                    tradeId: trade.id,
+                    fromAsset: trade.fromAsset,
+                    toAsset: trade.toAsset,
+                    fromAmount: trade.fromAmount.toString(),
+                    toAmount: trade.toAmount.toString()
+                },
+                timestamp: trade.createdAt
+            }))
+        ]
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+
+        return {
+            userId: user.id,
+            lastLoginAt: user.lastLoginAt,
+            sessions,
+            timeline
+        };
+    }
+
+    truncate(value, maxLength) {
+        return value ? String(value).slice(0, maxLength) : null;
+    }
+}
+
+module.exports = UserActivityService;
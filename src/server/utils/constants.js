@@ -90,13 +90,169 @@ const VALID_TIME_PERIODS = Object.values(TIME_PERIODS);
 
 // Business rules
 const BUSINESS_RULES = {
-    ASSET_LOCK_HOURS: 24, // Assets locked for 24 hours after purchase
+    ASSET_LOCK_HOURS: 24, // Assets locked for 24 hours after purchase unless the lock policy says otherwise
+    TRADE_PRICE_MAX_AGE_SECONDS: 300, // Older prices are re-quoted before a trade (override with TRADE_PRICE_MAX_AGE_SECONDS)
+    TRADE_QUOTE_TTL_SECONDS: 30, // How long a previewed trade can be confirmed at its quoted amounts (override with TRADE_QUOTE_TTL_SECONDS)
     MAGIC_LINK_EXPIRY_MINUTES: 15,
+    SESSION_EXPIRY_DAYS: 7, // Idle limit - every refresh pushes the session this far ahead
+    ACCESS_TOKEN_EXPIRY_MINUTES: 15, // Short-lived JWTs, renewed with the session's refresh token
+    REFRESH_TOKEN_REUSE_GRACE_SECONDS: 30, // Two tabs refreshing at once is not treated as theft
+    IMPERSONATION_EXPIRY_MINUTES: 30, // Read-only "view as user" tokens issued to admins
+    PASSKEY_CHALLENGE_EXPIRY_MINUTES: 5, // Time to complete a passkey prompt
+    MAX_PASSKEYS_PER_USER: 10,
     MAX_SEARCH_RESULTS: 20,
     MAX_BULK_PRICE_REQUEST: 50,
     MAX_TRADE_HISTORY_LIMIT: 1000,
     DEFAULT_TRADE_HISTORY_LIMIT: 50,
-    MAX_PORTFOLIO_LIMIT: 100
+    MAX_PORTFOLIO_LIMIT: 100,
+    MAX_PORTFOLIOS_PER_USER: 5, // Named paper portfolios, including the default one
+    DEFAULT_PORTFOLIO_NAME: 'Main',
+    MAX_DCA_PLANS_PER_USER: 20,
+    MIN_DCA_AMOUNT_SATS: 1000,
+    DEFAULT_REBALANCE_DRIFT_PERCENT: 5,
+    USER_ACTIVITY_TIMELINE_LIMIT: 50
+};
+
+// Background price refresher and the per-provider circuit breakers it trips
+const PRICE_REFRESH = {
+    TICK_SECONDS: 60, // how often the refresher looks for due symbols
+    CRYPTO_MINUTES: 1, // crypto trades around the clock
+    OPEN_MARKET_MINUTES: 2, // stocks and commodities while their market trades
+    CLOSED_MARKET_MINUTES: 60, // picks up late corrections to the closing price
+    MAX_BACKOFF_MINUTES: 60, // a failing symbol's interval doubles up to this
+    BREAKER_FAILURE_THRESHOLD: 3, // consecutive failures before a provider is skipped
+    BREAKER_COOLDOWN_SECONDS: 60, // doubles each time the trial request after a cooldown fails
+    BREAKER_MAX_COOLDOWN_SECONDS: 30 * 60
+};
+
+// Lock-up of purchased assets (see services/lock-policy.js). Env vars of the same name override each default
+const LOCK_POLICY = {
+    ASSET_LOCK_HOURS: BUSINESS_RULES.ASSET_LOCK_HOURS, // any asset without a more specific rule
+    ASSET_LOCK_HOURS_BY_CATEGORY: {}, // by ASSET_CATEGORIES category, e.g. { "Precious Metals": 72, "Cryptocurrency": 0 } (JSON in env)
+    ASSET_LOCK_EARLY_EXIT_PENALTY_PERCENT: null, // null: locked lots can't be sold; a number: they can, forfeiting this % of the proceeds
+    ASSET_LOCK_RELEASE: 'fifo' // which lots a sale draws from first - one of LOCK_RELEASE
+};
+
+// Order in which sales draw from purchase lots
+const LOCK_RELEASE = {
+    FIFO: 'fifo', // oldest lots first
+    LIFO: 'lifo' // newest lots first
+};
+
+// Pending (limit/stop) orders
+const ORDER_TYPES = {
+    LIMIT: 'limit',
+    STOP: 'stop'
+};
+
+const ORDER_SIDES = {
+    BUY: 'buy',
+    SELL: 'sell'
+};
+
+const ORDER_STATUS = {
+    OPEN: 'open',
+    FILLED: 'filled',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+};
+
+// Recurring DCA (dollar-cost averaging) plans
+const DCA_FREQUENCIES = {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly'
+};
+
+const DCA_RUN_STATUS = {
+    EXECUTED: 'executed',
+    SKIPPED: 'skipped', // balance too low when the installment was due
+    FAILED: 'failed'
+};
+
+// Set & Forget rebalancing policies
+const REBALANCE_POLICIES = {
+    NEVER: 'never',
+    QUARTERLY: 'quarterly',
+    YEARLY: 'yearly',
+    DRIFT: 'drift' // when any allocation drifts past a threshold from its target
+};
+
+// Account activity recorded for the admin user timeline
+const USER_ACTIVITY_TYPES = {
+    REGISTERED: 'registered',
+    MAGIC_LINK_REQUESTED: 'magic_link_requested',
+    MAGIC_LINK_VERIFIED: 'magic_link_verified', // a successful login - opens a session
+    PASSKEY_LOGIN: 'passkey_login', // a successful passkey login - opens a session
+    PASSKEY_REGISTERED: 'passkey_registered',
+    PASSKEY_REMOVED: 'passkey_removed',
+    DATA_EXPORTED: 'data_exported',
+    ACCOUNT_DELETION_REQUESTED: 'account_deletion_requested',
+    LOGGED_OUT: 'logged_out',
+    LOGGED_OUT_EVERYWHERE: 'logged_out_everywhere',
+    REFRESH_TOKEN_REUSED: 'refresh_token_reused' // an already rotated token came back - the session is revoked
+};
+
+// httpOnly cookie carrying the refresh token, only ever sent to the auth endpoints
+const REFRESH_TOKEN_COOKIE = {
+    NAME: 'refresh_token',
+    PATH: '/api/auth'
+};
+
+// What a magic link was issued for - login links cannot confirm a deletion and vice versa
+const MAGIC_LINK_PURPOSES = {
+    LOGIN: 'login',
+    DELETE_ACCOUNT: 'delete_account'
+};
+
+// Languages with UI translations (content/translations) and mail templates
+const SUPPORTED_LANGUAGES = ['en', 'bg'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Privileged actions recorded in admin_audit_log
+const ADMIN_AUDIT_ACTIONS = {
+    PROMOTE_USER: 'promote_user',
+    DEMOTE_USER: 'demote_user',
+    REPLY_SUGGESTION: 'reply_suggestion',
+    UPDATE_SUGGESTION_STATUS: 'update_suggestion_status',
+    UPDATE_PRICES: 'update_prices',
+    CREATE_COMPETITION: 'create_competition',
+    START_IMPERSONATION: 'start_impersonation',
+    END_IMPERSONATION: 'end_impersonation',
+    REBUILD_PORTFOLIOS: 'rebuild_portfolios'
+};
+
+// What an audited action changed - selects the before/after snapshot
+const ADMIN_AUDIT_TARGETS = {
+    USER: 'user',
+    SUGGESTION: 'suggestion',
+    PRICES: 'prices', // every stored asset price
+    COMPETITION: 'competition',
+    IMPERSONATION: 'impersonation',
+    HOLDINGS: 'holdings' // a user's holdings and purchase count per portfolio
+};
+
+// Database backup archives written by BackupService
+const BACKUP_ARCHIVE = {
+    FORMAT: 'bitcoin-game-backup',
+    VERSION: 1, // bump when the row encoding changes
+    FORMATS: ['json', 'ndjson'],
+    BATCH_SIZE: 500, // rows read or inserted per query
+    RESTORE_TIMEOUT_MS: 30 * 60 * 1000 // the whole restore runs in one transaction
+};
+
+// Trading competitions
+const COMPETITION_DURATIONS = {
+    '1m': 1, // months
+    '6m': 6
+};
+
+const COMPETITION_STATUS = {
+    UPCOMING: 'upcoming', // join window not open yet
+    OPEN: 'open', // accepting entries, trading not started
+    ACTIVE: 'active', // trading window running
+    ENDED: 'ended', // trading over, standings not frozen yet
+    FINISHED: 'finished' // final standings frozen
 };
 
 // HTTP status codes for consistent responses
@@ -180,6 +336,25 @@ module.exports = {
     TIME_PERIODS,
     VALID_TIME_PERIODS,
     BUSINESS_RULES,
+    PRICE_REFRESH,
+    LOCK_POLICY,
+    LOCK_RELEASE,
+    ORDER_TYPES,
+    ORDER_SIDES,
+    ORDER_STATUS,
+    DCA_FREQUENCIES,
+    DCA_RUN_STATUS,
+    REBALANCE_POLICIES,
+    USER_ACTIVITY_TYPES,
+    MAGIC_LINK_PURPOSES,
+    REFRESH_TOKEN_COOKIE,
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    ADMIN_AUDIT_ACTIONS,
+    ADMIN_AUDIT_TARGETS,
+    BACKUP_ARCHIVE,
+    COMPETITION_DURATIONS,
+    COMPETITION_STATUS,
     HTTP_STATUS,
     ERROR_MESSAGES,
     SUCCESS_MESSAGES,
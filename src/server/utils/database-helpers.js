@@ -6,7 +6,6 @@ const { Prisma } = require('@prisma/client');
 const prisma = require('../../config/database');
 const {
     DATABASE_LIMITS,
-    BUSINESS_RULES,
     BITCOIN_CONSTANTS
 } = require('./constants');
 const {
@@ -14,6 +13,7 @@ const {
     ValidationError,
     ConflictError
 } = require('./error-handlers');
+const { getLockPolicy } = require('../services/lock-policy');
 
 /**
  * Executes a function within a database transaction
@@ -298,7 +298,7 @@ async function getAssetPrices(symbols = null) {
  * @returns {Promise<Object>} Created purchase record
  */
 async function createPurchase(purchaseData) {
-    const lockUntil = new Date(Date.now() + (BUSINESS_RULES.ASSET_LOCK_HOURS * 60 * 60 * 1000));
+    const lockUntil = getLockPolicy().lockedUntil(purchaseData.assetSymbol);
 
     return await safeQuery(
         () => prisma.purchase.create({
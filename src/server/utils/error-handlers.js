@@ -68,6 +68,23 @@ class ServiceUnavailableError extends Error {
     }
 }
 
+class QuoteExpiredError extends Error {
+    constructor(message = 'Quote expired, please request a new quote') {
+        super(message);
+        this.name = 'QuoteExpiredError';
+        this.statusCode = HTTP_STATUS.CONFLICT;
+        this.code = 'QUOTE_EXPIRED'; // lets clients re-quote instead of showing a failure
+    }
+}
+
+class RefreshTokenRotatedError extends AuthenticationError {
+    constructor(message = 'Refresh token already used') {
+        super(message);
+        this.name = 'RefreshTokenRotatedError';
+        this.code = 'REFRESH_TOKEN_ROTATED'; // another tab refreshed first - its new cookie is already in the browser
+    }
+}
+
 /**
  * Determines the appropriate HTTP status code for an error
  * @param {Error} error - The error object
@@ -325,6 +342,8 @@ module.exports = {
     ConflictError,
     BusinessRuleError,
     ServiceUnavailableError,
+    QuoteExpiredError,
+    RefreshTokenRotatedError,
 
     // Error handling functions
     getErrorStatusCode,
@@ -0,0 +1,95 @@
+/**
+ * Market hours for the assets we price, in US Eastern time
+ *
+ * Stocks and ETFs (CPER included) follow NYSE regular hours. Gold, silver and oil are priced from
+ * CME futures, which trade from Sunday 18:00 to Friday 17:00 with a daily break at 17:00.
+ * Exchange holidays are not modelled - on those days an "open" market simply keeps its close.
+ */
+
+const { getAssetType } = require('../../config/assets');
+
+const MARKET_TIME_ZONE = 'America/New_York';
+
+// Priced from CME futures on Yahoo Finance (see price-providers/yahoo-provider.js)
+const FUTURES_SYMBOLS = ['XAU', 'XAG', 'WTI'];
+
+const MARKET_SESSIONS = {
+    ALWAYS: 'always', // never closes
+    OPEN: 'open',
+    CLOSED: 'closed'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const eastern = new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIME_ZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * Day of week and minutes since midnight in US Eastern time
+ * @param {Date} date
+ * @returns {{day:number,minutes:number}}
+ */
+function toEasternTime(date) {
+    const parts = Object.fromEntries(eastern.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        day: WEEKDAYS[parts.weekday],
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+function isStockMarketOpen({ day, minutes }) {
+    return day >= 1 && day <= 5 && minutes >= 9 * 60 + 30 && minutes < 16 * 60;
+}
+
+function isFuturesMarketOpen({ day, minutes }) {
+    const breakStart = 17 * 60;
+    const breakEnd = 18 * 60;
+
+    if (day === 6) {
+        return false;
+    }
+    if (day === 0) {
+        return minutes >= breakEnd;
+    }
+    if (day === 5) {
+        return minutes < breakStart;
+    }
+    return minutes < breakStart || minutes >= breakEnd;
+}
+
+/**
+ * Whether a symbol's market is trading
+ * @param {string} symbol - App symbol
+ * @param {Date} date - Moment to check (default now)
+ * @returns {string} One of MARKET_SESSIONS
+ */
+function getMarketSession(symbol, date = new Date()) {
+    if (getAssetType(symbol) === 'crypto') {
+        return MARKET_SESSIONS.ALWAYS;
+    }
+
+    const time = toEasternTime(date);
+    const open = FUTURES_SYMBOLS.includes(symbol) ? isFuturesMarketOpen(time) : isStockMarketOpen(time);
+
+    return open ? MARKET_SESSIONS.OPEN : MARKET_SESSIONS.CLOSED;
+}
+
+/**
+ * @param {string} symbol - App symbol
+ * @param {Date} date - Moment to check (default now)
+ * @returns {boolean} True while the symbol's price can move
+ */
+function isMarketOpen(symbol, date = new Date()) {
+    return getMarketSession(symbol, date) !== MARKET_SESSIONS.CLOSED;
+}
+
+module.exports = {
+    MARKET_SESSIONS,
+    getMarketSession,
+    isMarketOpen
+};
@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+import { buyAsset, readData, signIn } from './helpers/api.js';
+
+/**
+ * Account Data Tests
+ * Users download everything stored about them and delete their account through an emailed link
+ */
+
+function requestDeletion(request, auth) {
+  return request.delete('/api/users/me', { headers: auth.headers });
+}
+
+function confirmDeletion(request, auth, token) {
+  return request.delete('/api/users/me', { headers: auth.headers, data: { token } });
+}
+
+test.describe('Account Data Export', () => {
+  test('downloads the profile, portfolios and trades as a JSON file', async ({ request }) => {
+    const auth = await signIn(request);
+    await buyAsset(request, auth, 'XAU', 10000000);
+
+    const response = await request.get('/api/users/me/export', { headers: auth.headers });
+    expect(response.status()).toBe(200);
+    expect(response.headers()['content-disposition']).toMatch(new RegExp(`attachment; filename="[\\w-]+-${auth.user.id}-\\d{4}-\\d{2}-\\d{2}\\.json"`));
+
+    const bundle = await response.json();
+    expect(bundle.exportVersion).toBe(1);
+    expect(bundle.profile).toMatchObject({ id: auth.user.id, email: auth.email });
+    expect(bundle.portfolios).toHaveLength(1);
+    expect(bundle.portfolios[0].holdings.map(holding => holding.assetSymbol)).toEqual(['BTC', 'XAU']);
+    expect(bundle.trades).toHaveLength(1);
+    expect(bundle.trades[0].fromAmount).toBe('10000000');
+    expect(bundle.purchases).toHaveLength(1);
+    expect(bundle.passkeys).toEqual([]);
+  });
+
+  test('needs a signed-in user', async ({ request }) => {
+    expect((await request.get('/api/users/me/export')).status()).toBe(401);
+  });
+});
+
+test.describe('Account Deletion', () => {
+  test('deletes the account and everything it owns once the link is confirmed', async ({ request }) => {
+    const auth = await signIn(request);
+    await buyAsset(request, auth, 'XAG', 5000000);
+
+    const pending = await readData(await requestDeletion(request, auth), 202);
+    expect(pending.token, 'deletion links are only returned when NODE_ENV=development').toBeTruthy();
+    expect(pending.confirmationUrl).toContain(pending.token);
+
+    const { removed } = await readData(await confirmDeletion(request, auth, pending.token));
+    expect(removed).toMatchObject({ trades: 1, purchases: 1, holdings: 2 });
+
+    // The account's sessions went with it
+    expect((await request.get('/api/portfolio', { headers: auth.headers })).status()).toBe(401);
+  });
+
+  test('a deletion link only works for the account it was issued to', async ({ request }) => {
+    const owner = await signIn(request);
+    const other = await signIn(request);
+
+    const { token } = await readData(await requestDeletion(request, owner), 202);
+
+    expect((await confirmDeletion(request, other, token)).status()).toBe(401);
+    expect((await confirmDeletion(request, owner, 'not-a-real-token')).status()).toBe(401);
+
+    expect((await request.get('/api/portfolio', { headers: owner.headers })).ok()).toBeTruthy();
+    expect((await request.get('/api/portfolio', { headers: other.headers })).ok()).toBeTruthy();
+  });
+});
@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test';
+import { buyAsset, readData, signIn } from './helpers/api.js';
+
+/**
+ * Achievement Engine Tests
+ * The seeded achievements are awarded once, by the events that can change their criteria
+ */
+
+async function seededCodes(request) {
+  const { achievements } = await readData(await request.get('/api/achievements'));
+  return achievements.map(achievement => achievement.code);
+}
+
+async function earnedCodes(request, auth) {
+  const { achievements } = await readData(await request.get('/api/users/me/achievements', { headers: auth.headers }));
+  return achievements.filter(achievement => achievement.earned).map(achievement => achievement.code);
+}
+
+test.describe('Achievement Engine', () => {
+  test('the first trade awards First Trade exactly once', async ({ request }) => {
+    test.skip(!(await seededCodes(request)).includes('first_trade'), 'achievements are not seeded');
+
+    const auth = await signIn(request);
+    expect(await earnedCodes(request, auth)).not.toContain('first_trade');
+
+    const first = await readData(await request.post('/api/trades/execute', {
+      headers: auth.headers,
+      data: { fromAsset: 'BTC', toAsset: 'XAU', amount: 100000, unit: 'sat' }
+    }), 201);
+    expect(first.newAchievements.map(achievement => achievement.code)).toContain('first_trade');
+
+    const second = await readData(await request.post('/api/trades/execute', {
+      headers: auth.headers,
+      data: { fromAsset: 'BTC', toAsset: 'XAU', amount: 100000, unit: 'sat' }
+    }), 201);
+    expect(second.newAchievements.map(achievement => achievement.code)).not.toContain('first_trade');
+
+    const { achievements } = await readData(await request.get('/api/users/me/achievements', { headers: auth.headers }));
+    const firstTrade = achievements.find(achievement => achievement.code === 'first_trade');
+    expect(firstTrade.earned).toBe(true);
+    expect(firstTrade.earnedAt).toBeTruthy();
+  });
+
+  test('an asset held in two portfolios counts once towards Diversifier', async ({ request }) => {
+    test.skip(!(await seededCodes(request)).includes('diversifier'), 'achievements are not seeded');
+
+    const auth = await signIn(request);
+    const nine = ['XAU', 'XAG', 'SPY', 'QQQ', 'AAPL', 'MSFT', 'TLT', 'VNQ', 'WTI'];
+    for (const symbol of nine) {
+      await buyAsset(request, auth, symbol, 10000);
+    }
+
+    // Ten holdings, nine different assets
+    const { portfolio } = await readData(await request.post('/api/portfolio/portfolios', {
+      headers: auth.headers,
+      data: { name: 'Second' }
+    }), 201);
+    await buyAsset(request, auth, 'XAU', 10000, portfolio.id);
+    expect(await earnedCodes(request, auth)).not.toContain('diversifier');
+
+    await buyAsset(request, auth, 'NVDA', 10000, portfolio.id);
+    expect(await earnedCodes(request, auth)).toContain('diversifier');
+  });
+
+  test('completing every article awards Bitcoin Believer', async ({ request }) => {
+    test.skip(!(await seededCodes(request)).includes('bitcoin_believer'), 'achievements are not seeded');
+
+    const auth = await signIn(request);
+    const articles = ['fiat-experiment', 'why-bitcoin', 'why-not-gold'];
+
+    for (const [index, contentId] of articles.entries()) {
+      const progress = await readData(await request.post(`/api/users/me/education/${contentId}/complete`, { headers: auth.headers }));
+      expect(progress.completed).toHaveLength(index + 1);
+      expect(progress.total).toBe(articles.length);
+
+      const awarded = progress.newAchievements.map(achievement => achievement.code);
+      if (index < articles.length - 1) {
+        expect(awarded).not.toContain('bitcoin_believer');
+      } else {
+        expect(awarded).toContain('bitcoin_believer');
+      }
+    }
+
+    // Completing an article again changes nothing
+    const repeat = await readData(await request.post('/api/users/me/education/why-bitcoin/complete', { headers: auth.headers }));
+    expect(repeat.completed).toHaveLength(articles.length);
+    expect(repeat.newAchievements).toEqual([]);
+  });
+
+  test('rejects unknown educational content', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const response = await request.post('/api/users/me/education/not-an-article/complete', { headers: auth.headers });
+    expect(response.status()).toBe(400);
+  });
+
+  test('achievements need a signed-in user', async ({ request }) => {
+    const response = await request.get('/api/users/me/achievements');
+    expect(response.status()).toBe(401);
+  });
+});
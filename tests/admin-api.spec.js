@@ -0,0 +1,79 @@
+import { test, expect } from '@playwright/test';
+import { ADMIN_EMAIL, readData, signIn, signInAsAdmin } from './helpers/api.js';
+
+/**
+ * Admin API Tests
+ * Dashboard, system and user management endpoints behind requireAdmin
+ */
+
+const ADMIN_ENDPOINTS = ['/api/admin/dashboard', '/api/admin/system', '/api/admin/activity', '/api/admin/users'];
+
+test.describe('Admin API', () => {
+  test('requires a signed-in admin', async ({ request }) => {
+    const auth = await signIn(request);
+
+    for (const endpoint of ADMIN_ENDPOINTS) {
+      expect((await request.get(endpoint)).status(), endpoint).toBe(401);
+      expect((await request.get(endpoint, { headers: auth.headers })).status(), endpoint).toBe(403);
+    }
+
+    const promote = await request.post(`/api/admin/users/${auth.user.id}/promote`, { headers: auth.headers });
+    expect(promote.status()).toBe(403);
+  });
+
+  test.describe('as an admin', () => {
+    test.skip(!ADMIN_EMAIL, 'set E2E_ADMIN_EMAIL to an address listed in ADMIN_EMAILS');
+
+    test('reports dashboard statistics from the database', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      await signIn(request);
+
+      const stats = await readData(await request.get('/api/admin/dashboard', { headers: admin.headers }));
+      expect(stats.users.total).toBeGreaterThanOrEqual(2);
+      expect(stats.users.newLast7Days).toBeGreaterThanOrEqual(1);
+      expect(stats.users.activeLast7Days).toBeGreaterThanOrEqual(1);
+      expect(stats.prices.totalAssets).toBeGreaterThan(0);
+      expect(stats.prices.assetsWithPrices).toBeLessThanOrEqual(stats.prices.totalAssets);
+      expect(typeof stats.portfolios.totalBtcHoldings).toBe('string');
+    });
+
+    test('reports system information with price refresher health', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+
+      const system = await readData(await request.get('/api/admin/system', { headers: admin.headers }));
+      expect(system.database.userCount).toBeGreaterThan(0);
+      expect(system.database.assetCount).toBeGreaterThan(0);
+      expect(system.prices).toHaveProperty('refresher');
+      expect(system.prices).toHaveProperty('providers');
+      expect(system.features.jwtConfigured).toBe(true);
+    });
+
+    test('lists users with their portfolio value', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const { users, pagination } = await readData(await request.get(`/api/admin/users?search=${encodeURIComponent(auth.email)}`, {
+        headers: admin.headers
+      }));
+      expect(pagination.total).toBe(1);
+      expect(users[0]).toMatchObject({ id: auth.user.id, email: auth.email, isAdmin: false, portfolioValueSats: 100000000 });
+      expect(users[0].lastTradeAt).toBeNull();
+
+      const { recentUsers } = await readData(await request.get('/api/admin/activity?days=1', { headers: admin.headers }));
+      expect(recentUsers.map(user => user.id)).toContain(auth.user.id);
+    });
+
+    test('promotes and demotes users', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const promoted = await readData(await request.post(`/api/admin/users/${auth.user.id}/promote`, { headers: admin.headers }));
+      expect(promoted.user.isAdmin).toBe(true);
+      expect((await request.get('/api/admin/dashboard', { headers: auth.headers })).ok()).toBeTruthy();
+
+      const demoted = await readData(await request.post(`/api/admin/users/${auth.user.id}/demote`, { headers: admin.headers }));
+      expect(demoted.user.isAdmin).toBe(false);
+      expect((await request.get('/api/admin/dashboard', { headers: auth.headers })).status()).toBe(403);
+    });
+  });
+});
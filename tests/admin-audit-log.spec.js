@@ -0,0 +1,93 @@
+import { test, expect } from '@playwright/test';
+import { ADMIN_EMAIL, readData, signIn, signInAsAdmin } from './helpers/api.js';
+
+/**
+ * Admin Audit Log Tests
+ * Every successful privileged action is logged with its actor and a before/after snapshot
+ */
+
+// Entries are written once the response has gone out, so give them a moment to appear
+async function auditEntries(request, admin, filters) {
+  let entries = [];
+  await expect.poll(async () => {
+    ({ entries } = await readData(await request.get(`/api/admin/audit-log?${new URLSearchParams(filters)}`, {
+      headers: admin.headers
+    })));
+    return entries.length;
+  }).toBeGreaterThan(0);
+  return entries;
+}
+
+test.describe('Admin Audit Log', () => {
+  test('is only readable by admins', async ({ request }) => {
+    const auth = await signIn(request);
+
+    expect((await request.get('/api/admin/audit-log', { headers: auth.headers })).status()).toBe(403);
+  });
+
+  test.describe('as an admin', () => {
+    test.skip(!ADMIN_EMAIL, 'set E2E_ADMIN_EMAIL to an address listed in ADMIN_EMAILS');
+
+    test('records promotions with the target before and after', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      await readData(await request.post(`/api/admin/users/${auth.user.id}/promote`, { headers: admin.headers }));
+
+      const [entry] = await auditEntries(request, admin, { action: 'promote_user', targetId: auth.user.id });
+      expect(entry).toMatchObject({
+        actorUserId: admin.user.id,
+        actorEmail: ADMIN_EMAIL,
+        targetType: 'user',
+        targetId: String(auth.user.id),
+        before: { id: auth.user.id, isAdmin: false },
+        after: { id: auth.user.id, isAdmin: true }
+      });
+      expect(entry.actor.email).toBe(ADMIN_EMAIL);
+    });
+
+    test('resolves targets created by the action', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const { impersonation } = await readData(await request.post(`/api/admin/users/${auth.user.id}/impersonate`, {
+        headers: admin.headers,
+        data: { reason: 'Audit log check' }
+      }), 201);
+
+      const [entry] = await auditEntries(request, admin, { action: 'start_impersonation', targetId: impersonation.id });
+      expect(entry.before).toBeNull();
+      expect(entry.after).toMatchObject({ id: impersonation.id, targetUserId: auth.user.id, reason: 'Audit log check' });
+    });
+
+    test('dry runs and failed actions are not logged', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      await readData(await request.post(`/api/admin/users/${auth.user.id}/rebuild`, { headers: admin.headers }));
+      const failed = await request.post('/api/admin/users/999999999/promote', { headers: admin.headers });
+      expect(failed.ok()).toBeFalsy();
+
+      // A logged action made afterwards shows the earlier ones have had time to be written
+      await readData(await request.post(`/api/admin/users/${auth.user.id}/demote`, { headers: admin.headers }));
+      await auditEntries(request, admin, { action: 'demote_user', targetId: auth.user.id });
+
+      const rebuilds = await readData(await request.get(`/api/admin/audit-log?action=rebuild_portfolios&targetId=${auth.user.id}`, { headers: admin.headers }));
+      expect(rebuilds.pagination.total).toBe(0);
+      const promotions = await readData(await request.get('/api/admin/audit-log?action=promote_user&targetId=999999999', { headers: admin.headers }));
+      expect(promotions.pagination.total).toBe(0);
+    });
+
+    test('rejects unknown filters', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+
+      const { actions, targetTypes } = await readData(await request.get('/api/admin/audit-log?limit=1', { headers: admin.headers }));
+      expect(actions).toContain('promote_user');
+      expect(targetTypes).toContain('holdings');
+
+      expect((await request.get('/api/admin/audit-log?action=drop_tables', { headers: admin.headers })).status()).toBe(400);
+      expect((await request.get('/api/admin/audit-log?targetType=planet', { headers: admin.headers })).status()).toBe(400);
+      expect((await request.get('/api/admin/audit-log?from=yesterday', { headers: admin.headers })).status()).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { test, expect } from '@playwright/test';
+import { ADMIN_EMAIL, buyAsset, readData, signIn, signInAsAdmin } from './helpers/api.js';
+
+/**
+ * Admin Impersonation Tests
+ * Admins view the app as a user through a read-only token that is logged and can be ended early
+ */
+
+function impersonate(request, admin, userId, reason = 'Checking a reported portfolio bug') {
+  return request.post(`/api/admin/users/${userId}/impersonate`, { headers: admin.headers, data: { reason } });
+}
+
+test.describe('Admin Impersonation', () => {
+  test('only admins can impersonate', async ({ request }) => {
+    const auth = await signIn(request);
+    const other = await signIn(request);
+
+    expect((await impersonate(request, auth, other.user.id)).status()).toBe(403);
+  });
+
+  test.describe('as an admin', () => {
+    test.skip(!ADMIN_EMAIL, 'set E2E_ADMIN_EMAIL to an address listed in ADMIN_EMAILS');
+
+    test("shows the user's own portfolio through a read-only token", async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+      await buyAsset(request, auth, 'XAU', 10000000);
+
+      const session = await readData(await impersonate(request, admin, auth.user.id), 201);
+      expect(session.impersonation.readOnly).toBe(true);
+      expect(session.user).toMatchObject({ id: auth.user.id, isAdmin: false });
+      const viewAs = { Authorization: `Bearer ${session.token}` };
+
+      const seen = await readData(await request.get('/api/portfolio', { headers: viewAs }));
+      const own = await readData(await request.get('/api/portfolio', { headers: auth.headers }));
+      const amounts = portfolio => portfolio.holdings.map(holding => [holding.asset_symbol, holding.amount]);
+      expect(amounts(seen)).toEqual(amounts(own));
+      expect(amounts(seen)).toContainEqual(['BTC', 90000000]);
+
+      const trade = await request.post('/api/trades/execute', {
+        headers: viewAs,
+        data: { fromAsset: 'BTC', toAsset: 'XAG', amount: 10000, unit: 'sat' }
+      });
+      expect(trade.status()).toBe(403);
+
+      expect((await request.get('/api/admin/dashboard', { headers: viewAs })).status()).toBe(403);
+    });
+
+    test('an ended session stops accepting its token', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const session = await readData(await impersonate(request, admin, auth.user.id), 201);
+      const viewAs = { Authorization: `Bearer ${session.token}` };
+      expect((await request.get('/api/portfolio', { headers: viewAs })).ok()).toBeTruthy();
+
+      const { impersonation } = await readData(await request.post(`/api/admin/impersonations/${session.impersonation.id}/end`, {
+        headers: admin.headers
+      }));
+      expect(impersonation.endedAt).toBeTruthy();
+
+      expect((await request.get('/api/portfolio', { headers: viewAs })).status()).toBe(403);
+    });
+
+    test('every session is logged with its reason', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const session = await readData(await impersonate(request, admin, auth.user.id, 'Support ticket 42'), 201);
+
+      const { impersonations } = await readData(await request.get(`/api/admin/impersonations?targetUserId=${auth.user.id}`, {
+        headers: admin.headers
+      }));
+      expect(impersonations).toHaveLength(1);
+      expect(impersonations[0]).toMatchObject({
+        id: session.impersonation.id,
+        reason: 'Support ticket 42',
+        endedAt: null,
+        targetUser: { id: auth.user.id },
+        admin: { email: ADMIN_EMAIL }
+      });
+    });
+
+    test("a session stays on record after the user's account is deleted", async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const session = await readData(await impersonate(request, admin, auth.user.id, 'Support ticket 43'), 201);
+
+      const { token } = await readData(await request.delete('/api/users/me', { headers: auth.headers }), 202);
+      await readData(await request.delete('/api/users/me', { headers: auth.headers, data: { token } }));
+
+      const { impersonations } = await readData(await request.get('/api/admin/impersonations', { headers: admin.headers }));
+      expect(impersonations.find(entry => entry.id === session.impersonation.id)).toMatchObject({
+        reason: 'Support ticket 43',
+        targetUserId: null,
+        targetUser: null,
+        admin: { email: ADMIN_EMAIL }
+      });
+
+      // Its token stops working with the account
+      const viewAs = { Authorization: `Bearer ${session.token}` };
+      expect((await request.get('/api/portfolio', { headers: viewAs })).ok()).toBeFalsy();
+    });
+
+    test('needs a reason and another user', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      expect((await impersonate(request, admin, auth.user.id, '   ')).status()).toBe(400);
+      expect((await impersonate(request, admin, admin.user.id)).status()).toBe(422);
+      expect((await impersonate(request, admin, 999999999)).status()).toBe(404);
+    });
+  });
+});
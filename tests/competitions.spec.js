@@ -0,0 +1,228 @@
+import { test, expect } from '@playwright/test';
+import CompetitionService from '../src/server/services/competition-service.js';
+import { ADMIN_EMAIL, readData, signIn, signInAsAdmin } from './helpers/api.js';
+
+/**
+ * Trading Competition Tests
+ * Competitions have an entry window, a trading window and their own balances and lock-ups
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * HOUR_MS).toISOString();
+}
+
+async function createCompetition(request, admin, overrides = {}) {
+  const { competition } = await readData(await request.post('/api/competitions', {
+    headers: admin.headers,
+    data: {
+      name: `E2E competition ${Date.now()}`,
+      joinOpensAt: hoursFromNow(-2),
+      joinClosesAt: hoursFromNow(2),
+      startsAt: hoursFromNow(-1),
+      endsAt: hoursFromNow(24),
+      ...overrides
+    }
+  }), 201);
+  return competition;
+}
+
+test.describe('Trading Competitions', () => {
+  test('lists competitions publicly', async ({ request }) => {
+    const data = await readData(await request.get('/api/competitions'));
+    expect(data.totalCount).toBe(data.competitions.length);
+
+    const response = await request.get('/api/competitions?status=someday');
+    expect(response.status()).toBe(400);
+  });
+
+  test('only admins create competitions', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const response = await request.post('/api/competitions', {
+      headers: auth.headers,
+      data: { name: 'Not allowed', startsAt: hoursFromNow(1), duration: '1m' }
+    });
+    expect(response.status()).toBe(403);
+  });
+
+  test.describe('as an admin', () => {
+    test.skip(!ADMIN_EMAIL, 'set E2E_ADMIN_EMAIL to an address listed in ADMIN_EMAILS');
+
+    test('validates the windows and theme', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const create = (data) => request.post('/api/competitions', { headers: admin.headers, data: { name: 'Invalid', ...data } });
+
+      expect((await create({ startsAt: hoursFromNow(2), endsAt: hoursFromNow(1) })).status()).toBe(400);
+      expect((await create({ startsAt: hoursFromNow(1), duration: '2y' })).status()).toBe(400);
+      expect((await create({ startsAt: hoursFromNow(1), duration: '1m', theme: 'Collectibles' })).status()).toBe(400);
+      expect((await create({ startsAt: hoursFromNow(1), duration: '1m', joinClosesAt: hoursFromNow(24 * 60) })).status()).toBe(400);
+      expect((await create({ startsAt: hoursFromNow(1), duration: '1m', lockHours: -1 })).status()).toBe(400);
+    });
+
+    test('entries are only accepted while the join window is open', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const upcoming = await createCompetition(request, admin, {
+        joinOpensAt: hoursFromNow(1),
+        joinClosesAt: hoursFromNow(2),
+        startsAt: hoursFromNow(3)
+      });
+      expect(upcoming.status).toBe('upcoming');
+      expect(upcoming.joinOpen).toBe(false);
+
+      const response = await request.post(`/api/competitions/${upcoming.id}/join`, { headers: auth.headers });
+      expect(response.status()).toBe(422);
+    });
+
+    test('participants trade their own balance within the theme', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const competition = await createCompetition(request, admin, { theme: 'Precious Metals', startingBalanceSats: 50000000 });
+      expect(competition.status).toBe('active');
+
+      const { competition: details } = await readData(await request.get(`/api/competitions/${competition.id}`));
+      expect(details.allowedAssets).toEqual(expect.arrayContaining(['BTC', 'XAU', 'XAG']));
+      expect(details.allowedAssets).not.toContain('AAPL');
+
+      await readData(await request.post(`/api/competitions/${competition.id}/join`, { headers: auth.headers }), 201);
+      const twice = await request.post(`/api/competitions/${competition.id}/join`, { headers: auth.headers });
+      expect(twice.status()).toBe(409);
+
+      const offTheme = await request.post(`/api/competitions/${competition.id}/trades`, {
+        headers: auth.headers,
+        data: { fromAsset: 'BTC', toAsset: 'AAPL', amount: 1000000, unit: 'sat' }
+      });
+      expect(offTheme.status()).toBe(400);
+
+      const trade = await readData(await request.post(`/api/competitions/${competition.id}/trades`, {
+        headers: auth.headers,
+        data: { fromAsset: 'BTC', toAsset: 'XAU', amount: 10000000, unit: 'sat' }
+      }));
+      expect(trade.fromAmount).toBe(10000000);
+      for (const side of ['btc', 'asset']) {
+        expect(trade.trade.priceProvenance[side].source).toBeTruthy();
+        expect(trade.trade.priceProvenance[side].quotedAt).toBeTruthy();
+      }
+
+      const portfolio = await readData(await request.get(`/api/competitions/${competition.id}/portfolio`, { headers: auth.headers }));
+      expect(portfolio.startingBalanceSats).toBe(50000000);
+      expect(portfolio.trades).toHaveLength(1);
+      expect(portfolio.trades[0].priceProvenance).toEqual(trade.trade.priceProvenance);
+
+      // The main portfolio is untouched
+      const { trades } = await readData(await request.get('/api/trades/history', { headers: auth.headers }));
+      expect(trades).toHaveLength(0);
+
+      const standings = await readData(await request.get(`/api/competitions/${competition.id}/standings`));
+      expect(standings.isFinal).toBe(false);
+      expect(standings.standings).toHaveLength(1);
+      expect(standings.standings[0]).toMatchObject({ rank: 1, username: auth.user.username });
+    });
+
+    test('a competition lock-up without a penalty blocks early sales', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const competition = await createCompetition(request, admin, { lockHours: 24 });
+      await readData(await request.post(`/api/competitions/${competition.id}/join`, { headers: auth.headers }), 201);
+
+      const buy = await readData(await request.post(`/api/competitions/${competition.id}/trades`, {
+        headers: auth.headers,
+        data: { fromAsset: 'BTC', toAsset: 'XAG', amount: 10000000, unit: 'sat' }
+      }));
+
+      const sell = await request.post(`/api/competitions/${competition.id}/trades`, {
+        headers: auth.headers,
+        data: { fromAsset: 'XAG', toAsset: 'BTC', amount: buy.toAmount, unit: 'sat' }
+      });
+      expect(sell.status()).toBe(422);
+    });
+
+    test('a competition early-exit penalty is taken from the proceeds', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+
+      const competition = await createCompetition(request, admin, { lockHours: 24, earlyExitPenaltyPercent: 10 });
+      await readData(await request.post(`/api/competitions/${competition.id}/join`, { headers: auth.headers }), 201);
+
+      const buy = await readData(await request.post(`/api/competitions/${competition.id}/trades`, {
+        headers: auth.headers,
+        data: { fromAsset: 'BTC', toAsset: 'XAG', amount: 10000000, unit: 'sat' }
+      }));
+
+      const sell = await readData(await request.post(`/api/competitions/${competition.id}/trades`, {
+        headers: auth.headers,
+        data: { fromAsset: 'XAG', toAsset: 'BTC', amount: buy.toAmount, unit: 'sat' }
+      }));
+      expect(sell.earlyExitPenaltySats).toBeGreaterThan(0);
+      expect(sell.earlyExitPenaltySats).toBe(Math.round((sell.toAmount + sell.earlyExitPenaltySats) * 0.1));
+    });
+  });
+});
+
+test.describe('Final Standings', () => {
+  // Daily bars as recorded: live prices move the close of the day they were observed in
+  const PRICE_HISTORY = [
+    { assetSymbol: 'BTC', date: new Date('2026-10-17'), closeUsd: '60000' },
+    { assetSymbol: 'XAU', date: new Date('2026-10-17'), closeUsd: '2000' },
+    { assetSymbol: 'BTC', date: new Date('2026-10-18'), closeUsd: '60000' },
+    { assetSymbol: 'XAU', date: new Date('2026-10-18'), closeUsd: '2640' },
+    { assetSymbol: 'BTC', date: new Date('2026-10-19'), closeUsd: '60000' },
+    { assetSymbol: 'XAU', date: new Date('2026-10-19'), closeUsd: '1000' }
+  ];
+
+  const competition = { id: 1, startingBalanceSats: 100000000, endsAt: new Date('2026-10-18T15:00:00.000Z') };
+
+  const participants = [
+    // Swapped half the balance into gold at $2400 on the final morning; gold closed the window at $2640
+    { id: 1, user: { username: 'alice' }, holdings: [{ assetSymbol: 'BTC', amount: 50000000n }, { assetSymbol: 'XAU', amount: 1250000000n }] },
+    { id: 2, user: { username: 'bob' }, holdings: [{ assetSymbol: 'BTC', amount: 100000000n }] }
+  ];
+
+  const service = new CompetitionService();
+
+  test.beforeAll(() => {
+    const prisma = {
+      priceHistory: {
+        findMany: async ({ where }) => {
+          const latest = new Map();
+          PRICE_HISTORY
+            .filter(row => where.assetSymbol.in.includes(row.assetSymbol) && row.date <= where.date.lte)
+            .forEach(row => {
+              if (!latest.has(row.assetSymbol) || latest.get(row.assetSymbol).date < row.date) {
+                latest.set(row.assetSymbol, row);
+              }
+            });
+          return [...latest.values()];
+        }
+      },
+      competitionParticipant: { findMany: async () => participants }
+    };
+
+    service.prisma = prisma;
+    service.priceHistoryService.prisma = prisma;
+    // The finalizer may run long after the window: today's prices must not count
+    service.portfolioService.getAssetPrices = async () => ({ BTC: 60000, XAU: 1000 });
+  });
+
+  test('a trade on the final day is valued at the last prices of the window', async () => {
+    const prices = await service.getPricesAsOf(competition.endsAt);
+    expect(prices).toMatchObject({ BTC: 60000, XAU: 2640 });
+
+    const standings = await service.computeStandings(competition, prices);
+    expect(standings.map(entry => [entry.username, entry.rank, entry.valueSats])).toEqual([
+      ['alice', 1, 105000000],
+      ['bob', 2, 100000000]
+    ]);
+    expect(standings[0].beatsBitcoin).toBe(true);
+  });
+
+  test('a window ending at midnight is valued at the close of the day before', async () => {
+    const prices = await service.getPricesAsOf(new Date('2026-10-19T00:00:00.000Z'));
+    expect(prices.XAU).toBe(2640);
+  });
+});
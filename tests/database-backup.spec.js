@@ -0,0 +1,107 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import BackupService from '../src/server/services/backup-service.js';
+
+/**
+ * Database Backup Tests
+ * Archives store every model's rows as JSON-safe scalars in JSON or NDJSON form
+ */
+
+const HEADER = { format: 'bitcoin-game-backup', version: 1, createdAt: '2026-10-18T09:00:00.000Z' };
+const ROWS = [
+  { id: 1, symbol: 'BTC', amount: '100000000' },
+  { id: 2, symbol: 'XAU', amount: '800000000' }
+];
+const SUMMARY = { name: 'Holding', count: 2, checksum: 'abc123' };
+
+function writeArchive(name, content) {
+  const filePath = test.info().outputPath(name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+async function readEvents(service, filePath) {
+  const events = [];
+  for await (const event of service.readArchive(filePath)) {
+    events.push(event);
+  }
+  return events;
+}
+
+test.describe('Database Backup Archives', () => {
+  const service = new BackupService();
+
+  test('JSON and NDJSON archives read back as the same rows and summaries', async () => {
+    const json = writeArchive('backup.json', JSON.stringify({
+      ...HEADER,
+      models: [{ ...SUMMARY, table: 'holdings', fields: {}, rows: ROWS }]
+    }));
+    const ndjson = writeArchive('backup.ndjson', [
+      { type: 'header', ...HEADER },
+      ...ROWS.map(data => ({ type: 'row', model: 'Holding', data })),
+      { type: 'model', table: 'holdings', fields: {}, ...SUMMARY }
+    ].map(line => JSON.stringify(line)).join('\n'));
+
+    const expected = [
+      { type: 'rows', model: 'Holding', rows: ROWS },
+      { type: 'model', ...SUMMARY }
+    ];
+    expect(await readEvents(service, json)).toEqual(expected);
+    expect(await readEvents(service, ndjson)).toEqual(expected);
+  });
+
+  test('rejects files that are not archives this version can read', async () => {
+    const foreign = writeArchive('other.json', JSON.stringify({ format: 'something-else', version: 1, models: [] }));
+    const newer = writeArchive('newer.ndjson', JSON.stringify({ type: 'header', ...HEADER, version: 2 }));
+    const empty = writeArchive('empty.ndjson', '\n');
+
+    await expect(readEvents(service, foreign)).rejects.toThrow('not a database backup archive');
+    await expect(readEvents(service, newer)).rejects.toThrow('newer than this server supports');
+    await expect(readEvents(service, empty)).rejects.toThrow('Backup archive is empty');
+  });
+
+  test('encodes values as JSON-safe scalars and decodes them from the field type', () => {
+    const model = {
+      fields: [
+        { name: 'amount', type: 'BigInt', isList: false },
+        { name: 'createdAt', type: 'DateTime', isList: false },
+        { name: 'credentialId', type: 'Bytes', isList: false },
+        { name: 'tags', type: 'String', isList: true },
+        { name: 'lockedUntil', type: 'DateTime', isList: false }
+      ]
+    };
+    const record = {
+      amount: 123456789012345678n,
+      createdAt: new Date('2026-10-18T09:00:00.000Z'),
+      credentialId: Buffer.from([1, 2, 255]),
+      tags: ['a', 'b'],
+      lockedUntil: null
+    };
+
+    const encoded = service.encodeRow(model, record);
+    expect(encoded).toEqual({
+      amount: '123456789012345678',
+      createdAt: '2026-10-18T09:00:00.000Z',
+      credentialId: 'AQL/',
+      tags: ['a', 'b'],
+      lockedUntil: null
+    });
+    expect(service.decodeRow(model, JSON.parse(JSON.stringify(encoded)))).toEqual(record);
+  });
+
+  test('restores parents before the models that reference them', () => {
+    const model = (name, dependsOn = []) => ({ name, dependsOn });
+
+    const sorted = service.sortByDependencies([
+      model('Trade', ['User', 'Portfolio']),
+      model('Portfolio', ['User']),
+      model('User'),
+      model('Asset')
+    ]);
+    const order = sorted.map(entry => entry.name);
+
+    expect(order.indexOf('User')).toBeLessThan(order.indexOf('Portfolio'));
+    expect(order.indexOf('Portfolio')).toBeLessThan(order.indexOf('Trade'));
+    expect(order).toHaveLength(4);
+  });
+});
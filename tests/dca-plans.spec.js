@@ -0,0 +1,169 @@
+import { test, expect } from '@playwright/test';
+import DcaService from '../src/server/services/dca-service.js';
+import { readData, signIn } from './helpers/api.js';
+
+/**
+ * DCA Plan Tests
+ * Plans convert a fixed number of sats into an asset on a schedule counted from their first installment
+ */
+
+function createPlan(request, auth, plan) {
+  return request.post('/api/dca', {
+    headers: auth.headers,
+    data: { assetSymbol: 'XAU', amountSats: 100000, frequency: 'monthly', ...plan }
+  });
+}
+
+test.describe('DCA Plans API', () => {
+  test('a plan starting later is anchored on its first installment', async ({ request }) => {
+    const auth = await signIn(request);
+    const startAt = '2031-01-31T09:00:00.000Z';
+
+    const { plan } = await readData(await createPlan(request, auth, { startAt }), 201);
+    expect(plan.assetSymbol).toBe('XAU');
+    expect(plan.amountSats).toBe('100000');
+    expect(plan.isActive).toBe(true);
+    expect(plan.anchorAt).toBe(startAt);
+    expect(plan.nextRunAt).toBe(startAt);
+    expect(plan.lastRunAt).toBeNull();
+  });
+
+  test('a plan without a start date is due right away', async ({ request }) => {
+    const auth = await signIn(request);
+    const before = Date.now();
+
+    const { plan } = await readData(await createPlan(request, auth, { frequency: 'daily' }), 201);
+    expect(new Date(plan.nextRunAt).getTime()).toBeGreaterThanOrEqual(before - 1000);
+    expect(new Date(plan.nextRunAt).getTime()).toBeLessThanOrEqual(Date.now() + 1000);
+    expect(plan.anchorAt).toBe(plan.nextRunAt);
+  });
+
+  test('rejects invalid plans', async ({ request }) => {
+    const auth = await signIn(request);
+
+    expect((await createPlan(request, auth, { amountSats: 999 })).status()).toBe(400);
+    expect((await createPlan(request, auth, { amountSats: 1000.5 })).status()).toBe(400);
+    expect((await createPlan(request, auth, { frequency: 'hourly' })).status()).toBe(400);
+    expect((await createPlan(request, auth, { assetSymbol: 'BTC' })).status()).toBe(400);
+    expect((await createPlan(request, auth, { startAt: 'next tuesday' })).status()).toBe(400);
+  });
+
+  test('pausing and resuming keeps the schedule', async ({ request }) => {
+    const auth = await signIn(request);
+    const startAt = '2031-03-15T12:00:00.000Z';
+    const { plan } = await readData(await createPlan(request, auth, { startAt, frequency: 'weekly' }), 201);
+
+    const paused = await readData(await request.put(`/api/dca/${plan.id}`, { headers: auth.headers, data: { isActive: false } }));
+    expect(paused.plan.isActive).toBe(false);
+
+    const resumed = await readData(await request.put(`/api/dca/${plan.id}`, { headers: auth.headers, data: { isActive: true, amountSats: 5000 } }));
+    expect(resumed.plan.isActive).toBe(true);
+    expect(resumed.plan.amountSats).toBe('5000');
+    expect(resumed.plan.nextRunAt).toBe(startAt);
+    expect(resumed.plan.anchorAt).toBe(startAt);
+  });
+
+  test('plans belong to their owner and can be deleted', async ({ request }) => {
+    const owner = await signIn(request);
+    const other = await signIn(request);
+    const { plan } = await readData(await createPlan(request, owner, {}), 201);
+
+    expect((await request.get(`/api/dca/${plan.id}`, { headers: other.headers })).status()).toBe(404);
+    expect((await request.delete(`/api/dca/${plan.id}`, { headers: other.headers })).status()).toBe(404);
+
+    const { plans } = await readData(await request.get('/api/dca', { headers: owner.headers }));
+    expect(plans.map(p => p.id)).toContain(plan.id);
+
+    expect((await request.delete(`/api/dca/${plan.id}`, { headers: owner.headers })).ok()).toBeTruthy();
+    expect((await request.get(`/api/dca/${plan.id}`, { headers: owner.headers })).status()).toBe(404);
+  });
+});
+
+test.describe('DCA Schedule', () => {
+  const nextRun = (anchor, frequency, now) =>
+    new DcaService().getNextRunAt(new Date(anchor), frequency, new Date(now)).toISOString();
+
+  test('monthly plans from the 31st run on the last day of shorter months and return to the 31st', () => {
+    const anchor = '2031-01-31T09:00:00.000Z';
+
+    expect(nextRun(anchor, 'monthly', '2031-01-31T09:00:00.000Z')).toBe('2031-02-28T09:00:00.000Z');
+    expect(nextRun(anchor, 'monthly', '2031-02-28T09:00:00.000Z')).toBe('2031-03-31T09:00:00.000Z');
+    expect(nextRun(anchor, 'monthly', '2031-03-31T09:00:00.000Z')).toBe('2031-04-30T09:00:00.000Z');
+    expect(nextRun(anchor, 'monthly', '2031-04-30T09:00:00.000Z')).toBe('2031-05-31T09:00:00.000Z');
+  });
+
+  test('monthly plans use February 29th in leap years', () => {
+    expect(nextRun('2032-01-30T09:00:00.000Z', 'monthly', '2032-01-30T09:00:00.000Z')).toBe('2032-02-29T09:00:00.000Z');
+  });
+
+  test('a late run keeps the time of day of the first installment', () => {
+    expect(nextRun('2031-01-31T09:00:00.000Z', 'monthly', '2031-02-28T09:04:00.000Z')).toBe('2031-03-31T09:00:00.000Z');
+    expect(nextRun('2031-01-01T09:00:00.000Z', 'daily', '2031-01-05T09:04:00.000Z')).toBe('2031-01-06T09:00:00.000Z');
+    expect(nextRun('2031-01-01T09:00:00.000Z', 'weekly', '2031-01-08T09:04:00.000Z')).toBe('2031-01-15T09:00:00.000Z');
+  });
+
+  test('installments missed while the server was down are not replayed', () => {
+    expect(nextRun('2031-01-31T09:00:00.000Z', 'monthly', '2031-06-10T00:00:00.000Z')).toBe('2031-06-30T09:00:00.000Z');
+    expect(nextRun('2031-01-01T09:00:00.000Z', 'weekly', '2031-03-01T00:00:00.000Z')).toBe('2031-03-05T09:00:00.000Z');
+  });
+
+  test('a first installment still in the future is kept', () => {
+    expect(nextRun('2031-01-31T09:00:00.000Z', 'monthly', '2031-01-01T00:00:00.000Z')).toBe('2031-01-31T09:00:00.000Z');
+  });
+});
+
+test.describe('DCA Frequency Changes', () => {
+  const LAST_RUN_AT = new Date('2031-01-31T09:00:00.000Z');
+  let service;
+  let saved;
+
+  function withPlan(plan) {
+    service.prisma = {
+      dcaPlan: {
+        findFirst: async () => ({ id: 1, isActive: true, runs: [], ...plan }),
+        update: async ({ data }) => {
+          saved = data;
+          return data;
+        }
+      }
+    };
+  }
+
+  test.beforeEach(() => {
+    service = new DcaService();
+    saved = null;
+  });
+
+  test('a plan that has run starts its new schedule from the last installment', async () => {
+    const lastRunAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    withPlan({ frequency: 'monthly', anchorAt: lastRunAt, lastRunAt, nextRunAt: new Date(lastRunAt.getTime() + 30 * 24 * 60 * 60 * 1000) });
+
+    await service.updatePlan(1, 1, { frequency: 'weekly' });
+    expect(saved.frequency).toBe('weekly');
+    expect(saved.anchorAt).toEqual(lastRunAt);
+    expect(saved.nextRunAt).toEqual(new Date(lastRunAt.getTime() + 7 * 24 * 60 * 60 * 1000));
+  });
+
+  test('the new frequency is counted from the last installment', () => {
+    const plan = { frequency: 'monthly', anchorAt: LAST_RUN_AT, lastRunAt: LAST_RUN_AT, nextRunAt: new Date('2031-02-28T09:00:00.000Z') };
+    const { anchorAt, nextRunAt } = service.rescheduleForFrequency(plan, 'weekly', new Date('2031-02-01T00:00:00.000Z'));
+
+    expect(anchorAt).toEqual(LAST_RUN_AT);
+    expect(nextRunAt.toISOString()).toBe('2031-02-07T09:00:00.000Z');
+  });
+
+  test('a plan that has not run keeps its first installment', async () => {
+    const startAt = new Date('2031-03-15T12:00:00.000Z');
+    withPlan({ frequency: 'weekly', anchorAt: startAt, lastRunAt: null, nextRunAt: startAt });
+
+    await service.updatePlan(1, 1, { frequency: 'daily' });
+    expect(saved).toEqual({ frequency: 'daily', anchorAt: startAt, nextRunAt: startAt });
+  });
+
+  test('the same frequency leaves the schedule alone', async () => {
+    withPlan({ frequency: 'monthly', anchorAt: LAST_RUN_AT, lastRunAt: LAST_RUN_AT, nextRunAt: new Date('2031-02-28T09:00:00.000Z') });
+
+    await service.updatePlan(1, 1, { frequency: 'monthly', amountSats: 5000 });
+    expect(saved).toEqual({ frequency: 'monthly', amountSats: 5000n });
+  });
+});
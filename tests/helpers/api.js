@@ -0,0 +1,80 @@
+import { expect } from '@playwright/test';
+
+/**
+ * API helpers shared by the e2e specs
+ *
+ * Users sign in through the magic link the server returns in development, so these specs need
+ * the server running with NODE_ENV=development. Admin specs sign in as E2E_ADMIN_EMAIL, which
+ * must also be listed in the server's ADMIN_EMAILS; they are skipped when it isn't set.
+ */
+
+export const ADMIN_EMAIL = process.env.E2E_ADMIN_EMAIL || '';
+
+/**
+ * An email address no other test run has used
+ * @param {string} prefix - Readable start of the address
+ * @returns {string}
+ */
+export function uniqueEmail(prefix = 'e2e') {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+}
+
+/**
+ * Read the data of a successful API response, failing the test on any other status
+ * @param {APIResponse} response - Playwright API response
+ * @param {number} status - Expected status code
+ * @returns {Promise<Object>} The response's data field
+ */
+export async function readData(response, status = 200) {
+  expect(response.status(), await response.text()).toBe(status);
+  return (await response.json()).data;
+}
+
+/**
+ * Sign in through a magic link, registering the user if the email is new
+ * The request context keeps the refresh token cookie the login sets.
+ * @param {APIRequestContext} request - Playwright request context
+ * @param {Object} options - { email, username }
+ * @returns {Promise<Object>} { token, user, email, headers } - headers carry the access token
+ */
+export async function signIn(request, { email = uniqueEmail(), username } = {}) {
+  const link = await readData(await request.post('/api/auth/request-link', {
+    data: { email, username: username || email.split('@')[0] }
+  }), 201);
+  expect(link.token, 'magic links are only returned when NODE_ENV=development').toBeTruthy();
+
+  const session = await readData(await request.get(`/api/auth/verify?token=${link.token}`));
+
+  return {
+    token: session.token,
+    user: session.user,
+    email,
+    headers: { Authorization: `Bearer ${session.token}` }
+  };
+}
+
+/**
+ * Sign in as the configured admin
+ * @param {APIRequestContext} request - Playwright request context
+ * @returns {Promise<Object>} Same shape as signIn
+ */
+export async function signInAsAdmin(request) {
+  return signIn(request, { email: ADMIN_EMAIL, username: 'e2e-admin' });
+}
+
+/**
+ * Buy an asset with sats
+ * @param {APIRequestContext} request - Playwright request context
+ * @param {Object} auth - Result of signIn
+ * @param {string} symbol - Asset to buy
+ * @param {number} sats - Sats to spend
+ * @param {number} [portfolioId] - Portfolio to trade in, the default one if omitted
+ * @returns {Promise<Object>} The executed trade
+ */
+export async function buyAsset(request, auth, symbol, sats, portfolioId) {
+  const { trade } = await readData(await request.post('/api/trades/execute', {
+    headers: auth.headers,
+    data: { fromAsset: 'BTC', toAsset: symbol, amount: sats, unit: 'sat', ...(portfolioId && { portfolioId }) }
+  }), 201);
+  return trade;
+}
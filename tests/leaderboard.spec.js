@@ -0,0 +1,111 @@
+import { test, expect } from '@playwright/test';
+import IntervalJob from '../src/server/services/interval-job.js';
+import { readData, signIn } from './helpers/api.js';
+
+/**
+ * Leaderboard Tests
+ * Public users ranked by sats performance against holding 1 BTC, fed by scheduled snapshots
+ */
+
+test.describe('Leaderboard API', () => {
+  for (const period of ['7d', '30d', '1y', 'all']) {
+    test(`ranks entries by performance for ${period}`, async ({ request }) => {
+      const data = await readData(await request.get(`/api/leaderboard?period=${period}`));
+
+      expect(data.period).toBe(period);
+      expect(data.baselineSats).toBe(100000000);
+      expect(data.startDate === null).toBe(period === 'all');
+
+      data.entries.forEach((entry, index) => {
+        expect(entry.rank).toBe(index + 1);
+        expect(entry.gainSats).toBe(entry.currentValueSats - entry.startValueSats);
+        expect(entry.beatsBitcoin).toBe(entry.currentValueSats > entry.startValueSats);
+        expect(entry).not.toHaveProperty('email');
+        if (index > 0) {
+          expect(entry.performancePercent).toBeLessThanOrEqual(data.entries[index - 1].performancePercent);
+        }
+      });
+    });
+  }
+
+  test('leaves out users who have not made their profile public', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const data = await readData(await request.get('/api/leaderboard?period=all&limit=100'));
+    expect(data.entries.map(entry => entry.username)).not.toContain(auth.user.username);
+  });
+
+  test('caps the page size', async ({ request }) => {
+    const data = await readData(await request.get('/api/leaderboard?limit=1000'));
+    expect(data.entries.length).toBeLessThanOrEqual(100);
+  });
+
+  test('rejects an unknown period', async ({ request }) => {
+    const response = await request.get('/api/leaderboard?period=2w');
+    expect(response.status()).toBe(400);
+  });
+});
+
+test.describe('Background Job Runner', () => {
+  test('skips ticks that arrive while a run is still going', async () => {
+    let runs = 0;
+    let finish;
+    const job = new IntervalJob({
+      name: 'Slow job',
+      intervalMs: 60000,
+      task: () => {
+        runs++;
+        return new Promise(resolve => { finish = resolve; });
+      }
+    });
+
+    const first = job.run();
+    await job.run();
+    expect(runs).toBe(1);
+
+    finish();
+    await first;
+    const second = job.run();
+    finish();
+    await second;
+    expect(runs).toBe(2);
+  });
+
+  test('logs a failed run and keeps the job usable', async () => {
+    let runs = 0;
+    const job = new IntervalJob({
+      name: 'Failing job',
+      intervalMs: 60000,
+      task: async () => {
+        runs++;
+        throw new Error('provider down');
+      }
+    });
+
+    await job.run();
+    await job.run();
+    expect(runs).toBe(2);
+    expect(job.running).toBe(false);
+  });
+
+  test('runs once after the initial delay, then on every interval until stopped', async () => {
+    let runs = 0;
+    const job = new IntervalJob({
+      name: 'Ticking job',
+      intervalMs: 200,
+      initialDelayMs: 10,
+      task: async () => { runs++; }
+    });
+
+    job.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(runs).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    expect(runs).toBe(2);
+
+    job.stop();
+    await new Promise(resolve => setTimeout(resolve, 250));
+    expect(runs).toBe(2);
+  });
+});
@@ -0,0 +1,104 @@
+import { test, expect } from '@playwright/test';
+import { ADMIN_EMAIL, buyAsset, readData, signIn, signInAsAdmin } from './helpers/api.js';
+
+/**
+ * Limit and Stop Order Tests
+ * Orders are placed against the trade service and fill when a price refresh reaches their trigger
+ */
+
+function placeOrder(request, auth, order) {
+  return request.post('/api/trades/orders', {
+    headers: auth.headers,
+    data: { side: 'buy', orderType: 'limit', assetSymbol: 'AAPL', amount: 100000, unit: 'sat', triggerPriceSats: 1, ...order }
+  });
+}
+
+test.describe('Limit and Stop Orders', () => {
+  test('places, lists and cancels an open order', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const { order } = await readData(await placeOrder(request, auth, {}), 201);
+    expect(order.status).toBe('open');
+    expect(order.orderType).toBe('limit');
+    expect(order.side).toBe('buy');
+    expect(order.amount).toBe('100000');
+    expect(order.triggerPriceSats).toBe('1');
+
+    const { orders } = await readData(await request.get('/api/trades/orders?status=open', { headers: auth.headers }));
+    expect(orders.map(o => o.id)).toContain(order.id);
+
+    const cancel = await request.delete(`/api/trades/orders/${order.id}`, { headers: auth.headers });
+    expect(cancel.ok()).toBeTruthy();
+
+    const { orders: cancelled } = await readData(await request.get('/api/trades/orders?status=cancelled', { headers: auth.headers }));
+    expect(cancelled.find(o => o.id === order.id).cancelledAt).toBeTruthy();
+
+    // A closed order can't be cancelled again
+    const again = await request.delete(`/api/trades/orders/${order.id}`, { headers: auth.headers });
+    expect(again.status()).toBe(409);
+  });
+
+  test('rejects invalid orders', async ({ request }) => {
+    const auth = await signIn(request);
+
+    expect((await placeOrder(request, auth, { side: 'hold' })).status()).toBe(400);
+    expect((await placeOrder(request, auth, { orderType: 'market' })).status()).toBe(400);
+    expect((await placeOrder(request, auth, { assetSymbol: 'BTC' })).status()).toBe(400);
+    expect((await placeOrder(request, auth, { triggerPriceSats: 0 })).status()).toBe(400);
+    expect((await placeOrder(request, auth, { triggerPriceSats: 1.5 })).status()).toBe(400);
+  });
+
+  test('checks the balance when the order is placed', async ({ request }) => {
+    const auth = await signIn(request);
+
+    // New users hold 1 BTC
+    const tooLarge = await placeOrder(request, auth, { amount: 2, unit: 'btc' });
+    expect(tooLarge.status()).toBe(422);
+
+    // 0.001 BTC buys far less than one share
+    await buyAsset(request, auth, 'AAPL', 100000);
+    const moreThanHeld = await placeOrder(request, auth, { side: 'sell', orderType: 'stop', amount: 1, unit: 'asset' });
+    expect(moreThanHeld.status()).toBe(422);
+  });
+
+  test('only the owner can cancel an order', async ({ request }) => {
+    const owner = await signIn(request);
+    const other = await signIn(request);
+
+    const { order } = await readData(await placeOrder(request, owner, {}), 201);
+
+    const response = await request.delete(`/api/trades/orders/${order.id}`, { headers: other.headers });
+    expect(response.status()).toBe(404);
+  });
+
+  test('a price refresh fills triggered orders and leaves the rest open', async ({ request }) => {
+    test.skip(!ADMIN_EMAIL, 'set E2E_ADMIN_EMAIL to an address listed in ADMIN_EMAILS');
+    test.slow();
+
+    const auth = await signIn(request);
+    const admin = await signInAsAdmin(request);
+
+    // Buy stop fills once the price is at or above 1 sat; buy limit waits for it to fall to 1 sat
+    const { order: stop } = await readData(await placeOrder(request, auth, { orderType: 'stop' }), 201);
+    const { order: limit } = await readData(await placeOrder(request, auth, { orderType: 'limit' }), 201);
+
+    await readData(await request.post('/api/assets/update-prices', { headers: admin.headers }));
+
+    const findOrder = async (id) => {
+      const { orders } = await readData(await request.get('/api/trades/orders', { headers: auth.headers }));
+      return orders.find(o => o.id === id);
+    };
+
+    await expect.poll(async () => (await findOrder(stop.id)).status, { timeout: 30000 }).toBe('filled');
+
+    const filled = await findOrder(stop.id);
+    expect(filled.tradeId).toBeTruthy();
+    expect(Number(filled.filledPriceSats)).toBeGreaterThan(1);
+    expect(filled.filledAt).toBeTruthy();
+
+    expect((await findOrder(limit.id)).status).toBe('open');
+
+    const { trades } = await readData(await request.get('/api/trades/history', { headers: auth.headers }));
+    expect(trades.map(trade => trade.id)).toContain(filled.tradeId);
+  });
+});
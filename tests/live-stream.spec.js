@@ -0,0 +1,186 @@
+import { test, expect } from '@playwright/test';
+import { EventEmitter } from 'events';
+import { StreamHub } from '../src/server/services/stream-hub.js';
+import priceEvents from '../src/server/services/price-events.js';
+import portfolioEvents from '../src/server/services/portfolio-events.js';
+import { buyAsset, signIn } from './helpers/api.js';
+
+/**
+ * Live Stream Tests
+ * Server-sent events carry batched price updates to everyone and portfolio changes to their owner
+ */
+
+/**
+ * Open /api/stream and collect its events until the test closes it
+ * The request fixture waits for whole bodies, so the stream is read with fetch
+ */
+async function openStream(baseURL, auth) {
+  const controller = new AbortController();
+  const response = await fetch(`${baseURL}/api/stream`, {
+    headers: auth ? auth.headers : {},
+    signal: controller.signal
+  });
+  const events = [];
+
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const event = /^event: (.*)$/m.exec(block);
+          const data = /^data: (.*)$/m.exec(block);
+          if (event && data) {
+            events.push({ event: event[1], data: JSON.parse(data[1]) });
+          }
+        }
+      }
+    } catch (error) {
+      // Aborted by close()
+    }
+  })();
+
+  return { response, events, close: () => controller.abort() };
+}
+
+function waitForEvent(stream, name) {
+  return expect.poll(() => stream.events.find(entry => entry.event === name)?.data, { timeout: 10000 });
+}
+
+test.describe('Live Stream API', () => {
+  test('anyone can follow prices', async ({ baseURL }) => {
+    const stream = await openStream(baseURL);
+    try {
+      expect(stream.response.status).toBe(200);
+      expect(stream.response.headers.get('content-type')).toContain('text/event-stream');
+      await waitForEvent(stream, 'ready').toMatchObject({ authenticated: false });
+    } finally {
+      stream.close();
+    }
+  });
+
+  test('signed-in users get an event when their portfolio changes', async ({ request, baseURL }) => {
+    const auth = await signIn(request);
+    const other = await signIn(request);
+    const mine = await openStream(baseURL, auth);
+    const theirs = await openStream(baseURL, other);
+
+    try {
+      await waitForEvent(mine, 'ready').toMatchObject({ authenticated: true });
+      await waitForEvent(theirs, 'ready').toMatchObject({ authenticated: true });
+
+      const trade = await buyAsset(request, auth, 'XAU', 1000000);
+
+      await waitForEvent(mine, 'portfolio').toMatchObject({ userId: auth.user.id, reason: 'trade', tradeId: trade.id });
+      expect(theirs.events.some(entry => entry.event === 'portfolio')).toBe(false);
+    } finally {
+      mine.close();
+      theirs.close();
+    }
+  });
+
+  test('a bad token is refused before the stream opens', async ({ baseURL }) => {
+    const response = await fetch(`${baseURL}/api/stream`, { headers: { Authorization: 'Bearer not-a-token' } });
+    expect(response.status).toBe(403);
+  });
+});
+
+test.describe('Stream Hub', () => {
+  function fakeClient(user) {
+    const req = new EventEmitter();
+    req.user = user;
+    req.setTimeout = () => {};
+
+    const res = {
+      chunks: [],
+      ended: false,
+      writeHead(status, headers) {
+        this.status = status;
+        this.headers = headers;
+      },
+      write(chunk) {
+        this.chunks.push(chunk);
+      },
+      end() {
+        this.ended = true;
+      },
+      events(name) {
+        return this.chunks
+          .filter(chunk => chunk.startsWith(`event: ${name}\n`))
+          .map(chunk => JSON.parse(chunk.split('\ndata: ')[1]));
+      }
+    };
+
+    return { req, res };
+  }
+
+  let hub;
+
+  test.beforeEach(() => {
+    hub = new StreamHub({ batchMs: 20, heartbeatMs: 60000 });
+    hub.start();
+  });
+
+  test.afterEach(() => {
+    hub.stop();
+  });
+
+  test('greets every client with a ready event', () => {
+    const client = fakeClient(null);
+    hub.subscribe(client.req, client.res);
+
+    expect(client.res.status).toBe(200);
+    expect(client.res.headers['Content-Type']).toBe('text/event-stream');
+    expect(client.res.chunks[0]).toBe('retry: 5000\n\n');
+    expect(client.res.events('ready')).toEqual([expect.objectContaining({ authenticated: false })]);
+  });
+
+  test('sends price updates that arrive together as one batch', async () => {
+    const client = fakeClient(null);
+    hub.subscribe(client.req, client.res);
+
+    const updatedAt = new Date('2026-10-18T09:00:00.000Z');
+    priceEvents.emit('price:updated', { symbol: 'BTC', priceUsd: 65000, source: 'coingecko', updatedAt });
+    priceEvents.emit('price:updated', { symbol: 'XAU', priceUsd: 2400, source: 'yahoo', updatedAt });
+    priceEvents.emit('price:updated', { symbol: 'BTC', priceUsd: 65100, source: 'coingecko', updatedAt });
+
+    await expect.poll(() => client.res.events('prices').length).toBe(1);
+    expect(client.res.events('prices')[0].prices).toEqual({
+      BTC: { usd: 65100, source: 'coingecko', lastUpdated: updatedAt.toISOString() },
+      XAU: { usd: 2400, source: 'yahoo', lastUpdated: updatedAt.toISOString() }
+    });
+  });
+
+  test('portfolio changes only reach their owner', () => {
+    const owner = fakeClient({ userId: 1 });
+    const stranger = fakeClient({ userId: 2 });
+    const anonymous = fakeClient(null);
+    [owner, stranger, anonymous].forEach(client => hub.subscribe(client.req, client.res));
+
+    portfolioEvents.emit('portfolio:changed', { userId: 1, portfolioId: 10, reason: 'trade', tradeId: 5 });
+
+    expect(owner.res.events('portfolio')).toEqual([{ userId: 1, portfolioId: 10, reason: 'trade', tradeId: 5 }]);
+    expect(stranger.res.events('portfolio')).toEqual([]);
+    expect(anonymous.res.events('portfolio')).toEqual([]);
+  });
+
+  test('closes a signed-in stream when its access token expires', async () => {
+    const client = fakeClient({ userId: 1, exp: Math.floor(Date.now() / 1000) });
+    hub.subscribe(client.req, client.res);
+
+    await expect.poll(() => client.res.ended).toBe(true);
+  });
+
+  test('forgets clients that disconnect', () => {
+    const client = fakeClient({ userId: 1 });
+    hub.subscribe(client.req, client.res);
+    client.req.emit('close');
+
+    portfolioEvents.emit('portfolio:changed', { userId: 1, portfolioId: 10, reason: 'rebuilt', tradeId: null });
+    expect(client.res.events('portfolio')).toEqual([]);
+    expect(hub.clients.size).toBe(0);
+  });
+});
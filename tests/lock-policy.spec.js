@@ -0,0 +1,157 @@
+import { test, expect } from '@playwright/test';
+import { LockPolicy, getCompetitionLockPolicy, parseEarlyExitPenaltyPercent, parseHoursByCategory } from '../src/server/services/lock-policy.js';
+import { buyAsset, readData, signIn } from './helpers/api.js';
+
+/**
+ * Lock Policy Tests
+ * Purchased assets stay locked for their category's hours; locked lots sell only with an early-exit penalty
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const PURCHASED_AT = new Date('2026-10-18T09:00:00.000Z');
+
+function hoursAfterPurchase(hours) {
+  return new Date(PURCHASED_AT.getTime() + hours * HOUR_MS);
+}
+
+function lot(id, amount, createdAt, lockedUntil) {
+  return { id, amount, createdAt, lockedUntil };
+}
+
+test.describe('Lock Policy API', () => {
+  test('lock info reports the policy that applies to an asset', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const btc = await readData(await request.get('/api/trades/lock-info/BTC', { headers: auth.headers }));
+    expect(btc.policy).toMatchObject({ lockHours: 0, earlyExitAllowed: expect.any(Boolean), release: expect.stringMatching(/^(fifo|lifo)$/) });
+    expect(btc.isLocked).toBe(false);
+
+    const { policy } = await readData(await request.get('/api/trades/lock-info/XAU', { headers: auth.headers }));
+    expect(policy.lockHours).toBeGreaterThanOrEqual(0);
+    expect(policy.earlyExitAllowed).toBe(policy.earlyExitPenaltyPercent !== null);
+  });
+
+  test('a fresh purchase is locked and its early sale follows the policy', async ({ request }) => {
+    const auth = await signIn(request);
+    const buy = await buyAsset(request, auth, 'XAU', 10000000);
+
+    const info = await readData(await request.get('/api/trades/lock-info/XAU', { headers: auth.headers }));
+    test.skip(info.policy.lockHours === 0, 'the server does not lock Precious Metals');
+
+    expect(info).toMatchObject({ isLocked: true, lockedAmount: buy.toAmount, availableAmount: 0 });
+    const expectedUnlock = new Date(buy.executedAt).getTime() + info.policy.lockHours * HOUR_MS;
+    expect(Math.abs(new Date(info.latestUnlock).getTime() - expectedUnlock)).toBeLessThan(5000);
+
+    const { lockedAssets } = await readData(await request.get('/api/portfolio/locked-assets', { headers: auth.headers }));
+    expect(lockedAssets).toEqual([expect.objectContaining({ symbol: 'XAU', lockStatus: 'locked', policy: info.policy })]);
+
+    const sell = await request.post('/api/trades/execute', {
+      headers: auth.headers,
+      data: { fromAsset: 'XAU', toAsset: 'BTC', amount: buy.toAmount, unit: 'sat' }
+    });
+
+    if (!info.policy.earlyExitAllowed) {
+      expect(sell.status()).toBe(422);
+      return;
+    }
+
+    const { trade } = await readData(sell, 201);
+    const proceeds = trade.toAmount + trade.earlyExitPenaltySats;
+    expect(trade.earlyExitPenaltySats).toBe(Math.round(proceeds * info.policy.earlyExitPenaltyPercent / 100));
+  });
+});
+
+test.describe('Lock Policy Rules', () => {
+  const policy = new LockPolicy({ defaultHours: 24, hoursByCategory: { 'Stock Indices': 72, 'Precious Metals': 0 } });
+
+  test('lock hours come from the asset category, then the default', () => {
+    expect(policy.lockHours('SPY')).toBe(72);
+    expect(policy.lockHours('XAU')).toBe(0);
+    expect(policy.lockHours('AAPL')).toBe(24);
+    expect(policy.lockHours('BTC')).toBe(0);
+
+    expect(policy.lockedUntil('SPY', PURCHASED_AT)).toEqual(hoursAfterPurchase(72));
+    expect(policy.lockedUntil('XAU', PURCHASED_AT)).toBeNull();
+  });
+
+  test('without an early-exit penalty locked lots cannot be sold', () => {
+    const lots = policy.applySales([lot(1, 1000, PURCHASED_AT, hoursAfterPurchase(24))], []);
+
+    expect(policy.describe('AAPL')).toEqual({ lockHours: 24, earlyExitAllowed: false, earlyExitPenaltyPercent: null, release: 'fifo' });
+    expect(() => policy.checkSale(1000, lots, 1, hoursAfterPurchase(1))).toThrow(expect.objectContaining({ name: 'BusinessRuleError', statusCode: 422 }));
+    expect(policy.checkSale(1000, lots, 1000, hoursAfterPurchase(24))).toBe(0);
+  });
+
+  test('an early exit forfeits the penalty share of the locked part', () => {
+    const penalized = new LockPolicy({ defaultHours: 24, earlyExitPenaltyPercent: 10 });
+    const lots = penalized.applySales([
+      lot(1, 600, PURCHASED_AT, hoursAfterPurchase(24)),
+      lot(2, 400, hoursAfterPurchase(12), hoursAfterPurchase(36))
+    ], []);
+
+    // The first lot has unlocked; 200 of the sale comes out of the second
+    const lockedAmount = penalized.checkSale(1000, lots, 800, hoursAfterPurchase(30));
+    expect(lockedAmount).toBe(200);
+    expect(penalized.earlyExitPenalty(8000, 800, lockedAmount)).toBe(200);
+    expect(penalized.earlyExitPenalty(8000, 800, 0)).toBe(0);
+  });
+
+  test('an early exit never forfeits more than the proceeds', () => {
+    const full = new LockPolicy({ defaultHours: 24, earlyExitPenaltyPercent: 100 });
+    expect(full.earlyExitPenalty(8000, 800, 800)).toBe(8000);
+
+    // A policy built from bad input still leaves the seller at zero, not owing sats
+    const excessive = new LockPolicy({ defaultHours: 24, earlyExitPenaltyPercent: 150 });
+    expect(excessive.earlyExitPenalty(8000, 800, 800)).toBe(8000);
+  });
+
+  test('sales draw unlocked lots first, then in FIFO or LIFO order', () => {
+    const purchases = [
+      lot(1, 100, PURCHASED_AT, hoursAfterPurchase(24)),
+      lot(2, 100, hoursAfterPurchase(1), hoursAfterPurchase(25)),
+      lot(3, 100, hoursAfterPurchase(30), hoursAfterPurchase(54))
+    ];
+    const sales = [{ amount: 150, createdAt: hoursAfterPurchase(31) }];
+    const remaining = lots => lots.map(entry => Number(entry.remaining));
+
+    expect(remaining(policy.applySales(purchases, sales))).toEqual([0, 50, 100]);
+
+    const lifo = new LockPolicy({ defaultHours: 24, release: 'lifo' });
+    expect(remaining(lifo.applySales(purchases, sales))).toEqual([50, 0, 100]);
+
+    const summary = lifo.summarize(250, lifo.applySales(purchases, sales), hoursAfterPurchase(31));
+    expect(summary).toMatchObject({ totalAmount: 250, lockedAmount: 100, availableAmount: 150, latestUnlock: hoursAfterPurchase(54) });
+  });
+
+  test('competitions lock every asset for their own hours', () => {
+    const competition = getCompetitionLockPolicy({ lockHours: 48, earlyExitPenaltyPercent: '5' });
+
+    expect(competition.lockHours('XAU')).toBe(48);
+    expect(competition.lockHours('BTC')).toBe(0);
+    expect(competition.describe('SPY')).toMatchObject({ lockHours: 48, earlyExitAllowed: true, earlyExitPenaltyPercent: 5 });
+    expect(getCompetitionLockPolicy({ lockHours: null, earlyExitPenaltyPercent: null }).describe('SPY')).toMatchObject({ lockHours: 0, earlyExitAllowed: false });
+  });
+
+  test('ASSET_LOCK_HOURS_BY_CATEGORY is checked when it is read', () => {
+    expect(parseHoursByCategory('')).toEqual({});
+    expect(parseHoursByCategory('{"Precious Metals": 72, "Cryptocurrency": 0}')).toEqual({ 'Precious Metals': 72, Cryptocurrency: 0 });
+
+    expect(() => parseHoursByCategory('{"Precious Metals": 72')).toThrow('is not valid JSON');
+    expect(() => parseHoursByCategory('[72]')).toThrow('must be a JSON object of category -> hours');
+    expect(() => parseHoursByCategory('{"Precious Metal": 72}')).toThrow('unknown category "Precious Metal"');
+    expect(() => parseHoursByCategory('{"Precious Metals": -1}')).toThrow('"Precious Metals" a number of hours, 0 or more');
+    expect(() => parseHoursByCategory('{"Precious Metals": "72"}')).toThrow('"Precious Metals" a number of hours, 0 or more');
+  });
+
+  test('ASSET_LOCK_EARLY_EXIT_PENALTY_PERCENT is checked when it is read', () => {
+    expect(parseEarlyExitPenaltyPercent(undefined)).toBeNull();
+    expect(parseEarlyExitPenaltyPercent('')).toBeNull();
+    expect(parseEarlyExitPenaltyPercent('0')).toBe(0);
+    expect(parseEarlyExitPenaltyPercent('12.5')).toBe(12.5);
+    expect(parseEarlyExitPenaltyPercent('100')).toBe(100);
+
+    expect(() => parseEarlyExitPenaltyPercent('150')).toThrow('must be a percentage from 0 to 100');
+    expect(() => parseEarlyExitPenaltyPercent('-5')).toThrow('must be a percentage from 0 to 100');
+    expect(() => parseEarlyExitPenaltyPercent('ten')).toThrow('must be a percentage from 0 to 100');
+  });
+});
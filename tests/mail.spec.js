@@ -0,0 +1,121 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import MailService from '../src/server/services/mail-service.js';
+import { renderMailTemplate } from '../src/server/services/mail-templates/index.js';
+import {
+  MailTransport,
+  OutboxMailTransport,
+  createMailTransport
+} from '../src/server/services/mail-transports/index.js';
+
+/**
+ * Mail Tests
+ * Emails are rendered from localized templates and handed to the configured transport
+ */
+
+const USER = { email: 'satoshi@example.com', username: 'satoshi', language: 'en' };
+
+test.describe('Mail Templates', () => {
+  test('renders a subject, HTML and plain-text body', () => {
+    const mail = renderMailTemplate('magicLink', 'en', {
+      username: 'satoshi',
+      url: 'https://example.com/verify?token=abc',
+      minutes: 15,
+      appUrl: 'https://example.com'
+    });
+
+    expect(mail.subject).toBe('Your login link - Measure Everything in Bitcoin');
+    expect(mail.text).toContain('Log in: https://example.com/verify?token=abc');
+    expect(mail.text).toContain('expires in 15 minutes');
+    expect(mail.html).toContain('href="https://example.com/verify?token=abc"');
+    expect(mail.html).toContain('<html lang="en">');
+  });
+
+  test('escapes user input in the HTML body only', () => {
+    const mail = renderMailTemplate('suggestionReply', 'en', {
+      username: '<b>satoshi</b>',
+      title: 'Dark mode',
+      reply: 'Shipped <script>alert(1)</script>',
+      closed: true,
+      url: 'https://example.com/#home'
+    });
+
+    expect(mail.html).toContain('Shipped &lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(mail.html).not.toContain('<script>');
+    expect(mail.text).toContain('Hi <b>satoshi</b>,');
+    expect(mail.text).toContain('The suggestion is now closed.');
+  });
+
+  test('uses the recipient language and falls back to English', () => {
+    const bg = renderMailTemplate('magicLink', 'bg', { username: 'сатоши', url: 'https://example.com', minutes: 15 });
+    expect(bg.subject).toBe('Вашата магическа връзка за вход - Измервайте всичко в Биткойн');
+    expect(bg.html).toContain('<html lang="bg">');
+
+    const unknown = renderMailTemplate('magicLink', 'xx', { username: 'satoshi', url: 'https://example.com', minutes: 15 });
+    expect(unknown.subject).toBe('Your login link - Measure Everything in Bitcoin');
+  });
+
+  test('formats numbers in the template locale', () => {
+    const mail = renderMailTemplate('competitionResult', 'en', {
+      username: 'satoshi',
+      competition: 'Gold Rush',
+      rank: 2,
+      participants: 10,
+      valueBtc: 1.23456789,
+      performancePercent: 23.456,
+      beatsBitcoin: true,
+      url: 'https://example.com/#leaderboard'
+    });
+
+    expect(mail.text).toContain('You finished #2 of 10 with 1.23456789 BTC (+23.46%).');
+  });
+
+  test('rejects unknown templates', () => {
+    expect(() => renderMailTemplate('newsletter', 'en', {})).toThrow('Unknown mail template "newsletter"');
+  });
+});
+
+test.describe('Mail Transports', () => {
+  test('picks a transport by name', () => {
+    expect(createMailTransport('outbox')).toBeInstanceOf(OutboxMailTransport);
+    expect(createMailTransport(' Local ').name).toBe('local');
+    expect(() => createMailTransport('pigeon')).toThrow('Unknown mail transport "pigeon"');
+  });
+
+  test('refuses incomplete messages before delivering', async () => {
+    class RecordingTransport extends MailTransport {
+      constructor() {
+        super('recording', { from: 'test@example.com' });
+        this.delivered = [];
+      }
+
+      async deliver(message) {
+        this.delivered.push(message);
+        return { messageId: `<${this.delivered.length}@example.com>` };
+      }
+    }
+    const transport = new RecordingTransport();
+
+    await expect(transport.send({ subject: 'Hi', text: 'Hello' })).rejects.toThrow('Mail recipient is required');
+    await expect(transport.send({ to: 'a@example.com', subject: 'Hi' })).rejects.toThrow('has no subject or body');
+    expect(transport.delivered).toHaveLength(0);
+
+    const info = await transport.send({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+    expect(info).toEqual({ messageId: '<1@example.com>', transport: 'recording' });
+    expect(transport.delivered[0].from).toBe('test@example.com');
+  });
+
+  test('the outbox keeps each message as .eml and .json files', async () => {
+    const directory = test.info().outputPath('outbox');
+    const mailService = new MailService({ transport: new OutboxMailTransport({ directory }) });
+
+    const info = await mailService.sendMagicLink(USER, 'https://example.com/verify?token=abc');
+    expect(info.transport).toBe('outbox');
+
+    const messages = mailService.transport.list();
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ template: 'magicLink', to: USER.email, subject: 'Your login link - Measure Everything in Bitcoin' });
+    expect(messages[0].text).toContain('https://example.com/verify?token=abc');
+    expect(fs.readdirSync(directory).filter(file => file.endsWith('.eml'))).toHaveLength(1);
+  });
+});
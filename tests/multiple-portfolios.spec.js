@@ -0,0 +1,110 @@
+import { test, expect } from '@playwright/test';
+import { buyAsset, readData, signIn } from './helpers/api.js';
+
+/**
+ * Multiple Portfolio Tests
+ * Each named portfolio starts with 1 BTC and trades independently of the others
+ */
+
+function createPortfolio(request, auth, name) {
+  return request.post('/api/portfolio/portfolios', { headers: auth.headers, data: { name } });
+}
+
+function btcAmount(portfolio) {
+  return portfolio.holdings.find(holding => holding.asset_symbol === 'BTC').amount;
+}
+
+test.describe('Multiple Portfolios', () => {
+  test('a new portfolio starts with 1 BTC next to the default one', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const { portfolio } = await readData(await createPortfolio(request, auth, 'Gold bugs'), 201);
+    expect(portfolio.name).toBe('Gold bugs');
+    expect(portfolio.isDefault).toBe(false);
+
+    const { portfolios } = await readData(await request.get('/api/portfolio/portfolios', { headers: auth.headers }));
+    expect(portfolios).toHaveLength(2);
+    expect(portfolios[0].isDefault).toBe(true);
+    expect(portfolios[1].id).toBe(portfolio.id);
+
+    const holdings = await readData(await request.get(`/api/portfolio?portfolioId=${portfolio.id}`, { headers: auth.headers }));
+    expect(btcAmount(holdings)).toBe(100000000);
+  });
+
+  test('trades only touch the portfolio they are made in', async ({ request }) => {
+    const auth = await signIn(request);
+    const { portfolio } = await readData(await createPortfolio(request, auth, 'Stocks'), 201);
+
+    await buyAsset(request, auth, 'SPY', 20000000, portfolio.id);
+
+    const side = await readData(await request.get(`/api/portfolio?portfolioId=${portfolio.id}`, { headers: auth.headers }));
+    const main = await readData(await request.get('/api/portfolio', { headers: auth.headers }));
+    expect(btcAmount(side)).toBe(80000000);
+    expect(btcAmount(main)).toBe(100000000);
+
+    const { trades: sideTrades } = await readData(await request.get(`/api/trades/history?portfolioId=${portfolio.id}`, { headers: auth.headers }));
+    const { trades: mainTrades } = await readData(await request.get('/api/trades/history', { headers: auth.headers }));
+    expect(sideTrades).toHaveLength(1);
+    expect(mainTrades).toHaveLength(0);
+
+    const { portfolios } = await readData(await request.get('/api/portfolio/compare', { headers: auth.headers }));
+    expect(portfolios.map(p => p.tradeCount)).toEqual([0, 1]);
+    expect(portfolios[1].allocation.map(slice => slice.symbol)).toContain('SPY');
+  });
+
+  test('names are unique per user and can be changed', async ({ request }) => {
+    const auth = await signIn(request);
+    const { portfolio } = await readData(await createPortfolio(request, auth, 'Experiment'), 201);
+
+    expect((await createPortfolio(request, auth, 'Experiment')).status()).toBe(409);
+    expect((await createPortfolio(request, auth, '   ')).status()).toBe(400);
+
+    const renamed = await readData(await request.put(`/api/portfolio/portfolios/${portfolio.id}`, {
+      headers: auth.headers,
+      data: { name: 'Experiment 2' }
+    }));
+    expect(renamed.portfolio.name).toBe('Experiment 2');
+  });
+
+  test('a user has at most five portfolios', async ({ request }) => {
+    const auth = await signIn(request);
+
+    for (let i = 1; i <= 4; i++) {
+      await readData(await createPortfolio(request, auth, `Portfolio ${i}`), 201);
+    }
+
+    expect((await createPortfolio(request, auth, 'One too many')).status()).toBe(422);
+  });
+
+  test('the default portfolio cannot be deleted, others can', async ({ request }) => {
+    const auth = await signIn(request);
+    const { portfolio } = await readData(await createPortfolio(request, auth, 'Short-lived'), 201);
+
+    const { portfolios } = await readData(await request.get('/api/portfolio/portfolios', { headers: auth.headers }));
+    const defaultPortfolio = portfolios.find(p => p.isDefault);
+
+    const refused = await request.delete(`/api/portfolio/portfolios/${defaultPortfolio.id}`, { headers: auth.headers });
+    expect(refused.status()).toBe(422);
+
+    const deleted = await request.delete(`/api/portfolio/portfolios/${portfolio.id}`, { headers: auth.headers });
+    expect(deleted.ok()).toBeTruthy();
+
+    const { portfolios: remaining } = await readData(await request.get('/api/portfolio/portfolios', { headers: auth.headers }));
+    expect(remaining.map(p => p.id)).toEqual([defaultPortfolio.id]);
+  });
+
+  test("other users' portfolios are not reachable", async ({ request }) => {
+    const owner = await signIn(request);
+    const other = await signIn(request);
+    const { portfolio } = await readData(await createPortfolio(request, owner, 'Private'), 201);
+
+    const read = await request.get(`/api/portfolio?portfolioId=${portfolio.id}`, { headers: other.headers });
+    expect(read.status()).toBe(404);
+
+    const trade = await request.post('/api/trades/execute', {
+      headers: other.headers,
+      data: { fromAsset: 'BTC', toAsset: 'XAU', amount: 10000, unit: 'sat', portfolioId: portfolio.id }
+    });
+    expect(trade.status()).toBe(404);
+  });
+});
@@ -0,0 +1,150 @@
+import { test, expect } from '@playwright/test';
+import PasskeyService from '../src/server/services/passkey-service.js';
+import { readData, signIn } from './helpers/api.js';
+
+/**
+ * Passkey Tests
+ * WebAuthn ceremonies carry a short-lived signed challenge token; each token is answered at most once
+ */
+
+const FAKE_RESPONSE = {
+  id: 'bm90LWEtcmVhbC1jcmVkZW50aWFs',
+  rawId: 'bm90LWEtcmVhbC1jcmVkZW50aWFs',
+  type: 'public-key',
+  response: { clientDataJSON: 'e30', attestationObject: 'e30', authenticatorData: 'e30', signature: 'e30' },
+  clientExtensionResults: {}
+};
+
+test.describe('Passkeys', () => {
+  test('registration options ask for a discoverable credential for the signed-in user', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const { options, challengeToken } = await readData(await request.post('/api/auth/passkeys/register/options', { headers: auth.headers }));
+    expect(challengeToken).toBeTruthy();
+    expect(options.challenge).toBeTruthy();
+    expect(options.user.name).toBe(auth.email);
+    expect(options.user.displayName).toBe(auth.user.username);
+    expect(options.rp.id).toBeTruthy();
+    expect(options.authenticatorSelection.residentKey).toBe('required');
+    expect(options.excludeCredentials).toEqual([]);
+
+    expect((await request.post('/api/auth/passkeys/register/options')).status()).toBe(401);
+  });
+
+  test('login options need no account', async ({ request }) => {
+    const { options, challengeToken } = await readData(await request.post('/api/auth/passkeys/login/options'));
+    expect(challengeToken).toBeTruthy();
+    expect(options.challenge).toBeTruthy();
+    expect(options.allowCredentials ?? []).toEqual([]);
+  });
+
+  test('challenge tokens only work for the ceremony and user they were issued for', async ({ request }) => {
+    const auth = await signIn(request);
+    const other = await signIn(request);
+
+    const login = await readData(await request.post('/api/auth/passkeys/login/options'));
+    const register = await readData(await request.post('/api/auth/passkeys/register/options', { headers: auth.headers }));
+    const registerWith = (user, challengeToken) => request.post('/api/auth/passkeys/register', {
+      headers: user.headers,
+      data: { response: FAKE_RESPONSE, challengeToken, name: 'Laptop' }
+    });
+
+    expect((await registerWith(auth, login.challengeToken)).status()).toBe(401);
+    expect((await registerWith(other, register.challengeToken)).status()).toBe(401);
+    expect((await registerWith(auth, 'forged')).status()).toBe(401);
+
+    // A valid challenge with an answer that does not verify
+    expect((await registerWith(auth, register.challengeToken)).status()).toBe(400);
+
+    const loginWith = (challengeToken) => request.post('/api/auth/passkeys/login', {
+      data: { response: FAKE_RESPONSE, challengeToken }
+    });
+    expect((await loginWith(register.challengeToken)).status()).toBe(401);
+  });
+
+  test('a challenge token is answered only once', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const { challengeToken } = await readData(await request.post('/api/auth/passkeys/register/options', { headers: auth.headers }));
+    const register = () => request.post('/api/auth/passkeys/register', {
+      headers: auth.headers,
+      data: { response: FAKE_RESPONSE, challengeToken, name: 'Laptop' }
+    });
+
+    expect((await register()).status()).toBe(400);
+    expect((await register()).status()).toBe(401);
+  });
+
+  test('an unknown passkey cannot log in', async ({ request }) => {
+    const { challengeToken } = await readData(await request.post('/api/auth/passkeys/login/options'));
+
+    const response = await request.post('/api/auth/passkeys/login', { data: { response: FAKE_RESPONSE, challengeToken } });
+    expect(response.status()).toBe(401);
+    expect((await request.post('/api/auth/passkeys/login', { data: { challengeToken } })).status()).toBe(400);
+  });
+
+  test('users list and remove only their own passkeys', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const { passkeys } = await readData(await request.get('/api/auth/passkeys', { headers: auth.headers }));
+    expect(passkeys).toEqual([]);
+
+    expect((await request.delete('/api/auth/passkeys/999999999', { headers: auth.headers })).status()).toBe(404);
+  });
+});
+
+test.describe('Passkey Challenges', () => {
+  let service;
+  let used;
+
+  test.beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'passkey-challenge-test-secret';
+  });
+
+  test.beforeEach(() => {
+    used = new Map();
+    service = new PasskeyService();
+    service.prisma = {
+      usedPasskeyChallenge: {
+        deleteMany: async ({ where }) => {
+          for (const [jti, row] of used) {
+            if (row.expiresAt < where.expiresAt.lt) {
+              used.delete(jti);
+            }
+          }
+        },
+        create: async ({ data }) => {
+          if (used.has(data.jti)) {
+            throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+          }
+          used.set(data.jti, data);
+        }
+      }
+    };
+  });
+
+  test('a consumed challenge is refused the second time', async () => {
+    const token = service.signChallenge('abc123', 'passkey_login');
+
+    expect(await service.consumeChallenge(token, 'passkey_login')).toBe('abc123');
+    await expect(service.consumeChallenge(token, 'passkey_login')).rejects.toThrow('Passkey prompt already used');
+    expect(used.size).toBe(1);
+  });
+
+  test('each options response gets its own challenge id', async () => {
+    const first = service.signChallenge('abc123', 'passkey_register', 7);
+    const second = service.signChallenge('abc123', 'passkey_register', 7);
+
+    expect(await service.consumeChallenge(first, 'passkey_register', 7)).toBe('abc123');
+    expect(await service.consumeChallenge(second, 'passkey_register', 7)).toBe('abc123');
+  });
+
+  test('a token for another ceremony is refused without being used up', async () => {
+    const token = service.signChallenge('abc123', 'passkey_register', 7);
+
+    await expect(service.consumeChallenge(token, 'passkey_login')).rejects.toThrow('Invalid passkey challenge');
+    await expect(service.consumeChallenge(token, 'passkey_register', 8)).rejects.toThrow('Invalid passkey challenge');
+    expect(used.size).toBe(0);
+    expect(await service.consumeChallenge(token, 'passkey_register', 7)).toBe('abc123');
+  });
+});
@@ -0,0 +1,132 @@
+import { test, expect } from '@playwright/test';
+import PortfolioRepairService from '../src/server/services/portfolio-repair-service.js';
+import { ADMIN_EMAIL, buyAsset, readData, signIn, signInAsAdmin } from './helpers/api.js';
+
+/**
+ * Portfolio Repair Tests
+ * Holdings and purchases are rebuilt by replaying a portfolio's trades from 1 BTC
+ */
+
+function rebuild(request, admin, userId, query = '') {
+  return request.post(`/api/admin/users/${userId}/rebuild${query}`, { headers: admin.headers });
+}
+
+test.describe('Portfolio Repair API', () => {
+  test('is only available to admins', async ({ request }) => {
+    const auth = await signIn(request);
+
+    expect((await rebuild(request, auth, auth.user.id)).status()).toBe(403);
+  });
+
+  test.describe('as an admin', () => {
+    test.skip(!ADMIN_EMAIL, 'set E2E_ADMIN_EMAIL to an address listed in ADMIN_EMAILS');
+
+    test('a portfolio kept by the trade service is in sync with its trades', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+      await buyAsset(request, auth, 'XAU', 10000000);
+      await buyAsset(request, auth, 'SPY', 5000000);
+
+      const result = await readData(await rebuild(request, admin, auth.user.id));
+      expect(result).toMatchObject({ userId: auth.user.id, dryRun: true, applied: false });
+      expect(result.summary).toEqual({ holdingChanges: 0, purchasesToCreate: 0, purchasesToDelete: 0, inSync: true });
+      expect(result.portfolios).toHaveLength(1);
+      expect(result.portfolios[0].tradeCount).toBe(2);
+      expect(result.portfolios[0].warnings).toEqual([]);
+    });
+
+    test('applying a rebuild of a healthy portfolio changes nothing', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+      await buyAsset(request, auth, 'XAG', 2000000);
+      const before = await readData(await request.get('/api/portfolio', { headers: auth.headers }));
+
+      const result = await readData(await rebuild(request, admin, auth.user.id, '?dryRun=false'));
+      expect(result.applied).toBe(true);
+      expect(result.summary.inSync).toBe(true);
+
+      const after = await readData(await request.get('/api/portfolio', { headers: auth.headers }));
+      const amounts = portfolio => portfolio.holdings.map(holding => [holding.asset_symbol, holding.amount, holding.purchase_count]);
+      expect(amounts(after)).toEqual(amounts(before));
+    });
+
+    test('can be limited to one portfolio', async ({ request }) => {
+      const admin = await signInAsAdmin(request);
+      const auth = await signIn(request);
+      const { portfolio } = await readData(await request.post('/api/portfolio/portfolios', {
+        headers: auth.headers,
+        data: { name: 'Side pot' }
+      }), 201);
+
+      const result = await readData(await rebuild(request, admin, auth.user.id, `?portfolioId=${portfolio.id}`));
+      expect(result.portfolios.map(plan => plan.portfolioId)).toEqual([portfolio.id]);
+
+      expect((await rebuild(request, admin, auth.user.id, '?portfolioId=999999999')).status()).toBe(404);
+      expect((await rebuild(request, admin, 999999999)).status()).toBe(404);
+    });
+  });
+});
+
+test.describe('Portfolio Repair Replay', () => {
+  const service = new PortfolioRepairService();
+  const createdAt = new Date('2031-01-10T12:00:00.000Z');
+  const trade = (id, fromAsset, toAsset, fromAmount, toAmount) => ({
+    id, fromAsset, toAsset, fromAmount: BigInt(fromAmount), toAmount: BigInt(toAmount),
+    assetPriceUsd: '2500', btcPriceUsd: '100000', createdAt
+  });
+
+  const trades = [
+    trade(1, 'BTC', 'XAU', 20000000, 800000000),
+    trade(2, 'BTC', 'AAPL', 10000000, 5000000000),
+    trade(3, 'AAPL', 'BTC', 5000000000, 11000000)
+  ];
+
+  test('replays trades from the 1 BTC starting balance', () => {
+    const { balances, expectedPurchases, warnings } = service.replayTrades(trades);
+
+    expect(balances.get('BTC')).toBe(81000000n);
+    expect(balances.get('XAU')).toBe(800000000n);
+    expect(balances.get('AAPL')).toBe(0n);
+    expect(warnings).toEqual([]);
+
+    // Only buys create locked purchases
+    expect(expectedPurchases.map(purchase => purchase.tradeId)).toEqual([1, 2]);
+    expect(expectedPurchases[0]).toMatchObject({ assetSymbol: 'XAU', amount: 800000000n, btcSpent: 20000000n });
+    expect(expectedPurchases[0].lockedUntil.getTime()).toBeGreaterThanOrEqual(createdAt.getTime());
+  });
+
+  test('warns about trades that overspend', () => {
+    const { balances, warnings } = service.replayTrades([trade(7, 'BTC', 'XAU', 150000000, 1)]);
+
+    expect(balances.get('BTC')).toBe(-50000000n);
+    expect(warnings).toEqual(['Trade #7 spends more BTC than the portfolio held']);
+  });
+
+  test('flags wrong amounts, missing rows and duplicate rows', () => {
+    const { balances } = service.replayTrades(trades);
+    const changes = service.diffHoldings([
+      { id: 10, assetSymbol: 'BTC', amount: 81000000n },
+      { id: 11, assetSymbol: 'XAU', amount: 400000000n },
+      { id: 12, assetSymbol: 'XAU', amount: 400000000n },
+      { id: 13, assetSymbol: 'SPY', amount: 5n }
+    ], balances);
+
+    expect(changes).toEqual([
+      { assetSymbol: 'SPY', currentAmount: 5n, expectedAmount: 0n, difference: -5n, holdingIds: [13] },
+      { assetSymbol: 'XAU', currentAmount: 800000000n, expectedAmount: 800000000n, difference: 0n, holdingIds: [11, 12] }
+    ]);
+  });
+
+  test('matches purchases to trades and reports the rest', () => {
+    const { expectedPurchases } = service.replayTrades(trades);
+    const stray = { id: 21, assetSymbol: 'SPY', amount: 5n, btcSpent: 1000n };
+
+    const { toCreate, toDelete } = service.diffPurchases([
+      { id: 20, assetSymbol: 'XAU', amount: 800000000n, btcSpent: 20000000n },
+      stray
+    ], expectedPurchases);
+
+    expect(toCreate.map(purchase => purchase.tradeId)).toEqual([2]);
+    expect(toDelete).toEqual([stray]);
+  });
+});
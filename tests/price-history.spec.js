@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+import { readData } from './helpers/api.js';
+
+/**
+ * Price History API Tests
+ * /api/assets/:symbol/history serves stored daily bars in USD and sats
+ */
+
+test.describe('Price History API', () => {
+  test('returns ordered daily bars in USD and sats for the period', async ({ request }) => {
+    const data = await readData(await request.get('/api/assets/XAU/history?period=30d'));
+
+    expect(data.symbol).toBe('XAU');
+    expect(data.period).toBe('30d');
+    expect(data.count).toBe(data.history.length);
+    expect(data.note).toBeUndefined();
+
+    const dates = data.history.map(bar => bar.date);
+    expect(dates).toEqual([...dates].sort());
+    dates.forEach(date => expect(date).toMatch(/^\d{4}-\d{2}-\d{2}$/));
+
+    if (data.history.length > 0) {
+      expect(data.startDate).toBe(dates[0]);
+      expect(data.endDate).toBe(dates[dates.length - 1]);
+
+      const oldest = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      expect(data.startDate >= oldest).toBeTruthy();
+
+      for (const bar of data.history) {
+        expect(bar).toHaveProperty('closeUsd');
+        expect(bar).toHaveProperty('closeSats');
+        expect(bar).toHaveProperty('source');
+      }
+    }
+  });
+
+  test('prices BTC at one bitcoin in sats', async ({ request }) => {
+    const data = await readData(await request.get('/api/assets/BTC/history?period=7d'));
+
+    for (const bar of data.history) {
+      expect(bar.closeSats).toBe(100000000);
+      expect(bar.openSats).toBe(100000000);
+    }
+  });
+
+  test('rejects an unknown period', async ({ request }) => {
+    const response = await request.get('/api/assets/XAU/history?period=3w');
+    expect(response.status()).toBe(400);
+  });
+
+  test('returns 404 for an unknown asset', async ({ request }) => {
+    const response = await request.get('/api/assets/NOPE/history?period=30d');
+    expect(response.status()).toBe(404);
+  });
+});
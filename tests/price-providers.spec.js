@@ -0,0 +1,93 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import {
+  FixturePriceProvider,
+  FallbackPriceProvider,
+  createPriceProvider
+} from '../src/server/services/price-providers/index.js';
+
+/**
+ * Price Provider Tests
+ * The fixture provider serves recorded prices offline; chains fall back provider by provider
+ */
+
+function writeFixture(name, data) {
+  const filePath = test.info().outputPath(name);
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return filePath;
+}
+
+const RECORDING = {
+  recordedAt: '2026-10-18T09:00:00.000Z',
+  prices: { BTC: 65000, XAU: 2400 },
+  history: {
+    XAG: [
+      { date: '2026-09-01', open: 28, high: 29, low: 27.5, close: 28.5 },
+      { date: '2026-10-01', open: 30, high: 31, low: 29.5, close: 30.5 },
+      { date: '2026-10-17', open: 31, high: 32, low: 30.5, close: 31.5 }
+    ]
+  }
+};
+
+test.describe('Fixture Price Provider', () => {
+  test('quotes recorded prices with the fixture as their source', async () => {
+    const provider = new FixturePriceProvider({ filePath: writeFixture('prices.json', RECORDING) });
+
+    const quote = await provider.getQuote('XAU');
+    expect(quote.priceUsd).toBe(2400);
+    expect(quote.source).toBe('fixture');
+  });
+
+  test('falls back to the last recorded close when there is no spot price', async () => {
+    const provider = new FixturePriceProvider({ filePath: writeFixture('prices.json', RECORDING) });
+
+    const quote = await provider.getQuote('XAG');
+    expect(quote.priceUsd).toBe(31.5);
+  });
+
+  test('measures history ranges back from the last recorded bar', async () => {
+    const provider = new FixturePriceProvider({ filePath: writeFixture('prices.json', RECORDING) });
+
+    const { source, bars } = await provider.getDailyBars('XAG', '1mo');
+    expect(source).toBe('fixture');
+    expect(bars.map(bar => bar.date.toISOString().slice(0, 10))).toEqual(['2026-10-01', '2026-10-17']);
+  });
+
+  test('does not claim symbols that were not recorded', async () => {
+    const provider = new FixturePriceProvider({ filePath: writeFixture('prices.json', RECORDING) });
+
+    expect(provider.supports('AAPL')).toBe(false);
+    await expect(provider.getQuote('AAPL')).rejects.toThrow('does not support AAPL');
+  });
+
+  test('a missing or broken recording fails the startup check', () => {
+    const missing = new FixturePriceProvider({ filePath: test.info().outputPath('missing.json') });
+    expect(() => missing.checkConfiguration()).toThrow('run npm run prices:record');
+    expect(() => new FallbackPriceProvider([missing]).checkConfiguration()).toThrow('Price fixture file not found');
+
+    const brokenPath = test.info().outputPath('broken.json');
+    fs.writeFileSync(brokenPath, '{"prices": ');
+    expect(() => new FixturePriceProvider({ filePath: brokenPath }).checkConfiguration()).toThrow('is not valid JSON');
+
+    expect(() => new FixturePriceProvider({ filePath: writeFixture('prices.json', RECORDING) }).checkConfiguration()).not.toThrow();
+  });
+});
+
+test.describe('Provider Chains', () => {
+  test('the next provider answers for symbols the first one lacks', async () => {
+    const chain = new FallbackPriceProvider([
+      new FixturePriceProvider({ filePath: writeFixture('first.json', { prices: { BTC: 65000 } }) }),
+      new FixturePriceProvider({ filePath: writeFixture('second.json', { prices: { BTC: 66000, AAPL: 230 } }) })
+    ]);
+
+    expect((await chain.getQuote('BTC')).priceUsd).toBe(65000);
+    expect((await chain.getQuote('AAPL')).priceUsd).toBe(230);
+  });
+
+  test('PRICE_PROVIDER names are validated', () => {
+    expect(() => createPriceProvider('fixture,nasdaq')).toThrow('Unknown price provider "nasdaq"');
+    expect(() => createPriceProvider(' , ')).toThrow('PRICE_PROVIDER must name at least one provider');
+    expect(createPriceProvider('fixture')).toBeInstanceOf(FixturePriceProvider);
+    expect(createPriceProvider('fixture,yahoo')).toBeInstanceOf(FallbackPriceProvider);
+  });
+});
@@ -0,0 +1,168 @@
+import { test, expect } from '@playwright/test';
+import {
+  BREAKER_STATES,
+  CircuitBreaker,
+  getCircuitBreaker,
+  getProviderHealth
+} from '../src/server/services/price-providers/circuit-breaker.js';
+import { PriceRefresher } from '../src/server/services/price-refresher.js';
+import { ADMIN_EMAIL, readData, signInAsAdmin } from './helpers/api.js';
+
+/**
+ * Price Refresher Tests
+ * Prices are refreshed on a market-hours schedule; failing providers are skipped by circuit breakers
+ */
+
+// Wednesday 11:00 and Saturday 11:00 in New York
+const WEEKDAY_OPEN = new Date('2026-10-14T15:00:00.000Z');
+const WEEKEND = new Date('2026-10-17T15:00:00.000Z');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test.describe('Provider Circuit Breakers', () => {
+  test('opens after consecutive failures and fails fast until the cooldown ends', async () => {
+    const breaker = new CircuitBreaker('flaky', { failureThreshold: 2, cooldownSeconds: 0.05 });
+
+    breaker.recordFailure(new Error('timeout'));
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure(new Error('timeout'));
+
+    expect(breaker.state).toBe(BREAKER_STATES.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+
+    await wait(60);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(BREAKER_STATES.HALF_OPEN);
+    // Only the one trial request goes through
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  test('a successful trial closes the breaker again', async () => {
+    const breaker = new CircuitBreaker('flaky', { failureThreshold: 1, cooldownSeconds: 0.05 });
+    breaker.recordFailure(new Error('HTTP 503'));
+
+    await wait(60);
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordSuccess();
+
+    expect(breaker.getHealth()).toMatchObject({
+      provider: 'flaky',
+      state: BREAKER_STATES.CLOSED,
+      healthy: true,
+      consecutiveFailures: 0,
+      totalRequests: 2,
+      totalFailures: 1,
+      lastError: 'HTTP 503',
+      openUntil: null
+    });
+  });
+
+  test('a failed trial reopens the breaker for twice as long, up to the maximum', async () => {
+    const breaker = new CircuitBreaker('flaky', { failureThreshold: 1, cooldownSeconds: 0.05, maxCooldownSeconds: 0.15 });
+    breaker.recordFailure(new Error('timeout'));
+
+    await wait(60);
+    breaker.allowRequest();
+    breaker.recordFailure(new Error('timeout'));
+    expect(breaker.cooldownMs).toBe(100);
+    expect(breaker.getHealth()).toMatchObject({ state: BREAKER_STATES.OPEN, healthy: false, consecutiveFailures: 2 });
+    expect(breaker.getHealth().openUntil).toBeInstanceOf(Date);
+
+    await wait(110);
+    breaker.allowRequest();
+    breaker.recordFailure(new Error('timeout'));
+    expect(breaker.cooldownMs).toBe(150);
+
+    await wait(160);
+    breaker.allowRequest();
+    breaker.recordSuccess();
+    expect(breaker.cooldownMs).toBe(50);
+  });
+
+  test('every instance of a provider shares one breaker', () => {
+    const breaker = getCircuitBreaker('refresher-spec');
+    expect(getCircuitBreaker('refresher-spec')).toBe(breaker);
+
+    breaker.recordSuccess();
+    const health = getProviderHealth().find(entry => entry.provider === 'refresher-spec');
+    expect(health).toMatchObject({ state: BREAKER_STATES.CLOSED, totalRequests: 1 });
+  });
+});
+
+test.describe('Price Refresh Schedule', () => {
+  function refresherWith(quotes) {
+    const refresher = new PriceRefresher({ symbols: ['BTC', 'SPY', 'XAU'] });
+    const cached = [];
+    refresher.priceCacheService = {
+      fetchQuote: async symbol => quotes[symbol] || null,
+      cachePrice: async (symbol, priceUsd, source) => cached.push({ symbol, priceUsd, source })
+    };
+    return { refresher, cached };
+  }
+
+  test('refreshes crypto every minute and other assets by their market hours', () => {
+    const { refresher } = refresherWith({});
+
+    expect(refresher.intervalMinutes('BTC', WEEKEND)).toBe(1);
+    expect(refresher.intervalMinutes('SPY', WEEKDAY_OPEN)).toBe(2);
+    expect(refresher.intervalMinutes('SPY', WEEKEND)).toBe(60);
+    expect(refresher.intervalMinutes('XAU', WEEKDAY_OPEN)).toBe(2);
+  });
+
+  test('a symbol is due once its interval has passed since the last attempt', () => {
+    const { refresher } = refresherWith({});
+    expect(refresher.isDue('SPY', WEEKDAY_OPEN)).toBe(true);
+
+    refresher.symbolState.set('SPY', { lastAttemptAt: new Date(WEEKDAY_OPEN.getTime() - 60 * 1000), lastSuccessAt: null, failures: 0 });
+    expect(refresher.isDue('SPY', WEEKDAY_OPEN)).toBe(false);
+
+    refresher.symbolState.get('SPY').lastAttemptAt = new Date(WEEKDAY_OPEN.getTime() - 2 * 60 * 1000);
+    expect(refresher.isDue('SPY', WEEKDAY_OPEN)).toBe(true);
+  });
+
+  test('a failing symbol backs off and recovers after a good quote', async () => {
+    const quotes = {};
+    const { refresher, cached } = refresherWith(quotes);
+
+    await refresher.refreshSymbol('SPY');
+    await refresher.refreshSymbol('SPY');
+    expect(refresher.intervalMinutes('SPY', WEEKDAY_OPEN)).toBe(8);
+    expect(refresher.intervalMinutes('SPY', WEEKEND)).toBe(60);
+    expect(refresher.getStatus()).toMatchObject({ active: false, symbols: 3, failing: [{ symbol: 'SPY', failures: 2 }] });
+
+    quotes.SPY = { priceUsd: 580.25, source: 'yahoo' };
+    await refresher.refreshSymbol('SPY');
+    expect(cached).toEqual([{ symbol: 'SPY', priceUsd: 580.25, source: 'yahoo' }]);
+    expect(refresher.intervalMinutes('SPY', WEEKDAY_OPEN)).toBe(2);
+    expect(refresher.getStatus().failing).toEqual([]);
+  });
+
+  test('only a running refresher claims its symbols', () => {
+    const { refresher } = refresherWith({});
+    expect(refresher.refreshes('BTC')).toBe(false);
+
+    refresher.timer = setInterval(() => {}, 60000);
+    try {
+      expect(refresher.refreshes('BTC')).toBe(true);
+      expect(refresher.refreshes('ETH')).toBe(false);
+    } finally {
+      refresher.stop();
+    }
+    expect(refresher.isActive()).toBe(false);
+  });
+});
+
+test.describe('Price Refresher API', () => {
+  test.skip(!ADMIN_EMAIL, 'set E2E_ADMIN_EMAIL to an address listed in ADMIN_EMAILS');
+
+  test('system info reports the refresher and provider health', async ({ request }) => {
+    const admin = await signInAsAdmin(request);
+
+    const { prices } = await readData(await request.get('/api/admin/system', { headers: admin.headers }));
+    expect(prices.refresher).toMatchObject({ active: expect.any(Boolean), symbols: expect.any(Number), failing: expect.any(Array) });
+    prices.providers.forEach(provider => {
+      expect(Object.values(BREAKER_STATES)).toContain(provider.state);
+      expect(provider.healthy).toBe(provider.state === BREAKER_STATES.CLOSED);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { test, expect } from '@playwright/test';
+import { readData, signIn } from './helpers/api.js';
+
+/**
+ * Refresh Token Tests
+ * Every refresh rotates the httpOnly cookie; a rotated token coming back revokes its session
+ */
+
+// Reuse inside this window is treated as two tabs refreshing at once (REFRESH_TOKEN_REUSE_GRACE_SECONDS)
+const REUSE_GRACE_MS = 30 * 1000;
+
+async function refreshCookie(request) {
+  const { cookies } = await request.storageState();
+  return cookies.find(cookie => cookie.name === 'refresh_token')?.value;
+}
+
+// Present a refresh token from a context that shares no cookies with the signed-in one
+async function refreshFromElsewhere(playwright, baseURL, token) {
+  const context = await playwright.request.newContext({ baseURL });
+  try {
+    const response = await context.post('/api/auth/refresh', { headers: { Cookie: `refresh_token=${token}` } });
+    return response.status();
+  } finally {
+    await context.dispose();
+  }
+}
+
+async function portfolioStatus(request, token) {
+  const response = await request.get('/api/portfolio', { headers: { Authorization: `Bearer ${token}` } });
+  return { status: response.status(), code: (await response.json()).code };
+}
+
+test.describe('Refresh Tokens', () => {
+  test('a refresh issues a new access token and rotates the cookie', async ({ request }) => {
+    const auth = await signIn(request);
+    const first = await refreshCookie(request);
+    expect(first).toBeTruthy();
+
+    const refreshed = await readData(await request.post('/api/auth/refresh'));
+    expect(refreshed.token).toBeTruthy();
+    expect(refreshed.user).toMatchObject({ id: auth.user.id, email: auth.email });
+
+    const second = await refreshCookie(request);
+    expect(second).toBeTruthy();
+    expect(second).not.toBe(first);
+
+    expect((await portfolioStatus(request, refreshed.token)).status).toBe(200);
+    expect((await portfolioStatus(request, auth.token)).status).toBe(200);
+  });
+
+  test('refreshing needs a known token', async ({ playwright, baseURL }) => {
+    const context = await playwright.request.newContext({ baseURL });
+    expect((await context.post('/api/auth/refresh')).status()).toBe(401);
+    await context.dispose();
+
+    expect(await refreshFromElsewhere(playwright, baseURL, 'not-a-real-token')).toBe(401);
+  });
+
+  test('a rotated token replayed right away is refused without ending the session', async ({ request, playwright, baseURL }) => {
+    await signIn(request);
+    const first = await refreshCookie(request);
+    await readData(await request.post('/api/auth/refresh'));
+
+    expect(await refreshFromElsewhere(playwright, baseURL, first)).toBe(401);
+
+    const refreshed = await readData(await request.post('/api/auth/refresh'));
+    expect((await portfolioStatus(request, refreshed.token)).status).toBe(200);
+  });
+
+  test('two tabs refreshing at once both stay signed in', async ({ request }) => {
+    await signIn(request);
+    const first = await refreshCookie(request);
+
+    const responses = await Promise.all([request.post('/api/auth/refresh'), request.post('/api/auth/refresh')]);
+    const statuses = responses.map(response => response.status());
+    expect(statuses).toContain(200);
+
+    // The slower tab is told the token was rotated, and its response leaves the new cookie alone
+    for (const response of responses.filter(entry => entry.status() !== 200)) {
+      expect(response.status()).toBe(401);
+      expect((await response.json()).code).toBe('REFRESH_TOKEN_ROTATED');
+    }
+
+    const current = await refreshCookie(request);
+    expect(current).toBeTruthy();
+    expect(current).not.toBe(first);
+
+    const refreshed = await readData(await request.post('/api/auth/refresh'));
+    expect((await portfolioStatus(request, refreshed.token)).status).toBe(200);
+  });
+
+  test('a rotated token replayed later revokes the whole session', async ({ request, playwright, baseURL }) => {
+    test.setTimeout(REUSE_GRACE_MS + 30 * 1000);
+
+    const auth = await signIn(request);
+    const first = await refreshCookie(request);
+    const refreshed = await readData(await request.post('/api/auth/refresh'));
+
+    await new Promise(resolve => setTimeout(resolve, REUSE_GRACE_MS + 1000));
+    expect(await refreshFromElsewhere(playwright, baseURL, first)).toBe(401);
+
+    // Both the stolen and the legitimate side are signed out
+    expect(await portfolioStatus(request, refreshed.token)).toEqual({ status: 401, code: 'SESSION_REVOKED' });
+    expect(await portfolioStatus(request, auth.token)).toEqual({ status: 401, code: 'SESSION_REVOKED' });
+    expect((await request.post('/api/auth/refresh')).status()).toBe(401);
+  });
+
+  test('logging out revokes the session and clears the cookie', async ({ request }) => {
+    const auth = await signIn(request);
+
+    await readData(await request.post('/api/auth/logout'));
+    expect(await refreshCookie(request)).toBeFalsy();
+
+    expect(await portfolioStatus(request, auth.token)).toEqual({ status: 401, code: 'SESSION_REVOKED' });
+    expect((await request.post('/api/auth/refresh')).status()).toBe(401);
+  });
+
+  test('signing out everywhere revokes every session of the user', async ({ request, playwright, baseURL }) => {
+    const laptop = await signIn(request);
+
+    const phoneContext = await playwright.request.newContext({ baseURL });
+    const phone = await signIn(phoneContext, { email: laptop.email });
+    await phoneContext.dispose();
+
+    const { revokedSessions } = await readData(await request.post('/api/auth/logout-all', { headers: laptop.headers }));
+    expect(revokedSessions).toBe(2);
+
+    expect((await portfolioStatus(request, laptop.token)).code).toBe('SESSION_REVOKED');
+    expect((await portfolioStatus(request, phone.token)).code).toBe('SESSION_REVOKED');
+  });
+});
@@ -0,0 +1,104 @@
+import { test, expect } from '@playwright/test';
+import { signIn } from './helpers/api.js';
+
+/**
+ * Set & Forget Backtest Tests
+ * Allocations are replayed over stored daily price history, starting from 1 BTC
+ */
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+async function backtest(request, auth, body) {
+  return request.post('/api/set-forget-portfolios/backtest', { headers: auth.headers, data: body });
+}
+
+// Skips the test when the database has no price history to replay
+async function readBacktest(response) {
+  const body = await response.json();
+  test.skip(response.status() === 400 && /No price history/.test(body.error), 'price history has not been backfilled');
+  expect(response.status(), body.error).toBe(200);
+  return body;
+}
+
+test.describe('Set & Forget Backtest', () => {
+  test('holding only BTC stays at exactly 1 BTC', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const result = await readBacktest(await backtest(request, auth, {
+      allocations: [{ asset_symbol: 'BTC', allocation_percentage: 100 }],
+      start_date: daysAgo(90)
+    }));
+
+    expect(result.initial_btc_amount).toBe(100000000);
+    expect(result.final_value_sats).toBe(100000000);
+    expect(result.total_performance_percent).toBe(0);
+    expect(result.max_drawdown_percent).toBe(0);
+    expect(result.equity_curve.every(point => point.value_sats === 100000000)).toBe(true);
+  });
+
+  test('replays a mixed allocation day by day with its rebalances', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const result = await readBacktest(await backtest(request, auth, {
+      allocations: [
+        { asset_symbol: 'BTC', allocation_percentage: 50 },
+        { asset_symbol: 'XAU', allocation_percentage: 50 }
+      ],
+      start_date: daysAgo(365),
+      rebalance_policy: 'quarterly'
+    }));
+
+    expect(result.start_date).toBe(daysAgo(365));
+    expect(result.effective_start_date >= result.start_date).toBe(true);
+    expect(result.rebalance_policy).toBe('quarterly');
+
+    const dates = result.equity_curve.map(point => point.date);
+    expect(dates).toEqual([...dates].sort());
+    expect(result.end_date).toBe(dates[dates.length - 1]);
+    expect(result.final_value_sats).toBe(result.equity_curve[dates.length - 1].value_sats);
+    expect(result.final_ratio_vs_btc).toBeCloseTo(result.final_value_sats / 100000000, 10);
+
+    const positionsTotal = result.allocations.reduce((sum, position) => sum + position.final_value_sats, 0);
+    expect(positionsTotal).toBe(result.final_value_sats);
+
+    // Quarterly rebalances are at least three months apart
+    let previous = new Date(result.effective_start_date);
+    for (const date of result.rebalance_dates) {
+      const due = new Date(previous);
+      due.setUTCMonth(due.getUTCMonth() + 3);
+      expect(new Date(date) >= due).toBe(true);
+      previous = new Date(date);
+    }
+
+    expect(result.max_drawdown_percent).toBeGreaterThanOrEqual(0);
+  });
+
+  test('rejects invalid backtests', async ({ request }) => {
+    const auth = await signIn(request);
+    const allocations = [{ asset_symbol: 'BTC', allocation_percentage: 100 }];
+
+    expect((await backtest(request, auth, { allocations })).status()).toBe(400);
+    expect((await backtest(request, auth, {
+      allocations: [{ asset_symbol: 'BTC', allocation_percentage: 90 }],
+      start_date: daysAgo(30)
+    })).status()).toBe(400);
+    expect((await backtest(request, auth, { allocations, start_date: daysAgo(-30) })).status()).toBe(400);
+    expect((await backtest(request, auth, { allocations, start_date: 'last spring' })).status()).toBe(400);
+    expect((await backtest(request, auth, { allocations, start_date: daysAgo(30), rebalance_policy: 'weekly' })).status()).toBe(400);
+    expect((await backtest(request, auth, {
+      allocations,
+      start_date: daysAgo(30),
+      rebalance_policy: 'drift',
+      rebalance_threshold: 150
+    })).status()).toBe(400);
+  });
+
+  test('backtests need a signed-in user', async ({ request }) => {
+    const response = await request.post('/api/set-forget-portfolios/backtest', {
+      data: { allocations: [{ asset_symbol: 'BTC', allocation_percentage: 100 }], start_date: daysAgo(30) }
+    });
+    expect(response.status()).toBe(401);
+  });
+});
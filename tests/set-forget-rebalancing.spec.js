@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+import SetForgetRebalanceService from '../src/server/services/set-forget-rebalance-service.js';
+import { signIn } from './helpers/api.js';
+
+/**
+ * Set & Forget Rebalancing Tests
+ * Portfolios can reset to their target mix on a schedule or once an allocation drifts too far
+ */
+
+const MIX = [
+  { asset_symbol: 'BTC', allocation_percentage: 60 },
+  { asset_symbol: 'XAU', allocation_percentage: 40 }
+];
+
+function createPortfolio(request, auth, data) {
+  return request.post('/api/set-forget-portfolios', {
+    headers: auth.headers,
+    data: { name: `Rebalanced ${Date.now()}`, allocations: MIX, ...data }
+  });
+}
+
+test.describe('Set & Forget Rebalancing API', () => {
+  test('portfolios are buy-and-hold unless a policy is chosen', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const response = await createPortfolio(request, auth, {});
+    expect(response.status()).toBe(201);
+    const { portfolio } = await response.json();
+
+    expect(portfolio.rebalance_policy).toBe('never');
+    expect(portfolio.rebalance_threshold_percent).toBeNull();
+    expect(portfolio.rebalance_count).toBe(0);
+    expect(portfolio.rebalance_history).toEqual([]);
+  });
+
+  test('a drift policy keeps its threshold and starts level with buy-and-hold', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const response = await createPortfolio(request, auth, { rebalance_policy: 'drift', rebalance_threshold: 10 });
+    expect(response.status()).toBe(201);
+    const { portfolio } = await response.json();
+
+    expect(portfolio.rebalance_policy).toBe('drift');
+    expect(portfolio.rebalance_threshold_percent).toBe(10);
+    expect(portfolio.buy_and_hold_value_sats).toBe(portfolio.current_value_sats);
+
+    const read = await request.get(`/api/set-forget-portfolios/${portfolio.portfolio_id}`, { headers: auth.headers });
+    expect(read.ok()).toBeTruthy();
+    expect((await read.json()).rebalance_threshold_percent).toBe(10);
+  });
+
+  test('rejects unknown policies and thresholds', async ({ request }) => {
+    const auth = await signIn(request);
+
+    expect((await createPortfolio(request, auth, { rebalance_policy: 'monthly' })).status()).toBe(400);
+    expect((await createPortfolio(request, auth, { rebalance_policy: 'drift', rebalance_threshold: 0 })).status()).toBe(400);
+    expect((await createPortfolio(request, auth, { rebalance_policy: 'drift', rebalance_threshold: 100 })).status()).toBe(400);
+  });
+});
+
+test.describe('Set & Forget Rebalance Rules', () => {
+  const service = new SetForgetRebalanceService();
+  const positions = (btcSats, xauSats) => [
+    { asset_symbol: 'BTC', allocation_percentage: '60.00', value_sats: btcSats },
+    { asset_symbol: 'XAU', allocation_percentage: '40.00', value_sats: xauSats }
+  ];
+
+  test('drift policies default to a 5 point threshold', () => {
+    expect(service.validatePolicy()).toEqual({ policy: 'never', thresholdPercent: null });
+    expect(service.validatePolicy('quarterly', 10)).toEqual({ policy: 'quarterly', thresholdPercent: null });
+    expect(service.validatePolicy('drift')).toEqual({ policy: 'drift', thresholdPercent: 5 });
+    expect(() => service.validatePolicy('drift', 'lots')).toThrow('between 0 and 100');
+  });
+
+  test('calendar policies are due a whole period after the last rebalance', () => {
+    const lastRebalancedAt = new Date('2031-01-31T12:00:00.000Z');
+    const due = (policy, now) => service.isRebalanceDue({ policy, lastRebalancedAt }, [], new Date(now));
+
+    expect(due('quarterly', '2031-04-30T12:00:00.000Z')).toBe(false);
+    expect(due('quarterly', '2031-05-01T12:00:00.000Z')).toBe(true);
+    expect(due('yearly', '2031-12-31T12:00:00.000Z')).toBe(false);
+    expect(due('yearly', '2032-01-31T12:00:00.000Z')).toBe(true);
+    expect(due('never', '2040-01-01T00:00:00.000Z')).toBe(false);
+  });
+
+  test('drift policies are due once any allocation moves past the threshold', () => {
+    const policy = { policy: 'drift', thresholdPercent: 5, lastRebalancedAt: new Date() };
+
+    expect(service.isRebalanceDue(policy, positions(60000000, 40000000))).toBe(false);
+    expect(service.isRebalanceDue(policy, positions(64000000, 36000000))).toBe(false);
+    expect(service.isRebalanceDue(policy, positions(66000000, 34000000))).toBe(true);
+    expect(service.isRebalanceDue(policy, positions(0, 0))).toBe(false);
+  });
+
+  test('a rebalance splits the current value back into the target mix', () => {
+    const target = service.splitValue(positions(70000000, 30000000), 100000000, { BTC: 100000, XAU: 2500 });
+
+    expect(target).toEqual([
+      { asset_symbol: 'BTC', allocation_percentage: '60.00', btc_amount: 60000000, asset_amount: 60000000 },
+      { asset_symbol: 'XAU', allocation_percentage: '40.00', btc_amount: 40000000, asset_amount: 1600000000 }
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+import { test, expect } from '@playwright/test';
+import TradeService from '../src/server/services/trade-service.js';
+import PriceCacheService from '../src/server/services/price-cache-service.js';
+import { getPriceRefresher } from '../src/server/services/price-refresher.js';
+import { buyAsset, readData, signIn } from './helpers/api.js';
+
+/**
+ * Trade Price Tests
+ * Trades never execute on an out-of-date price and record where each price came from
+ */
+
+// BUSINESS_RULES.TRADE_PRICE_MAX_AGE_SECONDS unless TRADE_PRICE_MAX_AGE_SECONDS is set
+const MAX_AGE_MS = 300 * 1000;
+
+test.describe('Trade Price Provenance', () => {
+  test('an executed trade records the source and time of both prices', async ({ request }) => {
+    const auth = await signIn(request);
+    const trade = await buyAsset(request, auth, 'XAU', 10000000);
+
+    const executedAt = new Date(trade.executedAt).getTime();
+    for (const side of ['btc', 'asset']) {
+      const { source, quotedAt } = trade.priceProvenance[side];
+      expect(source).toBeTruthy();
+      expect(executedAt - new Date(quotedAt).getTime()).toBeLessThanOrEqual(MAX_AGE_MS);
+    }
+
+    const { trades } = await readData(await request.get('/api/trades/history', { headers: auth.headers }));
+    expect(trades[0].id).toBe(trade.id);
+    expect(trades[0].priceProvenance).toEqual(trade.priceProvenance);
+    expect(Number(trades[0].btcPriceUsd)).toBe(trade.btcPrice);
+    expect(Number(trades[0].assetPriceUsd)).toBe(trade.assetPrice);
+  });
+});
+
+test.describe('Stale Price Protection', () => {
+  const service = new TradeService();
+  const originalMethods = { fetchQuote: PriceCacheService.prototype.fetchQuote, cachePrice: PriceCacheService.prototype.cachePrice };
+  let requoted;
+
+  function cachedAssets(assets) {
+    service.prisma = { asset: { findMany: async () => assets } };
+  }
+
+  function minutesAgo(minutes) {
+    return new Date(Date.now() - minutes * 60 * 1000);
+  }
+
+  test.beforeEach(() => {
+    requoted = [];
+    PriceCacheService.prototype.cachePrice = async (symbol, priceUsd, source) => requoted.push({ symbol, priceUsd, source });
+  });
+
+  test.afterEach(() => {
+    Object.assign(PriceCacheService.prototype, originalMethods);
+  });
+
+  test('fresh cached prices are used as they are', async () => {
+    cachedAssets([
+      { symbol: 'BTC', currentPriceUsd: '65000.12345678', source: 'coingecko', lastUpdated: minutesAgo(1) },
+      { symbol: 'XAU', currentPriceUsd: '2400.5', source: 'yahoo', lastUpdated: minutesAgo(4) }
+    ]);
+    PriceCacheService.prototype.fetchQuote = async () => {
+      throw new Error('fresh prices should not be re-quoted');
+    };
+
+    const quotes = await service.getPriceQuotes(['XAU']);
+    expect(quotes.BTC).toMatchObject({ priceUsd: 65000.12345678, source: 'coingecko' });
+    expect(quotes.XAU).toMatchObject({ priceUsd: 2400.5, source: 'yahoo' });
+    expect(requoted).toEqual([]);
+  });
+
+  test('a stale price is re-quoted and cached before the trade', async () => {
+    const fetchedAt = new Date();
+    cachedAssets([
+      { symbol: 'BTC', currentPriceUsd: '65000', source: 'coingecko', lastUpdated: minutesAgo(1) },
+      { symbol: 'XAU', currentPriceUsd: '2300', source: 'yahoo', lastUpdated: minutesAgo(90) }
+    ]);
+    PriceCacheService.prototype.fetchQuote = async () => ({ priceUsd: 2401.25, source: 'yahoo', fetchedAt });
+
+    const quotes = await service.getPriceQuotes(['XAU']);
+    expect(quotes.XAU).toEqual({ priceUsd: 2401.25, source: 'yahoo', updatedAt: fetchedAt });
+    expect(requoted).toEqual([{ symbol: 'XAU', priceUsd: 2401.25, source: 'yahoo' }]);
+  });
+
+  test('a stale price that cannot be re-quoted stops the trade', async () => {
+    cachedAssets([
+      { symbol: 'BTC', currentPriceUsd: '65000', source: 'coingecko', lastUpdated: minutesAgo(1) },
+      { symbol: 'XAU', currentPriceUsd: '2300', source: 'yahoo', lastUpdated: minutesAgo(90) }
+    ]);
+    PriceCacheService.prototype.fetchQuote = async () => null;
+
+    const error = await service.getPriceQuotes(['XAU']).catch(caught => caught);
+    expect(error.name).toBe('ServiceUnavailableError');
+    expect(error.statusCode).toBe(503);
+    expect(error.message).toContain('Price for XAU is out of date');
+  });
+
+  test('the maximum age can be configured', () => {
+    const configured = process.env.TRADE_PRICE_MAX_AGE_SECONDS;
+    try {
+      delete process.env.TRADE_PRICE_MAX_AGE_SECONDS;
+      expect(service.getPriceMaxAgeSeconds()).toBe(MAX_AGE_MS / 1000);
+
+      process.env.TRADE_PRICE_MAX_AGE_SECONDS = '60';
+      expect(service.getPriceMaxAgeSeconds()).toBe(60);
+    } finally {
+      if (configured === undefined) {
+        delete process.env.TRADE_PRICE_MAX_AGE_SECONDS;
+      } else {
+        process.env.TRADE_PRICE_MAX_AGE_SECONDS = configured;
+      }
+    }
+
+    expect(service.isQuoteFresh({ updatedAt: minutesAgo(4) }, MAX_AGE_MS)).toBe(true);
+    expect(service.isQuoteFresh({ updatedAt: minutesAgo(6) }, MAX_AGE_MS)).toBe(false);
+    expect(service.isQuoteFresh({ updatedAt: null }, MAX_AGE_MS)).toBe(false);
+  });
+});
+
+test.describe('Closed Market Prices', () => {
+  const service = new TradeService();
+  const refresher = getPriceRefresher();
+  // Saturday afternoon: stock and futures markets are closed, crypto trades
+  const SATURDAY = new Date('2026-10-17T18:00:00.000Z');
+
+  function quotedMinutesBefore(now, minutes) {
+    return { updatedAt: new Date(now.getTime() - minutes * 60 * 1000) };
+  }
+
+  test.afterEach(() => {
+    delete refresher.refreshes;
+  });
+
+  test('a price the refresher keeps current stays fresh until its next closed-market refresh is due', () => {
+    refresher.refreshes = () => true;
+
+    expect(service.isQuoteFresh(quotedMinutesBefore(SATURDAY, 50), MAX_AGE_MS, 'SPY', SATURDAY)).toBe(true);
+    expect(service.isQuoteFresh(quotedMinutesBefore(SATURDAY, 50), MAX_AGE_MS, 'XAU', SATURDAY)).toBe(true);
+    expect(service.isQuoteFresh(quotedMinutesBefore(SATURDAY, 70), MAX_AGE_MS, 'SPY', SATURDAY)).toBe(false);
+
+    // Crypto never closes, and a price without its symbol only gets the usual max age
+    expect(service.isQuoteFresh(quotedMinutesBefore(SATURDAY, 50), MAX_AGE_MS, 'BTC', SATURDAY)).toBe(false);
+    expect(service.isQuoteFresh(quotedMinutesBefore(SATURDAY, 50), MAX_AGE_MS, null, SATURDAY)).toBe(false);
+  });
+
+  test('a price quoted before the close is re-quoted as usual', () => {
+    refresher.refreshes = () => true;
+    // Friday 16:30 New York time - the 15:50 quote is from before the 16:00 close, the 16:10 one after it
+    const afterClose = new Date('2026-10-16T20:30:00.000Z');
+
+    expect(service.isQuoteFresh(quotedMinutesBefore(afterClose, 40), MAX_AGE_MS, 'SPY', afterClose)).toBe(false);
+    expect(service.isQuoteFresh(quotedMinutesBefore(afterClose, 20), MAX_AGE_MS, 'SPY', afterClose)).toBe(true);
+  });
+
+  test('without the refresher running a closed market gets the usual max age', () => {
+    refresher.refreshes = () => false;
+
+    expect(service.isQuoteFresh(quotedMinutesBefore(SATURDAY, 50), MAX_AGE_MS, 'SPY', SATURDAY)).toBe(false);
+    expect(service.isQuoteFresh(quotedMinutesBefore(SATURDAY, 4), MAX_AGE_MS, 'SPY', SATURDAY)).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+import { test, expect } from '@playwright/test';
+import jwt from 'jsonwebtoken';
+import TradeQuoteService from '../src/server/services/trade-quote-service.js';
+import { readData, signIn } from './helpers/api.js';
+
+/**
+ * Trade Quote Tests
+ * A preview signs the amounts of a trade; executing the quote trades exactly those amounts until it expires
+ */
+
+const TRADE = { fromAsset: 'BTC', toAsset: 'XAU', amount: 10000000, unit: 'sat' };
+
+function previewTrade(request, auth, trade = TRADE) {
+  return request.post('/api/trades/preview', { headers: auth.headers, data: trade });
+}
+
+function executeQuote(request, auth, quoteId) {
+  return request.post('/api/trades/execute', { headers: auth.headers, data: { ...TRADE, quoteId } });
+}
+
+test.describe('Trade Quotes', () => {
+  test('a quote executes once at its quoted amounts', async ({ request }) => {
+    const auth = await signIn(request);
+
+    const quote = await readData(await previewTrade(request, auth));
+    expect(quote.quoteId).toBeTruthy();
+    expect(quote.expiresInSeconds).toBeGreaterThan(0);
+    expect(new Date(quote.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(quote).toMatchObject({ fromAsset: 'BTC', toAsset: 'XAU', fromAmount: TRADE.amount, earlyExitPenaltySats: 0 });
+
+    const { trade } = await readData(await executeQuote(request, auth, quote.quoteId), 201);
+    expect(trade).toMatchObject({
+      fromAmount: quote.fromAmount,
+      toAmount: quote.toAmount,
+      btcPrice: quote.btcPrice,
+      assetPrice: quote.assetPrice
+    });
+
+    const again = await executeQuote(request, auth, quote.quoteId);
+    expect(again.status()).toBe(409);
+
+    const { trades } = await readData(await request.get('/api/trades/history', { headers: auth.headers }));
+    expect(trades).toHaveLength(1);
+  });
+
+  test('a quote only works unaltered and for the user it was issued to', async ({ request }) => {
+    const auth = await signIn(request);
+    const other = await signIn(request);
+    const { quoteId } = await readData(await previewTrade(request, auth));
+
+    const [header, payload, signature] = quoteId.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const inflated = Buffer.from(JSON.stringify({ ...claims, toAmount: claims.toAmount * 2 })).toString('base64url');
+
+    expect((await executeQuote(request, auth, `${header}.${inflated}.${signature}`)).status()).toBe(400);
+    expect((await executeQuote(request, other, quoteId)).status()).toBe(400);
+    expect((await executeQuote(request, auth, 'not-a-quote')).status()).toBe(400);
+
+    // Still good for its owner
+    expect((await executeQuote(request, auth, quoteId)).status()).toBe(201);
+  });
+
+  test('an expired quote asks for a new one', async ({ request }) => {
+    const auth = await signIn(request);
+    const quote = await readData(await previewTrade(request, auth));
+    test.setTimeout((quote.expiresInSeconds + 30) * 1000);
+
+    await new Promise(resolve => setTimeout(resolve, (quote.expiresInSeconds + 1) * 1000));
+
+    const response = await executeQuote(request, auth, quote.quoteId);
+    expect(response.status()).toBe(409);
+    expect((await response.json()).code).toBe('QUOTE_EXPIRED');
+  });
+
+  test('previews need a signed-in user and a valid trade', async ({ request }) => {
+    expect((await request.post('/api/trades/preview', { data: TRADE })).status()).toBe(401);
+
+    const auth = await signIn(request);
+    expect((await previewTrade(request, auth, { ...TRADE, amount: undefined })).status()).toBe(400);
+  });
+});
+
+test.describe('Quote Tokens', () => {
+  const SECRET = 'quote-spec-secret';
+  const service = new TradeQuoteService();
+  let configuredSecret;
+
+  function signQuote(claims, options = {}) {
+    return jwt.sign({ userId: 7, fromAsset: 'BTC', toAsset: 'XAU', fromAmount: 1000, toAmount: 40, ...claims }, SECRET, {
+      expiresIn: 30,
+      audience: 'trade-quote',
+      jwtid: 'quote-1',
+      ...options
+    });
+  }
+
+  test.beforeAll(() => {
+    configuredSecret = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = SECRET;
+  });
+
+  test.afterAll(() => {
+    if (configuredSecret === undefined) {
+      delete process.env.JWT_SECRET;
+    } else {
+      process.env.JWT_SECRET = configuredSecret;
+    }
+  });
+
+  test('a valid quote returns its signed trade', () => {
+    const quote = service.verifyQuote(signQuote({}), 7);
+    expect(quote).toMatchObject({ jti: 'quote-1', fromAmount: 1000, toAmount: 40 });
+  });
+
+  test('an expired quote is told apart from an invalid one', () => {
+    const expired = signQuote({ iat: Math.floor(Date.now() / 1000) - 60 });
+
+    expect(() => service.verifyQuote(expired, 7)).toThrow(expect.objectContaining({ name: 'QuoteExpiredError', code: 'QUOTE_EXPIRED', statusCode: 409 }));
+  });
+
+  test('forged, foreign and non-quote tokens are invalid', () => {
+    const invalid = expect.objectContaining({ name: 'ValidationError', message: 'Invalid trade quote' });
+
+    expect(() => service.verifyQuote(signQuote({}), 8)).toThrow(invalid);
+    expect(() => service.verifyQuote(jwt.sign({ userId: 7 }, 'another-secret', { audience: 'trade-quote' }), 7)).toThrow(invalid);
+    expect(() => service.verifyQuote(jwt.sign({ userId: 7 }, SECRET), 7)).toThrow(invalid);
+    expect(() => service.verifyQuote(undefined, 7)).toThrow(invalid);
+  });
+
+  test('quotes last TRADE_QUOTE_TTL_SECONDS', () => {
+    const configured = process.env.TRADE_QUOTE_TTL_SECONDS;
+    try {
+      process.env.TRADE_QUOTE_TTL_SECONDS = '45';
+      expect(service.getQuoteTtlSeconds()).toBe(45);
+
+      delete process.env.TRADE_QUOTE_TTL_SECONDS;
+      expect(service.getQuoteTtlSeconds()).toBe(30);
+    } finally {
+      if (configured !== undefined) {
+        process.env.TRADE_QUOTE_TTL_SECONDS = configured;
+      }
+    }
+  });
+});
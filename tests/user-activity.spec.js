@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test';
+import { ADMIN_EMAIL, buyAsset, readData, signIn, signInAsAdmin } from './helpers/api.js';
+
+/**
+ * User Activity Tests
+ * Logins open sessions that record where they came from, and admins read them as a timeline
+ */
+
+const USER_AGENT = 'e2e-activity-check/1.0';
+
+test.describe('User Activity', () => {
+  test.skip(!ADMIN_EMAIL, 'set E2E_ADMIN_EMAIL to an address listed in ADMIN_EMAILS');
+  test.use({ extraHTTPHeaders: { 'User-Agent': USER_AGENT } });
+
+  test('each login opens a session with its IP address and user agent', async ({ request }) => {
+    const admin = await signInAsAdmin(request);
+    const auth = await signIn(request);
+    await signIn(request, { email: auth.email });
+
+    const activity = await readData(await request.get(`/api/admin/users/${auth.user.id}/activity`, { headers: admin.headers }));
+    expect(activity.userId).toBe(auth.user.id);
+    expect(activity.lastLoginAt).toBeTruthy();
+
+    expect(activity.sessions).toHaveLength(2);
+    for (const session of activity.sessions) {
+      expect(session.userAgent).toBe(USER_AGENT);
+      expect(session.ipAddress).toBeTruthy();
+    }
+    expect(new Date(activity.lastLoginAt).getTime()).toBe(new Date(activity.sessions[0].createdAt).getTime());
+  });
+
+  test('the timeline lists registration, magic links and trades newest first', async ({ request }) => {
+    const admin = await signInAsAdmin(request);
+    const auth = await signIn(request);
+    await buyAsset(request, auth, 'XAU', 1000000);
+
+    const { sessions, timeline } = await readData(await request.get(`/api/admin/users/${auth.user.id}/activity`, { headers: admin.headers }));
+    const types = timeline.map(event => event.type);
+
+    expect(types[0]).toBe('trade');
+    expect(types).toEqual(expect.arrayContaining(['registered', 'magic_link_requested', 'magic_link_verified']));
+    expect(timeline[0].details.toAsset).toBe('XAU');
+
+    const verified = timeline.find(event => event.type === 'magic_link_verified');
+    expect(verified.sessionId).toBe(sessions[0].id);
+    expect(verified.userAgent).toBe(USER_AGENT);
+
+    const timestamps = timeline.map(event => new Date(event.timestamp).getTime());
+    expect(timestamps).toEqual([...timestamps].sort((a, b) => b - a));
+  });
+
+  test('the admin user list shows the last login', async ({ request }) => {
+    const admin = await signInAsAdmin(request);
+    const auth = await signIn(request);
+
+    const { users } = await readData(await request.get(`/api/admin/users?search=${encodeURIComponent(auth.email)}`, { headers: admin.headers }));
+    expect(users[0].lastLoginAt).toBeTruthy();
+    expect(users[0]._count.sessions).toBe(1);
+  });
+
+  test('an unknown user has no activity', async ({ request }) => {
+    const admin = await signInAsAdmin(request);
+
+    const response = await request.get('/api/admin/users/999999999/activity', { headers: admin.headers });
+    expect(response.status()).toBe(404);
+  });
+});